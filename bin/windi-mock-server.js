@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * windi-mock-server — local stand-in for the WINDI Verification API.
+ *
+ * Usage:
+ *   windi-mock-server [--port 4000] [--fixtures ./fixtures.json] [--accept-unknown]
+ *                     [--latency <ms>] [--rate-limit <requests/minute>] [--any-key]
+ *                     [--signing-key <private.pem>] [--signing-kid <kid>]
+ *
+ * Per-request faults: send X-Mock-Error, X-Mock-Risk-Flags, X-Mock-Latency, X-Mock-Timeout or X-Mock-Tamper.
+ */
+
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+import { MockVerifyServer } from "../src/mock-server.js";
+
+const { values } = parseArgs({
+  options: {
+    port: { type: "string", default: "4000" },
+    host: { type: "string", default: "127.0.0.1" },
+    fixtures: { type: "string" },
+    "accept-unknown": { type: "boolean" },
+    latency: { type: "string" },
+    "rate-limit": { type: "string" },
+    "any-key": { type: "boolean" },
+    "signing-key": { type: "string" },
+    "signing-kid": { type: "string", default: "windi:server:mock" },
+    help: { type: "boolean", short: "h" }
+  }
+});
+
+if (values.help) {
+  console.log(`Usage: windi-mock-server [options]
+
+  --port <n>              Port to listen on (default: 4000)
+  --host <addr>           Interface to bind (default: 127.0.0.1)
+  --fixtures <file>       JSON fixtures: apiKeys, hmacKeys, issuers, documents, ...
+  --accept-unknown        Answer VALID for unregistered documents instead of DOCUMENT_NOT_FOUND
+  --latency <ms>          Delay every response
+  --rate-limit <n>        Allow n verify requests per minute, then 429
+  --any-key               Accept any API key (default: only "test-key" or the fixture apiKeys)
+  --signing-key <file>    PEM private key; sign verify responses (X-WINDI-Signature)
+  --signing-kid <kid>     Key id in the signature (default: windi:server:mock)
+
+Per-request faults via headers: X-Mock-Error: <CODE>, X-Mock-Risk-Flags: A,B,
+X-Mock-Latency: <ms>, X-Mock-Timeout: 1, X-Mock-Tamper: 1 (with --signing-key)`);
+  process.exit(0);
+}
+
+const overrides = {};
+if (values["accept-unknown"]) overrides.acceptUnknownDocuments = true;
+if (values.latency) overrides.latencyMs = Number(values.latency);
+if (values["rate-limit"]) overrides.rateLimit = { limit: Number(values["rate-limit"]) };
+if (values["any-key"]) overrides.apiKeys = null;
+if (values["signing-key"]) {
+  overrides.signingKey = { kid: values["signing-kid"], privateKey: fs.readFileSync(values["signing-key"], "utf8") };
+}
+
+const mock = values.fixtures
+  ? MockVerifyServer.fromFile(values.fixtures, overrides)
+  : new MockVerifyServer(overrides);
+
+const { url } = await mock.listen(Number(values.port), values.host);
+console.log(`WINDI mock verification API listening on ${url}`);
+console.log(`  issuers: ${[...mock.issuers.keys()].join(", ") || "-"}`);
+console.log(`  documents: ${mock.documents.size}${mock.acceptUnknownDocuments ? " (unknown documents accepted)" : ""}`);
+if (mock.signingKey) console.log(`  signing responses as ${mock.signingKey.kid}`);
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, async () => {
+    await mock.close();
+    process.exit(0);
+  });
+}
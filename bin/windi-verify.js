@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+/**
+ * windi-verify — WINDI document verification from the command line.
+ *
+ * Usage:
+ *   windi-verify file <path|dir|glob>... --issuer-key-id <id> [--document-id <id|template>]
+ *   windi-verify hash <alg:hex> --document-id <id> --issuer-key-id <id>
+ *   windi-verify wvc <WVC1-...>
+ *   windi-verify health
+ *   windi-verify canon-vectors <vectors.json>...
+ *
+ * Exit codes: 0 VALID, 1 SUSPECT, 2 INVALID, 3 verification error, 4 usage/config error.
+ * With several documents the highest code wins.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  WindiVerifyClient,
+  WindiError,
+  WindiConfigError,
+  FileCredentialProvider,
+  Hash,
+  runCanonVectors
+} from "../src/index.js";
+
+const DEFAULT_BASE_URL = "https://verify.windi.eu/api";
+const EXIT = { VALID: 0, SUSPECT: 1, INVALID: 2, ERROR: 3, USAGE: 4 };
+const FORMATS = ["human", "json", "csv"];
+const CSV_COLUMNS = [
+  "input",
+  "document_id",
+  "verdict",
+  "integrity",
+  "trust_level",
+  "issuer_status",
+  "risk_flags",
+  "request_id",
+  "error"
+];
+const VECTOR_CSV_COLUMNS = ["input", "id", "profile", "shelf", "status", "canonical", "hash", "error", "message"];
+
+const HELP = `Usage: windi-verify <command> [options]
+
+Commands:
+  file <path|dir|glob>...   Hash files locally and verify them (directories are walked recursively)
+  hash <alg:hex>            Verify a pre-computed document hash (e.g. sha256:...)
+  wvc <WVC1-...>            Verify a WINDI Verification Code
+  health                    Check that the verification API is reachable
+  canon-vectors <file>...   Run canonicalization test vectors (JSON) against this Reader
+
+Options:
+  -d, --document-id <id>    Document id; with several files use a template: {name}, {file}
+  -k, --issuer-key-id <id>  Issuer key id
+  -p, --proof-level <lvl>   L1, L2 or L3 (default: L2; for wvc the level in the code)
+  -m, --manifest-id <id>    Manifest reference
+  -a, --algorithm <alg>     Hash for file: sha256, sha384, sha512 or sha3-256 (default: sha256)
+  -f, --format <fmt>        human, json or csv (default: human)
+  -c, --config <file>       JSON config file (default: $WINDI_CONFIG)
+      --base-url <url,...>  API base URL, or several for failover (default: $WINDI_BASE_URL or ${DEFAULT_BASE_URL})
+      --concurrency <n>     Parallel verifications for file (default: 4)
+      --timeout <ms>        Request timeout
+  -h, --help                Show this help
+
+The API key is read from $WINDI_API_KEY, a file named by $WINDI_API_KEY_FILE, or the
+config file, never from the command line. With "signRequests": true in the config, requests
+are HMAC-signed with the key and $WINDI_API_KEY_ID instead of sending the key.
+
+Exit codes: 0 VALID, 1 SUSPECT, 2 INVALID, 3 verification error, 4 usage/config error.
+canon-vectors exits 0 when every vector passes and 2 otherwise.`;
+
+class UsageError extends Error {}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      "document-id": { type: "string", short: "d" },
+      "issuer-key-id": { type: "string", short: "k" },
+      "proof-level": { type: "string", short: "p" },
+      "manifest-id": { type: "string", short: "m" },
+      algorithm: { type: "string", short: "a" },
+      format: { type: "string", short: "f" },
+      config: { type: "string", short: "c" },
+      "base-url": { type: "string" },
+      concurrency: { type: "string" },
+      timeout: { type: "string" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    console.log(HELP);
+    return values.help ? 0 : EXIT.USAGE;
+  }
+  if (command === "canon-vectors") return runVectorFiles(args, values.format ?? "human");
+
+  const config = loadConfig(values);
+  const format = values.format ?? config.format ?? "human";
+  if (!FORMATS.includes(format)) throw new UsageError(`--format must be one of ${FORMATS.join(", ")}`);
+
+  const client = new WindiVerifyClient({
+    endpoints: config.endpoints,
+    credentials: config.credentials,
+    signRequests: config.signRequests,
+    timeoutMs: config.timeoutMs,
+    retry: config.retry,
+    rateLimit: config.rateLimit,
+    validation: config.validation,
+    circuitBreaker: config.circuitBreaker
+  });
+
+  if (command === "health") return runHealth(client, format);
+
+  const opts = {
+    documentId: values["document-id"],
+    issuerKeyId: values["issuer-key-id"] ?? config.issuerKeyId,
+    proofLevel: values["proof-level"] ?? config.proofLevel,
+    manifestId: values["manifest-id"],
+    algorithm: values.algorithm ?? config.algorithm,
+    concurrency: positiveInt(values.concurrency ?? config.concurrency ?? 4, "--concurrency")
+  };
+  if (!args.length) throw new UsageError(`${command}: missing argument`);
+
+  let rows;
+  if (command === "file") rows = await verifyFiles(client, args, opts);
+  else if (command === "hash") rows = await verifyHashes(client, args, opts);
+  else if (command === "wvc") rows = await verifyWvcs(client, args, opts);
+  else throw new UsageError(`Unknown command: ${command}`);
+
+  print(rows, format);
+  return Math.max(...rows.map((r) => (r.error ? EXIT.ERROR : EXIT[r.verdict] ?? EXIT.ERROR)));
+}
+
+/**
+ * Settings precedence: command-line flags, then environment, then config file.
+ */
+function loadConfig(values) {
+  const configPath = values.config ?? process.env.WINDI_CONFIG;
+  let file = {};
+  if (configPath) {
+    try {
+      file = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    } catch (err) {
+      throw new UsageError(`Cannot read config ${configPath}: ${err.message}`);
+    }
+  }
+
+  const baseUrl = values["base-url"] ?? process.env.WINDI_BASE_URL;
+  const config = {
+    ...file,
+    // A comma-separated base URL lists failover endpoints in preference order.
+    endpoints: baseUrl ? baseUrl.split(",").map((u) => u.trim()) : file.endpoints ?? [file.baseUrl ?? DEFAULT_BASE_URL],
+    timeoutMs: values.timeout !== undefined ? positiveInt(values.timeout, "--timeout") : file.timeoutMs
+  };
+  if (config.timeoutMs !== undefined) config.timeoutMs = positiveInt(config.timeoutMs, "timeoutMs");
+  const apiKey = process.env.WINDI_API_KEY ?? file.apiKey;
+  const keyId = process.env.WINDI_API_KEY_ID ?? file.apiKeyId;
+  const apiKeyFile = process.env.WINDI_API_KEY_FILE ?? file.apiKeyFile;
+  if (apiKey) config.credentials = { apiKey, keyId };
+  else if (apiKeyFile) config.credentials = new FileCredentialProvider(apiKeyFile, { watch: false });
+  else throw new UsageError("No API key: set WINDI_API_KEY, WINDI_API_KEY_FILE or apiKey in the config file");
+  return config;
+}
+
+/** Flags and config values that must be whole numbers above zero; "10ms" or "0" is a usage error. */
+function positiveInt(value, name) {
+  const n = typeof value === "number" ? value : /^\s*\d+\s*$/.test(value) ? Number(value) : NaN;
+  if (!Number.isSafeInteger(n) || n < 1) throw new UsageError(`${name} must be a positive integer, got ${value}`);
+  return n;
+}
+
+async function runHealth(client, format) {
+  let row;
+  try {
+    row = { status: "healthy", ...(await client.healthCheck()) };
+  } catch (err) {
+    row = { status: "unreachable", error: errorText(err) };
+  }
+
+  if (format === "json") console.log(JSON.stringify(row, null, 2));
+  else if (format === "csv") printCsv([row], ["status", "version", "timestamp", "error"]);
+  else console.log(`${row.status}${row.version ? ` (API ${row.version})` : ""}${row.error ? `: ${row.error}` : ""}`);
+  return row.status === "healthy" && !row.error ? 0 : EXIT.ERROR;
+}
+
+/**
+ * Needs no API access, so it runs before the config and credentials are loaded.
+ */
+async function runVectorFiles(files, format) {
+  if (!FORMATS.includes(format)) throw new UsageError(`--format must be one of ${FORMATS.join(", ")}`);
+  if (!files.length) throw new UsageError("canon-vectors: missing argument");
+  const reports = [];
+  for (const file of files) {
+    let suite;
+    try {
+      suite = JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch (err) {
+      throw new UsageError(`Cannot read test vectors ${file}: ${err.message}`);
+    }
+    reports.push({ input: file, ...runCanonVectors(suite) });
+  }
+
+  if (format === "json") {
+    console.log(JSON.stringify(reports, null, 2));
+  } else if (format === "csv") {
+    printCsv(reports.flatMap((r) => r.results.map((v) => ({ input: r.input, ...v }))), VECTOR_CSV_COLUMNS);
+  } else {
+    for (const r of reports) {
+      for (const v of r.results) {
+        const detail = v.status === "FAIL" ? v.message : v.canonical ?? `rejected (${v.error})`;
+        console.log(`${v.status.padEnd(8)} ${r.input}  ${v.id}  ${detail}`);
+      }
+      console.log(`${r.passed}/${r.total} passed  ${r.input}  (${r.profile})`);
+    }
+  }
+  return reports.every((r) => r.ok) ? 0 : EXIT.INVALID;
+}
+
+async function verifyFiles(client, inputs, opts) {
+  const files = [];
+  for (const input of inputs) files.push(...(await expandInput(input)));
+  if (!files.length) throw new UsageError("No files matched");
+  if (!opts.issuerKeyId) throw new UsageError("--issuer-key-id is required");
+  if (opts.algorithm && !Hash.HASH_ALGORITHMS[opts.algorithm]) {
+    throw new UsageError(`--algorithm must be one of ${Object.keys(Hash.HASH_ALGORITHMS).join(", ")}`);
+  }
+
+  const template = opts.documentId;
+  if (!template) throw new UsageError("--document-id is required");
+  if (files.length > 1 && !/\{(name|file)\}/.test(template)) {
+    throw new UsageError("Several files matched: --document-id needs a {name} or {file} placeholder");
+  }
+
+  const items = files.map((filePath) => ({
+    filePath,
+    documentId: template
+      .replaceAll("{name}", path.parse(filePath).name)
+      .replaceAll("{file}", path.basename(filePath)),
+    issuerKeyId: opts.issuerKeyId,
+    manifestId: opts.manifestId,
+    proofLevel: opts.proofLevel,
+    algorithm: opts.algorithm
+  }));
+
+  const outcomes = await client.verifyBatch(items, { concurrency: opts.concurrency });
+  return outcomes.map((o) => toRow(o.item.filePath, o.item.documentId, o.ok ? o.result : undefined, o.error));
+}
+
+async function verifyHashes(client, hashes, opts) {
+  if (!opts.documentId) throw new UsageError("--document-id is required");
+  if (!opts.issuerKeyId) throw new UsageError("--issuer-key-id is required");
+  if (hashes.length > 1) throw new UsageError("hash: verify one document hash at a time");
+
+  const [documentHash] = hashes;
+  return [
+    await settle(documentHash, opts.documentId, () =>
+      client.verify({
+        document_id: opts.documentId,
+        document_hash: documentHash,
+        issuer_key_id: opts.issuerKeyId,
+        manifest_id: opts.manifestId,
+        proof_level: opts.proofLevel ?? "L2"
+      })
+    )
+  ];
+}
+
+async function verifyWvcs(client, codes, opts) {
+  const rows = [];
+  for (const wvc of codes) {
+    rows.push(await settle(wvc, undefined, () => client.verifyWvc({ wvc, proofLevel: opts.proofLevel })));
+  }
+  return rows;
+}
+
+async function settle(input, documentId, fn) {
+  try {
+    return toRow(input, documentId, await fn());
+  } catch (err) {
+    if (!(err instanceof WindiError)) throw err;
+    return toRow(input, documentId, undefined, err);
+  }
+}
+
+function toRow(input, document_id, res, err) {
+  return {
+    input,
+    document_id,
+    verdict: res?.verdict,
+    integrity: res?.integrity,
+    trust_level: res?.trust_level,
+    issuer_status: res?.issuer_status,
+    risk_flags: res?.risk_flags ?? [],
+    request_id: res?.request_id ?? err?.requestId,
+    error: err ? errorText(err) : undefined
+  };
+}
+
+/**
+ * Expand a path, directory (recursive) or glob pattern (`*`, `**`, `?`) into file paths.
+ */
+async function expandInput(input) {
+  if (!/[*?]/.test(input)) {
+    const stat = await fs.promises.stat(input).catch(() => undefined);
+    if (!stat) throw new UsageError(`No such file or directory: ${input}`);
+    return stat.isDirectory() ? walk(input) : [input];
+  }
+
+  const parts = input.split(/[\\/]/);
+  const firstGlob = parts.findIndex((p) => /[*?]/.test(p));
+  const root = parts.slice(0, firstGlob).join(path.sep) || ".";
+  const matcher = globToRegExp(parts.slice(firstGlob).join("/"));
+  const files = await walk(root);
+  return files.filter((f) => matcher.test(path.relative(root, f).split(path.sep).join("/")));
+}
+
+async function walk(dir) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...(await walk(full)));
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
+
+function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      // "**/" matches zero or more directories
+      re += glob[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += glob[i + 2] === "/" ? 2 : 1;
+    } else if (ch === "*") re += "[^/]*";
+    else if (ch === "?") re += "[^/]";
+    else re += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function print(rows, format) {
+  if (format === "json") {
+    console.log(JSON.stringify(rows, null, 2));
+  } else if (format === "csv") {
+    printCsv(rows.map((r) => ({ ...r, risk_flags: r.risk_flags.join(";") })), CSV_COLUMNS);
+  } else {
+    for (const r of rows) {
+      if (r.error) {
+        console.log(`ERROR    ${r.input}  ${r.error}`);
+        continue;
+      }
+      const flags = r.risk_flags.length ? `  [${r.risk_flags.join(", ")}]` : "";
+      console.log(`${String(r.verdict).padEnd(8)} ${r.trust_level ?? "--"}  ${r.input}  ${r.integrity}/${r.issuer_status ?? "-"}${flags}`);
+    }
+  }
+}
+
+function printCsv(rows, columns) {
+  const cell = (v) => {
+    const s = v === undefined || v === null ? "" : String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+  };
+  console.log(columns.join(","));
+  for (const row of rows) console.log(columns.map((c) => cell(row[c])).join(","));
+}
+
+function errorText(err) {
+  return err.code ? `${err.code}: ${err.message}` : err.message;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    const usage = err instanceof UsageError || err instanceof WindiConfigError || err?.code?.startsWith("ERR_PARSE_ARGS");
+    console.error(`windi-verify: ${usage ? err.message : errorText(err)}`);
+    process.exitCode = usage ? EXIT.USAGE : EXIT.ERROR;
+  }
+);
@@ -6,6 +6,7 @@
  *
  * Prerequisites:
  *   - windi-verification-api running on localhost:4000
+ *     (or the bundled mock: npm run mock-server)
  *
  * Usage:
  *   node examples/e2e-test.js
@@ -90,13 +91,9 @@ try {
 // Test 4: Shelf generation
 console.log("=== Test 4: Shelf Hash Generation ===\n");
 
-const iban = Canon.canonIBAN("DE89 3704 0044 0532 0130 00");
-const amount = Canon.canonAmount2("€ 1.234,50");
-const currency = Canon.canonCurrency("Euro");
-
-const paytoShelf = Canon.shelfPaytoIban(iban);
-const amountShelf = `AMOUNT|DEC|${amount}`;
-const currencyShelf = `CURRENCY|ISO4217|${currency}`;
+const paytoShelf = Canon.shelfPaytoIban("DE89 3704 0044 0532 0130 00");
+const amountShelf = Canon.shelfAmountDec2("€ 1.234,50");
+const currencyShelf = Canon.shelfCurrencyIso("Euro");
 
 console.log("Shelves:");
 console.log(`  ${paytoShelf}`);
@@ -6,6 +6,7 @@
  *
  * Prerequisites:
  *   - windi-verification-api running on localhost:4000
+ *     (or the bundled mock: npm run mock-server)
  *
  * Usage:
  *   node examples/full-e2e-test.js
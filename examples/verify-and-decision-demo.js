@@ -7,46 +7,15 @@
  *
  * Usage:
  *   AMOUNT_EUR=75000 WINDI_API_KEY=your-key node examples/verify-and-decision-demo.js
+ *   POLICY_FILE=./policy.json WINDI_API_KEY=your-key node examples/verify-and-decision-demo.js
  */
 
-import { WindiVerifyClient } from "../src/index.js";
+import { WindiVerifyClient, PolicyEngine } from "../src/index.js";
 
-/**
- * Simple policy decision engine (mock).
- * In production, this would be replaced by windi-policy-engine.
- *
- * @param {{ paymentAmountEur: number, verify: object }} ctx
- * @returns {{ action: string, reason: string }}
- */
-function simpleDecision({ paymentAmountEur, verify }) {
-  // Rule 1: IBAN mismatch is always blocked
-  if (verify.risk_flags?.includes("IBAN_MISMATCH")) {
-    return { action: "BLOCK", reason: "IBAN_MISMATCH" };
-  }
-
-  // Rule 2: High-value transactions require L3 verification
-  if (paymentAmountEur >= 50000 && verify.trust_level !== "L3") {
-    return { action: "HOLD", reason: "HIGH_VALUE_REQUIRES_L3" };
-  }
-
-  // Rule 3: L1 (offline) verification requires manual review
-  if (verify.trust_level === "L1") {
-    return { action: "HOLD", reason: "OFFLINE_ONLY" };
-  }
-
-  // Rule 4: Tampered documents are always blocked
-  if (verify.verdict === "INVALID" || verify.integrity === "MODIFIED") {
-    return { action: "BLOCK", reason: "TAMPERED" };
-  }
-
-  // Rule 5: Suspect documents require review
-  if (verify.verdict === "SUSPECT") {
-    return { action: "HOLD", reason: "SUSPECT_DOCUMENT" };
-  }
-
-  // Default: Allow if all checks pass
-  return { action: "ALLOW", reason: "OK" };
-}
+// Built-in rule set; load your own with PolicyEngine.fromFile(POLICY_FILE).
+const engine = process.env.POLICY_FILE
+  ? PolicyEngine.fromFile(process.env.POLICY_FILE)
+  : new PolicyEngine();
 
 // Create client
 const client = new WindiVerifyClient({
@@ -75,12 +44,18 @@ try {
 
   // Step 2: Apply policy decision
   const paymentAmountEur = Number(process.env.AMOUNT_EUR || 75000);
-  const decision = simpleDecision({ paymentAmountEur, verify });
+  const decision = engine.evaluate({
+    verify,
+    payment: { amount: paymentAmountEur, currency: "EUR" }
+  });
 
   console.log("\nPolicy Decision:");
   console.log(`  Payment Amount: €${paymentAmountEur.toLocaleString()}`);
   console.log(`  Action: ${decision.action}`);
   console.log(`  Reason: ${decision.reason}`);
+  if (decision.reasons.length > 1) {
+    console.log(`  All Reasons: ${decision.reasons.join(", ")}`);
+  }
 
   // Step 3: Output summary
   console.log("\n=== Summary ===");
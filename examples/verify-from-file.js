@@ -21,7 +21,7 @@ const client = new WindiVerifyClient({
 try {
   // Show local hash computation
   console.log(`\nFile: ${filePath}`);
-  console.log(`Hash: ${Hash.sha256UrnFromFile(filePath)}`);
+  console.log(`Hash: ${await Hash.sha256UrnFromFileAsync(filePath)}`);
   console.log("");
 
   const res = await client.verifyFromFile({
@@ -0,0 +1,281 @@
+import { WindiValidationError } from "./errors.js";
+import { isCurrencyToken, minorUnits, resolveCurrency } from "./currency.js";
+
+export { minorUnits };
+
+/**
+ * WINDI Amount Canonicalization
+ *
+ * Exact decimal parsing for monetary amounts: no floating point, explicit
+ * locale hints, ISO 4217 minor units and selectable rounding. Input that
+ * cannot be read unambiguously is rejected instead of guessed.
+ */
+
+export const ROUNDING_MODES = Object.freeze([
+  "HALF_UP",
+  "HALF_DOWN",
+  "HALF_EVEN",
+  "UP",
+  "DOWN",
+  "CEILING",
+  "FLOOR",
+  "UNNECESSARY"
+]);
+
+const SPACES = [" ", "\u00A0", "\u202F", "\u2009"];
+const APOSTROPHES = ["'", "\u2019"];
+
+/** Separator conventions that differ from what Intl reports for the locale. */
+const LOCALE_OVERRIDES = {
+  CH: { group: APOSTROPHES, decimal: "." },
+  LI: { group: APOSTROPHES, decimal: "." }
+};
+
+const SEPARATOR_CHARS = [".", ",", ...SPACES, ...APOSTROPHES];
+
+/**
+ * Group and decimal separators for a BCP 47 locale. `groupSize` is the width of
+ * the groups between the leading and the last group: 3, or 2 for Indian-style
+ * grouping ("12,34,567" in en-IN).
+ * @param {string} locale
+ * @returns {{ group: string[], decimal: string, groupSize: number }}
+ */
+export function localeSeparators(locale) {
+  let resolved;
+  try {
+    resolved = new Intl.Locale(locale);
+  } catch {
+    throw new WindiValidationError(`Unknown locale: ${locale}`, { field: "amount", reason: "UNKNOWN_LOCALE" });
+  }
+
+  const override = resolved.region && LOCALE_OVERRIDES[resolved.region];
+  if (override) return { group: [...override.group, ...SPACES], decimal: override.decimal, groupSize: 3 };
+
+  const parts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+  const decimal = parts.find((p) => p.type === "decimal")?.value ?? ".";
+  const group = parts.find((p) => p.type === "group")?.value ?? ",";
+  const integers = parts.filter((p) => p.type === "integer");
+  const groupSize = integers.length > 2 ? integers[1].value.length : 3;
+  // Treat every space variant alike: invoices mix regular, no-break and narrow spaces.
+  return { group: SPACES.includes(group) ? SPACES : [group], decimal, groupSize };
+}
+
+/**
+ * Parse an amount into an exact decimal.
+ *
+ * @param {string|number|bigint} input
+ * @param {{ locale?: string }} [opts] - Without a locale, input whose decimal separator
+ *   cannot be determined (e.g. "1,234") is rejected as AMBIGUOUS. Numbers and bigints
+ *   always use "." as the decimal point; the locale only applies to strings.
+ * @returns {{ negative: boolean, digits: bigint, scale: number }}
+ *   value = (negative ? -1 : 1) * digits / 10^scale
+ * @throws {WindiValidationError}
+ */
+export function parseAmount(input, { locale } = {}) {
+  if (typeof input === "number" || typeof input === "bigint") return numberToDecimal(amountToString(input));
+  let raw = amountToString(input);
+
+  let negative = false;
+  if (/^\(.*\)$/.test(raw)) {
+    negative = true;
+    raw = raw.slice(1, -1).trim();
+  }
+  raw = stripCurrency(raw);
+  if (/^[-+]/.test(raw)) {
+    negative = negative || raw[0] === "-";
+    raw = stripCurrency(raw.slice(1));
+  } else if (/-$/.test(raw)) {
+    negative = true;
+    raw = stripCurrency(raw.slice(0, -1));
+  }
+
+  if (!raw) fail("Amount is empty", "EMPTY");
+  if (![...raw].every((ch) => isDigit(ch) || SEPARATOR_CHARS.includes(ch))) {
+    fail(`Amount contains invalid characters: ${JSON.stringify(raw)}`, "INVALID_FORMAT");
+  }
+
+  const { intPart, fracPart } = locale ? splitWithLocale(raw, localeSeparators(locale)) : splitGuessing(raw);
+
+  if (!intPart && !fracPart) fail("Amount has no digits", "INVALID_FORMAT");
+  const digits = BigInt((intPart || "0") + fracPart);
+  return { negative: negative && digits !== 0n, digits, scale: fracPart.length };
+}
+
+/**
+ * Round an exact decimal to a target scale.
+ *
+ * @param {{ negative: boolean, digits: bigint, scale: number }} dec
+ * @param {number} scale
+ * @param {string} [mode] - One of ROUNDING_MODES (default HALF_UP)
+ */
+export function roundDecimal(dec, scale, mode = "HALF_UP") {
+  if (!ROUNDING_MODES.includes(mode)) {
+    fail(`Unknown rounding mode: ${mode}`, "UNKNOWN_ROUNDING_MODE");
+  }
+  if (dec.scale <= scale) {
+    return { ...dec, digits: dec.digits * 10n ** BigInt(scale - dec.scale), scale };
+  }
+
+  const divisor = 10n ** BigInt(dec.scale - scale);
+  const quotient = dec.digits / divisor;
+  const remainder = dec.digits % divisor;
+  if (remainder === 0n) return { ...dec, digits: quotient, scale };
+
+  const half = remainder * 2n - divisor; // < 0 below half, 0 at half, > 0 above
+  let roundAway;
+  switch (mode) {
+    case "UP": roundAway = true; break;
+    case "DOWN": roundAway = false; break;
+    case "CEILING": roundAway = !dec.negative; break;
+    case "FLOOR": roundAway = dec.negative; break;
+    case "HALF_UP": roundAway = half >= 0n; break;
+    case "HALF_DOWN": roundAway = half > 0n; break;
+    case "HALF_EVEN": roundAway = half > 0n || (half === 0n && quotient % 2n === 1n); break;
+    case "UNNECESSARY":
+      fail(`Amount has more than ${scale} decimal places`, "ROUNDING_REQUIRED");
+  }
+
+  const digits = roundAway ? quotient + 1n : quotient;
+  return { negative: dec.negative && digits !== 0n, digits, scale };
+}
+
+/**
+ * Format an exact decimal as a plain string ("-1234.50").
+ * @param {{ negative: boolean, digits: bigint, scale: number }} dec
+ */
+export function formatDecimal({ negative, digits, scale }) {
+  const s = digits.toString().padStart(scale + 1, "0");
+  const body = scale > 0 ? `${s.slice(0, -scale)}.${s.slice(-scale)}` : s;
+  return negative ? `-${body}` : body;
+}
+
+/**
+ * Canonical amount string with the precision of the currency.
+ *
+ * @param {string|number|bigint} amount
+ * @param {import("./types.js").AmountOptions} [opts]
+ * @returns {string}
+ *
+ * @example
+ * canonAmount("1.234,5", { locale: "de-DE", currency: "EUR" }); // -> "1234.50"
+ * canonAmount("1'234.5", { locale: "fr-CH", currency: "CHF" }); // -> "1234.50"
+ * canonAmount("1,234", { locale: "en-US", currency: "JPY" });   // -> "1234"
+ * canonAmount("12.3456", { currency: "KWD" });                  // -> "12.346"
+ * canonAmount("1,234");                                          // throws (AMBIGUOUS)
+ */
+export function canonAmount(amount, { currency, locale, scale, rounding = "HALF_UP" } = {}) {
+  const dec = parseAmount(amount, { locale });
+  const code = currency ? resolveCurrency(currency, { locale, allowWithdrawn: true }) : undefined;
+  const target = scale ?? minorUnits(code);
+  if (target === null) fail(`${code} has no minor units; pass an explicit scale`, "NO_MINOR_UNITS");
+  return formatDecimal(roundDecimal(dec, target, rounding));
+}
+
+function amountToString(input) {
+  if (typeof input === "bigint") return input.toString();
+  if (typeof input === "number") {
+    if (!Number.isFinite(input)) fail("Amount must be a finite number", "INVALID_FORMAT");
+    const s = String(input);
+    if (/e/i.test(s)) fail("Amount is out of range for a number; pass it as a string", "INVALID_FORMAT");
+    return s;
+  }
+  return String(input ?? "").normalize("NFKC").trim();
+}
+
+/** Exact decimal of a JS number or bigint string: "." is the decimal point, whatever the locale. */
+function numberToDecimal(s) {
+  const [, sign, intPart, fracPart = ""] = /^(-?)(\d+)(?:\.(\d+))?$/.exec(s);
+  const digits = BigInt(intPart + fracPart);
+  return { negative: sign === "-" && digits !== 0n, digits, scale: fracPart.length };
+}
+
+/** Remove a known currency symbol or ISO code before or after the number. */
+function stripCurrency(s) {
+  const strip = (str, re) => str.replace(re, (whole, token) => (isCurrencyToken(token) ? "" : whole));
+  return strip(strip(s, /^([\p{L}\p{Sc}]+\.?)\s*/u), /\s*([\p{L}\p{Sc}]+\.?)$/u).trim();
+}
+
+function splitWithLocale(raw, { group, decimal, groupSize = 3 }) {
+  const foreign = [...raw].find((ch) => !isDigit(ch) && ch !== decimal && !group.includes(ch));
+  if (foreign) {
+    fail(`Unexpected separator ${JSON.stringify(foreign)} for the given locale`, "UNEXPECTED_SEPARATOR");
+  }
+  const pieces = decimal ? raw.split(decimal) : [raw];
+  if (pieces.length > 2) fail("Amount has more than one decimal separator", "INVALID_FORMAT");
+  const [intRaw, fracPart = ""] = pieces;
+  if (pieces.length === 2 && !fracPart) fail("Amount ends with a decimal separator", "INVALID_FORMAT");
+  if (!/^\d*$/.test(fracPart)) fail("Group separator after the decimal separator", "INVALID_FORMAT");
+  return { intPart: stripGroups(intRaw, group, groupSize), fracPart };
+}
+
+function splitGuessing(raw) {
+  const group = [...SPACES, ...APOSTROPHES];
+  const dots = count(raw, ".");
+  const commas = count(raw, ",");
+
+  if (dots && commas) {
+    // Both present: the last one is the decimal separator.
+    const decimal = raw.lastIndexOf(".") > raw.lastIndexOf(",") ? "." : ",";
+    const other = decimal === "." ? "," : ".";
+    return splitWithLocale(raw, { group: [...group, other], decimal });
+  }
+
+  const sep = dots ? "." : commas ? "," : undefined;
+  if (!sep) return splitWithLocale(raw, { group, decimal: undefined });
+  // Repeated separator ("1.234.567") can only be grouping.
+  if (count(raw, sep) > 1) return splitWithLocale(raw, { group: [...group, sep], decimal: undefined });
+
+  const [intRaw, frac] = raw.split(sep);
+  const hasOtherGroups = group.some((g) => raw.includes(g));
+  if (frac.length === 3 && /[1-9]/.test(intRaw) && !hasOtherGroups) {
+    fail(`Ambiguous amount ${JSON.stringify(raw)}: pass a locale hint`, "AMBIGUOUS");
+  }
+  return splitWithLocale(raw, { group, decimal: sep });
+}
+
+/**
+ * Remove group separators after checking the group widths: the last group has
+ * 3 digits, the ones before it `groupSize` (3, or 2 for Indian-style locales),
+ * and the leading group 1 to `groupSize`. "1.234.5" or "12.34.56" are rejected
+ * rather than read as 12345 or 123456.
+ */
+function stripGroups(intRaw, group, groupSize) {
+  if (!intRaw) return "";
+  const chunks = [];
+  let current = "";
+  for (const ch of intRaw) {
+    if (group.includes(ch)) {
+      if (!current) fail("Misplaced group separator", "INVALID_FORMAT");
+      chunks.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  if (!current) fail("Misplaced group separator", "INVALID_FORMAT");
+  chunks.push(current);
+
+  if (chunks.length > 1) {
+    const [first, ...rest] = chunks;
+    const last = rest.pop();
+    const width = rest.length ? rest[0].length : groupSize;
+    const valid = last.length === 3
+      && (width === 3 || width === groupSize)
+      && rest.every((c) => c.length === width)
+      && first.length <= width;
+    if (!valid) fail(`Digit groups do not match the grouping in ${JSON.stringify(intRaw)}`, "INVALID_FORMAT");
+  }
+  return chunks.join("");
+}
+
+function count(s, ch) {
+  return s.split(ch).length - 1;
+}
+
+function isDigit(ch) {
+  return ch >= "0" && ch <= "9";
+}
+
+function fail(message, reason) {
+  throw new WindiValidationError(message, { field: "amount", reason });
+}
@@ -0,0 +1,295 @@
+import fs from "node:fs";
+import crypto from "node:crypto";
+import { WindiConfigError } from "./errors.js";
+
+/**
+ * WINDI Audit Log
+ *
+ * Tamper-evident record of verification calls and policy decisions.
+ * Each entry carries the SHA-256 hash of the previous entry, so edits,
+ * deletions and reordering inside the chain are detected by verifyAuditChain.
+ * Entries cut from the end leave a valid shorter chain: that is only detected
+ * against a checkpoint kept outside the log (AuditLog#checkpoint, `expectedHead`).
+ * Only identifiers and hashes are recorded, never document content.
+ */
+
+export const GENESIS_HASH = `sha256:${"0".repeat(64)}`;
+
+/**
+ * Deterministic JSON: object keys sorted recursively, undefined values dropped.
+ * @param {*} value
+ */
+export function canonicalJson(value) {
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map((v) => canonicalJson(v ?? null)).join(",")}]`;
+  const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+  return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+}
+
+/**
+ * Hash of an entry, computed over every field except `hash` itself.
+ * @param {import("./types.js").AuditEntry} entry
+ */
+export function hashAuditEntry(entry) {
+  const { hash, ...rest } = entry;
+  return `sha256:${crypto.createHash("sha256").update(canonicalJson(rest), "utf8").digest("hex")}`;
+}
+
+/**
+ * Append-only JSONL file sink (one entry per line).
+ */
+export class JsonlFileSink {
+  /** @param {string} filePath */
+  constructor(filePath) {
+    if (!filePath) throw new WindiConfigError("JsonlFileSink requires a file path");
+    this.filePath = filePath;
+  }
+
+  /** @param {import("./types.js").AuditEntry} entry */
+  async append(entry) {
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, "utf8");
+  }
+
+  /** Last entry in the file, used to continue the chain after a restart. */
+  async last() {
+    let text;
+    try {
+      text = await fs.promises.readFile(this.filePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return undefined;
+      throw err;
+    }
+    const lines = text.trimEnd().split("\n").filter(Boolean);
+    return lines.length ? JSON.parse(lines[lines.length - 1]) : undefined;
+  }
+}
+
+/**
+ * In-memory sink, e.g. for tests or forwarding entries elsewhere.
+ */
+export class MemorySink {
+  constructor() {
+    /** @type {import("./types.js").AuditEntry[]} */
+    this.entries = [];
+  }
+
+  append(entry) {
+    this.entries.push(entry);
+  }
+
+  last() {
+    return this.entries[this.entries.length - 1];
+  }
+}
+
+/**
+ * Hash-chained audit log.
+ *
+ * A sink needs `append(entry)` and may provide `last()` to resume an existing chain;
+ * both may be sync or async.
+ *
+ * @example
+ * const audit = new AuditLog({ sink: new JsonlFileSink("./windi-audit.jsonl") });
+ * const client = new WindiVerifyClient({ baseUrl, apiKey, audit });
+ *
+ * const result = await client.verify(request);
+ * const decision = engine.evaluate({ verify: result, payment });
+ * await audit.recordDecision(result, decision);
+ */
+export class AuditLog {
+  /**
+   * @param {{ sink?: object, filePath?: string }} opts - A sink, or a file path for the default JSONL sink
+   */
+  constructor({ sink, filePath } = {}) {
+    this.sink = sink ?? new JsonlFileSink(filePath);
+    this.queue = Promise.resolve();
+    this.head = undefined;
+  }
+
+  /**
+   * Append an entry to the chain. Calls are serialized so concurrent
+   * verifications still produce a linear chain.
+   *
+   * @param {Object} event - Entry fields (type, request, response/error, ...)
+   * @returns {Promise<import("./types.js").AuditEntry>}
+   */
+  record(event) {
+    const next = this.queue.then(() => this.#append(event));
+    // Keep the queue alive after a failed append; the caller still sees the error.
+    this.queue = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Record a verification call.
+   *
+   * @param {{ type?: string, request: object, response?: object, error?: any, latencyMs?: number }} call
+   */
+  recordVerification({ type = "verify", request, response, error, latencyMs }) {
+    return this.record({
+      type,
+      request: pickRequest(request),
+      response: response ? summarizeResponse(response) : undefined,
+      error: error ? summarizeError(error) : undefined,
+      request_id: response?.request_id ?? error?.requestId,
+      latency_ms: latencyMs
+    });
+  }
+
+  /**
+   * Record the policy decision taken on a verification result.
+   *
+   * @param {import("./types.js").VerifyResponse} verifyResult
+   * @param {import("./types.js").PolicyDecision} decision
+   * @param {{ document_id?: string }} [context]
+   */
+  recordDecision(verifyResult, decision, { document_id } = {}) {
+    return this.record({
+      type: "decision",
+      request_id: verifyResult?.request_id,
+      document_id,
+      decision: { action: decision.action, reason: decision.reason, reasons: decision.reasons }
+    });
+  }
+
+  /**
+   * The current head of the chain, to store outside the log (e.g. a WORM store or
+   * ticketing system) and pass back as `expectedHead` when the log is reviewed.
+   * Waits for pending appends.
+   *
+   * @returns {Promise<import("./types.js").AuditCheckpoint>}
+   */
+  checkpoint() {
+    const next = this.queue.then(async () => {
+      await this.#loadHead();
+      return { seq: this.head.seq, hash: this.head.hash, created_at: new Date().toISOString() };
+    });
+    this.queue = next.catch(() => {});
+    return next;
+  }
+
+  async #loadHead() {
+    if (this.head) return;
+    const last = await this.sink.last?.();
+    this.head = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+  }
+
+  async #append(event) {
+    await this.#loadHead();
+
+    const entry = {
+      ...event,
+      seq: this.head.seq + 1,
+      timestamp: new Date().toISOString(),
+      prev_hash: this.head.hash
+    };
+    entry.hash = hashAuditEntry(entry);
+
+    await this.sink.append(entry);
+    this.head = { seq: entry.seq, hash: entry.hash };
+    return entry;
+  }
+}
+
+/**
+ * Check that a sequence of entries forms an unbroken chain. With `expectedHead`
+ * (a checkpoint taken earlier) the chain must still contain that entry unchanged,
+ * which detects entries deleted from the end.
+ *
+ * @param {import("./types.js").AuditEntry[]} entries
+ * @param {{ partial?: boolean, expectedHead?: { seq: number, hash: string } }} [opts]
+ *   `partial` allows the export to start mid-chain
+ * @returns {import("./types.js").AuditChainResult}
+ * @throws {WindiConfigError} if expectedHead has no seq or hash
+ */
+export function verifyAuditChain(entries, { partial = false, expectedHead } = {}) {
+  if (expectedHead && (!Number.isInteger(expectedHead.seq) || typeof expectedHead.hash !== "string")) {
+    throw new WindiConfigError("expectedHead needs seq and hash");
+  }
+  const errors = [];
+  let prev;
+
+  entries.forEach((entry, index) => {
+    if (hashAuditEntry(entry) !== entry.hash) {
+      errors.push({ index, seq: entry.seq, reason: "HASH_MISMATCH" });
+    }
+    if (prev) {
+      if (entry.seq !== prev.seq + 1) errors.push({ index, seq: entry.seq, reason: "SEQUENCE_GAP" });
+      if (entry.prev_hash !== prev.hash) errors.push({ index, seq: entry.seq, reason: "BROKEN_LINK" });
+    } else if (!partial) {
+      if (entry.seq !== 1) errors.push({ index, seq: entry.seq, reason: "SEQUENCE_GAP" });
+      if (entry.prev_hash !== GENESIS_HASH) errors.push({ index, seq: entry.seq, reason: "BROKEN_LINK" });
+    }
+    prev = entry;
+  });
+
+  if (expectedHead) {
+    const index = entries.findIndex((e) => e.seq === expectedHead.seq);
+    const anchored = expectedHead.seq === 0 ? { hash: GENESIS_HASH } : entries[index];
+    if (!anchored) {
+      const reason = (prev?.seq ?? 0) < expectedHead.seq ? "TRUNCATED" : "HEAD_MISMATCH";
+      errors.push({ seq: expectedHead.seq, reason });
+    } else if (anchored.hash !== expectedHead.hash) {
+      errors.push({ index: index < 0 ? undefined : index, seq: expectedHead.seq, reason: "HEAD_MISMATCH" });
+    }
+  }
+
+  return { valid: errors.length === 0, count: entries.length, head: prev?.hash, errors };
+}
+
+/**
+ * Verify an exported JSONL audit log file.
+ *
+ * @param {string} filePath
+ * @param {{ partial?: boolean, expectedHead?: { seq: number, hash: string } }} [opts]
+ * @returns {Promise<import("./types.js").AuditChainResult>}
+ */
+export async function verifyAuditLogFile(filePath, opts) {
+  const text = await fs.promises.readFile(filePath, "utf8");
+  const entries = [];
+  const lines = text.split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    try {
+      entries.push(JSON.parse(lines[i]));
+    } catch {
+      return { valid: false, count: entries.length, errors: [{ line: i + 1, reason: "UNPARSEABLE" }] };
+    }
+  }
+  return verifyAuditChain(entries, opts);
+}
+
+function pickRequest(req = {}) {
+  return {
+    document_id: req.document_id,
+    document_hash: req.document_hash,
+    issuer_key_id: req.issuer_key_id,
+    manifest_id: req.manifest_id,
+    proof_level: req.proof_level
+  };
+}
+
+function summarizeResponse(res) {
+  return {
+    verdict: res.verdict,
+    integrity: res.integrity,
+    trust_level: res.trust_level,
+    issuer_status: res.issuer_status,
+    risk_flags: res.risk_flags,
+    from_cache: res.from_cache,
+    source: res.source,
+    signed_by: res.signature?.kid
+  };
+}
+
+function summarizeError(err) {
+  return {
+    name: err.name,
+    code: err.code,
+    category: err.category,
+    api_code: err.apiCode,
+    reason: err.reason,
+    status: err.status,
+    message: err.message
+  };
+}
@@ -0,0 +1,57 @@
+import { WindiError } from "./errors.js";
+
+/**
+ * WINDI Batch Utilities
+ *
+ * Bounded-concurrency execution for batch verification runs.
+ */
+
+/**
+ * Run `worker` over `items` with at most `concurrency` calls in flight,
+ * yielding each outcome as soon as it completes (not in input order).
+ * A failing item never aborts the run: its error is returned in the outcome.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, index: number) => Promise<R>} worker
+ * @returns {AsyncGenerator<import("./types.js").BatchOutcome<T, R>>}
+ */
+export async function* runConcurrent(items, concurrency, worker) {
+  const limit = Math.max(1, Math.floor(concurrency) || 1);
+  const inFlight = new Map();
+  let next = 0;
+
+  const start = () => {
+    const index = next++;
+    const item = items[index];
+    const task = Promise.resolve()
+      .then(() => worker(item, index))
+      .then(
+        (result) => ({ index, item, ok: true, result }),
+        (err) => ({ index, item, ok: false, error: toWindiError(err) })
+      );
+    inFlight.set(index, task);
+  };
+
+  while (next < items.length && inFlight.size < limit) start();
+
+  while (inFlight.size > 0) {
+    const outcome = await Promise.race(inFlight.values());
+    inFlight.delete(outcome.index);
+    if (next < items.length) start();
+    yield outcome;
+  }
+}
+
+/**
+ * Errors from hashing or argument handling (e.g. a missing file) are wrapped
+ * so every failed batch item carries a WindiError.
+ */
+function toWindiError(err) {
+  if (err instanceof WindiError) return err;
+  return new WindiError(err?.message ?? String(err), {
+    code: "WINDI_BATCH_ITEM_ERROR",
+    details: { cause: err, errno: err?.code }
+  });
+}
@@ -0,0 +1,143 @@
+/**
+ * WINDI Verification Cache
+ *
+ * Optional cache for /verify results keyed on
+ * (document_id, document_hash, issuer_key_id, proof_level).
+ * TTLs depend on the verdict; INVALID results and revoked issuers are never cached.
+ */
+
+/** Default TTL per verdict in milliseconds; 0 disables caching for that verdict. */
+export const DEFAULT_CACHE_TTL = Object.freeze({
+  VALID: 5 * 60_000,
+  SUSPECT: 30_000
+});
+
+/**
+ * In-memory LRU store. Implements the async store interface synchronously.
+ *
+ * Store interface (e.g. for a Redis or file-backed implementation):
+ *   get(key)              -> entry | undefined
+ *   set(key, entry, ttlMs)
+ *   delete(key)
+ *   clear()               (optional)
+ * Each method may return a value or a Promise.
+ */
+export class MemoryLRUStore {
+  /** @param {{ maxEntries?: number }} [opts] */
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    /** @type {Map<string, { entry: import("./types.js").CacheEntry, expiresAt: number }>} */
+    this.map = new Map();
+  }
+
+  get(key) {
+    const hit = this.map.get(key);
+    if (!hit) return undefined;
+    if (hit.expiresAt <= Date.now()) {
+      this.map.delete(key);
+      return undefined;
+    }
+    // Re-insert to mark as most recently used.
+    this.map.delete(key);
+    this.map.set(key, hit);
+    return structuredClone(hit.entry);
+  }
+
+  set(key, entry, ttlMs) {
+    this.map.delete(key);
+    this.map.set(key, { entry: structuredClone(entry), expiresAt: Date.now() + ttlMs });
+    while (this.map.size > this.maxEntries) {
+      this.map.delete(this.map.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.map.delete(key);
+  }
+
+  clear() {
+    this.map.clear();
+  }
+
+  get size() {
+    return this.map.size;
+  }
+}
+
+/**
+ * Verification result cache with verdict-dependent TTLs.
+ *
+ * @example
+ * const cache = new VerifyCache({ ttl: { VALID: 10 * 60_000 }, maxEntries: 5000 });
+ * const client = new WindiVerifyClient({ baseUrl, apiKey, cache });
+ */
+export class VerifyCache {
+  /**
+   * @param {import("./types.js").VerifyCacheOptions} [opts]
+   */
+  constructor({ store, ttl, maxEntries } = {}) {
+    this.store = store ?? new MemoryLRUStore({ maxEntries });
+    this.ttl = { ...DEFAULT_CACHE_TTL, ...ttl };
+  }
+
+  /**
+   * Cache key for a request.
+   * @param {import("./types.js").VerifyRequest} req
+   */
+  static key(req) {
+    return [
+      "windi:verify",
+      req.document_id,
+      req.document_hash,
+      req.issuer_key_id,
+      req.proof_level ?? "L2"
+    ].join("|");
+  }
+
+  /**
+   * @param {import("./types.js").VerifyRequest} req
+   * @returns {Promise<import("./types.js").CacheEntry|undefined>}
+   */
+  async get(req) {
+    const entry = await this.store.get(VerifyCache.key(req));
+    if (!entry) return undefined;
+    // Guard against stores that do not enforce expiry themselves.
+    if (entry.expires_at && Date.parse(entry.expires_at) <= Date.now()) return undefined;
+    return entry;
+  }
+
+  /**
+   * Store a response if its verdict and issuer status allow caching.
+   * @param {import("./types.js").VerifyRequest} req
+   * @param {import("./types.js").VerifyResponse} response
+   */
+  async set(req, response) {
+    const ttlMs = this.ttlFor(response);
+    if (!ttlMs) return;
+    const now = Date.now();
+    const entry = {
+      response,
+      cached_at: new Date(now).toISOString(),
+      expires_at: new Date(now + ttlMs).toISOString()
+    };
+    await this.store.set(VerifyCache.key(req), entry, ttlMs);
+  }
+
+  /** @param {import("./types.js").VerifyRequest} req */
+  async delete(req) {
+    await this.store.delete(VerifyCache.key(req));
+  }
+
+  async clear() {
+    await this.store.clear?.();
+  }
+
+  /**
+   * TTL in milliseconds for a response; 0 means do not cache.
+   * @param {import("./types.js").VerifyResponse} response
+   */
+  ttlFor(response) {
+    if (response?.verdict === "INVALID" || response?.issuer_status === "REVOKED") return 0;
+    return this.ttl[response?.verdict] ?? 0;
+  }
+}
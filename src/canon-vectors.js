@@ -0,0 +1,89 @@
+import { canonShelf, DEFAULT_CANON_PROFILE } from "./canonicalization.js";
+import { formatHashUrn } from "./hash-urn.js";
+import { sha256 } from "./sha256.js";
+import { WindiValidationError } from "./errors.js";
+
+/**
+ * WINDI Canonicalization Conformance
+ *
+ * Runs JSON test vectors (raw input → expected shelf string → expected hash),
+ * as published with the issuer-side proof spec, against this Reader's
+ * canonicalization profiles. Runs in every runtime; reading the file is up to
+ * the caller (see `windi-verify canon-vectors`).
+ */
+
+/**
+ * Run a test vector suite. Vectors that throw where a canonical string is
+ * expected, or canonicalize where an error is expected, fail; nothing is thrown
+ * for individual vectors.
+ *
+ * @param {import("./types.js").CanonVectorSuite|import("./types.js").CanonVector[]} suite
+ * @returns {import("./types.js").CanonVectorReport}
+ * @throws {WindiValidationError} if the suite has no vectors array
+ *
+ * @example
+ * const report = runCanonVectors(JSON.parse(await fs.readFile("windi-canon-1.json", "utf8")));
+ * if (!report.ok) console.table(report.results.filter((r) => r.status === "FAIL"));
+ */
+export function runCanonVectors(suite) {
+  const vectors = Array.isArray(suite) ? suite : suite?.vectors;
+  if (!Array.isArray(vectors)) {
+    throw new WindiValidationError("Test vector suite needs a vectors array", { field: "vectors", reason: "FORMAT" });
+  }
+  const defaultProfile = (Array.isArray(suite) ? undefined : suite.profile) ?? DEFAULT_CANON_PROFILE;
+  const results = vectors.map((vector, i) => runVector(vector, i, defaultProfile));
+  const failed = results.filter((r) => r.status === "FAIL").length;
+  return {
+    ok: failed === 0,
+    profile: defaultProfile,
+    total: results.length,
+    passed: results.length - failed,
+    failed,
+    results
+  };
+}
+
+/**
+ * @param {import("./types.js").CanonVector} vector
+ * @param {number} index
+ * @param {string} defaultProfile
+ * @returns {import("./types.js").CanonVectorResult}
+ */
+function runVector(vector, index, defaultProfile) {
+  const id = vector?.id ?? `#${index + 1}`;
+  const profile = vector?.profile ?? defaultProfile;
+  const result = { id, profile, shelf: vector?.shelf };
+  const fail = (message, extra) => ({ ...result, status: "FAIL", ...extra, message });
+  const expectedError = vector?.error === true ? "an error" : `error ${vector?.error}`;
+
+  if (typeof vector?.shelf !== "string" || !("input" in vector)) return fail("Vector needs shelf and input");
+  if (vector.error === undefined && vector.canonical === undefined && vector.hash === undefined) {
+    return fail("Vector needs canonical, hash or error");
+  }
+
+  let canonical;
+  try {
+    canonical = canonShelf(vector.shelf, vector.input, { ...vector.options, profile });
+  } catch (err) {
+    if (!(err instanceof WindiValidationError)) throw err;
+    if (vector.error === undefined) return fail(`Unexpected ${err.reason}: ${err.message}`, { error: err.reason });
+    if (vector.error !== true && vector.error !== err.reason) {
+      return fail(`Expected ${expectedError}, got ${err.reason}`, { error: err.reason });
+    }
+    return { ...result, status: "PASS", error: err.reason };
+  }
+
+  const hash = formatHashUrn("sha256", toHex(sha256(canonical)));
+  if (vector.error !== undefined) return fail(`Expected ${expectedError}, got a canonical string`, { canonical, hash });
+  if (vector.canonical !== undefined && vector.canonical !== canonical) {
+    return fail(`Canonical string differs: expected ${JSON.stringify(vector.canonical)}`, { canonical, hash });
+  }
+  if (vector.hash !== undefined && String(vector.hash).toLowerCase() !== hash) {
+    return fail(`Hash differs: expected ${vector.hash}`, { canonical, hash });
+  }
+  return { ...result, status: "PASS", canonical, hash };
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
@@ -2,9 +2,19 @@
  * WINDI Canonicalization Utilities
  *
  * Deterministic normalization rules for critical document fields.
- * Future: integrate with windi-proof-spec for complete rules.
+ *
+ * Shelf strings are built under a named, versioned canonicalization profile
+ * (e.g. "windi-canon/1") whose id is the first segment of the string, so a hash
+ * always records the rules that produced it. Rule changes get a new profile;
+ * existing profiles never change. "windi-canon/0" reproduces the untagged
+ * shelf strings of manifests issued before profiles existed.
  */
 
+import { assertValidIBAN } from "./iban.js";
+import { WindiValidationError } from "./errors.js";
+import { canonAmount } from "./amount.js";
+import { resolveCurrency } from "./currency.js";
+
 /**
  * Trim + collapse whitespace.
  * @param {string} s
@@ -23,86 +33,200 @@ export function canonTextUpper(s) {
 
 /**
  * IBAN canonical: remove spaces/hyphens, uppercase.
+ * In strict mode the IBAN must also pass ISO 13616 validation (length, BBAN, mod 97).
  * @param {string} iban
+ * @param {{ strict?: boolean }} [opts]
+ * @throws {import("./errors.js").WindiValidationError} in strict mode for invalid IBANs
+ */
+export function canonIBAN(iban, { strict = false } = {}) {
+  const canon = canonText(iban).replace(/[\s-]/g, "").toUpperCase();
+  return strict ? assertValidIBAN(canon) : canon;
+}
+
+/**
+ * ISO currency canonical: resolves codes, numeric codes, symbols and localized names
+ * against the full ISO 4217 registry. Ambiguous symbols ("$", "¥", "kr") need a hint.
+ * @param {string} cur
+ * @param {import("./types.js").CurrencyResolveOptions} [opts]
+ * @throws {import("./errors.js").WindiValidationError} for unknown, ambiguous or withdrawn currencies
  */
-export function canonIBAN(iban) {
-  return canonText(iban).replace(/[\s-]/g, "").toUpperCase();
+export function canonCurrency(cur, opts) {
+  return resolveCurrency(canonText(cur), opts);
 }
 
 /**
- * Currency symbol/name to ISO 4217 mapping
+ * Amount canonical with exactly 2 decimals: "1.234,50" or "1,234.50" or "1234.5" → "1234.50".
+ * Exact decimal arithmetic; ambiguous or malformed input throws instead of guessing.
+ * @param {string|number} amount
+ * @param {{ locale?: string, rounding?: string }} [opts] - See canonAmount
+ * @throws {import("./errors.js").WindiValidationError}
  */
-const CURRENCY_MAP = {
+export function canonAmount2(amount, opts = {}) {
+  return canonAmount(amount, { ...opts, scale: 2 });
+}
+
+export { canonAmount };
+
+/**
+ * windi-canon/0: the Reader rules from before profiles existed, copied verbatim
+ * so untagged commitments keep matching. Amounts always have 2 decimals and go
+ * through floating point; currencies come from a small map and anything else
+ * passes through upper-cased. Never change these.
+ */
+const LEGACY_CURRENCY_MAP = Object.freeze({
   "€": "EUR", "EURO": "EUR", "EUR": "EUR",
   "$": "USD", "DOLLAR": "USD", "USD": "USD",
   "£": "GBP", "POUND": "GBP", "GBP": "GBP",
   "¥": "JPY", "YEN": "JPY", "JPY": "JPY",
   "CHF": "CHF", "FRANC": "CHF"
-};
+});
 
-/**
- * ISO currency canonical.
- * @param {string} cur
- */
-export function canonCurrency(cur) {
+function legacyCanonCurrency(cur) {
   const upper = canonTextUpper(cur);
-  return CURRENCY_MAP[upper] || upper;
+  return LEGACY_CURRENCY_MAP[upper] || upper;
 }
 
-/**
- * Amount canonical: accepts "€ 1.234,50" or "1,234.50" or "1234.5" → "1234.50"
- * WARNING: this is a pragmatic canonicalizer for Reader-side checks, not accounting grade.
- * @param {string|number} amount
- */
-export function canonAmount2(amount) {
+function legacyCanonAmount2(amount) {
   let raw = canonText(String(amount ?? ""));
   if (!raw) return "0.00";
-
-  // Strip currency symbols and whitespace
   raw = raw.replace(/[€$£¥\s]/g, "");
   if (!raw) return "0.00";
 
-  // Detect format: if last separator is comma, it's German format (1.234,50)
-  // if last separator is dot, it's US format (1,234.50)
+  // Last separator is the decimal one: "1.234,50" or "1,234.50".
   const lastComma = raw.lastIndexOf(",");
   const lastDot = raw.lastIndexOf(".");
-
-  let normalized;
-  if (lastComma > lastDot) {
-    // German format: 1.234,50 → remove dots, replace comma with dot
-    normalized = raw.replace(/\./g, "").replace(",", ".");
-  } else {
-    // US format or no thousands separator: 1,234.50 → remove commas
-    normalized = raw.replace(/,/g, "");
-  }
+  const normalized = lastComma > lastDot
+    ? raw.replace(/\./g, "").replace(",", ".")
+    : raw.replace(/,/g, "");
 
   const num = Number.parseFloat(normalized);
   if (Number.isNaN(num)) return "0.00";
+  return (Math.round(num * 100) / 100).toFixed(2);
+}
+
+const SHELVES_V0 = Object.freeze({
+  "PAYTO|IBAN": (iban) => canonText(iban).replace(/[\s-]/g, "").toUpperCase(),
+  "AMOUNT|DEC": (amount) => legacyCanonAmount2(amount),
+  "CURRENCY|ISO4217": (cur) => legacyCanonCurrency(cur),
+  "BENEFICIARY|NAME": (name) => canonTextUpper(name),
+  "REFERENCE|E2E": (ref) => canonTextUpper(ref)
+});
+
+/**
+ * windi-canon/1: exact decimal amounts with the currency's precision, the ISO 4217
+ * registry and optional strict IBAN validation. `country` is a hint for the
+ * amount's currency, as for canonCurrency.
+ */
+const SHELVES_V1 = Object.freeze({
+  "PAYTO|IBAN": (iban, opts) => canonIBAN(iban, opts),
+  "AMOUNT|DEC": (amount, { country, ...opts } = {}) => canonAmount(amount, {
+    ...opts,
+    currency: opts.currency === undefined ? undefined : canonCurrency(opts.currency, { locale: opts.locale, country, allowWithdrawn: true })
+  }),
+  "CURRENCY|ISO4217": (cur, opts) => canonCurrency(cur, opts),
+  "BENEFICIARY|NAME": (name) => canonTextUpper(name),
+  "REFERENCE|E2E": (ref) => canonTextUpper(ref)
+});
+
+/**
+ * Registered canonicalization profiles by id.
+ * @type {Readonly<Record<string, import("./types.js").CanonProfile>>}
+ */
+export const CANON_PROFILES = Object.freeze({
+  "windi-canon/0": Object.freeze({ id: "windi-canon/0", version: 0, tagged: false, shelves: SHELVES_V0 }),
+  "windi-canon/1": Object.freeze({ id: "windi-canon/1", version: 1, tagged: true, shelves: SHELVES_V1 })
+});
 
-  // HALF_UP to 2 decimals using integer math
-  const cents = Math.round(num * 100);
-  return (cents / 100).toFixed(2);
+export const DEFAULT_CANON_PROFILE = "windi-canon/1";
+
+/** Profile of field commitments that do not name one (untagged shelf strings). */
+export const LEGACY_CANON_PROFILE = "windi-canon/0";
+
+/**
+ * @param {string} [id] - Profile id (default: DEFAULT_CANON_PROFILE)
+ * @returns {import("./types.js").CanonProfile}
+ * @throws {WindiValidationError} reason UNKNOWN_PROFILE for ids this Reader does not implement
+ */
+export function getCanonProfile(id = DEFAULT_CANON_PROFILE) {
+  const profile = Object.hasOwn(CANON_PROFILES, id) ? CANON_PROFILES[id] : undefined;
+  if (!profile) {
+    throw new WindiValidationError(`Unknown canonicalization profile: ${id}`, { field: "canon_profile", reason: "UNKNOWN_PROFILE" });
+  }
+  return profile;
+}
+
+/**
+ * Build a shelf string of the given type under a profile.
+ *
+ * @param {string} shelf - Shelf type, e.g. "PAYTO|IBAN" (see profile.shelves)
+ * @param {*} value - Raw field value
+ * @param {{ profile?: string } & Object} [opts] - Profile id plus the options of the shelf's canon function
+ * @returns {string}
+ * @throws {WindiValidationError} for unknown profiles or shelf types, and invalid values
+ *
+ * @example
+ * canonShelf("PAYTO|IBAN", "DE89 3704 0044 0532 0130 00");
+ * // -> "windi-canon/1|PAYTO|IBAN|DE89370400440532013000"
+ */
+export function canonShelf(shelf, value, { profile: profileId, ...opts } = {}) {
+  const profile = getCanonProfile(profileId);
+  const canon = Object.hasOwn(profile.shelves, shelf) ? profile.shelves[shelf] : undefined;
+  if (!canon) {
+    throw new WindiValidationError(`Profile ${profile.id} has no shelf ${shelf}`, { field: "shelf", reason: "UNKNOWN_SHELF" });
+  }
+  const body = `${shelf}|${canon(value, opts)}`;
+  return profile.tagged ? `${profile.id}|${body}` : body;
 }
 
 /**
  * Canonical shelf strings (Reader-side reconstruction)
  */
-export function shelfPaytoIban(iban) {
-  return `PAYTO|IBAN|${canonIBAN(iban)}`;
+/**
+ * @param {string} iban
+ * @param {{ strict?: boolean, profile?: string }} [opts] - Reject structurally invalid IBANs
+ */
+export function shelfPaytoIban(iban, opts) {
+  return canonShelf("PAYTO|IBAN", iban, opts);
 }
 
-export function shelfAmountDec2(amount) {
-  return `AMOUNT|DEC|${canonAmount2(amount)}`;
+/**
+ * Amount shelf with the currency's ISO 4217 precision (e.g. 0 decimals for JPY, 3 for KWD).
+ * @param {string|number} amount
+ * @param {import("./types.js").AmountOptions & { country?: string, profile?: string }} [opts]
+ */
+export function shelfAmount(amount, opts) {
+  return canonShelf("AMOUNT|DEC", amount, opts);
 }
 
-export function shelfCurrencyIso(cur) {
-  return `CURRENCY|ISO4217|${canonCurrency(cur)}`;
+/**
+ * Amount shelf with a fixed 2-decimal precision.
+ * @param {string|number} amount
+ * @param {{ locale?: string, rounding?: string, profile?: string }} [opts]
+ */
+export function shelfAmountDec2(amount, opts = {}) {
+  return canonShelf("AMOUNT|DEC", amount, { ...opts, scale: 2 });
 }
 
-export function shelfBeneficiaryName(name) {
-  return `BENEFICIARY|NAME|${canonTextUpper(name)}`;
+/**
+ * @param {string} cur
+ * @param {import("./types.js").CurrencyResolveOptions & { profile?: string }} [opts]
+ */
+export function shelfCurrencyIso(cur, opts) {
+  return canonShelf("CURRENCY|ISO4217", cur, opts);
 }
 
-export function shelfReferenceE2E(ref) {
-  return `REFERENCE|E2E|${canonTextUpper(ref)}`;
+/**
+ * @param {string} name
+ * @param {{ profile?: string }} [opts]
+ */
+export function shelfBeneficiaryName(name, opts) {
+  return canonShelf("BENEFICIARY|NAME", name, opts);
+}
+
+/**
+ * @param {string} ref
+ * @param {{ profile?: string }} [opts]
+ */
+export function shelfReferenceE2E(ref, opts) {
+  return canonShelf("REFERENCE|E2E", ref, opts);
 }
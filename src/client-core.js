@@ -0,0 +1,691 @@
+import {
+  WindiConfigError,
+  WindiError,
+  WindiNetworkError,
+  WindiProtocolError,
+  WindiWvcError,
+  httpErrorFromResponse
+} from "./errors.js";
+import { DEFAULT_RETRY, backoffDelayMs, isRetryableError, serverRetryDelayMs, sleep } from "./retry.js";
+import { TokenBucket, parseRateLimitHeaders } from "./rate-limit.js";
+import { runConcurrent } from "./batch.js";
+import { VerifyCache } from "./cache.js";
+import { parseKnownWvc } from "./wvc.js";
+import { Emitter } from "./events.js";
+import { VALIDATION_MODES, validateVerifyRequest, validateVerifyResponse } from "./contract.js";
+import { EndpointPool } from "./endpoints.js";
+import { toCredentialProvider } from "./credentials.js";
+
+/**
+ * Runtime-independent part of the WINDI Verify client: requests, retries,
+ * failover, credentials, validation, caching and events. `WindiVerifyClient`
+ * in client.js (Node.js) and client-web.js (browsers, edge runtimes) extend it
+ * with a platform for HTTP, hashing and signatures.
+ *
+ * Telemetry events (subscribe with `client.on(event, listener)`):
+ *   "request"      { method, url, attempt, endpoint }
+ *   "response"     { method, url, attempt, endpoint, status, latencyMs, requestId, rateLimitRemaining }
+ *   "requestError" { method, url, attempt, endpoint, status, latencyMs, error }
+ *   "retry"        { method, url, attempt, delayMs, status }
+ *   "failover"     { method, url, from, to, attempt, reason }
+ *   "circuit"      { endpoint, state }  (state "OPEN" or "CLOSED")
+ *   "credentialRefresh" { method, url, attempt }  (after 401 INVALID_API_KEY)
+ *   "verdict"      { type, document_id, verdict, trust_level, from_cache, source, request_id, latencyMs }
+ */
+export class WindiVerifyClientCore extends Emitter {
+  /**
+   * @param {import("./types.js").ClientOptions} opts
+   * @param {import("./types.js").ClientPlatform} platform
+   */
+  constructor(opts, platform) {
+    super();
+    this.platform = platform;
+    if (!opts?.baseUrl && !opts?.endpoints?.length) throw new WindiConfigError("baseUrl or endpoints is required");
+    if (!opts?.apiKey && !opts?.credentials) throw new WindiConfigError("apiKey or credentials is required");
+
+    const endpoints = opts.endpoints?.length ? opts.endpoints : [opts.baseUrl];
+    // Circuit breakers only make sense with somewhere to fail over to, unless asked for explicitly.
+    this.endpoints = new EndpointPool(endpoints, {
+      circuitBreaker: opts.circuitBreaker ?? (endpoints.length > 1 ? {} : false)
+    });
+    this.baseUrl = this.endpoints.endpoints[0].url;
+    /** @type {import("./types.js").CredentialProvider} */
+    this.credentials = toCredentialProvider(opts.credentials ?? opts.apiKey);
+    this.signRequests = opts.signRequests ?? false;
+    this.timeoutMs = opts.timeoutMs ?? 15_000;
+    this.retry = { ...DEFAULT_RETRY, ...opts.retry };
+    this.bucket = opts.rateLimit?.requestsPerMinute
+      ? new TokenBucket(opts.rateLimit)
+      : undefined;
+
+    this.validation = opts.validation ?? "lenient";
+    if (!VALIDATION_MODES.includes(this.validation)) {
+      throw new WindiConfigError(`validation must be one of ${VALIDATION_MODES.join(", ")}`);
+    }
+
+    const signatures = platform.responseSignatures;
+    if (opts.serverKeys && !signatures) {
+      throw new WindiConfigError("serverKeys (signed responses) are not supported in this runtime; use the Node.js build");
+    }
+    this.serverKeys = opts.serverKeys ? signatures.keyRing(opts.serverKeys) : undefined;
+    this.requireSignedResponses = opts.requireSignedResponses ?? Boolean(this.serverKeys);
+    if (this.requireSignedResponses && !this.serverKeys) {
+      throw new WindiConfigError("requireSignedResponses needs serverKeys");
+    }
+    this.signatureMaxSkewMs = opts.signatureMaxSkewMs;
+
+    this.offlineFallback = opts.offlineFallback;
+    this.audit = opts.audit;
+    this.cache = opts.cache instanceof VerifyCache || !opts.cache
+      ? opts.cache || undefined
+      : new VerifyCache(opts.cache === true ? {} : opts.cache);
+
+    /** @type {{ limit?: number, remaining?: number, resetAt?: number, updatedAt?: number }} */
+    this.serverRateLimit = {};
+
+    /** @type {import("./types.js").ClientMiddleware[]} */
+    this.middleware = [];
+    (opts.middleware ?? []).forEach((m) => this.use(m));
+
+    /** @type {import("./types.js").Transport} */
+    this.transport = opts.transport ?? platform.createTransport({
+      timeoutMs: this.timeoutMs,
+      httpAgent: opts.httpAgent,
+      httpsAgent: opts.httpsAgent,
+      proxy: opts.proxy
+    });
+
+    if (opts.healthCheckIntervalMs) {
+      this.healthTimer = setInterval(() => this.checkEndpoints().catch(() => {}), opts.healthCheckIntervalMs);
+      this.healthTimer.unref?.();
+    }
+  }
+
+  /**
+   * Stop background health checks (`healthCheckIntervalMs`).
+   */
+  close() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = undefined;
+  }
+
+  /**
+   * Register request middleware. Hooks run for every HTTP attempt, in registration order,
+   * and may be async. `beforeRequest` can add headers (e.g. correlation ids);
+   * `afterResponse` and `onError` observe the outcome.
+   *
+   * @param {import("./types.js").ClientMiddleware} middleware
+   * @returns {() => void} Function that removes the middleware
+   *
+   * @example
+   * client.use({
+   *   beforeRequest(ctx) { ctx.headers["X-Correlation-ID"] = crypto.randomUUID(); },
+   *   afterResponse(ctx) { metrics.histogram("windi.latency", ctx.latencyMs); }
+   * });
+   */
+  use(middleware) {
+    this.middleware.push(middleware);
+    return () => {
+      this.middleware = this.middleware.filter((m) => m !== middleware);
+    };
+  }
+
+  /**
+   * Verify using document hash (preferred method).
+   * With `offlineFallback` configured, network errors and 5xx responses fall back
+   * to offline L1 verification (the result then has trust_level "L1", `source: "offline"`
+   * and `from_cache: false`).
+   * With `cache` configured, every result carries `from_cache` so audit logs can
+   * tell cached verdicts from live ones.
+   * Request and response are checked against the API contract (see `validation`):
+   * strict mode throws WindiProtocolError, lenient mode attaches `warnings`.
+   * With `serverKeys` configured, the response signature is verified (WindiSignatureError
+   * on failure) and recorded in `signature`.
+   *
+   * @param {import("./types.js").VerifyRequest} req
+   * @returns {Promise<import("./types.js").VerifyResponse>}
+   *
+   * @example
+   * const result = await client.verify({
+   *   document_id: "windi:doc:inv-001",
+   *   document_hash: "sha256:abc123...",
+   *   issuer_key_id: "windi:key:bank",
+   *   proof_level: "L2"
+   * });
+   */
+  async verify(req) {
+    return this.#audited("verify", req, () => this.#verifyResolved(req));
+  }
+
+  async #verifyResolved(req) {
+    const requestIssues = this.#checkRequest(req);
+
+    if (this.cache) {
+      const entry = await this.cache.get(req);
+      if (entry) return { ...entry.response, from_cache: true, cached_at: entry.cached_at };
+    }
+
+    try {
+      const res = await this.#request("post", "/verify", req);
+      const data = this.#checkSignature(res, req, this.#checkResponse(res, requestIssues));
+      if (!this.cache) return data;
+      await this.cache.set(req, data);
+      return { ...data, from_cache: false };
+    } catch (err) {
+      // API unreachable or failing: degrade to L1 against the local trust store if configured.
+      if (this.offlineFallback && (err.status === 0 || err.status >= 500)) {
+        return { ...this.offlineFallback.verify(req), from_cache: false, source: "offline" };
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Convenience: verify from in-memory bytes. `bytes` may also be an ArrayBuffer
+   * or a Blob, e.g. a `File` from an upload input.
+   *
+   * @param {{
+   *   bytes: Buffer|Uint8Array|ArrayBuffer|Blob,
+   *   documentId: string,
+   *   issuerKeyId: string,
+   *   manifestId?: string,
+   *   proofLevel?: "L1"|"L2"|"L3",
+   *   algorithm?: import("./types.js").HashAlgorithm
+   * }} args
+   * @returns {Promise<import("./types.js").VerifyResponse>}
+   */
+  async verifyFromBytes(args) {
+    const document_hash = await this.platform.hashBytes(args.bytes, args.algorithm);
+    return this.verify({
+      document_id: args.documentId,
+      document_hash,
+      issuer_key_id: args.issuerKeyId,
+      manifest_id: args.manifestId,
+      proof_level: args.proofLevel ?? "L2"
+    });
+  }
+
+  /**
+   * Convenience: verify from a Node Readable or web ReadableStream by hashing it as it is read
+   * (the browser build reads the stream fully first; WebCrypto cannot hash incrementally).
+   *
+   * @param {{
+   *   stream: NodeJS.ReadableStream|ReadableStream<Uint8Array>,
+   *   documentId: string,
+   *   issuerKeyId: string,
+   *   manifestId?: string,
+   *   proofLevel?: "L1"|"L2"|"L3",
+   *   algorithm?: import("./types.js").HashAlgorithm
+   * }} args
+   * @returns {Promise<import("./types.js").VerifyResponse>}
+   */
+  async verifyFromStream(args) {
+    const document_hash = await this.platform.hashStream(args.stream, args.algorithm);
+    return this.verify({
+      document_id: args.documentId,
+      document_hash,
+      issuer_key_id: args.issuerKeyId,
+      manifest_id: args.manifestId,
+      proof_level: args.proofLevel ?? "L2"
+    });
+  }
+
+  /**
+   * Verify using a WVC (WINDI Verification Code) string.
+   * Requires backend support for /verify/wvc endpoint.
+   * Codes starting with "WVC1-" (the SDK's layout, see Wvc) are parsed and
+   * checksummed locally first, so a mistyped code fails with a WindiWvcError
+   * without an API round trip. Codes with any other prefix are sent to the API
+   * as scanned.
+   *
+   * @param {{ wvc: string, proofLevel?: "L1"|"L2"|"L3" }} args
+   *   proofLevel defaults to the level encoded in the WVC, or L2 for other layouts
+   * @returns {Promise<import("./types.js").VerifyResponse>}
+   */
+  async verifyWvc({ wvc, proofLevel }) {
+    const parsed = parseKnownWvc(wvc);
+    if (!parsed) {
+      const code = String(wvc ?? "").trim();
+      if (!code) throw new WindiWvcError("WVC is empty", { reason: "FORMAT" });
+      const proof_level = proofLevel ?? "L2";
+      return this.#audited("verify_wvc", { proof_level }, async () => {
+        const res = await this.#request("post", "/verify/wvc", { wvc: code, proof_level });
+        return this.#checkSignature(res, undefined, this.#checkResponse(res, []));
+      });
+    }
+
+    const proof_level = proofLevel ?? parsed.proof_level;
+    return this.#audited("verify_wvc", { ...parsed, proof_level }, async () => {
+      const requestIssues = this.#checkRequest({ ...parsed, proof_level });
+      const res = await this.#request("post", "/verify/wvc", { wvc: parsed.wvc, proof_level });
+      return this.#checkSignature(res, parsed, this.#checkResponse(res, requestIssues));
+    });
+  }
+
+  /**
+   * Verify many documents with bounded concurrency.
+   * Each item is a hash, a file path or in-memory bytes; one failing item
+   * does not abort the run. Results are returned in input order.
+   *
+   * @param {import("./types.js").BatchItem[]} items
+   * @param {import("./types.js").BatchOptions} [opts]
+   * @returns {Promise<import("./types.js").BatchOutcome<import("./types.js").BatchItem, import("./types.js").VerifyResponse>[]>}
+   *
+   * @example
+   * const outcomes = await client.verifyBatch(
+   *   [
+   *     { filePath: "./inv-001.pdf", documentId: "windi:doc:inv-001", issuerKeyId: "windi:key:bank" },
+   *     { documentHash: "sha256:abc123...", documentId: "windi:doc:inv-002", issuerKeyId: "windi:key:bank" }
+   *   ],
+   *   { concurrency: 8, onProgress: (p) => console.log(`${p.completed}/${p.total}`) }
+   * );
+   * for (const o of outcomes) {
+   *   if (o.ok) console.log(o.item.documentId, o.result.verdict);
+   *   else console.error(o.item.documentId, o.error.code);
+   * }
+   */
+  async verifyBatch(items, opts = {}) {
+    const outcomes = new Array(items.length);
+    for await (const outcome of this.verifyBatchIter(items, opts)) {
+      outcomes[outcome.index] = outcome;
+    }
+    return outcomes;
+  }
+
+  /**
+   * Async-iterator form of verifyBatch: yields each outcome as soon as it completes.
+   *
+   * @param {import("./types.js").BatchItem[]} items
+   * @param {import("./types.js").BatchOptions} [opts]
+   * @returns {AsyncGenerator<import("./types.js").BatchOutcome<import("./types.js").BatchItem, import("./types.js").VerifyResponse>>}
+   *
+   * @example
+   * for await (const outcome of client.verifyBatchIter(items, { concurrency: 8 })) {
+   *   await queue.publish(outcome);
+   * }
+   */
+  async *verifyBatchIter(items, { concurrency = 4, onProgress } = {}) {
+    const list = Array.from(items);
+    const progress = { total: list.length, completed: 0, succeeded: 0, failed: 0 };
+
+    for await (const outcome of runConcurrent(list, concurrency, (item) => this.#verifyBatchItem(item))) {
+      progress.completed++;
+      if (outcome.ok) progress.succeeded++;
+      else progress.failed++;
+      onProgress?.({ ...progress, last: outcome });
+      yield outcome;
+    }
+  }
+
+  /**
+   * Health check for the verification API.
+   * @returns {Promise<{ status: string, version?: string }>}
+   */
+  async healthCheck() {
+    const res = await this.#request("get", "/health");
+    return res.data;
+  }
+
+  /**
+   * Probe /health on every configured endpoint (no retries) and record the results.
+   * Requests then prefer endpoints that answered healthy. A healthy answer also
+   * closes an open circuit. Runs periodically with `healthCheckIntervalMs`.
+   *
+   * @returns {Promise<import("./types.js").EndpointStatus[]>}
+   *
+   * @example
+   * const client = new WindiVerifyClient({
+   *   endpoints: ["https://verify.windi.eu/api", "https://verify-fra.windi.eu/api", "https://windi-gw.bank.internal/api"],
+   *   apiKey: process.env.WINDI_API_KEY
+   * });
+   * client.on("failover", (e) => log.warn(`WINDI failover ${e.from} -> ${e.to} (${e.reason})`));
+   * await client.checkEndpoints();
+   */
+  async checkEndpoints() {
+    await Promise.all(
+      this.endpoints.endpoints.map(async (endpoint) => {
+        let healthy;
+        try {
+          const headers = await this.#authHeaders("get", endpoint, "/health");
+          const res = await this.transport.request({ method: "get", baseUrl: endpoint.url, url: "/health", headers });
+          healthy = res.status < 400 && (res.data?.status === undefined || res.data.status === "healthy");
+        } catch {
+          healthy = false;
+        }
+        this.endpoints.recordHealth(endpoint, healthy);
+        if (healthy && this.endpoints.recordSuccess(endpoint)) {
+          this.emit("circuit", { endpoint: endpoint.url, state: "CLOSED" });
+        }
+      })
+    );
+    return this.endpoints.status();
+  }
+
+  /**
+   * Routing state of every endpoint: last health result, circuit state and failure count.
+   * @returns {import("./types.js").EndpointStatus[]}
+   */
+  endpointStatus() {
+    return this.endpoints.status();
+  }
+
+  /**
+   * Current rate-limit state: the server's last reported X-RateLimit-* values
+   * and, if a client-side budget is configured, the tokens left in the local bucket.
+   * Schedulers can use this to pace batch jobs.
+   *
+   * @returns {import("./types.js").RateLimitState}
+   */
+  getRateLimitState() {
+    return {
+      ...this.serverRateLimit,
+      localTokens: this.bucket ? Math.floor(this.bucket.available) : undefined
+    };
+  }
+
+  /**
+   * Send a request with client-side pacing and retries on network errors, 429 and 5xx.
+   * A 401 INVALID_API_KEY refreshes the credentials once and retries.
+   */
+  async #request(method, url, data) {
+    // Each endpoint gets a chance even when there are more endpoints than retries.
+    const maxAttempts = Math.max(this.retry.maxRetries, this.endpoints.size - 1);
+    const failed = new Set();
+    let endpoint;
+    let next;
+    let failoverReason;
+    let refreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.#waitForCapacity();
+
+      const previous = endpoint;
+      endpoint = next ?? this.endpoints.select();
+      next = undefined;
+      if (!endpoint) {
+        throw new WindiNetworkError("WINDI network/error: no endpoint available, all circuits are open", {
+          retryable: false,
+          data: { endpoints: this.endpoints.status() }
+        });
+      }
+      if (previous && previous !== endpoint) {
+        this.emit("failover", { method, url, from: previous.url, to: endpoint.url, attempt, reason: failoverReason });
+      }
+
+      /** @type {import("./types.js").RequestContext} */
+      const ctx = { method, url, data, headers: {}, attempt, endpoint: endpoint.url, state: {} };
+      let started = Date.now();
+      let res;
+      let error;
+      let sent = false;
+      try {
+        await this.#runHooks("beforeRequest", ctx);
+        this.emit("request", { method, url, attempt, endpoint: endpoint.url });
+
+        // Serialized here so a signature covers exactly the bytes sent. Credentials are
+        // resolved per attempt and kept out of ctx, so middleware never sees the key.
+        const body = ctx.data === undefined ? undefined : JSON.stringify(ctx.data);
+        const headers = { ...ctx.headers, ...(await this.#authHeaders(method, endpoint, url, body)) };
+
+        sent = true;
+        started = Date.now();
+        res = await this.transport.request({ method, baseUrl: endpoint.url, url, headers, body });
+      } catch (err) {
+        // Hook, credential and transport bugs are not retried, but onError still runs.
+        if (!sent || !(err instanceof WindiError)) {
+          await this.#abortAttempt(ctx, err, started);
+          throw err;
+        }
+        error = err;
+      }
+      if (res) {
+        this.#recordRateLimit(res.headers);
+        if (res.status >= 400) error = errorFromResponse(res);
+      }
+
+      if (!error) {
+        if (this.endpoints.recordSuccess(endpoint)) this.emit("circuit", { endpoint: endpoint.url, state: "CLOSED" });
+
+        Object.assign(ctx, {
+          status: res.status,
+          response: res.data,
+          responseHeaders: res.headers,
+          latencyMs: Date.now() - started,
+          requestId: res.headers?.["x-request-id"] ?? res.data?.request_id
+        });
+        try {
+          await this.#runHooks("afterResponse", ctx);
+        } catch (err) {
+          await this.#abortAttempt(ctx, err, started);
+          throw err;
+        }
+        this.emit("response", {
+          method,
+          url,
+          attempt,
+          endpoint: endpoint.url,
+          status: ctx.status,
+          latencyMs: ctx.latencyMs,
+          requestId: ctx.requestId,
+          rateLimitRemaining: this.serverRateLimit.remaining
+        });
+        return res;
+      }
+
+      const status = res?.status;
+
+      // Only outages count against an endpoint; 4xx and 429 answers are the API working as specified.
+      const endpointDown = error.status === 0 || error.status >= 500;
+      if (endpointDown && this.endpoints.recordFailure(endpoint)) {
+        this.emit("circuit", { endpoint: endpoint.url, state: "OPEN" });
+      }
+
+      Object.assign(ctx, { status, error, latencyMs: Date.now() - started });
+      await this.#runHooks("onError", ctx);
+      this.emit("requestError", { method, url, attempt, endpoint: endpoint.url, status, latencyMs: ctx.latencyMs, error });
+
+      // The key may have been rotated under us: reload it once and try again.
+      if (error.apiCode === "INVALID_API_KEY" && !refreshed && this.credentials.refresh) {
+        refreshed = true;
+        await this.credentials.refresh();
+        this.emit("credentialRefresh", { method, url, attempt });
+        next = endpoint;
+        continue;
+      }
+
+      if (attempt >= maxAttempts || !isRetryableError(error)) throw error;
+
+      // Another endpoint that has not failed for this request: switch at once instead of backing off.
+      if (endpointDown) {
+        failed.add(endpoint);
+        next = this.endpoints.select({ exclude: failed });
+        if (next) {
+          failoverReason = error.code;
+          continue;
+        }
+      }
+
+      const hintMs = serverRetryDelayMs(status, res?.headers);
+      if (hintMs !== undefined && hintMs > this.retry.maxRetryAfterMs) throw error;
+      const delayMs = hintMs ?? backoffDelayMs(attempt, this.retry);
+      this.emit("retry", { method, url, attempt: attempt + 1, delayMs, status });
+      await sleep(delayMs);
+    }
+  }
+
+  /**
+   * Authentication headers for one request: the API key, or with `signRequests`
+   * an HMAC signature over method, path, timestamp and body digest.
+   */
+  async #authHeaders(method, endpoint, url, body) {
+    const { apiKey, keyId } = await this.credentials.getCredentials();
+    if (!this.signRequests) return { "X-WINDI-API-KEY": apiKey };
+    if (!keyId) throw new WindiConfigError("signRequests needs credentials with a keyId");
+    return this.platform.signRequest({ method, path: `${basePathOf(endpoint.url)}${url}`, body, keyId, secret: apiKey });
+  }
+
+  /**
+   * Validate an outgoing request. Returns the issues for lenient mode;
+   * strict mode throws before anything is sent.
+   */
+  #checkRequest(req) {
+    if (this.validation === "off") return [];
+    const { valid, issues } = validateVerifyRequest(req);
+    if (!valid && this.validation === "strict") {
+      throw new WindiProtocolError(`Invalid verify request: ${summarizeIssues(issues)}`, {
+        direction: "request",
+        issues
+      });
+    }
+    return issues;
+  }
+
+  /**
+   * Validate a response body. Unknown risk flags are kept and listed in
+   * `unknown_risk_flags`; in lenient mode contract violations become `warnings`.
+   */
+  #checkResponse(res, requestIssues) {
+    if (this.validation === "off") return res.data;
+    const { valid, issues, unknown_risk_flags } = validateVerifyResponse(res.data);
+    const requestId = res.data?.request_id ?? res.headers?.["x-request-id"];
+    if (!valid && this.validation === "strict") {
+      throw new WindiProtocolError(`Invalid verify response: ${summarizeIssues(issues)}`, {
+        direction: "response",
+        issues,
+        requestId
+      });
+    }
+
+    const data = { ...res.data };
+    if (unknown_risk_flags?.length) data.unknown_risk_flags = unknown_risk_flags;
+    const warnings = [
+      ...requestIssues.map((i) => ({ ...i, direction: "request" })),
+      ...issues.map((i) => ({ ...i, direction: "response" }))
+    ];
+    if (warnings.length) data.warnings = warnings;
+    return data;
+  }
+
+  /**
+   * Verify the response signature against the pinned server keys and record it
+   * in `signature`. Unsigned responses pass only when signatures are optional.
+   */
+  #checkSignature(res, request, data) {
+    if (!this.serverKeys) return data;
+    const { header: headerName, verify } = this.platform.responseSignatures;
+    const header = res.headers?.[headerName];
+    if (!header && !this.requireSignedResponses) return data;
+    const signature = verify({ body: res.data, header }, this.serverKeys, {
+      request,
+      maxSkewMs: this.signatureMaxSkewMs
+    });
+    return { ...data, signature };
+  }
+
+  /**
+   * Fail an attempt that broke outside the HTTP exchange. The onError hooks still run, so
+   * middleware can close what beforeRequest opened (a span); the original error is kept
+   * even if a hook throws.
+   */
+  async #abortAttempt(ctx, error, started) {
+    Object.assign(ctx, { error, latencyMs: Date.now() - started });
+    try {
+      await this.#runHooks("onError", ctx);
+    } catch {
+      // The caller rethrows the error that failed the attempt.
+    }
+    const { method, url, attempt, endpoint, status, latencyMs } = ctx;
+    this.emit("requestError", { method, url, attempt, endpoint, status, latencyMs, error });
+  }
+
+  async #runHooks(name, ctx) {
+    for (const m of this.middleware) {
+      if (m[name]) await m[name](ctx);
+    }
+  }
+
+  async #waitForCapacity() {
+    if (this.bucket) await this.bucket.take();
+
+    // Server says the window is exhausted: wait for the reset instead of burning a request.
+    const { remaining, resetAt } = this.serverRateLimit;
+    if (remaining === 0 && resetAt) {
+      const waitMs = resetAt - Date.now();
+      if (waitMs > 0) await sleep(Math.min(waitMs, this.retry.maxRetryAfterMs));
+    }
+  }
+
+  #recordRateLimit(headers) {
+    const parsed = parseRateLimitHeaders(headers);
+    if (parsed) this.serverRateLimit = { ...parsed, updatedAt: Date.now() };
+  }
+
+  /**
+   * Run a verification, emit the "verdict" event and, if an audit log is configured,
+   * record the outcome. A failed audit write fails the call; it never hides the
+   * original verification error.
+   */
+  async #audited(type, request, fn) {
+    const started = Date.now();
+    let response;
+    try {
+      response = await fn();
+    } catch (error) {
+      await this.audit
+        ?.recordVerification({ type, request, error, latencyMs: Date.now() - started })
+        .catch(() => {});
+      throw error;
+    }
+
+    const latencyMs = Date.now() - started;
+    this.emit("verdict", {
+      type,
+      document_id: request.document_id,
+      verdict: response.verdict,
+      trust_level: response.trust_level,
+      from_cache: response.from_cache,
+      source: response.source,
+      request_id: response.request_id,
+      latencyMs
+    });
+    await this.audit?.recordVerification({ type, request, response, latencyMs });
+    return response;
+  }
+
+  async #verifyBatchItem(item) {
+    if (item.documentHash) {
+      return this.verify({
+        document_id: item.documentId,
+        document_hash: item.documentHash,
+        issuer_key_id: item.issuerKeyId,
+        manifest_id: item.manifestId,
+        proof_level: item.proofLevel ?? "L2"
+      });
+    }
+    if (item.filePath) {
+      if (!this.verifyFromFile) throw new WindiConfigError("Batch items with filePath need the Node.js build", { item });
+      return this.verifyFromFile(item);
+    }
+    if (item.bytes) return this.verifyFromBytes(item);
+    throw new WindiConfigError("Batch item needs documentHash, filePath or bytes", { item });
+  }
+}
+
+/** Typed error for an HTTP error status. */
+function errorFromResponse({ status, headers, data }) {
+  const requestId = headers?.["x-request-id"] || data?.request_id;
+  return httpErrorFromResponse({ status, data, requestId, retryAfterMs: serverRetryDelayMs(status, headers) });
+}
+
+function summarizeIssues(issues) {
+  return issues.map((i) => (i.path ? `${i.path}: ${i.code}` : i.code)).join(", ");
+}
+
+/**
+ * Path of a base URL, as the server sees it. Relative base URLs (e.g. "/windi-proxy"
+ * behind a same-origin proxy) resolve against the page's location where there is one.
+ */
+function basePathOf(baseUrl) {
+  const base = globalThis.location?.href ?? "http://localhost/";
+  return new URL(baseUrl, base).pathname.replace(/\/+$/, "");
+}
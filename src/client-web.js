@@ -0,0 +1,39 @@
+import { hashUrnFromBytes, hashUrnFromStream } from "./hash-web.js";
+import { signRequest } from "./credentials-web.js";
+import { FetchTransport } from "./transport.js";
+import { WindiVerifyClientCore } from "./client-core.js";
+
+/** @type {import("./types.js").ClientPlatform} */
+const WEB_PLATFORM = Object.freeze({
+  createTransport: ({ timeoutMs }) => new FetchTransport({ timeoutMs }),
+  hashBytes: hashUrnFromBytes,
+  hashStream: hashUrnFromStream,
+  signRequest,
+  responseSignatures: undefined
+});
+
+/**
+ * WINDI Verify client for browsers and edge runtimes: fetch for HTTP,
+ * WebCrypto for hashing and request signing. Same API as the Node.js client
+ * except the file, PDF and manifest methods, and without `serverKeys`.
+ *
+ * @example
+ * // Upload portal: the file is hashed on the user's device, only the hash is sent.
+ * const client = new WindiVerifyClient({
+ *   baseUrl: "/windi-proxy",
+ *   credentials: new CallbackCredentialProvider(() => fetch("/session/windi-token").then((r) => r.text()))
+ * });
+ * const result = await client.verifyFromBytes({
+ *   bytes: input.files[0],
+ *   documentId: "windi:doc:inv-2026-001",
+ *   issuerKeyId: "windi:key:bank-de"
+ * });
+ */
+export class WindiVerifyClient extends WindiVerifyClientCore {
+  /**
+   * @param {import("./types.js").ClientOptions} opts - httpAgent, httpsAgent and proxy do not apply
+   */
+  constructor(opts) {
+    super(opts, WEB_PLATFORM);
+  }
+}
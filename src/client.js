@@ -1,14 +1,37 @@
-import axios from "axios";
-import { WindiConfigError, WindiHttpError } from "./errors.js";
-import { sha256UrnFromFile, sha256UrnFromBuffer } from "./hash.js";
+import fs from "node:fs";
+import { WindiConfigError } from "./errors.js";
+import { hashUrnFromBuffer, hashUrnFromFile, hashUrnFromStream, parseHashUrn } from "./hash.js";
+import { isPdf, matchPdfRevision, pdfRevisions, selectRevision } from "./pdf.js";
+import { extractManifest, findSidecar } from "./manifest.js";
+import { applyFieldFindings, verifyFieldBindings } from "./fields.js";
+import { SIGNATURE_HEADER, ServerKeyRing, verifyResponseSignature } from "./signing.js";
+import { signRequest } from "./credentials-node.js";
+import { AxiosTransport } from "./transport-axios.js";
+import { WindiVerifyClientCore } from "./client-core.js";
+
+/** @type {import("./types.js").ClientPlatform} */
+const NODE_PLATFORM = Object.freeze({
+  createTransport: (opts) => new AxiosTransport(opts),
+  hashBytes,
+  hashStream: hashUrnFromStream,
+  signRequest,
+  responseSignatures: {
+    header: SIGNATURE_HEADER,
+    keyRing: (keys) => (keys instanceof ServerKeyRing ? keys : new ServerKeyRing(keys)),
+    verify: verifyResponseSignature
+  }
+});
 
 /**
- * WINDI Verify client for institutional environments.
+ * WINDI Verify client for institutional environments (Node.js build).
+ * Requests go through axios unless a `transport` is given.
  *
  * @example
  * const client = new WindiVerifyClient({
  *   baseUrl: "https://verify.windi.eu/api",
- *   apiKey: process.env.WINDI_API_KEY
+ *   apiKey: process.env.WINDI_API_KEY,
+ *   retry: { maxRetries: 3 },
+ *   rateLimit: { requestsPerMinute: 60 }
  * });
  *
  * const result = await client.verifyFromFile({
@@ -16,61 +39,30 @@ import { sha256UrnFromFile, sha256UrnFromBuffer } from "./hash.js";
  *   documentId: "windi:doc:inv-2026-001",
  *   issuerKeyId: "windi:key:bank-de"
  * });
+ *
+ * See WindiVerifyClientCore (client-core.js) for the telemetry events.
  */
-export class WindiVerifyClient {
+export class WindiVerifyClient extends WindiVerifyClientCore {
   /**
    * @param {import("./types.js").ClientOptions} opts
    */
   constructor(opts) {
-    if (!opts?.baseUrl) throw new WindiConfigError("baseUrl is required");
-    if (!opts?.apiKey) throw new WindiConfigError("apiKey is required");
-
-    this.baseUrl = opts.baseUrl.replace(/\/+$/, "");
-    this.apiKey = opts.apiKey;
-    this.timeoutMs = opts.timeoutMs ?? 15_000;
-
-    this.http = axios.create({
-      baseURL: this.baseUrl,
-      timeout: this.timeoutMs,
-      headers: {
-        "X-WINDI-API-KEY": this.apiKey,
-        "Content-Type": "application/json"
-      }
-    });
-  }
-
-  /**
-   * Verify using document hash (preferred method).
-   *
-   * @param {import("./types.js").VerifyRequest} req
-   * @returns {Promise<import("./types.js").VerifyResponse>}
-   *
-   * @example
-   * const result = await client.verify({
-   *   document_id: "windi:doc:inv-001",
-   *   document_hash: "sha256:abc123...",
-   *   issuer_key_id: "windi:key:bank",
-   *   proof_level: "L2"
-   * });
-   */
-  async verify(req) {
-    try {
-      const res = await this.http.post("/verify", req);
-      return res.data;
-    } catch (err) {
-      throw this.#normalizeAxiosError(err);
-    }
+    super(opts, NODE_PLATFORM);
   }
 
   /**
    * Convenience: verify from file (PDF or any binary) by hashing locally.
+   * The file is streamed, so large files are never loaded fully into memory.
+   * `algorithm` selects the hash (default "sha256"; see Hash.HASH_ALGORITHMS) and
+   * must be the one the document was registered with.
    *
    * @param {{
    *   filePath: string,
    *   documentId: string,
    *   issuerKeyId: string,
    *   manifestId?: string,
-   *   proofLevel?: "L1"|"L2"|"L3"
+   *   proofLevel?: "L1"|"L2"|"L3",
+   *   algorithm?: import("./types.js").HashAlgorithm
    * }} args
    * @returns {Promise<import("./types.js").VerifyResponse>}
    *
@@ -82,7 +74,7 @@ export class WindiVerifyClient {
    * });
    */
   async verifyFromFile(args) {
-    const document_hash = sha256UrnFromFile(args.filePath);
+    const document_hash = await hashUrnFromFile(args.filePath, args.algorithm);
     return this.verify({
       document_id: args.documentId,
       document_hash,
@@ -93,68 +85,140 @@ export class WindiVerifyClient {
   }
 
   /**
-   * Convenience: verify from in-memory bytes.
+   * Verify a PDF by the hash of one revision instead of the raw file bytes.
+   * By default the original revision is verified, so incremental updates appended
+   * later (countersignatures, re-saves by approval tools) do not report MODIFIED.
+   * The result lists the revisions; when updates follow the verified revision it
+   * carries the Reader-side risk flag PDF_INCREMENTAL_UPDATE, since appended
+   * updates can change what a viewer displays.
    *
    * @param {{
-   *   bytes: Buffer,
+   *   filePath?: string,
+   *   bytes?: Buffer|Uint8Array,
    *   documentId: string,
    *   issuerKeyId: string,
    *   manifestId?: string,
-   *   proofLevel?: "L1"|"L2"|"L3"
-   * }} args
-   * @returns {Promise<import("./types.js").VerifyResponse>}
+   *   proofLevel?: "L1"|"L2"|"L3",
+   *   algorithm?: import("./types.js").HashAlgorithm,
+   *   revision?: import("./types.js").PdfRevisionSelector,
+   *   end?: number
+   * }} args - Either filePath or bytes. `end` cuts the revision at its eof_end instead of
+   *   after the EOL (see Pdf.matchPdfRevision); any other value is rejected
+   * @returns {Promise<import("./types.js").VerifyResponse & { pdf: import("./types.js").PdfVerifyInfo }>}
+   *
+   * @example
+   * const result = await client.verifyPdf({
+   *   filePath: "./invoice-countersigned.pdf",
+   *   documentId: "windi:doc:inv-001",
+   *   issuerKeyId: "windi:key:bank"
+   * });
+   * // result.pdf -> { revision: 0, revisions: 2, incremental_updates: 1, byte_range: [0, 48213] }
    */
-  async verifyFromBytes(args) {
-    const document_hash = sha256UrnFromBuffer(args.bytes);
-    return this.verify({
-      document_id: args.documentId,
-      document_hash,
-      issuer_key_id: args.issuerKeyId,
-      manifest_id: args.manifestId,
-      proof_level: args.proofLevel ?? "L2"
-    });
+  async verifyPdf({ filePath, bytes, revision = "original", end, ...args }) {
+    if (!filePath && !bytes) throw new WindiConfigError("verifyPdf needs filePath or bytes");
+    const buf = bytes ?? (await fs.promises.readFile(filePath));
+    const revisions = pdfRevisions(buf);
+    const selected = selectRevision(revisions, revision);
+    const incremental_updates = revisions.length - 1 - selected.index;
+    if (end !== undefined && end !== selected.end && end !== selected.eof_end) {
+      throw new WindiConfigError(`end must be ${selected.end} or ${selected.eof_end} for PDF revision ${selected.index}`);
+    }
+    const cut = end ?? selected.end;
+
+    const res = await this.verifyFromBytes({ ...args, bytes: buf.subarray(selected.start, cut) });
+    return {
+      ...res,
+      risk_flags: incremental_updates > 0
+        ? [...new Set([...(res.risk_flags ?? []), "PDF_INCREMENTAL_UPDATE"])]
+        : res.risk_flags,
+      pdf: {
+        revision: selected.index,
+        revisions: revisions.length,
+        incremental_updates,
+        byte_range: [selected.start, cut]
+      }
+    };
   }
 
   /**
-   * Verify using a WVC (WINDI Verification Code) string.
-   * Requires backend support for /verify/wvc endpoint.
+   * Verify a WINDI-governed document using the manifest it carries, so no ids
+   * have to be supplied. The manifest is read from the PDF attachment, the PDF
+   * XMP metadata and/or a sidecar (see Manifest.extractManifest).
    *
-   * @param {{ wvc: string, proofLevel?: "L1"|"L2"|"L3" }} args
-   * @returns {Promise<import("./types.js").VerifyResponse>}
+   * For PDFs the revision whose hash equals the manifest's document_hash is
+   * verified (the original revision if there is none). When the sources disagree
+   * on ids the first source wins and the Reader-side risk flag MANIFEST_CONFLICT
+   * is added; a manifest in an incremental update is ignored and flagged
+   * MANIFEST_IN_UPDATE. With an `instruction`, the manifest's field commitments are checked
+   * too (see verifyFieldBindings).
+   *
+   * @param {Buffer|Uint8Array} bytes
+   * @param {{
+   *   sidecar?: string|Object,
+   *   proofLevel?: "L1"|"L2"|"L3",
+   *   instruction?: import("./types.js").PaymentInstruction
+   * }} [opts] - proofLevel defaults to the manifest's, then L2
+   * @returns {Promise<import("./types.js").VerifyResponse & { manifest: import("./types.js").ManifestInfo }>}
+   *
+   * @example
+   * const result = await client.verifyDocument(fs.readFileSync("./invoice.pdf"));
+   * console.log(result.verdict, result.manifest.document_id, result.manifest.receipts.length);
    */
-  async verifyWvc({ wvc, proofLevel = "L2" }) {
-    try {
-      const res = await this.http.post("/verify/wvc", { wvc, proof_level: proofLevel });
-      return res.data;
-    } catch (err) {
-      throw this.#normalizeAxiosError(err);
+  async verifyDocument(bytes, { sidecar, proofLevel, instruction } = {}) {
+    const { manifest, source, sources, conflicts, updated_sources } = extractManifest(bytes, { sidecar });
+    const args = {
+      documentId: manifest.document_id,
+      issuerKeyId: manifest.issuer_key_id,
+      manifestId: manifest.manifest_id,
+      proofLevel: proofLevel ?? manifest.proof_level ?? "L2",
+      algorithm: manifest.document_hash ? parseHashUrn(manifest.document_hash).algorithm : undefined
+    };
+
+    let res;
+    if (isPdf(bytes)) {
+      const match = manifest.document_hash ? matchPdfRevision(bytes, manifest.document_hash) : undefined;
+      res = await this.verifyPdf({ ...args, bytes, revision: match?.revision ?? "original", end: match?.end });
+    } else {
+      res = await this.verifyFromBytes({ ...args, bytes });
     }
+
+    const flags = [conflicts.length && "MANIFEST_CONFLICT", updated_sources.length && "MANIFEST_IN_UPDATE"].filter(Boolean);
+    if (flags.length) res = { ...res, risk_flags: [...new Set([...(res.risk_flags ?? []), ...flags])] };
+    if (instruction) res = applyFieldFindings(res, verifyFieldBindings(instruction, manifest.field_commitments));
+
+    return {
+      ...res,
+      manifest: {
+        document_id: manifest.document_id,
+        issuer_key_id: manifest.issuer_key_id,
+        manifest_id: manifest.manifest_id,
+        source,
+        sources,
+        conflicts,
+        updated_sources,
+        receipts: manifest.receipts
+      }
+    };
   }
 
   /**
-   * Health check for the verification API.
-   * @returns {Promise<{ status: string, version?: string }>}
+   * Verify a file with verifyDocument, picking up a "<file>.windi.json" sidecar next to it.
+   *
+   * @param {string} filePath
+   * @param {{ sidecarPath?: string, proofLevel?: "L1"|"L2"|"L3", instruction?: import("./types.js").PaymentInstruction }} [opts]
+   * @returns {Promise<import("./types.js").VerifyResponse & { manifest: import("./types.js").ManifestInfo }>}
    */
-  async healthCheck() {
-    try {
-      const res = await this.http.get("/health");
-      return res.data;
-    } catch (err) {
-      throw this.#normalizeAxiosError(err);
-    }
+  async verifyDocumentFromFile(filePath, { sidecarPath, ...opts } = {}) {
+    const bytes = await fs.promises.readFile(filePath);
+    const sidecarFile = sidecarPath ?? findSidecar(filePath);
+    const sidecar = sidecarFile ? await fs.promises.readFile(sidecarFile, "utf8") : undefined;
+    return this.verifyDocument(bytes, { ...opts, sidecar });
   }
+}
 
-  #normalizeAxiosError(err) {
-    const status = err?.response?.status;
-    const data = err?.response?.data;
-    const requestId = err?.response?.headers?.["x-request-id"] || data?.request_id;
-
-    if (status) {
-      return new WindiHttpError(`WINDI HTTP ${status}`, { status, data, requestId });
-    }
-    return new WindiHttpError(`WINDI network/error: ${err?.message ?? "unknown"}`, {
-      status: 0,
-      data: { message: err?.message }
-    });
-  }
+/** Hash URN of in-memory data; like the browser build, ArrayBuffers and Blobs are accepted too. */
+async function hashBytes(data, algorithm) {
+  if (data instanceof Blob) return hashUrnFromBuffer(new Uint8Array(await data.arrayBuffer()), algorithm);
+  if (data instanceof ArrayBuffer) return hashUrnFromBuffer(new Uint8Array(data), algorithm);
+  return hashUrnFromBuffer(data, algorithm);
 }
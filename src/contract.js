@@ -0,0 +1,136 @@
+import { HASH_ALGORITHMS, isHashUrn } from "./hash-urn.js";
+
+/**
+ * WINDI API Contract Validation
+ *
+ * Runtime checks of /verify requests and responses against docs/api-contract.md,
+ * so a malformed server response never reaches a payment decision unnoticed.
+ * Validators return every issue found instead of stopping at the first one.
+ */
+
+export const TRUST_LEVELS = Object.freeze(["L1", "L2", "L3"]);
+export const VERDICTS = Object.freeze(["VALID", "SUSPECT", "INVALID"]);
+export const INTEGRITY_STATUSES = Object.freeze(["INTACT", "MODIFIED", "UNKNOWN"]);
+export const ISSUER_STATUSES = Object.freeze(["TRUSTED", "UNKNOWN", "REVOKED"]);
+
+/** Risk flags defined by the API contract. Others are kept but reported as unknown. */
+export const KNOWN_RISK_FLAGS = Object.freeze([
+  "IBAN_MISMATCH",
+  "AMOUNT_DEVIATION",
+  "TIMESTAMP_DRIFT",
+  "ISSUER_UNKNOWN",
+  "CHAIN_GAP",
+  "SIGNATURE_WEAK"
+]);
+
+export const VALIDATION_MODES = Object.freeze(["strict", "lenient", "off"]);
+
+const ID_RE = {
+  document_id: /^windi:doc:[^\s]+$/,
+  issuer_key_id: /^windi:key:[^\s]+$/,
+  manifest_id: /^windi:manifest:[^\s]+$/
+};
+
+/**
+ * Validate a /verify request body.
+ *
+ * @param {import("./types.js").VerifyRequest} req
+ * @returns {import("./types.js").ContractResult}
+ */
+export function validateVerifyRequest(req) {
+  const issues = [];
+  if (!isObject(req)) {
+    issues.push(issue("", "TYPE", "Request must be an object"));
+    return result(issues);
+  }
+
+  for (const field of ["document_id", "issuer_key_id", "manifest_id"]) {
+    const required = field !== "manifest_id";
+    if (req[field] === undefined || req[field] === null) {
+      if (required) issues.push(issue(field, "REQUIRED", `${field} is required`));
+    } else if (typeof req[field] !== "string") {
+      issues.push(issue(field, "TYPE", `${field} must be a string`));
+    } else if (!ID_RE[field].test(req[field])) {
+      issues.push(issue(field, "FORMAT", `${field} must match ${ID_RE[field].source}`));
+    }
+  }
+
+  if (req.document_hash === undefined || req.document_hash === null) {
+    issues.push(issue("document_hash", "REQUIRED", "document_hash is required"));
+  } else if (!isHashUrn(req.document_hash)) {
+    const algorithms = Object.keys(HASH_ALGORITHMS).join(", ");
+    issues.push(issue("document_hash", "FORMAT", `document_hash must be <algorithm>:<lowercase hex> (${algorithms})`));
+  }
+
+  if (req.proof_level !== undefined) checkEnum(issues, "proof_level", req.proof_level, TRUST_LEVELS);
+
+  return result(issues);
+}
+
+/**
+ * Validate a /verify or /verify/wvc response body.
+ * Unknown risk flags are not errors; they are listed in `unknown_risk_flags`.
+ *
+ * @param {*} res
+ * @returns {import("./types.js").ContractResult}
+ */
+export function validateVerifyResponse(res) {
+  const issues = [];
+  if (!isObject(res)) {
+    issues.push(issue("", "TYPE", "Response must be an object"));
+    return result(issues);
+  }
+
+  checkEnum(issues, "verdict", res.verdict, VERDICTS, true);
+  checkEnum(issues, "integrity", res.integrity, INTEGRITY_STATUSES, true);
+  checkEnum(issues, "trust_level", res.trust_level, TRUST_LEVELS, true);
+  if (res.issuer_status !== undefined) checkEnum(issues, "issuer_status", res.issuer_status, ISSUER_STATUSES);
+
+  if (res.checks !== undefined) {
+    if (!isObject(res.checks)) {
+      issues.push(issue("checks", "TYPE", "checks must be an object"));
+    } else {
+      for (const [name, value] of Object.entries(res.checks)) {
+        if (typeof value !== "boolean") issues.push(issue(`checks.${name}`, "TYPE", `checks.${name} must be a boolean`));
+      }
+    }
+  }
+
+  let unknownFlags = [];
+  if (res.risk_flags !== undefined) {
+    if (!Array.isArray(res.risk_flags)) {
+      issues.push(issue("risk_flags", "TYPE", "risk_flags must be an array"));
+    } else {
+      res.risk_flags.forEach((flag, i) => {
+        if (typeof flag !== "string") issues.push(issue(`risk_flags[${i}]`, "TYPE", "risk flags must be strings"));
+      });
+      unknownFlags = res.risk_flags.filter((f) => typeof f === "string" && !KNOWN_RISK_FLAGS.includes(f));
+    }
+  }
+
+  if (res.request_id !== undefined && typeof res.request_id !== "string") {
+    issues.push(issue("request_id", "TYPE", "request_id must be a string"));
+  }
+
+  return { ...result(issues), unknown_risk_flags: unknownFlags };
+}
+
+function checkEnum(issues, path, value, allowed, required = false) {
+  if (value === undefined || value === null) {
+    if (required) issues.push(issue(path, "REQUIRED", `${path} is required`));
+  } else if (!allowed.includes(value)) {
+    issues.push(issue(path, "ENUM", `${path} must be one of ${allowed.join(", ")}, got ${JSON.stringify(value)}`));
+  }
+}
+
+function issue(path, code, message) {
+  return { path, code, message };
+}
+
+function result(issues) {
+  return { valid: issues.length === 0, issues };
+}
+
+function isObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
@@ -0,0 +1,129 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { WindiConfigError } from "./errors.js";
+import { REQUEST_SIGNING_SCHEME, normalizeCredentials, requestSigningHeaders, requestSigningString } from "./credentials.js";
+
+/**
+ * WINDI Credentials for Node.js: a file-backed credential provider and HMAC
+ * request signing with node:crypto.
+ */
+
+/**
+ * Reads the key from a file and reloads it when the file changes. The file holds
+ * either the bare key or JSON `{ "apiKey": "...", "keyId": "..." }`. The directory
+ * is watched, so atomic replacement (write + rename, as done by secret mounts) is seen.
+ *
+ * @example
+ * const credentials = new FileCredentialProvider("/run/secrets/windi-api-key");
+ * const client = new WindiVerifyClient({ baseUrl, credentials });
+ * // on shutdown: credentials.close();
+ */
+export class FileCredentialProvider {
+  /**
+   * @param {string} filePath
+   * @param {{ watch?: boolean }} [opts] - watch false re-reads only on refresh()
+   */
+  constructor(filePath, { watch = true } = {}) {
+    this.filePath = filePath;
+    this.cached = undefined;
+    if (watch) {
+      const name = path.basename(filePath);
+      this.watcher = fs.watch(path.dirname(filePath), { persistent: false }, (event, changed) => {
+        if (!changed || changed === name) this.cached = undefined;
+      });
+      this.watcher.on("error", () => {});
+    }
+  }
+
+  async getCredentials() {
+    this.cached ??= this.#read();
+    try {
+      return await this.cached;
+    } catch (err) {
+      this.cached = undefined;
+      throw err;
+    }
+  }
+
+  refresh() {
+    this.cached = undefined;
+  }
+
+  /** Stop watching the file. */
+  close() {
+    this.watcher?.close();
+  }
+
+  async #read() {
+    let text;
+    try {
+      text = (await fs.promises.readFile(this.filePath, "utf8")).trim();
+    } catch (err) {
+      throw new WindiConfigError(`Cannot read credentials file ${this.filePath}: ${err.message}`);
+    }
+    if (!text.startsWith("{")) return normalizeCredentials(text, this.filePath);
+    try {
+      return normalizeCredentials(JSON.parse(text), this.filePath);
+    } catch (err) {
+      if (err instanceof WindiConfigError) throw err;
+      throw new WindiConfigError(`Credentials file ${this.filePath} is not valid JSON`);
+    }
+  }
+}
+
+/**
+ * Headers for an HMAC-signed request. The string to sign is
+ *
+ *   WINDI-HMAC-SHA256\n<METHOD>\n<path>\n<timestamp>\n<nonce>\n<hex sha256 of body>
+ *
+ * where path is the request path as the server sees it (e.g. "/api/verify") and
+ * timestamp is in Unix seconds.
+ *
+ * @param {{ method: string, path: string, body?: string, keyId: string, secret: string,
+ *   timestamp?: number, nonce?: string }} req
+ * @returns {Record<string, string>}
+ */
+export function signRequest({ method, path: requestPath, body = "", keyId, secret, timestamp, nonce }) {
+  const ts = String(timestamp ?? Math.floor(Date.now() / 1000));
+  const n = nonce ?? crypto.randomUUID();
+  const contentSha256 = crypto.createHash("sha256").update(body, "utf8").digest("hex");
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(requestSigningString({ method, path: requestPath, timestamp: ts, nonce: n, contentSha256 }), "utf8")
+    .digest("base64");
+  return requestSigningHeaders({ keyId, timestamp: ts, nonce: n, contentSha256, signature });
+}
+
+/**
+ * Server side of signRequest, e.g. for an API gateway or the mock server.
+ *
+ * @param {{ method: string, path: string, headers: Record<string, string>, body?: string }} req
+ *   Header names lower-case; body is the raw request body
+ * @param {(keyId: string) => string|undefined} secretFor - Secret for a key id
+ * @param {{ now?: number, maxSkewMs?: number }} [opts] - maxSkewMs defaults to 5 minutes
+ * @returns {{ valid: boolean, keyId?: string, reason?: "MISSING"|"MALFORMED"|"UNKNOWN_KEY"|"STALE"|"DIGEST_MISMATCH"|"BAD_SIGNATURE" }}
+ */
+export function verifyRequestSignature({ method, path: requestPath, headers, body = "" }, secretFor, { now = Date.now(), maxSkewMs = 300_000 } = {}) {
+  const auth = headers.authorization;
+  if (!auth?.startsWith(`${REQUEST_SIGNING_SCHEME} `)) return { valid: false, reason: "MISSING" };
+  const m = /KeyId=([^,\s]+),\s*Signature=([A-Za-z0-9+/=]+)$/.exec(auth);
+  const timestamp = Number(headers["x-windi-timestamp"]);
+  const nonce = headers["x-windi-nonce"];
+  if (!m || !Number.isInteger(timestamp) || !nonce) return { valid: false, reason: "MALFORMED" };
+
+  const keyId = m[1];
+  const secret = secretFor(keyId);
+  if (!secret) return { valid: false, keyId, reason: "UNKNOWN_KEY" };
+  if (Math.abs(now - timestamp * 1000) > maxSkewMs) return { valid: false, keyId, reason: "STALE" };
+
+  const expected = signRequest({ method, path: requestPath, body, keyId, secret, timestamp, nonce });
+  if (headers["x-windi-content-sha256"] !== expected["X-WINDI-Content-SHA256"]) {
+    return { valid: false, keyId, reason: "DIGEST_MISMATCH" };
+  }
+  const a = Buffer.from(auth);
+  const b = Buffer.from(expected.Authorization);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return { valid: false, keyId, reason: "BAD_SIGNATURE" };
+  return { valid: true, keyId };
+}
+
@@ -0,0 +1,30 @@
+import { requestSigningHeaders, requestSigningString } from "./credentials.js";
+import { sha256HexFromUtf8, subtle } from "./hash-web.js";
+
+/**
+ * WINDI request signing with WebCrypto, for the browser and edge build.
+ * Produces the same headers as signRequest in credentials-node.js.
+ */
+
+/**
+ * Headers for an HMAC-signed request (see credentials-node.js for the string to sign).
+ *
+ * @param {{ method: string, path: string, body?: string, keyId: string, secret: string,
+ *   timestamp?: number, nonce?: string }} req
+ * @returns {Promise<Record<string, string>>}
+ */
+export async function signRequest({ method, path: requestPath, body = "", keyId, secret, timestamp, nonce }) {
+  const ts = String(timestamp ?? Math.floor(Date.now() / 1000));
+  const n = nonce ?? globalThis.crypto.randomUUID();
+  const contentSha256 = await sha256HexFromUtf8(body);
+
+  const encoder = new TextEncoder();
+  const key = await subtle().importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const mac = await subtle().sign(
+    "HMAC",
+    key,
+    encoder.encode(requestSigningString({ method, path: requestPath, timestamp: ts, nonce: n, contentSha256 }))
+  );
+  const signature = btoa(String.fromCharCode(...new Uint8Array(mac)));
+  return requestSigningHeaders({ keyId, timestamp: ts, nonce: n, contentSha256, signature });
+}
@@ -0,0 +1,149 @@
+import { WindiConfigError } from "./errors.js";
+
+/**
+ * WINDI Credentials
+ *
+ * Credential providers supply the API key for every request, so a key can be
+ * rotated without rebuilding the client. The client calls `getCredentials()`
+ * before each HTTP attempt and `refresh()` once when the API answers
+ * 401 INVALID_API_KEY.
+ *
+ * With request signing the key never travels in a header: each request carries
+ * an HMAC-SHA256 over method, path, timestamp, nonce and the body digest,
+ * made with the key as secret and identified by the key id.
+ *
+ * This module runs in every runtime. FileCredentialProvider and the Node
+ * signing functions are in credentials-node.js, the WebCrypto signer in
+ * credentials-web.js.
+ */
+
+export const REQUEST_SIGNING_SCHEME = "WINDI-HMAC-SHA256";
+
+/**
+ * A fixed key, as given in `apiKey`.
+ */
+export class StaticCredentialProvider {
+  /**
+   * @param {string|import("./types.js").Credentials} credentials
+   */
+  constructor(credentials) {
+    this.credentials = normalizeCredentials(credentials, "static credentials");
+  }
+
+  getCredentials() {
+    return this.credentials;
+  }
+}
+
+/**
+ * Reads the key from environment variables on every request, so a key
+ * updated in `process.env` (e.g. by a secrets sidecar) is used at once.
+ * In edge runtimes pass the worker's bindings as `env`.
+ *
+ * @example
+ * const credentials = new EnvCredentialProvider(); // WINDI_API_KEY, WINDI_API_KEY_ID
+ */
+export class EnvCredentialProvider {
+  /**
+   * @param {{ variable?: string, keyIdVariable?: string, env?: Record<string, string|undefined> }} [opts]
+   */
+  constructor({ variable = "WINDI_API_KEY", keyIdVariable = "WINDI_API_KEY_ID", env = globalThis.process?.env ?? {} } = {}) {
+    this.variable = variable;
+    this.keyIdVariable = keyIdVariable;
+    this.env = env;
+  }
+
+  getCredentials() {
+    return normalizeCredentials({ apiKey: this.env[this.variable], keyId: this.env[this.keyIdVariable] }, `$${this.variable}`);
+  }
+}
+
+/**
+ * Fetches the key from an async source such as a vault, caching it for `ttlMs`.
+ * Concurrent requests share one fetch.
+ *
+ * @example
+ * const credentials = new CallbackCredentialProvider(
+ *   async () => (await vault.read("secret/windi")).data.api_key,
+ *   { ttlMs: 5 * 60_000 }
+ * );
+ */
+export class CallbackCredentialProvider {
+  /**
+   * @param {() => Promise<string|import("./types.js").Credentials>|string|import("./types.js").Credentials} fetch
+   * @param {{ ttlMs?: number }} [opts] - Cache lifetime (default: until refresh())
+   */
+  constructor(fetch, { ttlMs } = {}) {
+    if (typeof fetch !== "function") throw new WindiConfigError("CallbackCredentialProvider needs a function");
+    this.fetch = fetch;
+    this.ttlMs = ttlMs;
+    this.cached = undefined;
+    this.fetchedAt = 0;
+  }
+
+  async getCredentials() {
+    if (this.cached && this.ttlMs !== undefined && Date.now() - this.fetchedAt >= this.ttlMs) this.cached = undefined;
+    if (!this.cached) {
+      this.fetchedAt = Date.now();
+      this.cached = Promise.resolve()
+        .then(() => this.fetch())
+        .then((c) => normalizeCredentials(c, "credential callback"));
+    }
+    try {
+      return await this.cached;
+    } catch (err) {
+      this.cached = undefined;
+      throw err;
+    }
+  }
+
+  refresh() {
+    this.cached = undefined;
+  }
+}
+
+/**
+ * String to sign for a request (see signRequest in credentials-node.js / credentials-web.js).
+ * @param {{ method: string, path: string, timestamp: string, nonce: string, contentSha256: string }} parts
+ * @returns {string}
+ */
+export function requestSigningString({ method, path: requestPath, timestamp, nonce, contentSha256 }) {
+  return [REQUEST_SIGNING_SCHEME, method.toUpperCase(), requestPath, timestamp, nonce, contentSha256].join("\n");
+}
+
+/**
+ * Headers carrying a request signature.
+ * @param {{ keyId: string, timestamp: string, nonce: string, contentSha256: string, signature: string }} parts
+ * @returns {Record<string, string>}
+ */
+export function requestSigningHeaders({ keyId, timestamp, nonce, contentSha256, signature }) {
+  return {
+    "X-WINDI-Key-Id": keyId,
+    "X-WINDI-Timestamp": timestamp,
+    "X-WINDI-Nonce": nonce,
+    "X-WINDI-Content-SHA256": contentSha256,
+    Authorization: `${REQUEST_SIGNING_SCHEME} KeyId=${keyId}, Signature=${signature}`
+  };
+}
+
+/**
+ * Accepts a provider, a credentials object or a bare key.
+ * @param {import("./types.js").CredentialProvider|import("./types.js").Credentials|string} value
+ * @returns {import("./types.js").CredentialProvider}
+ */
+export function toCredentialProvider(value) {
+  if (typeof value?.getCredentials === "function") return value;
+  return new StaticCredentialProvider(value);
+}
+
+/**
+ * @param {string|import("./types.js").Credentials} value
+ * @param {string} source - Where the value came from, for the error message
+ * @returns {import("./types.js").Credentials}
+ * @throws {WindiConfigError} if there is no API key
+ */
+export function normalizeCredentials(value, source) {
+  const credentials = typeof value === "string" ? { apiKey: value } : { apiKey: value?.apiKey, keyId: value?.keyId };
+  if (!credentials.apiKey) throw new WindiConfigError(`No API key in ${source}`);
+  return credentials;
+}
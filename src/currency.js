@@ -0,0 +1,256 @@
+import { WindiValidationError } from "./errors.js";
+
+/**
+ * WINDI Currency Registry
+ *
+ * ISO 4217 currencies with numeric codes, minor units and withdrawn codes.
+ * Names and symbols are localized through Intl; ambiguous symbols such as "$"
+ * are resolved from a locale or country hint instead of being guessed.
+ */
+
+/**
+ * Code → [numeric code, minor units (null = N/A), year withdrawn (historic codes only)].
+ */
+export const CURRENCIES = Object.freeze({
+  AED: ["784", 2], AFN: ["971", 2], ALL: ["008", 2], AMD: ["051", 2], AOA: ["973", 2],
+  ARS: ["032", 2], AUD: ["036", 2], AWG: ["533", 2], AZN: ["944", 2], BAM: ["977", 2],
+  BBD: ["052", 2], BDT: ["050", 2], BGN: ["975", 2], BHD: ["048", 3], BIF: ["108", 0],
+  BMD: ["060", 2], BND: ["096", 2], BOB: ["068", 2], BOV: ["984", 2], BRL: ["986", 2],
+  BSD: ["044", 2], BTN: ["064", 2], BWP: ["072", 2], BYN: ["933", 2], BZD: ["084", 2],
+  CAD: ["124", 2], CDF: ["976", 2], CHE: ["947", 2], CHF: ["756", 2], CHW: ["948", 2],
+  CLF: ["990", 4], CLP: ["152", 0], CNY: ["156", 2], COP: ["170", 2], COU: ["970", 2],
+  CRC: ["188", 2], CUC: ["931", 2], CUP: ["192", 2], CVE: ["132", 2], CZK: ["203", 2],
+  DJF: ["262", 0], DKK: ["208", 2], DOP: ["214", 2], DZD: ["012", 2], EGP: ["818", 2],
+  ERN: ["232", 2], ETB: ["230", 2], EUR: ["978", 2], FJD: ["242", 2], FKP: ["238", 2],
+  GBP: ["826", 2], GEL: ["981", 2], GHS: ["936", 2], GIP: ["292", 2], GMD: ["270", 2],
+  GNF: ["324", 0], GTQ: ["320", 2], GYD: ["328", 2], HKD: ["344", 2], HNL: ["340", 2],
+  HTG: ["332", 2], HUF: ["348", 2], IDR: ["360", 2], ILS: ["376", 2], INR: ["356", 2],
+  IQD: ["368", 3], IRR: ["364", 2], ISK: ["352", 0], JMD: ["388", 2], JOD: ["400", 3],
+  JPY: ["392", 0], KES: ["404", 2], KGS: ["417", 2], KHR: ["116", 2], KMF: ["174", 0],
+  KPW: ["408", 2], KRW: ["410", 0], KWD: ["414", 3], KYD: ["136", 2], KZT: ["398", 2],
+  LAK: ["418", 2], LBP: ["422", 2], LKR: ["144", 2], LRD: ["430", 2], LSL: ["426", 2],
+  LYD: ["434", 3], MAD: ["504", 2], MDL: ["498", 2], MGA: ["969", 2], MKD: ["807", 2],
+  MMK: ["104", 2], MNT: ["496", 2], MOP: ["446", 2], MRU: ["929", 2], MUR: ["480", 2],
+  MVR: ["462", 2], MWK: ["454", 2], MXN: ["484", 2], MXV: ["979", 2], MYR: ["458", 2],
+  MZN: ["943", 2], NAD: ["516", 2], NGN: ["566", 2], NIO: ["558", 2], NOK: ["578", 2],
+  NPR: ["524", 2], NZD: ["554", 2], OMR: ["512", 3], PAB: ["590", 2], PEN: ["604", 2],
+  PGK: ["598", 2], PHP: ["608", 2], PKR: ["586", 2], PLN: ["985", 2], PYG: ["600", 0],
+  QAR: ["634", 2], RON: ["946", 2], RSD: ["941", 2], RUB: ["643", 2], RWF: ["646", 0],
+  SAR: ["682", 2], SBD: ["090", 2], SCR: ["690", 2], SDG: ["938", 2], SEK: ["752", 2],
+  SGD: ["702", 2], SHP: ["654", 2], SLE: ["925", 2], SLL: ["694", 2], SOS: ["706", 2],
+  SRD: ["968", 2], SSP: ["728", 2], STN: ["930", 2], SVC: ["222", 2], SYP: ["760", 2],
+  SZL: ["748", 2], THB: ["764", 2], TJS: ["972", 2], TMT: ["934", 2], TND: ["788", 3],
+  TOP: ["776", 2], TRY: ["949", 2], TTD: ["780", 2], TWD: ["901", 2], TZS: ["834", 2],
+  UAH: ["980", 2], UGX: ["800", 0], USD: ["840", 2], USN: ["997", 2], UYI: ["940", 0],
+  UYU: ["858", 2], UYW: ["927", 4], UZS: ["860", 2], VED: ["926", 2], VES: ["928", 2],
+  VND: ["704", 0], VUV: ["548", 0], WST: ["882", 2], XAF: ["950", 0], XAG: ["961", null],
+  XAU: ["959", null], XBA: ["955", null], XBB: ["956", null], XBC: ["957", null], XBD: ["958", null],
+  XCD: ["951", 2], XCG: ["532", 2], XDR: ["960", null], XOF: ["952", 0], XPD: ["964", null],
+  XPF: ["953", 0], XPT: ["962", null], XSU: ["994", null], XTS: ["963", null], XUA: ["965", null],
+  XXX: ["999", null], YER: ["886", 2], ZAR: ["710", 2], ZMW: ["967", 2], ZWG: ["924", 2],
+
+  // Withdrawn (ISO 4217 List Three)
+  ANG: ["532", 2, 2025], ATS: ["040", 2, 2002], BEF: ["056", 0, 2002], BYR: ["974", 0, 2017],
+  CSD: ["891", 2, 2006], CYP: ["196", 2, 2008], DEM: ["276", 2, 2002], EEK: ["233", 2, 2011],
+  ESP: ["724", 0, 2002], FIM: ["246", 2, 2002], FRF: ["250", 2, 2002], GHC: ["288", 2, 2007],
+  GRD: ["300", 0, 2002], HRK: ["191", 2, 2023], IEP: ["372", 2, 2002], ITL: ["380", 0, 2002],
+  LTL: ["440", 2, 2015], LUF: ["442", 0, 2002], LVL: ["428", 2, 2014], MRO: ["478", 2, 2018],
+  MTL: ["470", 2, 2008], MZM: ["508", 2, 2006], NLG: ["528", 2, 2002], PTE: ["620", 0, 2002],
+  ROL: ["642", 2, 2005], RUR: ["810", 2, 1998], SDD: ["736", 2, 2007], SIT: ["705", 2, 2007],
+  SKK: ["703", 2, 2009], STD: ["678", 2, 2018], TRL: ["792", 0, 2005], VEB: ["862", 2, 2008],
+  VEF: ["937", 2, 2018], XEU: ["954", null, 1999], ZMK: ["894", 2, 2013], ZWD: ["716", 2, 2008],
+  ZWL: ["932", 2, 2024]
+});
+
+/**
+ * Symbols and words that do not name a single currency on their own.
+ * `default` is used when no hint is given; without a default the hint is required.
+ */
+const AMBIGUOUS = {
+  "$": {
+    byCountry: {
+      US: "USD", EC: "USD", SV: "USD", PA: "USD", PR: "USD", CA: "CAD", AU: "AUD", NZ: "NZD",
+      MX: "MXN", SG: "SGD", HK: "HKD", AR: "ARS", CL: "CLP", CO: "COP", UY: "UYU", TW: "TWD",
+      BS: "BSD", BB: "BBD", BZ: "BZD", BM: "BMD", BN: "BND", FJ: "FJD", GY: "GYD", JM: "JMD",
+      KY: "KYD", LR: "LRD", NA: "NAD", SB: "SBD", SR: "SRD", TT: "TTD", CU: "CUP", DO: "DOP"
+    }
+  },
+  "¥": { byCountry: { JP: "JPY", CN: "CNY" } },
+  "KR": { byCountry: { SE: "SEK", NO: "NOK", DK: "DKK", IS: "ISK", FO: "DKK", GL: "DKK" } },
+  "£": { default: "GBP", byCountry: { GI: "GIP", FK: "FKP", SH: "SHP", EG: "EGP", LB: "LBP", SY: "SYP" } },
+  "R": { default: "ZAR", byCountry: { ZA: "ZAR", NA: "NAD", LS: "LSL", SZ: "SZL" } }
+};
+
+/** Legacy words kept from the original CURRENCY_MAP. */
+const WORD_ALIASES = {
+  "EURO": "€", "EUROS": "€", "DOLLAR": "$", "DOLLARS": "$", "POUND": "£", "POUNDS": "£",
+  "YEN": "JPY", "YUAN": "CNY", "RENMINBI": "CNY", "FRANC": "CHF", "FRANKEN": "CHF"
+};
+
+/** Unambiguous symbols. */
+const SYMBOLS = {
+  "€": "EUR", "US$": "USD", "C$": "CAD", "CA$": "CAD", "A$": "AUD", "AU$": "AUD", "NZ$": "NZD",
+  "MX$": "MXN", "HK$": "HKD", "S$": "SGD", "R$": "BRL", "NT$": "TWD", "₹": "INR", "₽": "RUB",
+  "₩": "KRW", "₺": "TRY", "₪": "ILS", "₴": "UAH", "₦": "NGN", "₱": "PHP", "฿": "THB",
+  "₫": "VND", "₸": "KZT", "₾": "GEL", "₼": "AZN", "₡": "CRC", "₲": "PYG", "₭": "LAK",
+  "₮": "MNT", "៛": "KHR", "ZŁ": "PLN", "KČ": "CZK", "FT": "HUF", "LEI": "RON", "RP": "IDR",
+  "RM": "MYR", "CN¥": "CNY", "JP¥": "JPY", "SFR": "CHF", "FR.": "CHF"
+};
+
+const localizedNameCache = new Map();
+
+/**
+ * Registry entry for a code.
+ * @param {string} code
+ * @returns {import("./types.js").CurrencyInfo|undefined}
+ */
+export function getCurrency(code) {
+  const key = String(code ?? "").toUpperCase();
+  const entry = CURRENCIES[key];
+  if (!entry) return undefined;
+  const [numeric, minorUnits, withdrawn] = entry;
+  return { code: key, numeric, minorUnits, withdrawn, name: currencyName(key, "en") };
+}
+
+/**
+ * Look up an active currency by ISO 4217 numeric code ("978" → "EUR").
+ * @param {string|number} numeric
+ */
+export function currencyByNumeric(numeric) {
+  const key = String(numeric).padStart(3, "0");
+  const matches = Object.entries(CURRENCIES).filter(([, [n]]) => n === key);
+  const active = matches.find(([, [, , withdrawn]]) => !withdrawn) ?? matches[0];
+  return active ? getCurrency(active[0]) : undefined;
+}
+
+/**
+ * ISO 4217 minor units; 2 when no currency is given.
+ * @param {string} [currency]
+ * @returns {number|null} null for codes without minor units (precious metals, XDR, ...)
+ * @throws {WindiValidationError} for unknown codes
+ */
+export function minorUnits(currency) {
+  if (currency === undefined || currency === null || currency === "") return 2;
+  const info = getCurrency(currency);
+  if (!info) fail(`Unknown currency: ${currency}`, "UNKNOWN_CURRENCY");
+  return info.minorUnits;
+}
+
+/**
+ * Localized currency name ("EUR", "de-DE" → "Euro").
+ * @param {string} code
+ * @param {string} [locale]
+ */
+export function currencyName(code, locale = "en") {
+  return new Intl.DisplayNames([locale], { type: "currency", fallback: "none" }).of(code) ?? undefined;
+}
+
+/**
+ * Localized currency symbol ("USD", "en-CA" → "US$").
+ * @param {string} code
+ * @param {string} [locale]
+ * @param {{ narrow?: boolean }} [opts] - narrow symbol ("$" instead of "US$")
+ */
+export function currencySymbol(code, locale = "en", { narrow = false } = {}) {
+  const parts = new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency: code,
+    currencyDisplay: narrow ? "narrowSymbol" : "symbol"
+  }).formatToParts(0);
+  return parts.find((p) => p.type === "currency")?.value;
+}
+
+/**
+ * Whether a token written next to an amount is an ISO 4217 code (active or withdrawn)
+ * or a currency symbol ("€", "US$", "zł", "kr"). Names are not included.
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function isCurrencyToken(token) {
+  const upper = String(token ?? "").normalize("NFKC").toUpperCase();
+  if (/^[A-Z]{3}$/.test(upper)) return Object.hasOwn(CURRENCIES, upper);
+  return Object.hasOwn(SYMBOLS, upper) || Object.hasOwn(AMBIGUOUS, upper) || /^\p{Sc}$/u.test(upper);
+}
+
+/**
+ * Resolve a code, numeric code, symbol or (localized) name to an ISO 4217 code.
+ *
+ * @param {string} input
+ * @param {import("./types.js").CurrencyResolveOptions} [opts]
+ * @returns {string}
+ * @throws {WindiValidationError} UNKNOWN_CURRENCY, AMBIGUOUS_CURRENCY or WITHDRAWN_CURRENCY
+ *
+ * @example
+ * resolveCurrency("eur");                        // -> "EUR"
+ * resolveCurrency("978");                        // -> "EUR"
+ * resolveCurrency("$", { country: "CA" });       // -> "CAD"
+ * resolveCurrency("$", { locale: "es-MX" });     // -> "MXN"
+ * resolveCurrency("Schweizer Franken", { locale: "de-CH" }); // -> "CHF"
+ * resolveCurrency("$");                          // throws AMBIGUOUS_CURRENCY
+ */
+export function resolveCurrency(input, { locale, country, allowWithdrawn = false } = {}) {
+  const raw = String(input ?? "").normalize("NFKC").trim().replace(/\s+/g, " ");
+  if (!raw) fail("Currency is empty", "EMPTY");
+  const upper = raw.toUpperCase();
+
+  let code;
+  if (/^[A-Z]{3}$/.test(upper) && CURRENCIES[upper]) code = upper;
+  else if (/^\d{3}$/.test(upper)) code = currencyByNumeric(upper)?.code;
+  else if (SYMBOLS[upper]) code = SYMBOLS[upper];
+  else code = resolveAmbiguous(WORD_ALIASES[upper] ?? upper, raw, { locale, country });
+
+  code ??= nameToCode(upper, locale);
+  if (!code) fail(`Unknown currency: ${raw}`, "UNKNOWN_CURRENCY");
+
+  const [, , withdrawn] = CURRENCIES[code];
+  if (withdrawn && !allowWithdrawn) {
+    fail(`Currency ${code} was withdrawn in ${withdrawn}`, "WITHDRAWN_CURRENCY");
+  }
+  return code;
+}
+
+function resolveAmbiguous(key, raw, { locale, country }) {
+  if (CURRENCIES[key]) return key;
+  if (SYMBOLS[key]) return SYMBOLS[key];
+  const entry = AMBIGUOUS[key];
+  if (!entry) return undefined;
+
+  const region = (country ?? regionOf(locale))?.toUpperCase();
+  const code = (region && entry.byCountry[region]) ?? entry.default;
+  if (!code) {
+    fail(`Ambiguous currency ${JSON.stringify(raw)}: pass a locale or country hint`, "AMBIGUOUS_CURRENCY");
+  }
+  return code;
+}
+
+function regionOf(locale) {
+  if (!locale) return undefined;
+  try {
+    return new Intl.Locale(locale).maximize().region;
+  } catch {
+    return undefined;
+  }
+}
+
+function nameToCode(upperName, locale) {
+  for (const loc of locale ? [locale, "en"] : ["en"]) {
+    let names = localizedNameCache.get(loc);
+    if (!names) {
+      names = new Map();
+      const display = new Intl.DisplayNames([loc], { type: "currency", fallback: "none" });
+      for (const [code, [, , withdrawn]] of Object.entries(CURRENCIES)) {
+        if (withdrawn) continue;
+        const name = display.of(code);
+        if (name) names.set(name.normalize("NFKC").toUpperCase(), code);
+      }
+      localizedNameCache.set(loc, names);
+    }
+    const code = names.get(upperName);
+    if (code) return code;
+  }
+  return undefined;
+}
+
+function fail(message, reason) {
+  throw new WindiValidationError(message, { field: "currency", reason });
+}
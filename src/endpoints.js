@@ -0,0 +1,148 @@
+import { WindiConfigError } from "./errors.js";
+
+/**
+ * WINDI Endpoint Routing
+ *
+ * Ordered list of API endpoints (e.g. production region, secondary region,
+ * on-prem gateway) with a circuit breaker per endpoint and the latest health
+ * check result. Requests go to the first endpoint whose circuit is not open,
+ * preferring endpoints that passed their last health check.
+ */
+
+export const DEFAULT_CIRCUIT_BREAKER = Object.freeze({
+  failureThreshold: 5,
+  cooldownMs: 30_000
+});
+
+/**
+ * Circuit breaker: CLOSED until `failureThreshold` consecutive failures, then
+ * OPEN (no traffic) for `cooldownMs`, then HALF_OPEN: traffic is let through
+ * again and the next result closes or re-opens the circuit.
+ *
+ * @example
+ * const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 10_000 });
+ * if (breaker.allowsRequest()) { ... breaker.recordFailure(); }
+ */
+export class CircuitBreaker {
+  /**
+   * @param {import("./types.js").CircuitBreakerOptions} [opts]
+   */
+  constructor({ failureThreshold, cooldownMs } = {}) {
+    this.failureThreshold = failureThreshold ?? DEFAULT_CIRCUIT_BREAKER.failureThreshold;
+    this.cooldownMs = cooldownMs ?? DEFAULT_CIRCUIT_BREAKER.cooldownMs;
+    this.failures = 0;
+    this.openedAt = undefined;
+  }
+
+  /** @returns {"CLOSED"|"OPEN"|"HALF_OPEN"} */
+  state(now = Date.now()) {
+    if (this.openedAt === undefined) return "CLOSED";
+    return now - this.openedAt >= this.cooldownMs ? "HALF_OPEN" : "OPEN";
+  }
+
+  allowsRequest(now = Date.now()) {
+    return this.state(now) !== "OPEN";
+  }
+
+  /** @returns {boolean} True if this success closed the circuit */
+  recordSuccess() {
+    const wasOpen = this.openedAt !== undefined;
+    this.failures = 0;
+    this.openedAt = undefined;
+    return wasOpen;
+  }
+
+  /** @returns {boolean} True if this failure opened (or re-opened) the circuit */
+  recordFailure(now = Date.now()) {
+    this.failures++;
+    const halfOpen = this.state(now) === "HALF_OPEN";
+    if (halfOpen || (this.openedAt === undefined && this.failures >= this.failureThreshold)) {
+      this.openedAt = now;
+      return true;
+    }
+    return false;
+  }
+}
+
+/**
+ * Endpoints in preference order.
+ */
+export class EndpointPool {
+  /**
+   * @param {(string|import("./types.js").EndpointOptions)[]} endpoints
+   * @param {{ circuitBreaker?: false|import("./types.js").CircuitBreakerOptions }} [opts]
+   *   circuitBreaker false disables the breakers (endpoints are then never skipped)
+   */
+  constructor(endpoints, { circuitBreaker } = {}) {
+    if (!endpoints?.length) throw new WindiConfigError("At least one endpoint is required");
+    /** @type {import("./types.js").EndpointState[]} */
+    this.endpoints = endpoints.map((e, index) => {
+      const { url, name } = typeof e === "string" ? { url: e } : e;
+      if (!url) throw new WindiConfigError(`Endpoint ${index} has no url`);
+      const clean = url.replace(/\/+$/, "");
+      return {
+        url: clean,
+        name: name ?? clean,
+        breaker: circuitBreaker === false ? undefined : new CircuitBreaker(circuitBreaker),
+        healthy: undefined,
+        checkedAt: undefined
+      };
+    });
+  }
+
+  get size() {
+    return this.endpoints.length;
+  }
+
+  /**
+   * Endpoint for the next request: the first one with a closed or half-open
+   * circuit, preferring endpoints not marked unhealthy by the last health check.
+   *
+   * @param {{ exclude?: Set<import("./types.js").EndpointState>, now?: number }} [opts]
+   *   exclude: endpoints to skip, e.g. those that already failed for this request
+   * @returns {import("./types.js").EndpointState|undefined} undefined if no endpoint is available
+   */
+  select({ exclude, now = Date.now() } = {}) {
+    const available = this.endpoints.filter((e) => !exclude?.has(e) && (!e.breaker || e.breaker.allowsRequest(now)));
+    return available.find((e) => e.healthy !== false) ?? available[0];
+  }
+
+  /**
+   * @param {import("./types.js").EndpointState} endpoint
+   * @returns {"CLOSED"|undefined} "CLOSED" if the circuit was open before
+   */
+  recordSuccess(endpoint) {
+    endpoint.healthy = true;
+    return endpoint.breaker?.recordSuccess() ? "CLOSED" : undefined;
+  }
+
+  /**
+   * @param {import("./types.js").EndpointState} endpoint
+   * @returns {"OPEN"|undefined} "OPEN" if this failure opened the circuit
+   */
+  recordFailure(endpoint, now = Date.now()) {
+    return endpoint.breaker?.recordFailure(now) ? "OPEN" : undefined;
+  }
+
+  /**
+   * Store a health check result.
+   * @param {import("./types.js").EndpointState} endpoint
+   * @param {boolean} healthy
+   */
+  recordHealth(endpoint, healthy, now = Date.now()) {
+    endpoint.healthy = healthy;
+    endpoint.checkedAt = now;
+  }
+
+  /** @returns {import("./types.js").EndpointStatus[]} */
+  status(now = Date.now()) {
+    return this.endpoints.map((e) => ({
+      url: e.url,
+      name: e.name,
+      healthy: e.healthy,
+      checked_at: e.checkedAt === undefined ? undefined : new Date(e.checkedAt).toISOString(),
+      circuit: e.breaker?.state(now) ?? "CLOSED",
+      failures: e.breaker?.failures ?? 0
+    }));
+  }
+}
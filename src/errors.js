@@ -1,25 +1,230 @@
 export class WindiError extends Error {
-  constructor(message, { code = "WINDI_ERROR", details = undefined } = {}) {
+  constructor(message, { code = "WINDI_ERROR", details = undefined, retryable = false } = {}) {
     super(message);
     this.name = "WindiError";
     this.code = code;
     this.details = details;
+    this.isRetryable = retryable;
+  }
+
+  /** JSON form for logs and audit trails, with sensitive values redacted. */
+  toJSON() {
+    const { details, ...fields } = this;
+    return redactSensitive({ name: this.name, message: this.message, ...fields, details });
   }
 }
 
+/**
+ * HTTP and transport failures. Each subclass has its own stable `code`
+ * (e.g. `WINDI_HTTP_NOT_FOUND`); `category` is `WINDI_HTTP_ERROR` for all of
+ * them, the single code 0.1.0 used.
+ */
 export class WindiHttpError extends WindiError {
-  constructor(message, { status, data, requestId } = {}) {
-    super(message, { code: "WINDI_HTTP_ERROR", details: { status, data, requestId } });
+  /**
+   * @param {string} message
+   * @param {{ status?: number, data?: any, requestId?: string, apiCode?: string,
+   *   code?: string, retryable?: boolean }} [opts]
+   */
+  constructor(message, { status, data, requestId, apiCode, code = "WINDI_HTTP_ERROR", retryable } = {}) {
+    super(message, {
+      code,
+      details: { status, data, requestId },
+      retryable: retryable ?? (status === 0 || status === 429 || status >= 500)
+    });
     this.name = "WindiHttpError";
+    this.category = "WINDI_HTTP_ERROR";
     this.status = status;
     this.data = data;
     this.requestId = requestId;
+    this.apiCode = apiCode;
+  }
+}
+
+/** 401/403: missing, invalid or insufficient API credentials. */
+export class WindiAuthError extends WindiHttpError {
+  constructor(message, opts) {
+    super(message, { ...opts, code: "WINDI_HTTP_AUTH_ERROR", retryable: false });
+    this.name = "WindiAuthError";
+  }
+}
+
+/** 404: document or issuer key is not registered (DOCUMENT_NOT_FOUND, ISSUER_NOT_FOUND). */
+export class WindiNotFoundError extends WindiHttpError {
+  constructor(message, opts) {
+    super(message, { ...opts, code: "WINDI_HTTP_NOT_FOUND", retryable: false });
+    this.name = "WindiNotFoundError";
+  }
+}
+
+/** 403 ISSUER_REVOKED: the issuer key has been revoked. */
+export class WindiIssuerRevokedError extends WindiHttpError {
+  constructor(message, opts) {
+    super(message, { ...opts, code: "WINDI_HTTP_ISSUER_REVOKED", retryable: false });
+    this.name = "WindiIssuerRevokedError";
+  }
+}
+
+/** 429 RATE_LIMITED. `retryAfterMs` is the server's hint, if it sent one. */
+export class WindiRateLimitError extends WindiHttpError {
+  constructor(message, { retryAfterMs, ...opts } = {}) {
+    super(message, { ...opts, code: "WINDI_HTTP_RATE_LIMITED", retryable: true });
+    this.name = "WindiRateLimitError";
+    this.retryAfterMs = retryAfterMs;
   }
 }
 
+/** 400/422: the request was rejected as malformed (e.g. INVALID_HASH_FORMAT). */
+export class WindiInvalidRequestError extends WindiHttpError {
+  constructor(message, opts) {
+    super(message, { ...opts, code: "WINDI_HTTP_INVALID_REQUEST", retryable: false });
+    this.name = "WindiInvalidRequestError";
+  }
+}
+
+/** 5xx: the API failed to process the request. */
+export class WindiServerError extends WindiHttpError {
+  constructor(message, opts) {
+    super(message, { ...opts, code: "WINDI_HTTP_SERVER_ERROR", retryable: true });
+    this.name = "WindiServerError";
+  }
+}
+
+/** No response within `timeoutMs` (status 0). */
+export class WindiTimeoutError extends WindiHttpError {
+  constructor(message, opts) {
+    super(message, { ...opts, status: 0, code: "WINDI_HTTP_TIMEOUT", retryable: true });
+    this.name = "WindiTimeoutError";
+  }
+}
+
+/** API unreachable: DNS, connection refused/reset, TLS failure (status 0). */
+export class WindiNetworkError extends WindiHttpError {
+  constructor(message, { retryable = true, ...opts } = {}) {
+    super(message, { ...opts, status: 0, code: "WINDI_HTTP_NETWORK_ERROR", retryable });
+    this.name = "WindiNetworkError";
+  }
+}
+
+/** API error codes (docs/api-contract.md) → error class. */
+const API_ERROR_CLASSES = {
+  INVALID_API_KEY: WindiAuthError,
+  INVALID_HASH_FORMAT: WindiInvalidRequestError,
+  DOCUMENT_NOT_FOUND: WindiNotFoundError,
+  ISSUER_NOT_FOUND: WindiNotFoundError,
+  ISSUER_REVOKED: WindiIssuerRevokedError,
+  RATE_LIMITED: WindiRateLimitError,
+  INTERNAL_ERROR: WindiServerError
+};
+
+/**
+ * Build the matching error for an HTTP error response. The API error code wins
+ * over the status; unknown codes fall back to the status class.
+ *
+ * @param {{ status: number, data?: any, requestId?: string, retryAfterMs?: number }} response
+ * @returns {WindiHttpError}
+ */
+export function httpErrorFromResponse({ status, data, requestId, retryAfterMs }) {
+  const apiCode = typeof data?.error === "string" ? data.error : undefined;
+  const message = `WINDI HTTP ${status}${apiCode ? ` ${apiCode}` : ""}${data?.message ? `: ${data.message}` : ""}`;
+  const opts = { status, data, requestId, apiCode };
+
+  const ErrorClass = API_ERROR_CLASSES[apiCode] ?? errorClassForStatus(status);
+  if (ErrorClass === WindiRateLimitError) return new WindiRateLimitError(message, { ...opts, retryAfterMs });
+  return new ErrorClass(message, opts);
+}
+
+function errorClassForStatus(status) {
+  if (status === 401 || status === 403) return WindiAuthError;
+  if (status === 404) return WindiNotFoundError;
+  if (status === 429) return WindiRateLimitError;
+  if (status === 400 || status === 422) return WindiInvalidRequestError;
+  if (status >= 500) return WindiServerError;
+  return WindiHttpError;
+}
+
 export class WindiConfigError extends WindiError {
   constructor(message, details) {
     super(message, { code: "WINDI_CONFIG_ERROR", details });
     this.name = "WindiConfigError";
   }
 }
+
+export class WindiPolicyError extends WindiError {
+  constructor(message, details) {
+    super(message, { code: "WINDI_POLICY_ERROR", details });
+    this.name = "WindiPolicyError";
+  }
+}
+
+export class WindiWvcError extends WindiError {
+  constructor(message, details) {
+    super(message, { code: "WINDI_WVC_ERROR", details });
+    this.name = "WindiWvcError";
+    this.reason = details?.reason;
+  }
+}
+
+export class WindiValidationError extends WindiError {
+  constructor(message, details) {
+    super(message, { code: "WINDI_VALIDATION_ERROR", details });
+    this.name = "WindiValidationError";
+    this.field = details?.field;
+    this.reason = details?.reason;
+  }
+}
+
+/**
+ * A verification response whose signature is missing, invalid, made with an
+ * unpinned key or not bound to the request. Never retried: a failing signature
+ * means the response cannot be trusted, not that the API is unavailable.
+ */
+export class WindiSignatureError extends WindiError {
+  constructor(message, details) {
+    super(message, { code: "WINDI_SIGNATURE_ERROR", details });
+    this.name = "WindiSignatureError";
+    this.reason = details?.reason;
+    this.kid = details?.kid;
+    this.requestId = details?.requestId;
+  }
+}
+
+export class WindiProtocolError extends WindiError {
+  constructor(message, details) {
+    super(message, { code: "WINDI_PROTOCOL_ERROR", details });
+    this.name = "WindiProtocolError";
+    this.direction = details?.direction;
+    this.issues = details?.issues ?? [];
+  }
+}
+
+/** Header and field names whose values never appear in serialized errors. */
+export const SENSITIVE_KEYS = Object.freeze([
+  "x-windi-api-key",
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "set-cookie",
+  "apikey",
+  "api_key",
+  "secret"
+]);
+
+/**
+ * Deep copy with the values of sensitive keys (API keys, auth headers, cookies) replaced.
+ * @param {*} value
+ */
+export function redactSensitive(value, ancestors = new WeakSet()) {
+  if (value === null || typeof value !== "object") return value;
+  if (ancestors.has(value)) return "[Circular]";
+  ancestors.add(value);
+  const out = Array.isArray(value)
+    ? value.map((v) => redactSensitive(v, ancestors))
+    : Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [
+        k,
+        SENSITIVE_KEYS.includes(k.toLowerCase()) ? "[REDACTED]" : redactSensitive(v, ancestors)
+      ])
+    );
+  ancestors.delete(value);
+  return out;
+}
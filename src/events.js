@@ -0,0 +1,53 @@
+/**
+ * Minimal event emitter used by the client for telemetry events.
+ * Kept dependency-free so the same client works outside Node.
+ */
+export class Emitter {
+  #listeners = new Map();
+
+  /**
+   * @param {string} event
+   * @param {(payload: any) => void} listener
+   * @returns {() => void} Function that removes the listener
+   */
+  on(event, listener) {
+    if (!this.#listeners.has(event)) this.#listeners.set(event, new Set());
+    this.#listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * @param {string} event
+   * @param {(payload: any) => void} listener
+   */
+  off(event, listener) {
+    this.#listeners.get(event)?.delete(listener);
+  }
+
+  /**
+   * @param {string} event
+   * @param {(payload: any) => void} listener
+   */
+  once(event, listener) {
+    const off = this.on(event, (payload) => {
+      off();
+      listener(payload);
+    });
+    return off;
+  }
+
+  /**
+   * Listener errors are swallowed: telemetry must never break a verification.
+   * @param {string} event
+   * @param {any} payload
+   */
+  emit(event, payload) {
+    for (const listener of this.#listeners.get(event) ?? []) {
+      try {
+        listener(payload);
+      } catch {
+        // ignore
+      }
+    }
+  }
+}
@@ -0,0 +1,166 @@
+import {
+  shelfPaytoIban,
+  shelfAmount,
+  shelfCurrencyIso,
+  shelfBeneficiaryName,
+  shelfReferenceE2E,
+  getCanonProfile,
+  DEFAULT_CANON_PROFILE,
+  LEGACY_CANON_PROFILE
+} from "./canonicalization.js";
+import { WindiValidationError } from "./errors.js";
+import { sha256UrnFromUtf8 } from "./hash.js";
+
+/**
+ * WINDI Field Binding
+ *
+ * Checks the payment instruction a bank is about to execute against the
+ * field commitments (hashes of canonical shelf strings) in a document manifest.
+ * Only hashes are compared; canonical values never leave this module.
+ *
+ * Commitments name their canonicalization profile in `canon_profile`; without
+ * it they are checked against the untagged shelf strings of windi-canon/0.
+ *
+ * A binding is only `ok` when at least one committed field was compared and
+ * none differed or failed to canonicalize; an instruction that shares no field
+ * with the commitments raises FIELDS_NOT_BOUND instead of passing silently.
+ */
+
+/**
+ * Instruction field → shelf builder, commitment name and the risk flag raised on mismatch.
+ * IBAN_MISMATCH and AMOUNT_DEVIATION match the API's risk flags; the others are Reader-side only.
+ */
+const FIELD_BINDINGS = [
+  {
+    field: "iban",
+    commitment: "payto_hash",
+    shelf: (iban, ins, profile) => shelfPaytoIban(iban, { profile }),
+    flag: "IBAN_MISMATCH"
+  },
+  {
+    field: "amount",
+    commitment: "amount_hash",
+    shelf: (amount, ins, profile) => shelfAmount(amount, {
+      currency: ins.currency,
+      locale: ins.locale,
+      country: ins.country,
+      profile
+    }),
+    flag: "AMOUNT_DEVIATION"
+  },
+  {
+    field: "currency",
+    commitment: "currency_hash",
+    shelf: (cur, ins, profile) => shelfCurrencyIso(cur, { ...ins, profile }),
+    flag: "AMOUNT_DEVIATION"
+  },
+  {
+    field: "beneficiaryName",
+    commitment: "beneficiary_hash",
+    shelf: (name, ins, profile) => shelfBeneficiaryName(name, { profile }),
+    flag: "BENEFICIARY_MISMATCH"
+  },
+  {
+    field: "reference",
+    commitment: "reference_hash",
+    shelf: (ref, ins, profile) => shelfReferenceE2E(ref, { profile }),
+    flag: "REFERENCE_MISMATCH"
+  }
+];
+
+/**
+ * Compute field commitments for a payment instruction.
+ * Fields that are not provided are omitted; `canon_profile` is always set.
+ *
+ * @param {import("./types.js").PaymentInstruction} instruction
+ * @param {{ profile?: string }} [opts] - Canonicalization profile (default: DEFAULT_CANON_PROFILE)
+ * @returns {import("./types.js").FieldCommitments}
+ * @throws {import("./errors.js").WindiValidationError} for unknown profiles
+ */
+export function computeFieldCommitments(instruction, { profile = DEFAULT_CANON_PROFILE } = {}) {
+  const { id } = getCanonProfile(profile);
+  const out = { canon_profile: id };
+  for (const { field, commitment, shelf } of FIELD_BINDINGS) {
+    const value = instruction?.[field];
+    if (value === undefined || value === null) continue;
+    out[commitment] = sha256UrnFromUtf8(shelf(value, instruction, id));
+  }
+  return out;
+}
+
+/**
+ * Recompute shelf hashes for the instruction and compare them with the manifest commitments.
+ * A field whose value cannot be canonicalized (e.g. an unknown currency or an ambiguous
+ * amount) is reported with status ERROR and raises FIELD_BINDING_ERROR.
+ *
+ * @param {import("./types.js").PaymentInstruction} instruction
+ * @param {import("./types.js").FieldCommitments} commitments
+ * @returns {import("./types.js").FieldBindingResult}
+ * @throws {import("./errors.js").WindiValidationError} reason UNKNOWN_PROFILE if the commitments
+ *   name a canonicalization profile this Reader does not implement
+ *
+ * @example
+ * const binding = verifyFieldBindings(
+ *   { iban: "DE89 3704 0044 0532 0130 00", amount: "1.234,50", currency: "EUR" },
+ *   manifest.field_commitments
+ * );
+ * if (!binding.ok) console.log(binding.risk_flags); // e.g. ["IBAN_MISMATCH"]
+ */
+export function verifyFieldBindings(instruction, commitments = {}) {
+  const { id: profile } = getCanonProfile(commitments.canon_profile ?? LEGACY_CANON_PROFILE);
+  const fields = [];
+  const flags = new Set();
+
+  for (const { field, commitment, shelf, flag } of FIELD_BINDINGS) {
+    const expected = commitments[commitment];
+    const value = instruction?.[field];
+
+    let got;
+    let error;
+    if (value !== undefined && value !== null) {
+      try {
+        got = sha256UrnFromUtf8(shelf(value, instruction, profile));
+      } catch (err) {
+        if (!(err instanceof WindiValidationError)) throw err;
+        error = { reason: err.reason, message: err.message };
+      }
+    }
+
+    let status;
+    if (expected === undefined) status = "NOT_COMMITTED";
+    else if (error) status = "ERROR";
+    else if (got === undefined) status = "NOT_PROVIDED";
+    else status = expected.toLowerCase() === got ? "MATCH" : "MISMATCH";
+
+    if (status === "MISMATCH") flags.add(flag);
+    if (status === "ERROR") flags.add("FIELD_BINDING_ERROR");
+    fields.push({ field, commitment, status, expected, actual: got, ...(status === "ERROR" && { error }) });
+  }
+
+  const bound = fields.some((f) => f.status === "MATCH" || f.status === "MISMATCH");
+  if (!bound && !flags.size) flags.add("FIELDS_NOT_BOUND");
+
+  return {
+    ok: flags.size === 0,
+    bound,
+    canon_profile: profile,
+    fields,
+    risk_flags: [...flags]
+  };
+}
+
+/**
+ * Merge Reader-side field findings into a verify response (e.g. before policy evaluation).
+ *
+ * @param {import("./types.js").VerifyResponse} response
+ * @param {import("./types.js").FieldBindingResult} binding
+ * @returns {import("./types.js").VerifyResponse}
+ */
+export function applyFieldFindings(response, binding) {
+  const risk_flags = [...new Set([...(response.risk_flags ?? []), ...binding.risk_flags])];
+  return {
+    ...response,
+    risk_flags,
+    checks: { ...response.checks, field_binding: binding.ok }
+  };
+}
@@ -0,0 +1,93 @@
+import { WindiValidationError } from "./errors.js";
+
+/**
+ * WINDI Hash URNs
+ *
+ * Runtime-independent part of the Hash module: the algorithm registry and URN
+ * parsing. Computing digests is runtime-specific (hash.js for Node,
+ * hash-web.js for browsers and edge runtimes).
+ */
+
+/**
+ * Supported document hash algorithms. The URN prefix names the algorithm:
+ * "sha256:<hex>", "sha384:<hex>", "sha512:<hex>", "sha3-256:<hex>".
+ * `webName` is the WebCrypto name; sha3-256 has none and needs the Node build.
+ */
+export const HASH_ALGORITHMS = Object.freeze({
+  sha256: { nodeName: "sha256", webName: "SHA-256", hexLength: 64 },
+  sha384: { nodeName: "sha384", webName: "SHA-384", hexLength: 96 },
+  sha512: { nodeName: "sha512", webName: "SHA-512", hexLength: 128 },
+  "sha3-256": { nodeName: "sha3-256", webName: undefined, hexLength: 64 }
+});
+
+export const DEFAULT_HASH_ALGORITHM = "sha256";
+
+const URN_RE = /^([a-z0-9-]+):([0-9a-fA-F]+)$/;
+
+/**
+ * Split and validate a hash URN. The digest is returned in lowercase.
+ *
+ * @param {string} urn - e.g. "sha384:<96 hex>"
+ * @returns {import("./types.js").HashUrn}
+ * @throws {WindiValidationError} reason FORMAT, UNSUPPORTED_ALGORITHM or DIGEST_LENGTH
+ *
+ * @example
+ * parseHashUrn("sha3-256:9f86d0...");
+ * // -> { algorithm: "sha3-256", hex: "9f86d0...", urn: "sha3-256:9f86d0..." }
+ */
+export function parseHashUrn(urn) {
+  const m = URN_RE.exec(String(urn ?? "").trim());
+  if (!m) throw new WindiValidationError(`Not a hash URN: ${urn}`, { field: "hash", reason: "FORMAT" });
+  return { algorithm: m[1], hex: checkDigest(m[1], m[2]), urn: `${m[1]}:${m[2].toLowerCase()}` };
+}
+
+/**
+ * Build a hash URN, validating the algorithm and digest length.
+ *
+ * @param {string} algorithm - Key of HASH_ALGORITHMS
+ * @param {string} hex - Hex digest
+ * @returns {string} "<algorithm>:<lowercase hex>"
+ */
+export function formatHashUrn(algorithm, hex) {
+  return `${algorithm}:${checkDigest(algorithm, String(hex ?? ""))}`;
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean} True for a well-formed URN of a supported algorithm with a lowercase digest
+ */
+export function isHashUrn(value) {
+  const m = typeof value === "string" ? URN_RE.exec(value) : null;
+  return Boolean(m && HASH_ALGORITHMS[m[1]]?.hexLength === m[2].length && m[2] === m[2].toLowerCase());
+}
+
+/**
+ * Registry entry for an algorithm used to compute a digest.
+ * @param {string} algorithm
+ * @returns {{ nodeName: string, webName?: string, hexLength: number }}
+ * @throws {WindiValidationError} reason UNSUPPORTED_ALGORITHM
+ */
+export function hashAlgorithmSpec(algorithm) {
+  const spec = HASH_ALGORITHMS[algorithm];
+  if (!spec) {
+    throw new WindiValidationError(`Unsupported hash algorithm: ${algorithm}`, {
+      field: "algorithm",
+      reason: "UNSUPPORTED_ALGORITHM"
+    });
+  }
+  return spec;
+}
+
+function checkDigest(algorithm, hex) {
+  const spec = HASH_ALGORITHMS[algorithm];
+  if (!spec) {
+    throw new WindiValidationError(`Unsupported hash algorithm: ${algorithm}`, { field: "hash", reason: "UNSUPPORTED_ALGORITHM" });
+  }
+  if (!/^[0-9a-fA-F]*$/.test(hex) || hex.length !== spec.hexLength) {
+    throw new WindiValidationError(`${algorithm} digest must be ${spec.hexLength} hex characters`, {
+      field: "hash",
+      reason: "DIGEST_LENGTH"
+    });
+  }
+  return hex.toLowerCase();
+}
@@ -0,0 +1,109 @@
+import { WindiConfigError, WindiValidationError } from "./errors.js";
+import { DEFAULT_HASH_ALGORITHM, hashAlgorithmSpec } from "./hash-urn.js";
+
+/**
+ * WINDI Hashing with WebCrypto
+ *
+ * Hash module of the browser and edge build. Documents are hashed on the
+ * device; only the URN is sent. WebCrypto has no incremental digest, so
+ * streams are read fully into memory before hashing, and sha3-256 is not
+ * available (use the Node build for it).
+ */
+
+export {
+  HASH_ALGORITHMS,
+  DEFAULT_HASH_ALGORITHM,
+  parseHashUrn,
+  formatHashUrn,
+  isHashUrn
+} from "./hash-urn.js";
+
+/**
+ * @param {Blob|ArrayBuffer|ArrayBufferView|string} data - A `File` from an upload input is a Blob; strings are hashed as UTF-8
+ * @param {string} [algorithm]
+ * @returns {Promise<string>} "<algorithm>:<hex>"
+ *
+ * @example
+ * const input = document.querySelector("input[type=file]");
+ * const document_hash = await Hash.hashUrnFromBytes(input.files[0]);
+ */
+export async function hashUrnFromBytes(data, algorithm = DEFAULT_HASH_ALGORITHM) {
+  const name = webName(algorithm);
+  const bytes = typeof Blob !== "undefined" && data instanceof Blob
+    ? await data.arrayBuffer()
+    : typeof data === "string" ? new TextEncoder().encode(data) : data;
+  return `${algorithm}:${toHex(await subtle().digest(name, bytes))}`;
+}
+
+/**
+ * @param {ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} stream - e.g. `blob.stream()` or a fetch body
+ * @param {string} [algorithm]
+ * @returns {Promise<string>}
+ */
+export async function hashUrnFromStream(stream, algorithm = DEFAULT_HASH_ALGORITHM) {
+  webName(algorithm);
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of iterateChunks(stream)) {
+    chunks.push(chunk);
+    length += chunk.byteLength;
+  }
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return hashUrnFromBytes(bytes, algorithm);
+}
+
+/**
+ * @param {string} text
+ * @returns {Promise<string>} Hex SHA-256 of the UTF-8 text
+ */
+export async function sha256HexFromUtf8(text) {
+  return toHex(await subtle().digest("SHA-256", new TextEncoder().encode(text)));
+}
+
+/** @param {ArrayBuffer|Uint8Array} bytes */
+export function toHex(bytes) {
+  return Array.from(new Uint8Array(bytes), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** WebCrypto SubtleCrypto of the runtime. */
+export function subtle() {
+  const s = globalThis.crypto?.subtle;
+  if (!s) throw new WindiConfigError("WebCrypto (crypto.subtle) is not available in this runtime");
+  return s;
+}
+
+function webName(algorithm) {
+  const spec = hashAlgorithmSpec(algorithm);
+  if (!spec.webName) {
+    throw new WindiValidationError(`${algorithm} is not available in WebCrypto`, {
+      field: "algorithm",
+      reason: "UNSUPPORTED_ALGORITHM"
+    });
+  }
+  return spec.webName;
+}
+
+async function* iterateChunks(stream) {
+  if (typeof stream?.[Symbol.asyncIterator] === "function") {
+    yield* stream;
+    return;
+  }
+  if (typeof stream?.getReader === "function") {
+    const reader = stream.getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield value;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+  throw new TypeError("Expected a web ReadableStream or async iterable");
+}
@@ -1,5 +1,81 @@
 import fs from "node:fs";
 import crypto from "node:crypto";
+import { Transform } from "node:stream";
+import { DEFAULT_HASH_ALGORITHM, hashAlgorithmSpec } from "./hash-urn.js";
+
+export {
+  HASH_ALGORITHMS,
+  DEFAULT_HASH_ALGORITHM,
+  parseHashUrn,
+  formatHashUrn,
+  isHashUrn
+} from "./hash-urn.js";
+
+/**
+ * @param {Buffer|Uint8Array|string} data - Strings are hashed as UTF-8
+ * @param {string} [algorithm]
+ * @returns {string} "<algorithm>:<hex>"
+ */
+export function hashUrnFromBuffer(data, algorithm = DEFAULT_HASH_ALGORITHM) {
+  return `${algorithm}:${createHash(algorithm).update(data).digest("hex")}`;
+}
+
+/**
+ * Compute several digests in one pass over in-memory data.
+ *
+ * @param {Buffer|Uint8Array|string} data
+ * @param {string[]} algorithms
+ * @returns {Record<string, string>} URN per algorithm
+ */
+export function hashUrnsFromBuffer(data, algorithms) {
+  return Object.fromEntries(algorithms.map((a) => [a, hashUrnFromBuffer(data, a)]));
+}
+
+/**
+ * Compute several digests while reading the stream once.
+ *
+ * @param {NodeJS.ReadableStream|ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} stream
+ * @param {string[]} algorithms
+ * @returns {Promise<Record<string, string>>} URN per algorithm
+ *
+ * @example
+ * const urns = await hashUrnsFromStream(fs.createReadStream("./archive.pdf"), ["sha256", "sha384"]);
+ * // -> { sha256: "sha256:...", sha384: "sha384:..." }
+ */
+export async function hashUrnsFromStream(stream, algorithms) {
+  const hashes = algorithms.map((a) => [a, createHash(a)]);
+  for await (const chunk of iterateChunks(stream)) {
+    for (const [, hash] of hashes) hash.update(chunk);
+  }
+  return Object.fromEntries(hashes.map(([a, hash]) => [a, `${a}:${hash.digest("hex")}`]));
+}
+
+/**
+ * @param {string} filePath
+ * @param {string[]} algorithms
+ * @returns {Promise<Record<string, string>>} URN per algorithm
+ */
+export function hashUrnsFromFile(filePath, algorithms) {
+  return hashUrnsFromStream(fs.createReadStream(filePath), algorithms);
+}
+
+/**
+ * @param {NodeJS.ReadableStream|ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} stream
+ * @param {string} [algorithm]
+ * @returns {Promise<string>}
+ */
+export async function hashUrnFromStream(stream, algorithm = DEFAULT_HASH_ALGORITHM) {
+  return (await hashUrnsFromStream(stream, [algorithm]))[algorithm];
+}
+
+/**
+ * @param {string} filePath
+ * @param {string} [algorithm]
+ * @returns {Promise<string>}
+ */
+export function hashUrnFromFile(filePath, algorithm = DEFAULT_HASH_ALGORITHM) {
+  return hashUrnFromStream(fs.createReadStream(filePath), algorithm);
+}
 
 /** @param {Buffer} buf */
 export function sha256HexFromBuffer(buf) {
@@ -11,17 +87,62 @@ export function sha256HexFromUtf8(text) {
   return crypto.createHash("sha256").update(text, "utf8").digest("hex");
 }
 
-/** @param {string} filePath */
+/**
+ * Hash a Node Readable or a web ReadableStream chunk by chunk.
+ * @param {NodeJS.ReadableStream|ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} stream
+ * @returns {Promise<string>}
+ */
+export async function sha256HexFromStream(stream) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of iterateChunks(stream)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Reads the whole file into memory.
+ * @deprecated Use sha256HexFromFileAsync, which streams the file; kept synchronous for 0.1.0 callers.
+ * @param {string} filePath
+ */
 export function sha256HexFromFile(filePath) {
   const buf = fs.readFileSync(filePath);
   return sha256HexFromBuffer(buf);
 }
 
-/** @param {string} filePath */
+/**
+ * Stream the file from disk; memory use is constant regardless of file size.
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+export function sha256HexFromFileAsync(filePath) {
+  return sha256HexFromStream(fs.createReadStream(filePath));
+}
+
+/**
+ * @deprecated Use sha256UrnFromFileAsync, which streams the file; kept synchronous for 0.1.0 callers.
+ * @param {string} filePath
+ */
 export function sha256UrnFromFile(filePath) {
   return `sha256:${sha256HexFromFile(filePath)}`;
 }
 
+/**
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+export async function sha256UrnFromFileAsync(filePath) {
+  return `sha256:${await sha256HexFromFileAsync(filePath)}`;
+}
+
+/**
+ * @param {NodeJS.ReadableStream|ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} stream
+ * @returns {Promise<string>}
+ */
+export async function sha256UrnFromStream(stream) {
+  return `sha256:${await sha256HexFromStream(stream)}`;
+}
+
 /** @param {Buffer} buf */
 export function sha256UrnFromBuffer(buf) {
   return `sha256:${sha256HexFromBuffer(buf)}`;
@@ -31,3 +152,65 @@ export function sha256UrnFromBuffer(buf) {
 export function sha256UrnFromUtf8(text) {
   return `sha256:${sha256HexFromUtf8(text)}`;
 }
+
+/**
+ * Pass-through stream that hashes data as it flows through, so an upload can be
+ * hashed while it is piped to storage without reading it twice.
+ * `urn` resolves to "sha256:<hex>" once the stream has finished.
+ *
+ * @returns {Transform & { urn: Promise<string> }}
+ *
+ * @example
+ * const hasher = createSha256PassThrough();
+ * await pipeline(req, hasher, fs.createWriteStream("./upload.pdf"));
+ * const document_hash = await hasher.urn;
+ */
+export function createSha256PassThrough() {
+  const hash = crypto.createHash("sha256");
+  let resolveUrn;
+  let rejectUrn;
+  const urn = new Promise((resolve, reject) => {
+    resolveUrn = resolve;
+    rejectUrn = reject;
+  });
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      resolveUrn(`sha256:${hash.digest("hex")}`);
+      callback();
+    }
+  });
+  stream.on("error", rejectUrn);
+  stream.urn = urn;
+  // Avoid an unhandled rejection when the caller only awaits the pipeline.
+  stream.urn.catch(() => {});
+  return stream;
+}
+
+function createHash(algorithm) {
+  return crypto.createHash(hashAlgorithmSpec(algorithm).nodeName);
+}
+
+async function* iterateChunks(stream) {
+  if (typeof stream?.[Symbol.asyncIterator] === "function") {
+    yield* stream;
+    return;
+  }
+  if (typeof stream?.getReader === "function") {
+    const reader = stream.getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield value;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+  throw new TypeError("Expected a Node Readable, web ReadableStream or async iterable");
+}
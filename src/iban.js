@@ -0,0 +1,243 @@
+import { WindiValidationError } from "./errors.js";
+
+/**
+ * WINDI IBAN / BIC Validation
+ *
+ * ISO 13616 IBAN validation: country registry with expected lengths and BBAN
+ * structure, plus the ISO 7064 mod-97-10 checksum. BIC per ISO 9362.
+ *
+ * BBAN structure uses the SWIFT registry notation:
+ *   n = digits, a = uppercase letters, c = letters or digits
+ */
+
+/** Country code → [IBAN length, BBAN structure]. */
+export const IBAN_REGISTRY = Object.freeze({
+  AD: [24, "4n4n12c"],
+  AE: [23, "3n16n"],
+  AL: [28, "8n16c"],
+  AT: [20, "5n11n"],
+  AZ: [28, "4a20c"],
+  BA: [20, "3n3n8n2n"],
+  BE: [16, "3n7n2n"],
+  BG: [22, "4a4n2n8c"],
+  BH: [22, "4a14c"],
+  BI: [27, "5n5n11n2n"],
+  BR: [29, "8n5n10n1a1c"],
+  BY: [28, "4c4n16c"],
+  CH: [21, "5n12c"],
+  CR: [22, "4n14n"],
+  CY: [28, "3n5n16c"],
+  CZ: [24, "4n6n10n"],
+  DE: [22, "8n10n"],
+  DJ: [27, "5n5n11n2n"],
+  DK: [18, "4n9n1n"],
+  DO: [28, "4c20n"],
+  EE: [20, "2n2n11n1n"],
+  EG: [29, "4n4n17n"],
+  ES: [24, "4n4n1n1n10n"],
+  FI: [18, "3n11n"],
+  FK: [18, "2a12n"],
+  FO: [18, "4n9n1n"],
+  FR: [27, "5n5n11c2n"],
+  GB: [22, "4a6n8n"],
+  GE: [22, "2a16n"],
+  GI: [23, "4a15c"],
+  GL: [18, "4n9n1n"],
+  GR: [27, "3n4n16c"],
+  GT: [28, "4c20c"],
+  HN: [28, "4a20n"],
+  HR: [21, "7n10n"],
+  HU: [28, "3n4n1n15n1n"],
+  IE: [22, "4a6n8n"],
+  IL: [23, "3n3n13n"],
+  IQ: [23, "4a3n12n"],
+  IS: [26, "4n2n6n10n"],
+  IT: [27, "1a5n5n12c"],
+  JO: [30, "4a4n18c"],
+  KW: [30, "4a22c"],
+  KZ: [20, "3n13c"],
+  LB: [28, "4n20c"],
+  LC: [32, "4a24c"],
+  LI: [21, "5n12c"],
+  LT: [20, "5n11n"],
+  LU: [20, "3n13c"],
+  LV: [21, "4a13c"],
+  LY: [25, "3n3n15n"],
+  MC: [27, "5n5n11c2n"],
+  MD: [24, "2c18c"],
+  ME: [22, "3n13n2n"],
+  MK: [19, "3n10c2n"],
+  MN: [20, "4n12n"],
+  MR: [27, "5n5n11n2n"],
+  MT: [31, "4a5n18c"],
+  MU: [30, "4a2n2n12n3n3a"],
+  NI: [28, "4a20n"],
+  NL: [18, "4a10n"],
+  NO: [15, "4n6n1n"],
+  OM: [23, "3n16c"],
+  PK: [24, "4a16c"],
+  PL: [28, "8n16n"],
+  PS: [29, "4a21c"],
+  PT: [25, "4n4n11n2n"],
+  QA: [29, "4a21c"],
+  RO: [24, "4a16c"],
+  RS: [22, "3n13n2n"],
+  RU: [33, "9n5n15c"],
+  SA: [24, "2n18c"],
+  SC: [31, "4a2n2n16n3a"],
+  SD: [18, "2n12n"],
+  SE: [24, "3n16n1n"],
+  SI: [19, "5n8n2n"],
+  SK: [24, "4n6n10n"],
+  SM: [27, "1a5n5n12c"],
+  SO: [23, "4n3n12n"],
+  ST: [25, "4n4n11n2n"],
+  SV: [28, "4a20n"],
+  TL: [23, "3n14n2n"],
+  TN: [24, "2n3n13n2n"],
+  TR: [26, "5n1n16c"],
+  UA: [29, "6n19c"],
+  VA: [22, "3n15n"],
+  VG: [24, "4a16n"],
+  XK: [20, "4n10n2n"],
+  YE: [30, "4a4n18c"]
+});
+
+const CHAR_CLASS = { n: "[0-9]", a: "[A-Z]", c: "[A-Z0-9]" };
+const bbanPatterns = new Map();
+
+/**
+ * Normalize an IBAN for validation: remove whitespace/hyphens and an "IBAN" prefix, uppercase.
+ * @param {string} iban
+ */
+export function normalizeIBAN(iban) {
+  return String(iban ?? "")
+    .normalize("NFKC")
+    .replace(/[\s-]/g, "")
+    .toUpperCase()
+    .replace(/^IBAN:?/, "");
+}
+
+/**
+ * Validate an IBAN structurally and by checksum.
+ *
+ * @param {string} input
+ * @returns {import("./types.js").IbanValidationResult}
+ *
+ * @example
+ * validateIBAN("DE89 3704 0044 0532 0130 00");
+ * // -> { valid: true, iban: "DE89370400440532013000", country: "DE", errors: [] }
+ * validateIBAN("DE00 1234").errors[0].code;
+ * // -> "INVALID_LENGTH"
+ */
+export function validateIBAN(input) {
+  const iban = normalizeIBAN(input);
+  const country = iban.slice(0, 2);
+  const result = (errors) => ({ valid: errors.length === 0, iban, country: country || undefined, errors });
+
+  if (!iban) return result([{ code: "EMPTY", message: "IBAN is empty" }]);
+  if (!/^[A-Z0-9]+$/.test(iban)) {
+    return result([{ code: "INVALID_CHARACTERS", message: "IBAN may only contain letters and digits" }]);
+  }
+  if (!/^[A-Z]{2}[0-9]{2}/.test(iban)) {
+    return result([{ code: "INVALID_FORMAT", message: "IBAN must start with a country code and two check digits" }]);
+  }
+
+  const entry = IBAN_REGISTRY[country];
+  if (!entry) {
+    return result([{ code: "UNKNOWN_COUNTRY", message: `Country ${country} does not use IBAN` }]);
+  }
+
+  const [length, structure] = entry;
+  const errors = [];
+  if (iban.length !== length) {
+    errors.push({
+      code: "INVALID_LENGTH",
+      message: `${country} IBAN must be ${length} characters, got ${iban.length}`
+    });
+  } else if (!bbanPattern(structure).test(iban.slice(4))) {
+    errors.push({ code: "INVALID_BBAN_FORMAT", message: `${country} BBAN must match ${structure}` });
+  }
+  const checkDigits = iban.slice(2, 4);
+  if (mod97(iban) !== 1) {
+    errors.push({ code: "INVALID_CHECKSUM", message: "IBAN check digits do not match (mod 97)" });
+  } else if (checkDigits === "00" || checkDigits === "01" || checkDigits === "99") {
+    // Equivalent to 97, 98 and 02 mod 97, so they pass the checksum, but are never issued.
+    errors.push({ code: "INVALID_CHECKSUM", message: `IBAN check digits ${checkDigits} are never issued` });
+  }
+  return result(errors);
+}
+
+/** @param {string} iban */
+export function isValidIBAN(iban) {
+  return validateIBAN(iban).valid;
+}
+
+/**
+ * Return the normalized IBAN or throw a WindiValidationError listing every problem.
+ * @param {string} iban
+ */
+export function assertValidIBAN(iban) {
+  const res = validateIBAN(iban);
+  if (!res.valid) {
+    throw new WindiValidationError(`Invalid IBAN: ${res.errors.map((e) => e.message).join("; ")}`, {
+      field: "iban",
+      reason: res.errors[0].code,
+      errors: res.errors
+    });
+  }
+  return res.iban;
+}
+
+/**
+ * Validate a BIC (ISO 9362): 4-letter institution, 2-letter country,
+ * 2-character location and optional 3-character branch.
+ *
+ * @param {string} input
+ * @param {{ country?: string }} [opts] - Expected country (e.g. the IBAN's country)
+ * @returns {import("./types.js").BicValidationResult}
+ */
+export function validateBIC(input, { country } = {}) {
+  const bic = String(input ?? "").replace(/\s/g, "").toUpperCase();
+  const errors = [];
+
+  if (!bic) {
+    errors.push({ code: "EMPTY", message: "BIC is empty" });
+  } else if (bic.length !== 8 && bic.length !== 11) {
+    errors.push({ code: "INVALID_LENGTH", message: `BIC must be 8 or 11 characters, got ${bic.length}` });
+  } else if (!/^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(bic)) {
+    errors.push({ code: "INVALID_FORMAT", message: "BIC must be AAAA CC LL [BBB]" });
+  } else if (country && bic.slice(4, 6) !== country.toUpperCase()) {
+    errors.push({ code: "COUNTRY_MISMATCH", message: `BIC country ${bic.slice(4, 6)} does not match ${country}` });
+  }
+
+  return { valid: errors.length === 0, bic, country: bic.slice(4, 6) || undefined, errors };
+}
+
+/** @param {string} bic */
+export function isValidBIC(bic) {
+  return validateBIC(bic).valid;
+}
+
+function bbanPattern(structure) {
+  let re = bbanPatterns.get(structure);
+  if (!re) {
+    const body = structure.replace(/(\d+)([nac])/g, (_, count, cls) => `${CHAR_CLASS[cls]}{${count}}`);
+    re = new RegExp(`^${body}$`);
+    bbanPatterns.set(structure, re);
+  }
+  return re;
+}
+
+/** ISO 7064 mod-97-10 over the rearranged IBAN, processed in chunks to stay within safe integers. */
+function mod97(iban) {
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const digits = ch >= "A" ? String(ch.charCodeAt(0) - 55) : ch;
+    for (const d of digits) {
+      remainder = (remainder * 10 + Number(d)) % 97;
+    }
+  }
+  return remainder;
+}
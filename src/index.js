@@ -1,5 +1,52 @@
 export { WindiVerifyClient } from "./client.js";
+export { PolicyEngine } from "./policy-node.js";
+export { DEFAULT_POLICY } from "./policy.js";
+export { TrustStore, OfflineVerifier, signaturePayload } from "./offline.js";
+export {
+  ServerKeyRing,
+  verifyResponseSignature,
+  verifyStoredResponse,
+  signResponse,
+  parseSignatureHeader
+} from "./signing.js";
+export {
+  StaticCredentialProvider,
+  EnvCredentialProvider,
+  CallbackCredentialProvider
+} from "./credentials.js";
+export { FileCredentialProvider, signRequest, verifyRequestSignature } from "./credentials-node.js";
+export { FetchTransport } from "./transport.js";
+export { AxiosTransport } from "./transport-axios.js";
+export { VerifyCache, MemoryLRUStore, DEFAULT_CACHE_TTL } from "./cache.js";
+export {
+  AuditLog,
+  JsonlFileSink,
+  MemorySink,
+  verifyAuditChain,
+  verifyAuditLogFile,
+  GENESIS_HASH
+} from "./audit.js";
+export { instrumentOpenTelemetry } from "./otel.js";
+export { Emitter } from "./events.js";
+export { EndpointPool, CircuitBreaker, DEFAULT_CIRCUIT_BREAKER } from "./endpoints.js";
+export { verifyFieldBindings, computeFieldCommitments, applyFieldFindings } from "./fields.js";
+export { runCanonVectors } from "./canon-vectors.js";
+export {
+  validateVerifyRequest,
+  validateVerifyResponse,
+  KNOWN_RISK_FLAGS,
+  TRUST_LEVELS,
+  VERDICTS,
+  INTEGRITY_STATUSES,
+  ISSUER_STATUSES
+} from "./contract.js";
 export * as Hash from "./hash.js";
 export * as Canon from "./canonicalization.js";
+export * as Wvc from "./wvc.js";
+export * as Pdf from "./pdf.js";
+export * as Manifest from "./manifest.js";
+export * as Iban from "./iban.js";
+export * as Amount from "./amount.js";
+export * as Currency from "./currency.js";
 export * from "./errors.js";
 export * from "./types.js";
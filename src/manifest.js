@@ -0,0 +1,236 @@
+import fs from "node:fs";
+import path from "node:path";
+import { WindiValidationError } from "./errors.js";
+import { parseHashUrn } from "./hash.js";
+import { isPdf, pdfRevisions, pdfStreams } from "./pdf.js";
+
+/**
+ * WINDI Manifest Extraction
+ *
+ * Reads the governance metadata a WINDI issuer embeds in or ships with a
+ * document: ids, the registered hash, field commitments and Virtue Receipts.
+ *
+ * Sources, in order of precedence:
+ *   1. PDF attachment: an embedded file (conventionally "windi-manifest.json") holding manifest JSON
+ *   2. PDF XMP metadata: properties in the WINDI namespace (XMP_NAMESPACE)
+ *   3. JSON sidecar: "<file>.windi.json" next to the document, or passed explicitly
+ *
+ * When several sources are present their ids must agree; a disagreement is
+ * reported as a conflict, since it points to a swapped or edited manifest.
+ *
+ * PDF sources are read from the original revision only. A manifest stream in an
+ * incremental update was not part of the issued document; it is not used, but
+ * the source is listed in `updated_sources`.
+ */
+
+export const MANIFEST_ATTACHMENT_NAME = "windi-manifest.json";
+export const XMP_NAMESPACE = "https://windi.eu/ns/manifest/1.0/";
+export const SIDECAR_SUFFIX = ".windi.json";
+
+/** XMP property name → manifest field. */
+const XMP_FIELDS = {
+  DocumentID: "document_id",
+  IssuerKeyID: "issuer_key_id",
+  ManifestID: "manifest_id",
+  DocumentHash: "document_hash",
+  ProofLevel: "proof_level"
+};
+
+/** Fields that must agree across sources. */
+const IDENTITY_FIELDS = ["document_id", "issuer_key_id", "manifest_id", "document_hash"];
+
+/**
+ * Validate and normalize manifest JSON.
+ *
+ * @param {string|Object} input - JSON text or parsed object
+ * @returns {import("./types.js").WindiManifest}
+ * @throws {WindiValidationError}
+ */
+export function parseManifest(input) {
+  let data = input;
+  if (typeof input === "string" || Buffer.isBuffer(input)) {
+    try {
+      data = JSON.parse(String(input));
+    } catch (err) {
+      fail(`Manifest is not valid JSON: ${err.message}`, "INVALID_MANIFEST");
+    }
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) fail("Manifest must be an object", "INVALID_MANIFEST");
+
+  for (const field of ["document_id", "issuer_key_id"]) {
+    if (typeof data[field] !== "string" || !data[field]) fail(`Manifest has no ${field}`, "INVALID_MANIFEST");
+  }
+  if (data.receipts !== undefined && !Array.isArray(data.receipts)) {
+    fail("Manifest receipts must be an array", "INVALID_MANIFEST");
+  }
+  let document_hash;
+  if (data.document_hash !== undefined) {
+    try {
+      document_hash = parseHashUrn(data.document_hash).urn;
+    } catch (err) {
+      fail(`Manifest document_hash: ${err.message}`, "INVALID_MANIFEST");
+    }
+  }
+
+  return {
+    ...data,
+    version: data.windi_manifest ?? data.version ?? 1,
+    document_hash,
+    field_commitments: data.field_commitments ?? {},
+    receipts: data.receipts ?? []
+  };
+}
+
+/**
+ * Extract the WINDI manifest from document bytes and/or a sidecar.
+ *
+ * @param {Buffer|Uint8Array} bytes
+ * @param {{ sidecar?: string|Object }} [opts] - Sidecar manifest (JSON text or object)
+ * @returns {import("./types.js").ManifestExtraction}
+ * @throws {WindiValidationError} reason NOT_FOUND if no source has a manifest
+ *   (manifests in incremental updates do not count)
+ *
+ * @example
+ * const { manifest, sources, conflicts } = extractManifest(fs.readFileSync("./invoice.pdf"));
+ * // manifest.document_id -> "windi:doc:inv-2026-001", sources -> ["pdf-attachment", "pdf-xmp"]
+ */
+export function extractManifest(bytes, { sidecar } = {}) {
+  const found = [];
+  const updated_sources = [];
+  if (bytes && isPdf(bytes)) {
+    const end = originalEnd(bytes);
+    const original = (offset) => offset < end;
+    const updated = (offset) => offset >= end;
+    const attachment = readAttachmentManifest(bytes, original);
+    if (attachment) found.push({ source: "pdf-attachment", manifest: attachment });
+    const xmp = readXmpManifest(bytes, original);
+    if (xmp) found.push({ source: "pdf-xmp", manifest: xmp });
+    if (readAttachmentManifest(bytes, updated)) updated_sources.push("pdf-attachment");
+    if (readXmpManifest(bytes, updated)) updated_sources.push("pdf-xmp");
+  }
+  if (sidecar !== undefined) found.push({ source: "sidecar", manifest: parseManifest(sidecar) });
+
+  if (!found.length) {
+    const hint = updated_sources.length ? " (an incremental update carries one, which does not count)" : "";
+    fail(`No WINDI manifest found in the document or a sidecar${hint}`, "NOT_FOUND");
+  }
+
+  const conflicts = [];
+  const [primary, ...others] = found;
+  const merged = { ...primary.manifest };
+  for (const { source, manifest } of others) {
+    for (const field of IDENTITY_FIELDS) {
+      const a = merged[field];
+      const b = manifest[field];
+      if (a !== undefined && b !== undefined && String(a).toLowerCase() !== String(b).toLowerCase()) {
+        conflicts.push({ field, sources: [primary.source, source], values: [a, b] });
+      }
+    }
+    for (const [k, v] of Object.entries(manifest)) {
+      if (merged[k] === undefined || (k === "receipts" && !merged.receipts.length)) merged[k] = v;
+    }
+  }
+
+  return { manifest: merged, source: primary.source, sources: found.map((f) => f.source), conflicts, updated_sources };
+}
+
+/**
+ * Extract the manifest for a file, picking up "<file>.windi.json" (or "<name>.windi.json")
+ * next to it when no sidecar is given.
+ *
+ * @param {string} filePath
+ * @param {{ sidecarPath?: string }} [opts]
+ * @returns {Promise<import("./types.js").ManifestExtraction>}
+ */
+export async function extractManifestFromFile(filePath, { sidecarPath } = {}) {
+  const bytes = await fs.promises.readFile(filePath);
+  const sidecarFile = sidecarPath ?? findSidecar(filePath);
+  const sidecar = sidecarFile ? await fs.promises.readFile(sidecarFile, "utf8") : undefined;
+  return extractManifest(bytes, { sidecar });
+}
+
+/**
+ * @param {string} filePath
+ * @returns {string|undefined} Path of an existing sidecar manifest for the file
+ */
+export function findSidecar(filePath) {
+  const { dir, name } = path.parse(filePath);
+  return [`${filePath}${SIDECAR_SUFFIX}`, path.join(dir, `${name}${SIDECAR_SUFFIX}`)].find((p) => fs.existsSync(p));
+}
+
+/** End of the original revision; the whole file if no trailer is found. */
+function originalEnd(bytes) {
+  try {
+    return pdfRevisions(bytes)[0].end;
+  } catch {
+    return Infinity;
+  }
+}
+
+/** First embedded file, at an offset accepted by `within`, that holds a WINDI manifest. */
+function readAttachmentManifest(bytes, within) {
+  for (const { offset, data } of pdfStreams(bytes, (dict) => /\/Type\s*\/EmbeddedFile\b/.test(dict))) {
+    if (!within(offset)) continue;
+    const text = data.toString("utf8").replace(/^﻿/, "").trim();
+    if (!text.startsWith("{")) continue;
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      continue;
+    }
+    if (looksLikeManifest(json)) return parseManifest(json);
+  }
+  return undefined;
+}
+
+/** Manifest fields from XMP properties in the WINDI namespace, at an offset accepted by `within`. */
+function readXmpManifest(bytes, within) {
+  const metadata = (dict) => /\/Type\s*\/Metadata\b/.test(dict);
+  for (const { offset, data } of pdfStreams(bytes, metadata)) {
+    if (!within(offset)) continue;
+    const xml = data.toString("utf8");
+    const ns = new RegExp(`xmlns:([\\w.-]+)\\s*=\\s*["']${escapeRegExp(XMP_NAMESPACE)}["']`).exec(xml);
+    if (!ns) continue;
+    const prefix = escapeRegExp(ns[1]);
+
+    const read = (prop) => {
+      const attr = new RegExp(`${prefix}:${prop}\\s*=\\s*"([^"]*)"`).exec(xml);
+      const elem = new RegExp(`<${prefix}:${prop}>([\\s\\S]*?)</${prefix}:${prop}>`).exec(xml);
+      const value = attr?.[1] ?? elem?.[1];
+      return value === undefined ? undefined : unescapeXml(value.trim());
+    };
+
+    const full = read("Manifest");
+    const fields = full ? parseManifest(full) : {};
+    for (const [prop, field] of Object.entries(XMP_FIELDS)) {
+      fields[field] ??= read(prop);
+    }
+    if (fields.document_id && fields.issuer_key_id) return parseManifest(fields);
+  }
+  return undefined;
+}
+
+function looksLikeManifest(json) {
+  return Boolean(json && typeof json === "object" && (json.windi_manifest !== undefined || /^windi:doc:/.test(json.document_id ?? ""))
+    && json.issuer_key_id);
+}
+
+function unescapeXml(s) {
+  return s
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+function fail(message, reason) {
+  throw new WindiValidationError(message, { field: "manifest", reason });
+}
@@ -0,0 +1,378 @@
+import http from "node:http";
+import fs from "node:fs";
+import crypto from "node:crypto";
+import { WindiConfigError, WindiWvcError } from "./errors.js";
+import { isHashUrn } from "./hash.js";
+import { parseWvc } from "./wvc.js";
+import { signResponse } from "./signing.js";
+import { verifyRequestSignature } from "./credentials-node.js";
+import { sleep } from "./retry.js";
+
+/**
+ * WINDI Mock Verification Server
+ *
+ * Implements /verify, /verify/wvc and /health from docs/api-contract.md against
+ * a fixture registry, for unit tests and local development. Faults (error codes,
+ * risk flags, latency, 429s, timeouts) can be configured globally, injected
+ * programmatically, or requested per call with X-Mock-* headers.
+ */
+
+/** Documented API error codes with their HTTP status. */
+export const MOCK_ERRORS = Object.freeze({
+  INVALID_API_KEY: { status: 401, message: "Invalid or missing API key" },
+  INVALID_HASH_FORMAT: { status: 400, message: "Document hash must be in <algorithm>:<hex> format" },
+  DOCUMENT_NOT_FOUND: { status: 404, message: "Document ID not registered" },
+  ISSUER_NOT_FOUND: { status: 404, message: "Issuer key not found" },
+  ISSUER_REVOKED: { status: 403, message: "Issuer key has been revoked" },
+  RATE_LIMITED: { status: 429, message: "Too many requests" },
+  INTERNAL_ERROR: { status: 500, message: "Server error" }
+});
+
+/**
+ * In-memory WINDI Verification API.
+ *
+ * @example
+ * // In-process, e.g. in a test
+ * const mock = new MockVerifyServer({
+ *   documents: [{ document_id: "windi:doc:inv-001", document_hash: hash, issuer_key_id: "windi:key:test-issuer" }]
+ * });
+ * const { url } = await mock.listen();
+ * const client = new WindiVerifyClient({ baseUrl: url, apiKey: "test-key" });
+ *
+ * mock.inject({ error: "RATE_LIMITED", retryAfter: 1 });  // next request gets a 429
+ * await client.verify(request);                            // retried, then VALID
+ * await mock.close();
+ */
+export class MockVerifyServer {
+  /**
+   * @param {import("./types.js").MockServerOptions} [opts]
+   */
+  constructor({
+    apiKeys = ["test-key"],
+    issuers = [{ key_id: "windi:key:test-issuer" }],
+    documents = [],
+    acceptUnknownDocuments = false,
+    latencyMs = 0,
+    rateLimit,
+    signingKey,
+    hmacKeys,
+    version = "1.0.0-mock"
+  } = {}) {
+    this.apiKeys = apiKeys ? new Set(apiKeys) : undefined;
+    /** @type {Map<string, string>|undefined} key id → secret for HMAC-signed requests */
+    this.hmacKeys = hmacKeys ? new Map(Object.entries(hmacKeys)) : undefined;
+    /** @type {Map<string, { key_id: string, status: "TRUSTED"|"REVOKED" }>} */
+    this.issuers = new Map();
+    /** @type {Map<string, import("./types.js").MockDocument>} */
+    this.documents = new Map();
+    this.acceptUnknownDocuments = acceptUnknownDocuments;
+    this.latencyMs = latencyMs;
+    this.rateLimit = rateLimit ? { limit: rateLimit.limit, windowMs: rateLimit.windowMs ?? 60_000 } : undefined;
+    this.version = version;
+    this.signingKey = signingKey;
+
+    /** @type {{ method: string, path: string, headers: object, body: any, status?: number }[]} */
+    this.requests = [];
+    this.faults = [];
+    this.window = { start: Date.now(), count: 0 };
+    this.server = undefined;
+    this.hanging = new Set();
+
+    issuers.forEach((i) => this.addIssuer(i));
+    documents.forEach((d) => this.addDocument(d));
+  }
+
+  /**
+   * Load a fixture file (same shape as the constructor options).
+   * @param {string} filePath
+   * @param {import("./types.js").MockServerOptions} [overrides]
+   */
+  static fromFile(filePath, overrides = {}) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      throw new WindiConfigError(`Cannot read mock fixtures ${filePath}: ${err.message}`);
+    }
+    return new MockVerifyServer({ ...data, ...overrides });
+  }
+
+  /** @param {{ key_id: string, status?: "TRUSTED"|"REVOKED" }} issuer */
+  addIssuer({ key_id, status = "TRUSTED" }) {
+    if (!key_id) throw new WindiConfigError("Mock issuer needs key_id");
+    this.issuers.set(key_id, { key_id, status });
+  }
+
+  /** @param {import("./types.js").MockDocument} doc */
+  addDocument(doc) {
+    if (!doc?.document_id || !doc?.document_hash) {
+      throw new WindiConfigError("Mock document needs document_id and document_hash");
+    }
+    this.documents.set(doc.document_id, { ...doc });
+  }
+
+  /**
+   * Inject a fault for the next matching request(s).
+   *
+   * @param {import("./types.js").MockFault} fault
+   * @param {{ times?: number, path?: string }} [opts] - How many requests to affect (default 1), optional path filter
+   */
+  inject(fault, { times = 1, path } = {}) {
+    this.faults.push({ fault, remaining: times, path });
+  }
+
+  /** Forget recorded requests, pending faults and the rate-limit window. */
+  reset() {
+    this.requests = [];
+    this.faults = [];
+    this.window = { start: Date.now(), count: 0 };
+  }
+
+  /**
+   * Start listening. Port 0 (default) picks a free port.
+   * @param {number} [port]
+   * @param {string} [host]
+   * @returns {Promise<{ url: string, port: number }>}
+   */
+  async listen(port = 0, host = "127.0.0.1") {
+    this.server = http.createServer((req, res) => this.#serve(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, resolve);
+    });
+    const address = this.server.address();
+    return { url: `http://${host}:${address.port}`, port: address.port };
+  }
+
+  /** Stop listening and drop connections held open by simulated timeouts. */
+  async close() {
+    if (!this.server) return;
+    this.hanging.forEach((release) => release());
+    this.server.closeAllConnections?.();
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = undefined;
+  }
+
+  /**
+   * Handle one request without HTTP, e.g. from a custom transport.
+   *
+   * @param {{ method: string, path: string, headers?: Record<string, string>, body?: any, rawBody?: string }} req
+   *   Header names are case-insensitive; rawBody (for signed requests) defaults to the JSON of body
+   * @returns {Promise<{ status: number, headers: Record<string, string>, body: any, timeout?: boolean }>}
+   */
+  async handle({ method, path, headers = {}, body, rawBody }) {
+    const h = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+    const entry = { method: method.toUpperCase(), path, headers: h, body };
+    this.requests.push(entry);
+
+    const fault = { ...this.#takeFault(path), ...headerFault(h) };
+    const latency = fault.latencyMs ?? this.latencyMs;
+    if (latency) await sleep(typeof latency === "number" ? latency : randomBetween(latency));
+    if (fault.timeout) return { status: 0, headers: {}, body: undefined, timeout: true };
+
+    const requestId = `req-mock-${crypto.randomUUID()}`;
+    const raw = rawBody ?? (body === undefined ? "" : JSON.stringify(body));
+    const response = this.#route({ ...entry, rawBody: raw }, fault, requestId);
+    response.headers = { "x-request-id": requestId, ...this.#rateLimitHeaders(), ...response.headers };
+    entry.status = response.status;
+    return response;
+  }
+
+  async #serve(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString("utf8");
+
+    let body;
+    if (text) {
+      try {
+        body = JSON.parse(text);
+      } catch {
+        body = { __invalid_json: true };
+      }
+    }
+
+    let response;
+    try {
+      response = await this.handle({ method: req.method, path: req.url.split("?")[0], headers: req.headers, body, rawBody: text });
+    } catch (err) {
+      response = errorResponse({ error: "INTERNAL_ERROR", message: err.message }, "req-mock-error");
+    }
+    if (response.timeout) {
+      // Never answer; the client's timeout fires. close() releases the socket.
+      let release;
+      await new Promise((resolve) => {
+        release = resolve;
+        this.hanging.add(release);
+        req.socket.once("close", release);
+      });
+      this.hanging.delete(release);
+      return;
+    }
+
+    res.writeHead(response.status, { "content-type": "application/json", ...response.headers });
+    res.end(JSON.stringify(response.body));
+  }
+
+  #route({ method, path, headers, body, rawBody }, fault, requestId) {
+    if (method === "GET" && path === "/health") {
+      if (fault.error) return errorResponse(fault, requestId);
+      return ok({ status: "healthy", version: this.version, timestamp: new Date().toISOString() });
+    }
+
+    const isVerify = method === "POST" && path === "/verify";
+    const isWvc = method === "POST" && path === "/verify/wvc";
+    if (!isVerify && !isWvc) {
+      return { status: 404, body: { error: "NOT_FOUND", message: `No route ${method} ${path}`, request_id: requestId } };
+    }
+
+    if (!this.#authenticated({ method, path, headers, body: rawBody })) {
+      return errorResponse({ error: "INVALID_API_KEY" }, requestId);
+    }
+    if (this.#overRateLimit()) {
+      const retryAfter = Math.ceil((this.window.start + this.rateLimit.windowMs - Date.now()) / 1000);
+      return errorResponse({ error: "RATE_LIMITED", retryAfter }, requestId);
+    }
+    if (fault.error) return errorResponse(fault, requestId);
+    if (!body || body.__invalid_json) {
+      return { status: 400, body: { error: "INVALID_REQUEST", message: "Body must be JSON", request_id: requestId } };
+    }
+
+    let req = body;
+    if (isWvc) {
+      try {
+        const parsed = parseWvc(body.wvc);
+        req = { ...parsed, proof_level: body.proof_level ?? parsed.proof_level };
+      } catch (err) {
+        if (!(err instanceof WindiWvcError)) throw err;
+        return { status: 400, body: { error: "INVALID_WVC", message: err.message, request_id: requestId } };
+      }
+    }
+    const response = this.#verify(req, fault, requestId);
+    if (this.signingKey && response.status === 200) this.#sign(response, req, fault);
+    return response;
+  }
+
+  /** API key header, or an HMAC request signature made with one of `hmacKeys`. */
+  #authenticated(req) {
+    if (this.hmacKeys && req.headers.authorization) {
+      return verifyRequestSignature(req, (keyId) => this.hmacKeys.get(keyId)).valid;
+    }
+    return !this.apiKeys || this.apiKeys.has(req.headers["x-windi-api-key"]);
+  }
+
+  /** Echo the request ids, stamp signed_at and add X-WINDI-Signature. */
+  #sign(response, req, fault) {
+    response.body = {
+      ...response.body,
+      document_id: req.document_id,
+      document_hash: req.document_hash,
+      signed_at: new Date().toISOString()
+    };
+    const header = signResponse(response.body, this.signingKey);
+    // A tampered body: the signature no longer matches, as after an intercepting proxy.
+    if (fault.tamper) response.body = { ...response.body, verdict: response.body.verdict === "VALID" ? "INVALID" : "VALID" };
+    response.headers = { ...response.headers, "x-windi-signature": header };
+  }
+
+  #verify(req, fault, requestId) {
+    if (!isHashUrn(req.document_hash)) {
+      return errorResponse({ error: "INVALID_HASH_FORMAT" }, requestId);
+    }
+
+    const issuer = this.issuers.get(req.issuer_key_id);
+    if (!issuer) return errorResponse({ error: "ISSUER_NOT_FOUND" }, requestId);
+    if (issuer.status === "REVOKED") return errorResponse({ error: "ISSUER_REVOKED" }, requestId);
+
+    let doc = this.documents.get(req.document_id);
+    if (!doc && !this.acceptUnknownDocuments) return errorResponse({ error: "DOCUMENT_NOT_FOUND" }, requestId);
+    doc ??= { document_id: req.document_id, document_hash: req.document_hash, issuer_key_id: req.issuer_key_id };
+
+    const hash_match = doc.document_hash === req.document_hash;
+    const issuer_match = doc.issuer_key_id === undefined || doc.issuer_key_id === req.issuer_key_id;
+    const risk_flags = [...new Set([...(doc.risk_flags ?? []), ...(fault.riskFlags ?? [])])];
+
+    let verdict = doc.verdict;
+    let integrity = doc.integrity;
+    if (!hash_match || !issuer_match) {
+      verdict = "INVALID";
+      integrity = "MODIFIED";
+    }
+    integrity ??= "INTACT";
+    verdict ??= risk_flags.length ? "SUSPECT" : "VALID";
+
+    return ok({
+      verdict,
+      integrity,
+      trust_level: req.proof_level ?? "L2",
+      issuer_status: issuer.status,
+      checks: {
+        hash_match,
+        signature_valid: issuer_match,
+        chain_verified: (req.proof_level ?? "L2") === "L3",
+        timestamp_valid: !risk_flags.includes("TIMESTAMP_DRIFT"),
+        ...doc.checks
+      },
+      risk_flags,
+      request_id: requestId
+    });
+  }
+
+  #takeFault(path) {
+    const slot = this.faults.find((f) => !f.path || f.path === path);
+    if (!slot) return {};
+    if (--slot.remaining <= 0) this.faults.splice(this.faults.indexOf(slot), 1);
+    return slot.fault;
+  }
+
+  #overRateLimit() {
+    if (!this.rateLimit) return false;
+    const now = Date.now();
+    if (now - this.window.start >= this.rateLimit.windowMs) this.window = { start: now, count: 0 };
+    this.window.count++;
+    return this.window.count > this.rateLimit.limit;
+  }
+
+  #rateLimitHeaders() {
+    if (!this.rateLimit) return {};
+    return {
+      "x-ratelimit-limit": String(this.rateLimit.limit),
+      "x-ratelimit-remaining": String(Math.max(0, this.rateLimit.limit - this.window.count)),
+      "x-ratelimit-reset": String(Math.ceil((this.window.start + this.rateLimit.windowMs) / 1000))
+    };
+  }
+}
+
+/**
+ * Faults requested by the caller through headers:
+ * X-Mock-Error, X-Mock-Risk-Flags (comma-separated), X-Mock-Latency (ms), X-Mock-Timeout,
+ * X-Mock-Tamper (alter the verdict after signing).
+ */
+function headerFault(headers) {
+  const fault = {};
+  if (headers["x-mock-error"]) fault.error = headers["x-mock-error"];
+  if (headers["x-mock-risk-flags"]) fault.riskFlags = headers["x-mock-risk-flags"].split(",").map((f) => f.trim());
+  if (headers["x-mock-latency"]) fault.latencyMs = Number(headers["x-mock-latency"]);
+  if (headers["x-mock-timeout"]) fault.timeout = true;
+  if (headers["x-mock-tamper"]) fault.tamper = true;
+  return fault;
+}
+
+function errorResponse({ error, status, message, retryAfter }, requestId) {
+  const known = MOCK_ERRORS[error];
+  const headers = {};
+  if (error === "RATE_LIMITED") headers["retry-after"] = String(retryAfter ?? 1);
+  return {
+    status: status ?? known?.status ?? 500,
+    headers,
+    body: { error, message: message ?? known?.message ?? error, request_id: requestId }
+  };
+}
+
+function ok(body) {
+  return { status: 200, headers: {}, body };
+}
+
+function randomBetween([min, max]) {
+  return min + Math.floor(Math.random() * (max - min));
+}
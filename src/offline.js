@@ -0,0 +1,186 @@
+import fs from "node:fs";
+import crypto from "node:crypto";
+import { WindiConfigError } from "./errors.js";
+
+/**
+ * WINDI Offline (L1) Verification
+ *
+ * Verifies a document hash and issuer signature against a locally stored
+ * issuer key registry and revocation list, without calling the API.
+ * Results have the same shape as a /verify response with trust_level "L1".
+ */
+
+/**
+ * Canonical string an issuer signs for a document.
+ * @param {{ document_id: string, document_hash: string, issuer_key_id: string }} req
+ */
+export function signaturePayload({ document_id, document_hash, issuer_key_id }) {
+  return `DOCSIG|V1|${document_id}|${document_hash}|${issuer_key_id}`;
+}
+
+/**
+ * Local registry of issuer public keys, revoked keys and cached document registrations.
+ *
+ * @example
+ * const store = TrustStore.fromFile("./windi-trust-store.json");
+ * store.revoke("windi:key:old-issuer", { reason: "KEY_COMPROMISE" });
+ */
+export class TrustStore {
+  /**
+   * @param {import("./types.js").TrustStoreData} [data]
+   */
+  constructor({ issuers = [], revocations = [], documents = [] } = {}) {
+    /** @type {Map<string, { key_id: string, publicKey: crypto.KeyObject, name?: string }>} */
+    this.issuers = new Map();
+    /** @type {Map<string, { key_id: string, revoked_at?: string, reason?: string }>} */
+    this.revocations = new Map();
+    /** @type {Map<string, { document_id: string, document_hash: string, issuer_key_id: string, signature?: string }>} */
+    this.documents = new Map();
+
+    issuers.forEach((i) => this.addIssuer(i));
+    revocations.forEach((r) => this.revoke(r.key_id, r));
+    documents.forEach((d) => this.addDocument(d));
+  }
+
+  /** @param {string|import("./types.js").TrustStoreData} json */
+  static fromJSON(json) {
+    let data = json;
+    if (typeof json === "string") {
+      try {
+        data = JSON.parse(json);
+      } catch (err) {
+        throw new WindiConfigError(`Trust store is not valid JSON: ${err.message}`);
+      }
+    }
+    return new TrustStore(data);
+  }
+
+  /** @param {string} filePath */
+  static fromFile(filePath) {
+    return TrustStore.fromJSON(fs.readFileSync(filePath, "utf8"));
+  }
+
+  /**
+   * @param {{ key_id: string, public_key: string|object, name?: string }} issuer
+   *   public_key is a PEM string or a JWK object
+   */
+  addIssuer({ key_id, public_key, name }) {
+    if (!key_id) throw new WindiConfigError("Issuer entry needs key_id");
+    let publicKey;
+    try {
+      publicKey = typeof public_key === "string"
+        ? crypto.createPublicKey(public_key)
+        : crypto.createPublicKey({ key: public_key, format: "jwk" });
+    } catch (err) {
+      throw new WindiConfigError(`Issuer ${key_id}: invalid public key (${err.message})`, { key_id });
+    }
+    this.issuers.set(key_id, { key_id, publicKey, name });
+  }
+
+  /**
+   * @param {string} keyId
+   * @param {{ revoked_at?: string, reason?: string }} [info]
+   */
+  revoke(keyId, { revoked_at, reason } = {}) {
+    this.revocations.set(keyId, { key_id: keyId, revoked_at, reason });
+  }
+
+  /**
+   * Cache a document registration (hash + issuer signature) for offline checks.
+   * @param {{ document_id: string, document_hash: string, issuer_key_id: string, signature?: string }} doc
+   */
+  addDocument(doc) {
+    if (!doc?.document_id || !doc?.document_hash) {
+      throw new WindiConfigError("Document entry needs document_id and document_hash");
+    }
+    this.documents.set(doc.document_id, { ...doc });
+  }
+
+  /**
+   * A revocation applies from its revoked_at on; without a parseable revoked_at, at once.
+   * @param {string} keyId
+   * @param {Date} [at] - Point in time to check (default: now)
+   */
+  issuerStatus(keyId, at = new Date()) {
+    const revocation = this.revocations.get(keyId);
+    if (revocation && !(Date.parse(revocation.revoked_at) > at.getTime())) return "REVOKED";
+    return this.issuers.has(keyId) ? "TRUSTED" : "UNKNOWN";
+  }
+}
+
+/**
+ * Offline L1 verifier.
+ *
+ * @example
+ * const offline = new OfflineVerifier(TrustStore.fromFile("./windi-trust-store.json"));
+ * const result = offline.verify(
+ *   { document_id: "windi:doc:inv-001", document_hash: "sha256:...", issuer_key_id: "windi:key:bank" },
+ *   { signature: "base64..." }
+ * );
+ * // result.trust_level === "L1"
+ */
+export class OfflineVerifier {
+  /** @param {TrustStore} store */
+  constructor(store) {
+    if (!(store instanceof TrustStore)) throw new WindiConfigError("OfflineVerifier requires a TrustStore");
+    this.store = store;
+  }
+
+  /**
+   * Verify against the local trust store.
+   * The signature defaults to the one cached with the document registration.
+   *
+   * @param {import("./types.js").VerifyRequest} req
+   * @param {{ signature?: string }} [opts] - Base64 issuer signature over signaturePayload(req)
+   * @returns {import("./types.js").VerifyResponse}
+   */
+  verify(req, { signature } = {}) {
+    const record = this.store.documents.get(req.document_id);
+    const issuer_status = this.store.issuerStatus(req.issuer_key_id);
+    const issuer = this.store.issuers.get(req.issuer_key_id);
+    const sig = signature ?? record?.signature;
+
+    const hash_match = record ? record.document_hash === req.document_hash : undefined;
+    // As the API does: a document registered to another issuer fails the signature check.
+    const issuer_match = record?.issuer_key_id === undefined || record.issuer_key_id === req.issuer_key_id;
+    const signature_valid = !issuer_match ? false : issuer && sig ? verifySignature(issuer.publicKey, req, sig) : undefined;
+
+    const risk_flags = [];
+    if (issuer_status === "UNKNOWN") risk_flags.push("ISSUER_UNKNOWN");
+
+    let integrity = "UNKNOWN";
+    if (hash_match === false || signature_valid === false) integrity = "MODIFIED";
+    else if (hash_match || signature_valid) integrity = "INTACT";
+
+    let verdict;
+    if (integrity === "MODIFIED" || issuer_status === "REVOKED") verdict = "INVALID";
+    else if (signature_valid && issuer_status === "TRUSTED") verdict = "VALID";
+    else verdict = "SUSPECT";
+
+    return {
+      verdict,
+      integrity,
+      trust_level: "L1",
+      issuer_status,
+      checks: {
+        hash_match: hash_match ?? null,
+        signature_valid: signature_valid ?? null,
+        chain_verified: false,
+        offline: true
+      },
+      risk_flags,
+      request_id: `offline-${crypto.randomUUID()}`
+    };
+  }
+}
+
+function verifySignature(publicKey, req, signatureB64) {
+  const data = Buffer.from(signaturePayload(req), "utf8");
+  // Ed25519/Ed448 take no digest; RSA and ECDSA keys sign SHA-256.
+  const digest = ["ed25519", "ed448"].includes(publicKey.asymmetricKeyType) ? null : "sha256";
+  try {
+    return crypto.verify(digest, data, publicKey, Buffer.from(signatureB64, "base64"));
+  } catch {
+    return false;
+  }
+}
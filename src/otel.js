@@ -0,0 +1,81 @@
+/**
+ * WINDI OpenTelemetry adapter
+ *
+ * Traces every HTTP attempt of a WindiVerifyClient as a CLIENT span and propagates
+ * the active trace context to the API. The `@opentelemetry/api` module is passed in
+ * by the caller, so the SDK itself does not depend on it.
+ */
+
+/**
+ * Instrument a client with OpenTelemetry spans.
+ *
+ * @param {import("./client.js").WindiVerifyClient} client
+ * @param {{ api: any, tracerName?: string, tracerVersion?: string }} opts
+ *   `api` is the imported `@opentelemetry/api` module
+ * @returns {() => void} Function that removes the instrumentation
+ *
+ * @example
+ * import * as otel from "@opentelemetry/api";
+ * instrumentOpenTelemetry(client, { api: otel });
+ */
+export function instrumentOpenTelemetry(client, { api, tracerName = "windi-reader-sdk", tracerVersion } = {}) {
+  const tracer = api.trace.getTracer(tracerName, tracerVersion);
+
+  return client.use({
+    beforeRequest(ctx) {
+      const method = ctx.method.toUpperCase();
+      const span = tracer.startSpan(`WINDI ${method} ${ctx.url}`, {
+        kind: api.SpanKind.CLIENT,
+        attributes: compact({
+          "http.request.method": method,
+          "url.path": ctx.url,
+          "windi.endpoint": ctx.endpoint,
+          "windi.document_id": ctx.data?.document_id,
+          "windi.attempt": ctx.attempt
+        })
+      });
+      ctx.state.span = span;
+
+      const spanContext = api.trace.setSpan(api.context.active(), span);
+      api.propagation.inject(spanContext, ctx.headers);
+    },
+
+    afterResponse(ctx) {
+      const span = ctx.state.span;
+      if (!span) return;
+      ctx.state.span = undefined;
+      span.setAttributes(
+        compact({
+          "http.response.status_code": ctx.status,
+          "windi.request_id": ctx.requestId,
+          "windi.verdict": ctx.response?.verdict,
+          "windi.trust_level": ctx.response?.trust_level,
+          "windi.ratelimit.remaining": client.serverRateLimit.remaining
+        })
+      );
+      span.end();
+    },
+
+    // Also runs when a later hook, the credentials or the transport throw, so the span always ends.
+    onError(ctx) {
+      const span = ctx.state.span;
+      if (!span) return;
+      ctx.state.span = undefined;
+      span.setAttributes(
+        compact({
+          "http.response.status_code": ctx.status,
+          "windi.request_id": ctx.error?.requestId,
+          "windi.error.code": ctx.error?.apiCode ?? ctx.error?.code,
+          "windi.ratelimit.remaining": client.serverRateLimit.remaining
+        })
+      );
+      span.recordException(ctx.error);
+      span.setStatus({ code: api.SpanStatusCode.ERROR, message: ctx.error?.message });
+      span.end();
+    }
+  });
+}
+
+function compact(attributes) {
+  return Object.fromEntries(Object.entries(attributes).filter(([, v]) => v !== undefined && v !== null));
+}
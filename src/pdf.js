@@ -0,0 +1,279 @@
+import fs from "node:fs";
+import zlib from "node:zlib";
+import { WindiValidationError } from "./errors.js";
+import { hashUrnFromBuffer, parseHashUrn, sha256UrnFromBuffer } from "./hash.js";
+
+/**
+ * WINDI PDF Revisions
+ *
+ * A PDF that is countersigned or re-saved by an approval tool usually gets an
+ * incremental update: new objects, a new cross-reference section and a new
+ * trailer appended after the original %%EOF. The original bytes stay unchanged,
+ * so the issued document can still be hashed exactly by cutting the file at the
+ * end of its first revision.
+ *
+ * Revisions are found by a linear scan for "%%EOF" markers preceded by a
+ * "startxref <offset>" line; each such trailer ends a revision. The /Prev chain
+ * is not followed, only read: every revision reports whether its /Prev points at
+ * the previous revision's xref (prev_valid), and a forward /Prev marks the
+ * first-page trailer of a linearized file. Both xref tables and xref streams are
+ * recognized. The scan can be fooled by "startxref ... %%EOF" bytes inside
+ * uncompressed stream data, which would split a revision in two; prev_valid is
+ * false for the revision after such a false boundary.
+ *
+ * A revision's byte range always starts at 0: revision N is the file as it was
+ * after N updates.
+ */
+
+const EOF_MARKER = "%%EOF";
+const HEADER_SEARCH_BYTES = 1024;
+const STARTXREF_RE = /startxref\s+(\d+)\s*$/;
+
+/**
+ * @param {Buffer|Uint8Array|ArrayBuffer} bytes
+ * @returns {boolean} True if a %PDF- header appears in the first 1024 bytes
+ */
+export function isPdf(bytes) {
+  return toBuffer(bytes).subarray(0, HEADER_SEARCH_BYTES).includes("%PDF-", 0, "latin1");
+}
+
+/**
+ * List the revisions of a PDF, oldest first.
+ *
+ * @param {Buffer|Uint8Array|ArrayBuffer} bytes
+ * @returns {import("./types.js").PdfRevision[]}
+ * @throws {WindiValidationError} if the input is not a PDF or has no usable %%EOF
+ *
+ * @example
+ * const revisions = Pdf.pdfRevisions(fs.readFileSync("./invoice-approved.pdf"));
+ * // [{ index: 0, start: 0, end: 48213, ... }, { index: 1, start: 0, end: 61877, ... }]
+ */
+export function pdfRevisions(bytes) {
+  const buf = toBuffer(bytes);
+  if (!isPdf(buf)) fail("Not a PDF: missing %PDF- header", "NOT_PDF");
+
+  const text = buf.toString("latin1");
+  const revisions = [];
+  let from = 0;
+
+  for (;;) {
+    const at = text.indexOf(EOF_MARKER, from);
+    if (at === -1) break;
+    from = at + EOF_MARKER.length;
+
+    const match = STARTXREF_RE.exec(text.slice(Math.max(0, at - 64), at));
+    if (!match) continue; // "%%EOF" inside content, not a trailer
+
+    const xref_offset = Number(match[1]);
+    const xref = readXref(text, xref_offset);
+    // Linearized files have a first-page trailer whose /Prev points forward to the
+    // main xref; its %%EOF is not a revision boundary.
+    if (xref.prev !== undefined && xref.prev > xref_offset) continue;
+
+    const eof_end = at + EOF_MARKER.length;
+    revisions.push({
+      index: revisions.length,
+      start: 0,
+      end: eof_end + eolLength(text, eof_end),
+      eof_end,
+      xref_offset,
+      xref_type: xref.type,
+      prev: xref.prev
+    });
+  }
+
+  if (!revisions.length) fail("PDF has no startxref/%%EOF trailer", "NO_TRAILER");
+  const last = revisions[revisions.length - 1];
+  // Trailing bytes after the last %%EOF (e.g. padding) belong to the last revision.
+  if (last.end < buf.length && !text.slice(last.end).trim()) last.end = buf.length;
+
+  return revisions.map((r, i) => ({
+    ...r,
+    update_start: i === 0 ? 0 : revisions[i - 1].end,
+    prev_valid: i === 0 ? r.prev === undefined : r.prev === revisions[i - 1].xref_offset
+  }));
+}
+
+/**
+ * Bytes of one revision (a view, not a copy).
+ *
+ * @param {Buffer|Uint8Array|ArrayBuffer} bytes
+ * @param {import("./types.js").PdfRevisionSelector} [revision] - "original" (default), "latest" or an index
+ * @returns {Buffer}
+ */
+export function pdfRevisionBytes(bytes, revision = "original") {
+  const buf = toBuffer(bytes);
+  const r = selectRevision(pdfRevisions(buf), revision);
+  return buf.subarray(r.start, r.end);
+}
+
+/**
+ * SHA-256 URN of one revision, e.g. the original issued document.
+ *
+ * @param {Buffer|Uint8Array|ArrayBuffer} bytes
+ * @param {import("./types.js").PdfRevisionSelector} [revision]
+ * @returns {string} "sha256:<hex>"
+ */
+export function sha256UrnFromPdfRevision(bytes, revision = "original") {
+  return sha256UrnFromBuffer(pdfRevisionBytes(bytes, revision));
+}
+
+/**
+ * Hash URN of one revision with any supported algorithm.
+ *
+ * @param {Buffer|Uint8Array|ArrayBuffer} bytes
+ * @param {import("./types.js").PdfRevisionSelector} [revision]
+ * @param {import("./types.js").HashAlgorithm} [algorithm] - Default "sha256"
+ * @returns {string} "<algorithm>:<hex>"
+ */
+export function hashUrnFromPdfRevision(bytes, revision = "original", algorithm = "sha256") {
+  return hashUrnFromBuffer(pdfRevisionBytes(bytes, revision), algorithm);
+}
+
+/**
+ * Find the revision whose bytes match a registered document hash.
+ * Both cut points (with and without the EOL after %%EOF) are tried, since
+ * writers differ in whether the original file ended with a newline.
+ *
+ * @param {Buffer|Uint8Array|ArrayBuffer} bytes
+ * @param {string} documentHash - Registered hash URN; its prefix selects the algorithm
+ * @returns {import("./types.js").PdfRevisionMatch}
+ *
+ * @example
+ * const match = Pdf.matchPdfRevision(bytes, manifest.document_hash);
+ * if (match.matched && match.incremental_updates > 0) {
+ *   console.log(`Original intact; ${match.incremental_updates} update(s) appended since`);
+ * }
+ */
+export function matchPdfRevision(bytes, documentHash) {
+  const buf = toBuffer(bytes);
+  const { algorithm, urn: wanted } = parseHashUrn(documentHash);
+  let end;
+  const revisions = pdfRevisions(buf).map((r) => {
+    const hash = hashUrnFromBuffer(buf.subarray(0, r.end), algorithm);
+    let matched = hash === wanted;
+    if (matched) end ??= r.end;
+    else if (r.eof_end !== r.end && hashUrnFromBuffer(buf.subarray(0, r.eof_end), algorithm) === wanted) {
+      matched = true;
+      end ??= r.eof_end;
+    }
+    return { ...r, hash, matched };
+  });
+
+  const hit = revisions.find((r) => r.matched);
+  return {
+    matched: Boolean(hit),
+    revision: hit?.index,
+    end,
+    incremental_updates: hit ? revisions.length - 1 - hit.index : undefined,
+    revisions
+  };
+}
+
+/**
+ * List the revisions of a PDF file.
+ * @param {string} filePath
+ * @returns {Promise<import("./types.js").PdfRevision[]>}
+ */
+export async function pdfRevisionsFromFile(filePath) {
+  return pdfRevisions(await fs.promises.readFile(filePath));
+}
+
+/**
+ * @param {import("./types.js").PdfRevision[]} revisions
+ * @param {import("./types.js").PdfRevisionSelector} revision
+ */
+export function selectRevision(revisions, revision) {
+  const index = revision === "original" ? 0 : revision === "latest" ? revisions.length - 1 : revision;
+  const r = Number.isInteger(index) ? revisions[index] : undefined;
+  if (!r) fail(`No PDF revision ${revision} (file has ${revisions.length})`, "NO_SUCH_REVISION");
+  return r;
+}
+
+/**
+ * Iterate the stream objects of a PDF whose dictionary passes `select`, with
+ * FlateDecode-compressed data inflated. Streams with other filters are skipped.
+ * Streams inside object streams do not exist by definition, so a flat scan finds them all.
+ *
+ * @param {Buffer|Uint8Array|ArrayBuffer} bytes
+ * @param {(dict: string) => boolean} [select] - Receives the raw dictionary text
+ * @returns {Generator<{ offset: number, dict: string, data: Buffer }>}
+ *
+ * @example
+ * for (const s of Pdf.pdfStreams(bytes, (d) => /\/Type\s*\/EmbeddedFile\b/.test(d))) {
+ *   console.log(s.data.toString("utf8"));
+ * }
+ */
+export function* pdfStreams(bytes, select = () => true) {
+  const buf = toBuffer(bytes);
+  const text = buf.toString("latin1");
+  const streamRe = />>\s*stream(\r\n|\n|\r)/g;
+
+  for (let m; (m = streamRe.exec(text)); ) {
+    const objAt = text.lastIndexOf(" obj", m.index);
+    if (objAt === -1) continue;
+    const dict = text.slice(objAt + 4, m.index + 2);
+    if (!select(dict)) continue;
+
+    const dataStart = m.index + m[0].length;
+    const length = /\/Length\s+(\d+)\b(?!\s+\d+\s+R)/.exec(dict);
+    let dataEnd = length ? dataStart + Number(length[1]) : text.indexOf("endstream", dataStart);
+    if (dataEnd < dataStart || dataEnd > buf.length) continue;
+    if (!length) dataEnd -= eolBefore(text, dataEnd);
+
+    const raw = buf.subarray(dataStart, dataEnd);
+    const filters = /\/Filter\s*(\[[^\]]*\]|\/\w+)/.exec(dict)?.[1].match(/\/\w+/g) ?? [];
+    let data;
+    if (!filters.length) data = raw;
+    else if (filters.length === 1 && filters[0] === "/FlateDecode") {
+      try {
+        data = zlib.inflateSync(raw);
+      } catch {
+        continue;
+      }
+    } else continue;
+
+    yield { offset: objAt, dict, data };
+  }
+}
+
+/** Cross-reference section at `offset`: a classic table or an xref stream object. */
+function readXref(text, offset) {
+  const head = text.slice(offset, offset + 32);
+  if (/^xref\s/.test(head)) {
+    const trailerAt = text.indexOf("trailer", offset);
+    const dict = trailerAt === -1 ? "" : text.slice(trailerAt, text.indexOf("startxref", trailerAt));
+    return { type: "table", prev: prevOf(dict) };
+  }
+  if (/^\d+\s+\d+\s+obj/.test(head)) {
+    const streamAt = text.indexOf("stream", offset);
+    const dict = text.slice(offset, streamAt === -1 ? offset + 4096 : streamAt);
+    if (/\/Type\s*\/XRef\b/.test(dict)) return { type: "stream", prev: prevOf(dict) };
+  }
+  return { type: "unknown", prev: undefined };
+}
+
+function prevOf(dict) {
+  const m = /\/Prev\s+(\d+)/.exec(dict);
+  return m ? Number(m[1]) : undefined;
+}
+
+function eolLength(text, at) {
+  if (text.startsWith("\r\n", at)) return 2;
+  return text[at] === "\n" || text[at] === "\r" ? 1 : 0;
+}
+
+function eolBefore(text, at) {
+  if (text.slice(at - 2, at) === "\r\n") return 2;
+  return text[at - 1] === "\n" || text[at - 1] === "\r" ? 1 : 0;
+}
+
+function toBuffer(bytes) {
+  if (Buffer.isBuffer(bytes)) return bytes;
+  if (bytes instanceof ArrayBuffer) return Buffer.from(bytes);
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function fail(message, reason) {
+  throw new WindiValidationError(message, { field: "pdf", reason });
+}
@@ -0,0 +1,23 @@
+import fs from "node:fs";
+import { PolicyEngine as PolicyEngineCore } from "./policy.js";
+
+/**
+ * WINDI Policy Engine for Node.js: the engine of policy.js plus loading rule
+ * sets from files.
+ */
+
+/**
+ * @example
+ * const engine = PolicyEngine.fromFile("./policy.json");
+ * const decision = engine.evaluate({ verify: result, payment: { amount: 75000, currency: "EUR" } });
+ */
+export class PolicyEngine extends PolicyEngineCore {
+  /**
+   * Build an engine from a JSON rule file.
+   * @param {string} filePath
+   * @returns {PolicyEngine}
+   */
+  static fromFile(filePath) {
+    return PolicyEngine.fromJSON(fs.readFileSync(filePath, "utf8"));
+  }
+}
@@ -0,0 +1,336 @@
+import { WindiPolicyError } from "./errors.js";
+
+/**
+ * WINDI Policy Engine
+ *
+ * Declarative ALLOW/HOLD/BLOCK decisions over a VerifyResponse and the
+ * payment it is supposed to back. Rule sets are plain JSON so thresholds
+ * can be changed by compliance without a code deploy.
+ *
+ * This module has no Node.js dependencies and is part of the web build;
+ * PolicyEngine.fromFile lives in policy-node.js.
+ */
+
+/** Action severity: the most severe matched action wins. */
+const ACTION_SEVERITY = { ALLOW: 0, HOLD: 1, BLOCK: 2 };
+
+const OPERATORS = {
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  in: (a, b) => Array.isArray(b) && b.includes(a),
+  nin: (a, b) => Array.isArray(b) && !b.includes(a),
+  gt: (a, b) => toNumber(a) > toNumber(b),
+  gte: (a, b) => toNumber(a) >= toNumber(b),
+  lt: (a, b) => toNumber(a) < toNumber(b),
+  lte: (a, b) => toNumber(a) <= toNumber(b),
+  contains: (a, b) => Array.isArray(a) && a.includes(b),
+  containsAny: (a, b) => Array.isArray(a) && Array.isArray(b) && b.some((x) => a.includes(x)),
+  exists: (a, b) => (a !== undefined && a !== null) === (b ?? true)
+};
+
+/**
+ * Default rule set shipped with the SDK.
+ * Tampering is checked first, then payee/amount flags, then trust requirements.
+ * It fails closed: only a VALID verdict with INTACT integrity is allowed, and
+ * anything no rule recognizes (an unknown verdict, a missing field) is held,
+ * as is a result that broke the API contract under lenient validation.
+ *
+ * The high-value threshold compares `payment.amount` as a plain number in the
+ * payment's own currency; it assumes EUR-sized units. Scope it per currency
+ * (add a `payment.currency` condition) when you pay in several currencies.
+ */
+export const DEFAULT_POLICY = Object.freeze({
+  version: 2,
+  default: { action: "HOLD", reason: "NOT_VERIFIED" },
+  rules: [
+    {
+      id: "tampered",
+      priority: 10,
+      action: "BLOCK",
+      reason: "TAMPERED",
+      when: {
+        any: [
+          { field: "verify.verdict", op: "eq", value: "INVALID" },
+          { field: "verify.integrity", op: "eq", value: "MODIFIED" }
+        ]
+      }
+    },
+    {
+      id: "issuer-revoked",
+      priority: 20,
+      action: "BLOCK",
+      reason: "ISSUER_REVOKED",
+      when: { field: "verify.issuer_status", op: "eq", value: "REVOKED" }
+    },
+    {
+      id: "iban-mismatch",
+      priority: 30,
+      action: "BLOCK",
+      reason: "IBAN_MISMATCH",
+      when: { field: "verify.risk_flags", op: "contains", value: "IBAN_MISMATCH" }
+    },
+    {
+      id: "amount-deviation",
+      priority: 40,
+      action: "HOLD",
+      reason: "AMOUNT_DEVIATION",
+      when: { field: "verify.risk_flags", op: "contains", value: "AMOUNT_DEVIATION" }
+    },
+    {
+      id: "beneficiary-mismatch",
+      priority: 41,
+      action: "HOLD",
+      reason: "BENEFICIARY_MISMATCH",
+      when: { field: "verify.risk_flags", op: "contains", value: "BENEFICIARY_MISMATCH" }
+    },
+    {
+      id: "reference-mismatch",
+      priority: 42,
+      action: "HOLD",
+      reason: "REFERENCE_MISMATCH",
+      when: { field: "verify.risk_flags", op: "contains", value: "REFERENCE_MISMATCH" }
+    },
+    {
+      id: "field-binding-error",
+      priority: 43,
+      action: "HOLD",
+      reason: "FIELD_BINDING_ERROR",
+      when: { field: "verify.risk_flags", op: "contains", value: "FIELD_BINDING_ERROR" }
+    },
+    {
+      id: "fields-not-bound",
+      priority: 44,
+      action: "HOLD",
+      reason: "FIELDS_NOT_BOUND",
+      when: { field: "verify.risk_flags", op: "contains", value: "FIELDS_NOT_BOUND" }
+    },
+    {
+      id: "pdf-incremental-update",
+      priority: 45,
+      action: "HOLD",
+      reason: "PDF_INCREMENTAL_UPDATE",
+      when: { field: "verify.risk_flags", op: "contains", value: "PDF_INCREMENTAL_UPDATE" }
+    },
+    {
+      id: "manifest-conflict",
+      priority: 46,
+      action: "HOLD",
+      reason: "MANIFEST_CONFLICT",
+      when: { field: "verify.risk_flags", op: "contains", value: "MANIFEST_CONFLICT" }
+    },
+    {
+      id: "manifest-in-update",
+      priority: 47,
+      action: "HOLD",
+      reason: "MANIFEST_IN_UPDATE",
+      when: { field: "verify.risk_flags", op: "contains", value: "MANIFEST_IN_UPDATE" }
+    },
+    {
+      id: "high-value-requires-l3",
+      priority: 50,
+      action: "HOLD",
+      reason: "HIGH_VALUE_REQUIRES_L3",
+      when: {
+        all: [
+          { field: "payment.amount", op: "gte", value: 50000 },
+          { field: "verify.trust_level", op: "ne", value: "L3" }
+        ]
+      }
+    },
+    {
+      id: "offline-only",
+      priority: 60,
+      action: "HOLD",
+      reason: "OFFLINE_ONLY",
+      when: { field: "verify.trust_level", op: "eq", value: "L1" }
+    },
+    {
+      id: "issuer-unknown",
+      priority: 70,
+      action: "HOLD",
+      reason: "ISSUER_UNKNOWN",
+      when: { field: "verify.issuer_status", op: "eq", value: "UNKNOWN" }
+    },
+    {
+      id: "suspect-document",
+      priority: 80,
+      action: "HOLD",
+      reason: "SUSPECT_DOCUMENT",
+      when: { field: "verify.verdict", op: "eq", value: "SUSPECT" }
+    },
+    {
+      id: "contract-warnings",
+      priority: 90,
+      action: "HOLD",
+      reason: "CONTRACT_WARNINGS",
+      when: { field: "verify.warnings", op: "exists" }
+    },
+    {
+      id: "verified",
+      priority: 100,
+      action: "ALLOW",
+      reason: "OK",
+      when: {
+        all: [
+          { field: "verify.verdict", op: "eq", value: "VALID" },
+          { field: "verify.integrity", op: "eq", value: "INTACT" }
+        ]
+      }
+    }
+  ]
+});
+
+/** Decision when no rule matches and the rule set has no `default`. */
+const FALLBACK_DECISION = Object.freeze({ action: "HOLD", reason: "NO_RULE_MATCHED" });
+
+/**
+ * Evaluates a declarative rule set against a verification result and payment context.
+ *
+ * @example
+ * const engine = PolicyEngine.fromJSON(await fetch("/policy.json").then((r) => r.text()));
+ * const decision = engine.evaluate({
+ *   verify: result,
+ *   payment: { amount: 75000, currency: "EUR" }
+ * });
+ * // -> { action: "HOLD", reason: "HIGH_VALUE_REQUIRES_L3", reasons: [...], trace: [...] }
+ */
+export class PolicyEngine {
+  /**
+   * @param {import("./types.js").PolicyRuleSet} [ruleSet] - Defaults to DEFAULT_POLICY
+   */
+  constructor(ruleSet = DEFAULT_POLICY) {
+    validateRuleSet(ruleSet);
+
+    this.version = ruleSet.version;
+    this.defaultDecision = { ...FALLBACK_DECISION, ...ruleSet.default };
+    // Stable sort: equal priorities keep declaration order.
+    this.rules = ruleSet.rules
+      .map((rule, index) => ({ rule, index }))
+      .sort((a, b) => (a.rule.priority ?? 0) - (b.rule.priority ?? 0) || a.index - b.index)
+      .map(({ rule }) => rule);
+  }
+
+  /**
+   * Build an engine from a JSON string or an already parsed object.
+   * @param {string|object} json
+   */
+  static fromJSON(json) {
+    let ruleSet = json;
+    if (typeof json === "string") {
+      try {
+        ruleSet = JSON.parse(json);
+      } catch (err) {
+        throw new WindiPolicyError(`Policy is not valid JSON: ${err.message}`);
+      }
+    }
+    // `this`, so PolicyEngine.fromJSON in policy-node.js builds the Node.js class.
+    return new this(ruleSet);
+  }
+
+  /**
+   * Evaluate all rules in priority order.
+   *
+   * @param {import("./types.js").PolicyContext} ctx
+   * @returns {import("./types.js").PolicyDecision}
+   */
+  evaluate(ctx) {
+    const scope = { verify: ctx?.verify ?? {}, payment: ctx?.payment ?? {} };
+    const trace = [];
+    const matched = [];
+
+    for (const rule of this.rules) {
+      const hit = evaluateCondition(rule.when, scope);
+      trace.push({ rule: rule.id, matched: hit, action: rule.action, reason: rule.reason });
+      if (hit) matched.push(rule);
+    }
+
+    if (matched.length === 0) {
+      return { ...this.defaultDecision, reasons: [], trace };
+    }
+
+    // Most severe action wins; its first (highest-priority) rule supplies the primary reason.
+    const action = matched.reduce(
+      (acc, r) => (ACTION_SEVERITY[r.action] > ACTION_SEVERITY[acc] ? r.action : acc),
+      "ALLOW"
+    );
+    const primary = matched.find((r) => r.action === action);
+
+    return {
+      action,
+      reason: primary.reason,
+      reasons: matched.map((r) => r.reason),
+      trace
+    };
+  }
+}
+
+function evaluateCondition(cond, scope) {
+  if (cond === undefined) return true;
+  if (cond.all) return cond.all.every((c) => evaluateCondition(c, scope));
+  if (cond.any) return cond.any.some((c) => evaluateCondition(c, scope));
+  if (cond.not) return !evaluateCondition(cond.not, scope);
+  return OPERATORS[cond.op](resolvePath(scope, cond.field), cond.value);
+}
+
+function resolvePath(obj, path) {
+  return path.split(".").reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+function toNumber(v) {
+  return typeof v === "number" ? v : Number(v);
+}
+
+function validateRuleSet(ruleSet) {
+  if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+    throw new WindiPolicyError("Policy must have a rules array");
+  }
+  if (ruleSet.default?.action && !Object.hasOwn(ACTION_SEVERITY, ruleSet.default.action)) {
+    throw new WindiPolicyError(`Unknown default action: ${ruleSet.default.action}`);
+  }
+
+  const ids = new Set();
+  for (const rule of ruleSet.rules) {
+    if (!rule?.id) throw new WindiPolicyError("Every rule needs an id");
+    if (ids.has(rule.id)) throw new WindiPolicyError(`Duplicate rule id: ${rule.id}`);
+    ids.add(rule.id);
+
+    if (!Object.hasOwn(ACTION_SEVERITY, rule.action)) {
+      throw new WindiPolicyError(`Rule ${rule.id}: unknown action ${rule.action}`, { rule: rule.id });
+    }
+    if (!rule.reason) {
+      throw new WindiPolicyError(`Rule ${rule.id}: reason is required`, { rule: rule.id });
+    }
+    if (rule.priority !== undefined && typeof rule.priority !== "number") {
+      throw new WindiPolicyError(`Rule ${rule.id}: priority must be a number`, { rule: rule.id });
+    }
+    validateCondition(rule.when, rule.id);
+  }
+}
+
+function validateCondition(cond, ruleId) {
+  if (cond === undefined) return;
+  if (cond === null || typeof cond !== "object") {
+    throw new WindiPolicyError(`Rule ${ruleId}: condition must be an object`, { rule: ruleId });
+  }
+  if (cond.all || cond.any) {
+    const list = cond.all ?? cond.any;
+    if (!Array.isArray(list)) {
+      throw new WindiPolicyError(`Rule ${ruleId}: all/any must be arrays`, { rule: ruleId });
+    }
+    list.forEach((c) => validateCondition(c, ruleId));
+    return;
+  }
+  if (cond.not) {
+    validateCondition(cond.not, ruleId);
+    return;
+  }
+  if (typeof cond.field !== "string" || !/^(verify|payment)\./.test(cond.field)) {
+    throw new WindiPolicyError(`Rule ${ruleId}: field must start with "verify." or "payment."`, {
+      rule: ruleId,
+      field: cond.field
+    });
+  }
+  if (!Object.hasOwn(OPERATORS, cond.op)) {
+    throw new WindiPolicyError(`Rule ${ruleId}: unknown operator ${cond.op}`, { rule: ruleId, op: cond.op });
+  }
+}
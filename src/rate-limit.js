@@ -0,0 +1,71 @@
+/**
+ * WINDI Rate Limiting
+ *
+ * Client-side token bucket plus tracking of the server's
+ * X-RateLimit-Limit/Remaining/Reset headers.
+ */
+
+/**
+ * Token bucket that paces requests to a requests-per-minute budget.
+ * Callers queue in order: each take() reserves a token and waits until it has been refilled.
+ *
+ * @example
+ * const bucket = new TokenBucket({ requestsPerMinute: 60 });
+ * await bucket.take();
+ */
+export class TokenBucket {
+  /**
+   * @param {{ requestsPerMinute: number, burst?: number }} opts
+   */
+  constructor({ requestsPerMinute, burst = requestsPerMinute }) {
+    this.capacity = burst;
+    this.refillPerMs = requestsPerMinute / 60_000;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  /** Tokens currently available (may be negative while callers are queued). */
+  get available() {
+    this.#refill();
+    return this.tokens;
+  }
+
+  /**
+   * Reserve one token, waiting for the refill if the bucket is empty.
+   * @returns {Promise<void>}
+   */
+  async take() {
+    this.#refill();
+    this.tokens -= 1;
+    if (this.tokens >= 0) return;
+    const waitMs = Math.ceil(-this.tokens / this.refillPerMs);
+    await new Promise((resolve) => setTimeout(resolve, waitMs));
+  }
+
+  #refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+}
+
+/**
+ * Parse X-RateLimit-* headers into a state snapshot.
+ * Returns undefined when the response carries no rate-limit headers.
+ *
+ * @param {Record<string, string>|undefined} headers
+ * @returns {{ limit?: number, remaining?: number, resetAt?: number }|undefined}
+ */
+export function parseRateLimitHeaders(headers) {
+  const limit = toInt(headers?.["x-ratelimit-limit"]);
+  const remaining = toInt(headers?.["x-ratelimit-remaining"]);
+  const reset = toInt(headers?.["x-ratelimit-reset"]);
+  if (limit === undefined && remaining === undefined && reset === undefined) return undefined;
+  return { limit, remaining, resetAt: reset === undefined ? undefined : reset * 1000 };
+}
+
+function toInt(v) {
+  if (v === undefined || v === null || v === "") return undefined;
+  const n = Number.parseInt(v, 10);
+  return Number.isNaN(n) ? undefined : n;
+}
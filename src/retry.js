@@ -0,0 +1,68 @@
+/**
+ * WINDI Retry Utilities
+ *
+ * Exponential backoff with jitter and server retry hints
+ * (Retry-After, X-RateLimit-Reset) for transient API failures.
+ */
+
+/** @type {Required<import("./types.js").RetryOptions>} */
+export const DEFAULT_RETRY = Object.freeze({
+  maxRetries: 3,
+  baseDelayMs: 250,
+  maxDelayMs: 10_000,
+  maxRetryAfterMs: 60_000,
+  jitter: true
+});
+
+/**
+ * Whether an error is worth retrying: network failures, timeouts, 429 and 5xx.
+ * Accepts SDK errors (which carry `isRetryable`) and raw axios errors.
+ * @param {any} err
+ */
+export function isRetryableError(err) {
+  if (typeof err?.isRetryable === "boolean") return err.isRetryable;
+  const status = err?.response?.status;
+  if (!status) return Boolean(err?.isAxiosError) && err.code !== "ERR_CANCELED";
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Exponential backoff delay for a given attempt (0-based).
+ * With jitter, uses "full jitter": a random delay between 0 and the capped exponential value.
+ *
+ * @param {number} attempt
+ * @param {Required<import("./types.js").RetryOptions>} opts
+ */
+export function backoffDelayMs(attempt, opts) {
+  const ceiling = Math.min(opts.maxDelayMs, opts.baseDelayMs * 2 ** attempt);
+  return opts.jitter ? Math.floor(Math.random() * ceiling) : ceiling;
+}
+
+/**
+ * Server-provided wait in milliseconds, or undefined if the response carries no hint.
+ * Retry-After (seconds or HTTP date) wins; X-RateLimit-Reset (epoch seconds) is used for 429s.
+ *
+ * @param {number|undefined} status
+ * @param {Record<string, string>|undefined} headers
+ * @param {number} [now]
+ */
+export function serverRetryDelayMs(status, headers, now = Date.now()) {
+  const retryAfter = headers?.["retry-after"];
+  if (retryAfter !== undefined && retryAfter !== "") {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - now);
+  }
+
+  if (status === 429) {
+    const reset = Number(headers?.["x-ratelimit-reset"]);
+    if (Number.isFinite(reset) && reset > 0) return Math.max(0, reset * 1000 - now);
+  }
+  return undefined;
+}
+
+/** @param {number} ms */
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,303 @@
+import fs from "node:fs";
+import crypto from "node:crypto";
+import { WindiConfigError, WindiSignatureError } from "./errors.js";
+import { canonicalJson } from "./audit.js";
+
+/**
+ * WINDI Response Signatures
+ *
+ * The verification API can sign each response body so a verdict cannot be
+ * altered between the server and the Reader (e.g. by a TLS-intercepting proxy),
+ * and so a stored verdict can later be shown to come from WINDI.
+ *
+ * The signature travels in the X-WINDI-Signature header, detached from the body.
+ * The signed bytes are the canonical JSON of the body (keys sorted, see
+ * canonicalJson), in one of two formats:
+ *
+ *   JWS (RFC 7515, detached):  <base64url(protected header)>..<base64url(signature)>
+ *                              protected header { alg, kid }; EdDSA, ES256 (P-256), ES384 (P-384),
+ *                              RS256, PS256
+ *   Ed25519:                   kid=<kid>; alg=ed25519; sig=<base64url(signature)>
+ *
+ * Signed bodies echo document_id and document_hash and carry signed_at, which
+ * binds a verdict to its request and limits replay.
+ */
+
+export const SIGNATURE_HEADER = "x-windi-signature";
+export const DEFAULT_SIGNATURE_MAX_SKEW_MS = 5 * 60_000;
+
+/** JWS alg → key type (and EC curve, RFC 7518 §3.4) and node verify parameters. */
+const JWS_ALGS = {
+  EdDSA: { keyType: "ed25519", digest: null },
+  ES256: { keyType: "ec", curve: "prime256v1", digest: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { keyType: "ec", curve: "secp384r1", digest: "sha384", dsaEncoding: "ieee-p1363" },
+  RS256: { keyType: "rsa", digest: "sha256" },
+  PS256: { keyType: "rsa", digest: "sha256", padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 }
+};
+
+/**
+ * Pinned WINDI server public keys. Several keys can be pinned at once for
+ * rotation; a key only verifies responses signed inside its validity window.
+ *
+ * @example
+ * const keys = new ServerKeyRing([
+ *   { kid: "windi:server:2026-01", public_key: pem2026, not_after: "2026-07-01T00:00:00Z" },
+ *   { kid: "windi:server:2026-06", public_key: pem2026b, not_before: "2026-06-01T00:00:00Z" }
+ * ]);
+ */
+export class ServerKeyRing {
+  /**
+   * @param {import("./types.js").ServerKeyData[]} [keys]
+   */
+  constructor(keys = []) {
+    /** @type {Map<string, { kid: string, publicKey: crypto.KeyObject, not_before?: number, not_after?: number }>} */
+    this.keys = new Map();
+    keys.forEach((k) => this.add(k));
+  }
+
+  /** @param {string|{ keys: import("./types.js").ServerKeyData[] }|import("./types.js").ServerKeyData[]} json */
+  static fromJSON(json) {
+    let data = json;
+    if (typeof json === "string") {
+      try {
+        data = JSON.parse(json);
+      } catch (err) {
+        throw new WindiConfigError(`Server key file is not valid JSON: ${err.message}`);
+      }
+    }
+    return new ServerKeyRing(Array.isArray(data) ? data : data?.keys ?? []);
+  }
+
+  /** @param {string} filePath */
+  static fromFile(filePath) {
+    return ServerKeyRing.fromJSON(fs.readFileSync(filePath, "utf8"));
+  }
+
+  /**
+   * Pin a key. A key with the same kid is replaced.
+   * @param {import("./types.js").ServerKeyData} key - public_key is a PEM string or a JWK object
+   */
+  add({ kid, public_key, not_before, not_after }) {
+    if (!kid) throw new WindiConfigError("Server key needs kid");
+    let publicKey;
+    try {
+      publicKey = typeof public_key === "string"
+        ? crypto.createPublicKey(public_key)
+        : crypto.createPublicKey({ key: public_key, format: "jwk" });
+    } catch (err) {
+      throw new WindiConfigError(`Server key ${kid}: invalid public key (${err.message})`, { kid });
+    }
+    this.keys.set(kid, { kid, publicKey, not_before: toTime(not_before, kid), not_after: toTime(not_after, kid) });
+  }
+
+  /** @param {string} kid */
+  remove(kid) {
+    return this.keys.delete(kid);
+  }
+
+  /** @param {string} kid */
+  get(kid) {
+    return this.keys.get(kid);
+  }
+
+  /** @returns {string[]} */
+  kids() {
+    return [...this.keys.keys()];
+  }
+}
+
+/**
+ * Verify the signature of a freshly received response.
+ *
+ * @param {{ body: object, header?: string }} response - Parsed JSON body and the X-WINDI-Signature value
+ * @param {ServerKeyRing} keys
+ * @param {{
+ *   request?: { document_id: string, document_hash: string },
+ *   now?: number,
+ *   maxSkewMs?: number
+ * }} [opts] - With `request`, the echoed ids must match; signed_at must be within maxSkewMs of now
+ * @returns {import("./types.js").ResponseSignature}
+ * @throws {WindiSignatureError} reason MISSING, MALFORMED, UNKNOWN_KEY, ALG_MISMATCH, BAD_SIGNATURE,
+ *   KEY_NOT_VALID, REQUEST_MISMATCH or STALE
+ */
+export function verifyResponseSignature({ body, header }, keys, { request, now = Date.now(), maxSkewMs } = {}) {
+  const requestId = body?.request_id;
+  if (!header) fail("Response is not signed", "MISSING", { requestId });
+
+  const payload = canonicalJson(body);
+  const signature = checkSignature(header, payload, keys, requestId);
+
+  const signedAt = Date.parse(body.signed_at);
+  if (Number.isNaN(signedAt)) fail("Signed response has no valid signed_at", "MALFORMED", { requestId, kid: signature.kid });
+  checkKeyWindow(keys.get(signature.kid), signedAt, requestId);
+
+  if (request && (body.document_id !== request.document_id || body.document_hash !== request.document_hash)) {
+    fail("Signed response does not belong to this request", "REQUEST_MISMATCH", { requestId, kid: signature.kid });
+  }
+  const skew = maxSkewMs ?? DEFAULT_SIGNATURE_MAX_SKEW_MS;
+  if (Math.abs(now - signedAt) > skew) {
+    fail(`Signed response is stale (signed_at ${body.signed_at})`, "STALE", { requestId, kid: signature.kid });
+  }
+
+  return { ...signature, signed_at: body.signed_at, header, payload };
+}
+
+/**
+ * Re-check a stored VerifyResponse, e.g. when a verdict is presented as evidence.
+ * The signed payload kept in `response.signature` is verified against the keys,
+ * and every field of the signed body (risk_flags, checks, document_id,
+ * document_hash, ...) must be unchanged in the response. The Reader may only
+ * have added to it: extra risk flags and checks (e.g. PDF_INCREMENTAL_UPDATE,
+ * checks.field_binding) and fields the server never signs (signature, pdf, manifest).
+ * Freshness is not checked; the key must have been valid at signed_at.
+ *
+ * @param {import("./types.js").VerifyResponse} response
+ * @param {ServerKeyRing} keys
+ * @returns {object} The signed response body
+ * @throws {WindiSignatureError} reason REQUEST_MISMATCH if a signed field was changed or removed
+ *
+ * @example
+ * const stored = JSON.parse(fs.readFileSync("./verdicts/inv-001.json", "utf8"));
+ * verifyStoredResponse(stored, ServerKeyRing.fromFile("./windi-server-keys.json"));
+ */
+export function verifyStoredResponse(response, keys) {
+  const stored = response?.signature;
+  const requestId = response?.request_id;
+  if (!stored?.header || !stored?.payload) fail("Response carries no signature", "MISSING", { requestId });
+
+  const signature = checkSignature(stored.header, stored.payload, keys, requestId);
+  const body = JSON.parse(stored.payload);
+  checkKeyWindow(keys.get(signature.kid), Date.parse(body.signed_at), requestId);
+
+  for (const [field, signed] of Object.entries(body)) {
+    if (!matchesSigned(field, response[field], signed)) {
+      fail(`Stored ${field} differs from the signed response`, "REQUEST_MISMATCH", { requestId, kid: signature.kid });
+    }
+  }
+  return body;
+}
+
+/** Stored value still says what was signed; risk_flags and checks may only have grown. */
+function matchesSigned(field, stored, signed) {
+  const same = (a, b) => canonicalJson(a ?? null) === canonicalJson(b ?? null);
+  if (field === "risk_flags" && Array.isArray(signed)) {
+    return Array.isArray(stored) && signed.every((flag) => stored.includes(flag));
+  }
+  if (field === "checks" && signed && typeof signed === "object") {
+    return Boolean(stored) && typeof stored === "object" && Object.entries(signed).every(([k, v]) => same(stored[k], v));
+  }
+  return same(stored, signed);
+}
+
+/**
+ * Sign a response body (used by the mock server and by test fixtures).
+ *
+ * @param {object} body
+ * @param {{ kid: string, privateKey: string|crypto.KeyObject, format?: "jws"|"ed25519", alg?: string }} key
+ *   alg defaults to the key type: EdDSA, ES256/ES384 or PS256
+ * @returns {string} X-WINDI-Signature header value
+ */
+export function signResponse(body, { kid, privateKey, format = "jws", alg }) {
+  const key = typeof privateKey === "string" ? crypto.createPrivateKey(privateKey) : privateKey;
+  const payload = Buffer.from(canonicalJson(body), "utf8");
+
+  if (format === "ed25519") {
+    const sig = crypto.sign(null, payload, key);
+    return `kid=${kid}; alg=ed25519; sig=${sig.toString("base64url")}`;
+  }
+
+  const jwsAlg = alg ?? defaultAlg(key);
+  const spec = JWS_ALGS[jwsAlg];
+  if (!spec) throw new WindiConfigError(`Unsupported JWS alg: ${jwsAlg}`);
+  const protectedHeader = Buffer.from(JSON.stringify({ alg: jwsAlg, kid })).toString("base64url");
+  const input = Buffer.from(`${protectedHeader}.${payload.toString("base64url")}`, "ascii");
+  const sig = crypto.sign(spec.digest, input, { key, dsaEncoding: spec.dsaEncoding, padding: spec.padding, saltLength: spec.saltLength });
+  return `${protectedHeader}..${sig.toString("base64url")}`;
+}
+
+/**
+ * Parse an X-WINDI-Signature value without verifying it.
+ *
+ * @param {string} header
+ * @returns {{ format: "jws"|"ed25519", kid: string, alg: string, protectedHeader?: string, signature: Buffer }}
+ * @throws {WindiSignatureError} reason MALFORMED
+ */
+export function parseSignatureHeader(header) {
+  const value = String(header).trim();
+  const jws = /^([A-Za-z0-9_-]+)\.\.([A-Za-z0-9_-]+)$/.exec(value);
+  if (jws) {
+    let protectedData;
+    try {
+      protectedData = JSON.parse(Buffer.from(jws[1], "base64url").toString("utf8"));
+    } catch {
+      fail("JWS protected header is not valid JSON", "MALFORMED");
+    }
+    if (!protectedData?.kid || !protectedData?.alg) fail("JWS protected header needs kid and alg", "MALFORMED");
+    return {
+      format: "jws",
+      kid: protectedData.kid,
+      alg: protectedData.alg,
+      protectedHeader: jws[1],
+      signature: Buffer.from(jws[2], "base64url")
+    };
+  }
+
+  const params = Object.fromEntries(
+    value.split(";").map((p) => p.trim().split("=")).filter((p) => p.length === 2).map(([k, v]) => [k.trim(), v.trim()])
+  );
+  if (!params.kid || !params.sig || params.alg?.toLowerCase() !== "ed25519") {
+    fail("X-WINDI-Signature is neither a detached JWS nor kid=..; alg=ed25519; sig=..", "MALFORMED");
+  }
+  return { format: "ed25519", kid: params.kid, alg: "ed25519", signature: Buffer.from(params.sig, "base64url") };
+}
+
+/** Verify header against the canonical payload; returns { kid, alg, format }. */
+function checkSignature(header, payload, keys, requestId) {
+  const parsed = parseSignatureHeader(header);
+  const { kid, alg, format } = parsed;
+  const pinned = keys.get(kid);
+  if (!pinned) fail(`Response signed with unpinned key ${kid}`, "UNKNOWN_KEY", { requestId, kid });
+
+  const keyType = pinned.publicKey.asymmetricKeyType;
+  let ok;
+  if (format === "ed25519") {
+    if (keyType !== "ed25519") fail(`Key ${kid} is not an Ed25519 key`, "ALG_MISMATCH", { requestId, kid });
+    ok = crypto.verify(null, Buffer.from(payload, "utf8"), pinned.publicKey, parsed.signature);
+  } else {
+    const spec = JWS_ALGS[alg];
+    const curve = pinned.publicKey.asymmetricKeyDetails?.namedCurve;
+    if (!spec || spec.keyType !== keyType || (spec.curve && spec.curve !== curve)) {
+      fail(`JWS alg ${alg} does not fit key ${kid}`, "ALG_MISMATCH", { requestId, kid });
+    }
+    const input = Buffer.from(`${parsed.protectedHeader}.${Buffer.from(payload, "utf8").toString("base64url")}`, "ascii");
+    const key = { key: pinned.publicKey, dsaEncoding: spec.dsaEncoding, padding: spec.padding, saltLength: spec.saltLength };
+    ok = crypto.verify(spec.digest, input, key, parsed.signature);
+  }
+  if (!ok) fail(`Response signature does not verify with key ${kid}`, "BAD_SIGNATURE", { requestId, kid });
+  return { kid, alg, format };
+}
+
+function checkKeyWindow(pinned, signedAt, requestId) {
+  const kid = pinned.kid;
+  if (Number.isNaN(signedAt)) fail("Signed response has no valid signed_at", "MALFORMED", { requestId, kid });
+  if ((pinned.not_before !== undefined && signedAt < pinned.not_before) || (pinned.not_after !== undefined && signedAt >= pinned.not_after)) {
+    fail(`Key ${kid} was not valid at signed_at`, "KEY_NOT_VALID", { requestId, kid });
+  }
+}
+
+function defaultAlg(key) {
+  if (key.asymmetricKeyType === "ed25519") return "EdDSA";
+  if (key.asymmetricKeyType === "ec") return key.asymmetricKeyDetails?.namedCurve === "secp384r1" ? "ES384" : "ES256";
+  return "PS256";
+}
+
+function toTime(value, kid) {
+  if (value === undefined || value === null) return undefined;
+  const t = Date.parse(value);
+  if (Number.isNaN(t)) throw new WindiConfigError(`Server key ${kid}: invalid date ${value}`, { kid });
+  return t;
+}
+
+function fail(message, reason, details = {}) {
+  throw new WindiSignatureError(message, { reason, ...details });
+}
@@ -0,0 +1,53 @@
+import axios from "axios";
+import { WindiNetworkError, WindiTimeoutError } from "./errors.js";
+
+/**
+ * Default transport of the Node.js build (see transport.js for the interface).
+ * Supports custom agents (keep-alive, mTLS) and outbound proxies.
+ */
+export class AxiosTransport {
+  /**
+   * @param {{ timeoutMs?: number, httpAgent?: import("node:http").Agent, httpsAgent?: import("node:https").Agent,
+   *   proxy?: import("./types.js").ClientOptions["proxy"] }} [opts]
+   */
+  constructor({ timeoutMs = 15_000, httpAgent, httpsAgent, proxy } = {}) {
+    this.http = axios.create({
+      timeout: timeoutMs,
+      httpAgent,
+      httpsAgent,
+      proxy,
+      headers: {
+        "Content-Type": "application/json"
+      },
+      // Error statuses are answers too; the client maps them.
+      validateStatus: () => true
+    });
+  }
+
+  /**
+   * @param {import("./types.js").TransportRequest} req
+   * @returns {Promise<import("./types.js").TransportResponse>}
+   */
+  async request({ method, baseUrl, url, headers, body }) {
+    let res;
+    try {
+      res = await this.http.request({ baseURL: baseUrl, method, url, data: body, headers });
+    } catch (err) {
+      // Never rethrow the axios error: it carries the request config, credentials included.
+      throw normalizeAxiosError(err);
+    }
+    return { status: res.status, headers: res.headers?.toJSON?.() ?? res.headers, data: res.data };
+  }
+}
+
+function normalizeAxiosError(err) {
+  const message = err?.message ?? "unknown";
+  const opts = { data: { message, code: err?.code } };
+  if (err?.code === "ECONNABORTED" || err?.code === "ETIMEDOUT") {
+    return new WindiTimeoutError(`WINDI timeout: ${message}`, opts);
+  }
+  return new WindiNetworkError(`WINDI network/error: ${message}`, {
+    ...opts,
+    retryable: err?.code !== "ERR_CANCELED"
+  });
+}
@@ -0,0 +1,83 @@
+import { WindiNetworkError, WindiTimeoutError } from "./errors.js";
+
+/**
+ * WINDI HTTP Transports
+ *
+ * The client sends every HTTP attempt through a transport, so the same client
+ * runs on axios in Node.js and on `fetch` in browsers and edge runtimes.
+ *
+ * Transport interface:
+ *   request({ method, baseUrl, url, headers, body }) -> { status, headers, data }
+ *
+ * A transport resolves for every HTTP response, error statuses included (the
+ * client maps them to typed errors), with lower-case header names and the
+ * body parsed as JSON when possible. It rejects only when there is no
+ * response, with WindiTimeoutError or WindiNetworkError.
+ */
+
+/**
+ * Transport on the Fetch API (browsers, Cloudflare Workers and other edge
+ * runtimes, Deno, Node.js 18+).
+ *
+ * @example
+ * const client = new WindiVerifyClient({
+ *   baseUrl, apiKey,
+ *   transport: new FetchTransport({ timeoutMs: 10_000 })
+ * });
+ */
+export class FetchTransport {
+  /**
+   * @param {{ timeoutMs?: number, fetch?: typeof fetch, init?: RequestInit }} [opts]
+   *   fetch: implementation to use (default: the global); init: extra fetch options, e.g. `credentials`
+   */
+  constructor({ timeoutMs = 15_000, fetch, init } = {}) {
+    this.timeoutMs = timeoutMs;
+    // Called unbound: browsers reject fetch invoked as a method of another object.
+    this.fetchImpl = fetch ?? ((...args) => globalThis.fetch(...args));
+    this.init = init;
+  }
+
+  /**
+   * @param {import("./types.js").TransportRequest} req
+   * @returns {Promise<import("./types.js").TransportResponse>}
+   */
+  async request({ method, baseUrl, url, headers = {}, body }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    try {
+      const res = await this.fetchImpl(`${baseUrl}${url}`, {
+        ...this.init,
+        method: method.toUpperCase(),
+        headers: body === undefined ? headers : { "Content-Type": "application/json", ...headers },
+        body,
+        signal: controller.signal
+      });
+      const text = await res.text();
+      const responseHeaders = {};
+      res.headers.forEach((value, name) => {
+        responseHeaders[name.toLowerCase()] = value;
+      });
+      return { status: res.status, headers: responseHeaders, data: parseBody(text) };
+    } catch (err) {
+      const message = err?.message ?? "unknown";
+      if (controller.signal.aborted) {
+        throw new WindiTimeoutError(`WINDI timeout: no response within ${this.timeoutMs}ms`, {
+          data: { message, code: "ETIMEDOUT" }
+        });
+      }
+      const code = err?.cause?.code ?? err?.code;
+      throw new WindiNetworkError(`WINDI network/error: ${err?.cause?.message ?? message}`, { data: { message, code } });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+function parseBody(text) {
+  if (!text) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
@@ -35,7 +35,7 @@
 /**
  * @typedef {Object} VerifyRequest
  * @property {string} document_id - WINDI document identifier
- * @property {string} document_hash - "sha256:<hex>" format
+ * @property {string} document_hash - Hash URN, "<algorithm>:<hex>" (see HashAlgorithm)
  * @property {string} issuer_key_id - WINDI issuer key identifier
  * @property {string} [manifest_id] - Optional manifest reference
  * @property {TrustLevel} [proof_level] - Required proof level (default: L2)
@@ -50,13 +50,633 @@
  * @property {Object} [checks] - Detailed check results
  * @property {string[]} [risk_flags] - Risk indicators found
  * @property {string} [request_id] - Request tracking ID
+ * @property {boolean} [from_cache] - Set when a client cache is configured (true if served from cache) and on offline fallback results
+ * @property {string} [cached_at] - ISO timestamp when a cached result was stored
+ * @property {"offline"} [source] - Set when the client answered from offlineFallback because the API was unreachable
+ * @property {string[]} [unknown_risk_flags] - Entries of risk_flags not defined by the API contract
+ * @property {ContractIssue[]} [warnings] - Contract violations tolerated in lenient validation mode
+ * @property {ResponseSignature} [signature] - Verified server signature (when serverKeys is configured)
+ */
+
+/**
+ * @typedef {Object} ContractIssue
+ * @property {string} path - Offending field (e.g. "verdict", "checks.hash_match")
+ * @property {"REQUIRED"|"TYPE"|"FORMAT"|"ENUM"} code - Kind of violation
+ * @property {string} message - Human-readable description
+ * @property {"request"|"response"} [direction] - Set on warnings attached to a response
+ */
+
+/**
+ * @typedef {Object} ContractResult
+ * @property {boolean} valid - True when no issues were found
+ * @property {ContractIssue[]} issues - All contract violations
+ * @property {string[]} [unknown_risk_flags] - Response only: risk flags outside the contract
+ */
+
+/**
+ * @typedef {Object} ParsedWvc
+ * @property {number} version - WVC format version
+ * @property {string} wvc - Normalized code (uppercase, no whitespace)
+ * @property {string} document_id - WINDI document identifier
+ * @property {string} document_hash - Hash URN, "<algorithm>:<hex>" (see HashAlgorithm)
+ * @property {string} issuer_key_id - WINDI issuer key identifier
+ * @property {TrustLevel} proof_level - Proof level encoded in the code
  */
 
 /**
  * @typedef {Object} ClientOptions
- * @property {string} baseUrl - WINDI Verification API base URL
- * @property {string} apiKey - API authentication key
+ * @property {string} [baseUrl] - WINDI Verification API base URL (or use `endpoints`)
+ * @property {(string|EndpointOptions)[]} [endpoints] - API base URLs in preference order; requests fail over down the list
+ * @property {false|CircuitBreakerOptions} [circuitBreaker] - Per-endpoint circuit breaker (default: on with several endpoints)
+ * @property {number} [healthCheckIntervalMs] - Probe every endpoint's /health periodically (stop with `client.close()`)
+ * @property {string} [apiKey] - API authentication key (or use `credentials`)
+ * @property {CredentialProvider|Credentials} [credentials] - Key source resolved per request, for rotation without a restart
+ * @property {boolean} [signRequests] - Sign requests with HMAC-SHA256 instead of sending the key (needs a keyId)
  * @property {number} [timeoutMs] - Request timeout in milliseconds (default: 15000)
+ * @property {RetryOptions} [retry] - Retry/backoff settings
+ * @property {{ requestsPerMinute: number, burst?: number }} [rateLimit] - Client-side request budget
+ * @property {import("./offline.js").OfflineVerifier} [offlineFallback] - L1 verifier used when the API is unreachable
+ * @property {boolean|VerifyCacheOptions|import("./cache.js").VerifyCache} [cache] - Cache for /verify results
+ * @property {import("./audit.js").AuditLog} [audit] - Hash-chained audit log of every verification call
+ * @property {"strict"|"lenient"|"off"} [validation] - API contract checks on requests and responses (default: "lenient")
+ * @property {ClientMiddleware[]} [middleware] - Request middleware, same as calling `client.use()` for each
+ * @property {Transport} [transport] - HTTP transport (default: axios in Node.js, fetch in the browser/edge build)
+ * @property {import("node:http").Agent} [httpAgent] - Custom HTTP agent (e.g. keep-alive tuning)
+ * @property {import("node:https").Agent} [httpsAgent] - Custom HTTPS agent (e.g. mTLS client certificates)
+ * @property {false|{ protocol?: string, host: string, port: number, auth?: { username: string, password: string } }} [proxy] - Outbound proxy; `false` ignores proxy env vars
+ * @property {ServerKeyData[]|import("./signing.js").ServerKeyRing} [serverKeys] - Pinned WINDI server keys for response signatures
+ * @property {boolean} [requireSignedResponses] - Reject unsigned responses (default: true when serverKeys is set)
+ * @property {number} [signatureMaxSkewMs] - Maximum age or clock skew of signed_at (default: 300000)
+ */
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} method - HTTP method
+ * @property {string} url - Path relative to baseUrl
+ * @property {Object} [data] - Request body
+ * @property {Record<string, string>} headers - Extra headers for this attempt; middleware may add to it
+ * @property {number} attempt - 0 for the first attempt, 1+ for retries
+ * @property {string} endpoint - Base URL this attempt is sent to
+ * @property {Object} state - Scratch space shared by the hooks of one attempt
+ * @property {number} [status] - HTTP status (afterResponse/onError)
+ * @property {Object} [response] - Response body (afterResponse)
+ * @property {Object} [responseHeaders] - Response headers (afterResponse)
+ * @property {string} [requestId] - Server request id (afterResponse)
+ * @property {number} [latencyMs] - Attempt duration (afterResponse/onError)
+ * @property {import("./errors.js").WindiHttpError|Error} [error] - Normalized HTTP error, or the error a hook, the credentials or the transport threw (onError)
+ */
+
+/**
+ * @typedef {Object} ClientMiddleware
+ * @property {(ctx: RequestContext) => void|Promise<void>} [beforeRequest] - Runs before each attempt
+ * @property {(ctx: RequestContext) => void|Promise<void>} [afterResponse] - Runs after a successful response
+ * @property {(ctx: RequestContext) => void|Promise<void>} [onError] - Runs after a failed attempt, before retry handling; also when a hook, the credentials or the transport throw
+ */
+
+/**
+ * @typedef {Object} VerifyCacheOptions
+ * @property {Object} [store] - Store with get/set/delete (sync or async); default in-memory LRU
+ * @property {{ VALID?: number, SUSPECT?: number }} [ttl] - TTL per verdict in ms (default: VALID 5 min, SUSPECT 30 s)
+ * @property {number} [maxEntries] - Capacity of the default in-memory store (default: 1000)
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {VerifyResponse} response - Cached /verify response
+ * @property {string} cached_at - ISO timestamp when stored
+ * @property {string} expires_at - ISO timestamp when the entry expires
+ */
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} [maxRetries] - Retries after the first attempt (default: 3, 0 disables)
+ * @property {number} [baseDelayMs] - Initial backoff delay (default: 250)
+ * @property {number} [maxDelayMs] - Backoff delay cap (default: 10000)
+ * @property {number} [maxRetryAfterMs] - Longest server-requested wait to honor before giving up (default: 60000)
+ * @property {boolean} [jitter] - Randomize backoff delays (default: true)
+ */
+
+/**
+ * @typedef {Object} RateLimitState
+ * @property {number} [limit] - Server X-RateLimit-Limit
+ * @property {number} [remaining] - Server X-RateLimit-Remaining
+ * @property {number} [resetAt] - Server X-RateLimit-Reset as epoch milliseconds
+ * @property {number} [updatedAt] - When the server values were last seen (epoch milliseconds)
+ * @property {number} [localTokens] - Tokens left in the client-side bucket, if configured
+ */
+
+/**
+ * @typedef {Object} TrustStoreData
+ * JSON layout of an offline trust store.
+ * @property {{ key_id: string, public_key: string|object, name?: string }[]} [issuers]
+ *   Issuer keys; public_key is PEM or JWK
+ * @property {{ key_id: string, revoked_at?: string, reason?: string }[]} [revocations]
+ *   Revoked issuer keys; a revocation applies from revoked_at on (at once if absent)
+ * @property {{ document_id: string, document_hash: string, issuer_key_id: string, signature?: string }[]} [documents]
+ *   Cached document registrations; signature is base64 over the DOCSIG payload
+ */
+
+/**
+ * @typedef {Object} IbanValidationResult
+ * @property {boolean} valid - True when the IBAN passes every check
+ * @property {string} iban - Normalized IBAN (no spaces, uppercase)
+ * @property {string} [country] - ISO 3166 country code from the IBAN
+ * @property {{ code: "EMPTY"|"INVALID_CHARACTERS"|"INVALID_FORMAT"|"UNKNOWN_COUNTRY"|"INVALID_LENGTH"|"INVALID_BBAN_FORMAT"|"INVALID_CHECKSUM", message: string }[]} errors
+ */
+
+/**
+ * @typedef {Object} BicValidationResult
+ * @property {boolean} valid - True when the BIC passes every check
+ * @property {string} bic - Normalized BIC
+ * @property {string} [country] - Country code from the BIC
+ * @property {{ code: "EMPTY"|"INVALID_LENGTH"|"INVALID_FORMAT"|"COUNTRY_MISMATCH", message: string }[]} errors
+ */
+
+/**
+ * @typedef {Object} CurrencyInfo
+ * @property {string} code - ISO 4217 alphabetic code
+ * @property {string} numeric - ISO 4217 numeric code ("978")
+ * @property {number|null} minorUnits - Decimal places; null where ISO 4217 lists N/A
+ * @property {number} [withdrawn] - Year the code was withdrawn (historic codes only)
+ * @property {string} [name] - English name
+ */
+
+/**
+ * @typedef {Object} CurrencyResolveOptions
+ * @property {string} [locale] - BCP 47 locale; its region resolves ambiguous symbols and localized names
+ * @property {string} [country] - ISO 3166 country code; takes precedence over the locale region
+ * @property {boolean} [allowWithdrawn] - Accept withdrawn codes such as DEM (default: false)
+ */
+
+/**
+ * @typedef {Object} AmountOptions
+ * @property {string} [currency] - ISO 4217 code; selects the number of decimals (default: 2)
+ * @property {string} [locale] - BCP 47 locale hint for separators (e.g. "de-DE", "en-US", "fr-CH")
+ * @property {number} [scale] - Explicit number of decimals, overrides the currency
+ * @property {"HALF_UP"|"HALF_DOWN"|"HALF_EVEN"|"UP"|"DOWN"|"CEILING"|"FLOOR"|"UNNECESSARY"} [rounding]
+ *   Rounding mode (default: HALF_UP); UNNECESSARY throws if rounding would be needed
+ */
+
+/**
+ * @typedef {Object} PaymentInstruction
+ * Payment fields as the bank is about to execute them (raw, not canonicalized).
+ * @property {string} [iban] - Payee IBAN
+ * @property {string|number} [amount] - Payment amount
+ * @property {string} [currency] - Currency code, symbol or name
+ * @property {string} [beneficiaryName] - Payee name
+ * @property {string} [reference] - End-to-end reference
+ * @property {string} [locale] - Locale hint for parsing the amount and currency (e.g. "de-DE")
+ * @property {string} [country] - ISO 3166 country hint for ambiguous currency symbols (e.g. "CA")
+ */
+
+/**
+ * @typedef {Object} FieldCommitments
+ * "sha256:<hex>" hashes of canonical shelf strings, as found in a document manifest.
+ * Shelf strings start with the profile id ("windi-canon/1|PAYTO|IBAN|..."), except under windi-canon/0.
+ * @property {string} [canon_profile] - Canonicalization profile of the shelf strings (absent: "windi-canon/0")
+ * @property {string} [payto_hash] - Hash of PAYTO|IBAN|...
+ * @property {string} [amount_hash] - Hash of AMOUNT|DEC|...
+ * @property {string} [currency_hash] - Hash of CURRENCY|ISO4217|...
+ * @property {string} [beneficiary_hash] - Hash of BENEFICIARY|NAME|...
+ * @property {string} [reference_hash] - Hash of REFERENCE|E2E|...
+ */
+
+/**
+ * @typedef {"MATCH"|"MISMATCH"|"NOT_COMMITTED"|"NOT_PROVIDED"|"ERROR"} FieldBindingStatus
+ * MATCH = Instruction field hashes to the committed value
+ * MISMATCH = Instruction field differs from the committed value
+ * NOT_COMMITTED = Manifest has no commitment for this field
+ * NOT_PROVIDED = Instruction does not contain this field
+ * ERROR = Instruction field could not be canonicalized (see `error`)
+ */
+
+/**
+ * @typedef {Object} FieldBindingResult
+ * @property {boolean} ok - True when at least one field was compared and none mismatched or failed
+ * @property {boolean} bound - True when at least one committed field was compared (MATCH or MISMATCH)
+ * @property {string} canon_profile - Canonicalization profile the instruction was hashed with
+ * @property {{
+ *   field: string,
+ *   commitment: string,
+ *   status: FieldBindingStatus,
+ *   expected?: string,
+ *   actual?: string,
+ *   error?: { reason: string, message: string }
+ * }[]} fields - Per-field comparison (hashes only)
+ * @property {string[]} risk_flags - IBAN_MISMATCH, AMOUNT_DEVIATION, BENEFICIARY_MISMATCH, REFERENCE_MISMATCH,
+ *   FIELD_BINDING_ERROR or FIELDS_NOT_BOUND
+ */
+
+/**
+ * @typedef {Object} CanonProfile
+ * A named, versioned set of canonicalization rules. Registered profiles never change.
+ * @property {string} id - e.g. "windi-canon/1"
+ * @property {number} version
+ * @property {boolean} tagged - True if shelf strings start with the profile id
+ * @property {Readonly<Record<string, (value: *, opts?: Object) => string>>} shelves
+ *   Shelf type (e.g. "PAYTO|IBAN") → canonical value
+ */
+
+/**
+ * @typedef {Object} CanonVector
+ * @property {string} [id] - Vector name (default: "#<position>")
+ * @property {string} [profile] - Overrides the suite profile
+ * @property {string} shelf - Shelf type, e.g. "AMOUNT|DEC"
+ * @property {*} input - Raw field value
+ * @property {Object} [options] - Options of the shelf's canon function (locale, currency, strict, ...)
+ * @property {string} [canonical] - Expected shelf string
+ * @property {string} [hash] - Expected "sha256:<hex>" of the shelf string
+ * @property {string|true} [error] - Expected WindiValidationError reason (true: any reason)
+ */
+
+/**
+ * @typedef {Object} CanonVectorSuite
+ * @property {string} [profile] - Profile for vectors without one (default: "windi-canon/1")
+ * @property {string} [description]
+ * @property {CanonVector[]} vectors
+ */
+
+/**
+ * @typedef {Object} CanonVectorResult
+ * @property {string} id
+ * @property {string} profile
+ * @property {string} shelf
+ * @property {"PASS"|"FAIL"} status
+ * @property {string} [canonical] - Shelf string this Reader produced
+ * @property {string} [hash] - Its "sha256:<hex>"
+ * @property {string} [error] - Reason of the error this Reader raised
+ * @property {string} [message] - Why the vector failed
+ */
+
+/**
+ * @typedef {Object} CanonVectorReport
+ * @property {boolean} ok - True when every vector passed
+ * @property {string} profile - Suite profile
+ * @property {number} total
+ * @property {number} passed
+ * @property {number} failed
+ * @property {CanonVectorResult[]} results
+ */
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {number} seq - Position in the chain, starting at 1
+ * @property {string} timestamp - ISO timestamp of the entry
+ * @property {"verify"|"verify_wvc"|"decision"|string} type - Entry type
+ * @property {Object} [request] - Request ids and hashes only
+ * @property {Object} [response] - Verdict, integrity, trust level, issuer status, risk flags
+ * @property {{ name: string, code: string, category?: string, status?: number, message: string }} [error] - Error summary
+ * @property {string} [request_id] - API request tracking ID
+ * @property {number} [latency_ms] - Call latency in milliseconds
+ * @property {{ action: PolicyAction, reason: string, reasons: string[] }} [decision] - Policy decision
+ * @property {string} prev_hash - Hash of the previous entry (GENESIS_HASH for the first)
+ * @property {string} hash - "sha256:<hex>" over the canonical JSON of all other fields
+ */
+
+/**
+ * @typedef {Object} AuditChainResult
+ * @property {boolean} valid - True when the chain is intact
+ * @property {number} count - Number of entries checked
+ * @property {string} [head] - Hash of the last entry
+ * @property {{ index?: number, line?: number, seq?: number, reason: "HASH_MISMATCH"|"SEQUENCE_GAP"|"BROKEN_LINK"|"UNPARSEABLE"|"TRUNCATED"|"HEAD_MISMATCH" }[]} errors
+ *   TRUNCATED: the chain ends before expectedHead; HEAD_MISMATCH: the entry at expectedHead.seq differs
+ */
+
+/**
+ * @typedef {Object} AuditCheckpoint
+ * Head of an audit chain, kept outside the log and checked later with `expectedHead`.
+ * @property {number} seq - Sequence number of the last entry (0 for an empty log)
+ * @property {string} hash - Hash of that entry (GENESIS_HASH for an empty log)
+ * @property {string} created_at - ISO timestamp when the checkpoint was taken
+ */
+
+/**
+ * @typedef {Object} BatchItem
+ * Exactly one of documentHash, filePath or bytes identifies the document content.
+ * @property {string} documentId - WINDI document identifier
+ * @property {string} issuerKeyId - WINDI issuer key identifier
+ * @property {string} [documentHash] - Pre-computed hash URN, e.g. "sha256:<hex>"
+ * @property {string} [filePath] - File to hash locally
+ * @property {Buffer} [bytes] - In-memory content to hash locally
+ * @property {HashAlgorithm} [algorithm] - Hash for filePath/bytes (default: sha256)
+ * @property {string} [manifestId] - Optional manifest reference
+ * @property {TrustLevel} [proofLevel] - Required proof level (default: L2)
+ */
+
+/**
+ * @template T, R
+ * @typedef {Object} BatchOutcome
+ * @property {number} index - Position of the item in the input list
+ * @property {T} item - The input item
+ * @property {boolean} ok - Whether the item succeeded
+ * @property {R} [result] - Result when ok
+ * @property {import("./errors.js").WindiError} [error] - Error when not ok
+ */
+
+/**
+ * @typedef {Object} BatchProgress
+ * @property {number} total - Number of items in the batch
+ * @property {number} completed - Items finished so far
+ * @property {number} succeeded - Items finished successfully
+ * @property {number} failed - Items finished with an error
+ * @property {BatchOutcome<BatchItem, VerifyResponse>} last - Most recently completed item
+ */
+
+/**
+ * @typedef {Object} BatchOptions
+ * @property {number} [concurrency] - Maximum requests in flight (default: 4)
+ * @property {(progress: BatchProgress) => void} [onProgress] - Called after each item completes
+ */
+
+/**
+ * @typedef {"ALLOW"|"HOLD"|"BLOCK"} PolicyAction
+ * ALLOW = Payment may proceed
+ * HOLD = Payment requires manual review
+ * BLOCK = Payment must not be executed
+ */
+
+/**
+ * @typedef {Object} PolicyCondition
+ * Either a leaf comparison or a combinator (all/any/not).
+ * @property {string} [field] - Dotted path rooted at "verify." or "payment."
+ * @property {"eq"|"ne"|"in"|"nin"|"gt"|"gte"|"lt"|"lte"|"contains"|"containsAny"|"exists"} [op]
+ * @property {*} [value] - Operand compared against the field value
+ * @property {PolicyCondition[]} [all] - Matches when every condition matches
+ * @property {PolicyCondition[]} [any] - Matches when at least one condition matches
+ * @property {PolicyCondition} [not] - Matches when the condition does not match
+ */
+
+/**
+ * @typedef {Object} PolicyRule
+ * @property {string} id - Unique rule identifier
+ * @property {number} [priority] - Lower values are evaluated first (default: 0)
+ * @property {PolicyAction} action - Action when the rule matches
+ * @property {string} reason - Reason code reported when the rule matches
+ * @property {PolicyCondition} [when] - Condition; omitted means always matches
+ */
+
+/**
+ * @typedef {Object} PolicyRuleSet
+ * @property {number} [version] - Rule set version for audit purposes
+ * @property {{ action: PolicyAction, reason: string }} [default] - Decision when no rule matches
+ *   (HOLD with reason NO_RULE_MATCHED if omitted)
+ * @property {PolicyRule[]} rules - Rules to evaluate
+ */
+
+/**
+ * @typedef {Object} PaymentContext
+ * @property {number|string} [amount] - Payment amount
+ * @property {string} [currency] - ISO 4217 currency code
+ */
+
+/**
+ * @typedef {Object} PolicyContext
+ * @property {VerifyResponse} verify - Verification result
+ * @property {PaymentContext} [payment] - Payment about to be executed
+ */
+
+/**
+ * @typedef {Object} PolicyDecision
+ * @property {PolicyAction} action - Most severe action among matched rules
+ * @property {string} reason - Reason of the highest-priority rule with that action
+ * @property {string[]} reasons - All matched reason codes, in priority order
+ * @property {{ rule: string, matched: boolean, action: PolicyAction, reason: string }[]} trace
+ *   Every evaluated rule, in priority order
  */
 
 export {};
+
+/**
+ * @typedef {Object} MockDocument
+ * Registered document in the mock server's fixture registry.
+ * @property {string} document_id - WINDI document identifier
+ * @property {string} document_hash - Registered "sha256:<hex>" hash; a different request hash yields INVALID/MODIFIED
+ * @property {string} [issuer_key_id] - Issuer the document is registered under
+ * @property {VerifyVerdict} [verdict] - Forced verdict (default: VALID, or SUSPECT with risk flags)
+ * @property {IntegrityStatus} [integrity] - Forced integrity status
+ * @property {string[]} [risk_flags] - Risk flags always returned for this document
+ * @property {Object} [checks] - Overrides for the returned checks
+ */
+
+/**
+ * @typedef {Object} MockFault
+ * @property {string} [error] - API error code to return (e.g. "DOCUMENT_NOT_FOUND", "RATE_LIMITED")
+ * @property {number} [status] - HTTP status override for the error
+ * @property {string} [message] - Error message override
+ * @property {number} [retryAfter] - Retry-After seconds for RATE_LIMITED (default: 1)
+ * @property {string[]} [riskFlags] - Extra risk flags on the verify response
+ * @property {number|[number, number]} [latencyMs] - Delay, fixed or random in [min, max)
+ * @property {boolean} [timeout] - Never respond
+ * @property {boolean} [tamper] - Flip the verdict after signing (needs signingKey)
+ */
+
+/**
+ * @typedef {Object} MockServerOptions
+ * @property {string[]|null} [apiKeys] - Accepted API keys (default: ["test-key"]); null accepts any key
+ * @property {{ key_id: string, status?: "TRUSTED"|"REVOKED" }[]} [issuers] - Known issuers (default: windi:key:test-issuer)
+ * @property {MockDocument[]} [documents] - Registered documents
+ * @property {boolean} [acceptUnknownDocuments] - Treat unregistered documents as VALID instead of DOCUMENT_NOT_FOUND
+ * @property {number|[number, number]} [latencyMs] - Delay for every response
+ * @property {{ limit: number, windowMs?: number }} [rateLimit] - Verify requests per window (default window: 60 s)
+ * @property {string} [version] - Version reported by /health
+ * @property {{ kid: string, privateKey: string|import("node:crypto").KeyObject, format?: "jws"|"ed25519" }} [signingKey] - Sign verify responses
+ * @property {Record<string, string>} [hmacKeys] - Key id → secret; accept HMAC-signed requests
+ */
+
+/**
+ * @typedef {"original"|"latest"|number} PdfRevisionSelector
+ * "original" = first revision (as issued), "latest" = whole file, number = revision index
+ */
+
+/**
+ * @typedef {Object} PdfRevision
+ * @property {number} index - 0 for the original document, 1+ for incremental updates
+ * @property {number} start - Start of the revision's byte range (always 0)
+ * @property {number} end - End of the byte range (exclusive), after %%EOF and its EOL
+ * @property {number} eof_end - End of the %%EOF marker without the EOL
+ * @property {number} update_start - Where this revision's appended bytes begin (0 for the original)
+ * @property {number} xref_offset - startxref value of this revision
+ * @property {"table"|"stream"|"unknown"} xref_type - Kind of cross-reference section at xref_offset
+ * @property {number} [prev] - Trailer /Prev (previous xref offset)
+ * @property {boolean} prev_valid - Whether /Prev links to the previous revision's xref
+ */
+
+/**
+ * @typedef {Object} PdfRevisionMatch
+ * @property {boolean} matched - True if some revision matches the registered hash
+ * @property {number} [revision] - Index of the matching revision
+ * @property {number} [end] - End of the matching byte range: the revision's end or, if only that
+ *   matched, its eof_end
+ * @property {number} [incremental_updates] - Updates appended after the matching revision
+ * @property {(PdfRevision & { hash: string, matched: boolean })[]} revisions - All revisions with their hashes
+ */
+
+/**
+ * @typedef {Object} PdfVerifyInfo
+ * @property {number} revision - Index of the verified revision
+ * @property {number} revisions - Number of revisions in the file
+ * @property {number} incremental_updates - Updates appended after the verified revision
+ * @property {[number, number]} byte_range - Hashed byte range [start, end)
+ */
+
+/**
+ * @typedef {Object} VirtueReceipt
+ * A Virtue Receipt recorded by the issuer's governance pipeline. Kept as issued;
+ * only the common fields are listed.
+ * @property {string} [receipt_id]
+ * @property {string} [type] - e.g. "APPROVAL", "ISSUANCE"
+ * @property {string} [issued_at] - ISO timestamp
+ * @property {string} [issuer_key_id]
+ * @property {string} [signature]
+ */
+
+/**
+ * @typedef {Object} WindiManifest
+ * @property {number|string} version - windi_manifest version (1 if absent)
+ * @property {string} document_id
+ * @property {string} issuer_key_id
+ * @property {string} [manifest_id]
+ * @property {string} [document_hash] - Registered "sha256:<hex>" of the issued document
+ * @property {"L1"|"L2"|"L3"} [proof_level]
+ * @property {FieldCommitments} field_commitments - Empty if the manifest commits no fields
+ * @property {VirtueReceipt[]} receipts
+ */
+
+/**
+ * @typedef {"pdf-attachment"|"pdf-xmp"|"sidecar"} ManifestSource
+ */
+
+/**
+ * @typedef {Object} ManifestConflict
+ * @property {string} field - e.g. "document_id"
+ * @property {[ManifestSource, ManifestSource]} sources
+ * @property {[string, string]} values
+ */
+
+/**
+ * @typedef {Object} ManifestExtraction
+ * @property {WindiManifest} manifest - Merged manifest; the first source wins on conflicts
+ * @property {ManifestSource} source - Source the ids were taken from
+ * @property {ManifestSource[]} sources - All sources that held a manifest, in precedence order
+ * @property {ManifestConflict[]} conflicts
+ * @property {ManifestSource[]} updated_sources - PDF sources found in incremental updates (not used)
+ */
+
+/**
+ * @typedef {Object} ManifestInfo
+ * @property {string} document_id
+ * @property {string} issuer_key_id
+ * @property {string} [manifest_id]
+ * @property {ManifestSource} source
+ * @property {ManifestSource[]} sources
+ * @property {ManifestConflict[]} conflicts
+ * @property {ManifestSource[]} updated_sources
+ * @property {VirtueReceipt[]} receipts
+ */
+
+/**
+ * @typedef {"sha256"|"sha384"|"sha512"|"sha3-256"} HashAlgorithm
+ * Named by the hash URN prefix, e.g. "sha384:<96 hex>"
+ */
+
+/**
+ * @typedef {Object} HashUrn
+ * @property {HashAlgorithm} algorithm
+ * @property {string} hex - Lowercase hex digest
+ * @property {string} urn - Normalized "<algorithm>:<hex>"
+ */
+
+/**
+ * @typedef {Object} ServerKeyData
+ * @property {string} kid - Key id, as in the JWS header or kid= parameter
+ * @property {string|Object} public_key - PEM string or JWK object
+ * @property {string} [not_before] - ISO timestamp; responses signed earlier are rejected
+ * @property {string} [not_after] - ISO timestamp; responses signed at or after it are rejected
+ */
+
+/**
+ * @typedef {Object} ResponseSignature
+ * @property {string} kid - Server key that signed the response
+ * @property {string} alg - JWS alg or "ed25519"
+ * @property {"jws"|"ed25519"} format
+ * @property {string} signed_at - Server signing time
+ * @property {string} header - X-WINDI-Signature value as received
+ * @property {string} payload - Signed canonical JSON of the response body, kept for later re-checks
+ */
+
+/**
+ * @typedef {Object} EndpointOptions
+ * @property {string} url - API base URL
+ * @property {string} [name] - Label for events and status, e.g. "eu-central" (default: the URL)
+ */
+
+/**
+ * @typedef {Object} CircuitBreakerOptions
+ * @property {number} [failureThreshold] - Consecutive failures (network, timeout, 5xx) that open the circuit (default: 5)
+ * @property {number} [cooldownMs] - Time an open circuit blocks traffic before half-opening (default: 30000)
+ */
+
+/**
+ * @typedef {Object} EndpointState
+ * @property {string} url
+ * @property {string} name
+ * @property {import("./endpoints.js").CircuitBreaker} [breaker]
+ * @property {boolean} [healthy] - Last health result; undefined before the first check or request
+ * @property {number} [checkedAt] - Time of the last health check (ms)
+ */
+
+/**
+ * @typedef {Object} EndpointStatus
+ * @property {string} url
+ * @property {string} name
+ * @property {boolean} [healthy]
+ * @property {string} [checked_at] - ISO timestamp of the last health check
+ * @property {"CLOSED"|"OPEN"|"HALF_OPEN"} circuit
+ * @property {number} failures - Consecutive failures
+ */
+
+/**
+ * @typedef {Object} Credentials
+ * @property {string} apiKey - API key; with request signing, the HMAC secret
+ * @property {string} [keyId] - Key identifier, required for request signing
+ */
+
+/**
+ * @typedef {Object} CredentialProvider
+ * @property {() => Credentials|Promise<Credentials>} getCredentials - Called before every HTTP attempt
+ * @property {() => void|Promise<void>} [refresh] - Drop cached credentials; called once after 401 INVALID_API_KEY
+ */
+
+/**
+ * @typedef {Object} TransportRequest
+ * @property {string} method - HTTP method, lower case
+ * @property {string} baseUrl - Endpoint base URL
+ * @property {string} url - Path relative to baseUrl
+ * @property {Record<string, string>} [headers]
+ * @property {string} [body] - Serialized JSON body
+ */
+
+/**
+ * @typedef {Object} TransportResponse
+ * @property {number} status - HTTP status, error statuses included
+ * @property {Record<string, string>} headers - Lower-case header names
+ * @property {any} data - Body parsed as JSON, else the text
+ */
+
+/**
+ * @typedef {Object} Transport
+ * @property {(req: TransportRequest) => Promise<TransportResponse>} request
+ *   Rejects only without a response, with WindiTimeoutError or WindiNetworkError
+ */
+
+/**
+ * Runtime-specific services of a WindiVerifyClient build (client.js, client-web.js).
+ * @typedef {Object} ClientPlatform
+ * @property {(opts: { timeoutMs: number, httpAgent?: any, httpsAgent?: any, proxy?: any }) => Transport} createTransport
+ * @property {(bytes: any, algorithm?: HashAlgorithm) => string|Promise<string>} hashBytes - Hash URN of in-memory data
+ * @property {(stream: any, algorithm?: HashAlgorithm) => Promise<string>} hashStream - Hash URN of a stream
+ * @property {(req: { method: string, path: string, body?: string, keyId: string, secret: string }) =>
+ *   Record<string, string>|Promise<Record<string, string>>} signRequest - HMAC request signature headers
+ * @property {{ header: string, keyRing: (keys: any) => import("./signing.js").ServerKeyRing,
+ *   verify: typeof import("./signing.js").verifyResponseSignature }} [responseSignatures] - Absent where unsupported
+ */
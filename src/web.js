@@ -0,0 +1,36 @@
+/**
+ * Entry point for browsers and edge runtimes (Cloudflare Workers, Vercel Edge,
+ * Deno), selected by the "browser", "worker", "workerd" and "edge-light"
+ * export conditions. Only modules without Node.js built-ins are included.
+ */
+export { WindiVerifyClient } from "./client-web.js";
+export { FetchTransport } from "./transport.js";
+export { PolicyEngine, DEFAULT_POLICY } from "./policy.js";
+export {
+  StaticCredentialProvider,
+  EnvCredentialProvider,
+  CallbackCredentialProvider
+} from "./credentials.js";
+export { signRequest } from "./credentials-web.js";
+export { VerifyCache, MemoryLRUStore, DEFAULT_CACHE_TTL } from "./cache.js";
+export { instrumentOpenTelemetry } from "./otel.js";
+export { Emitter } from "./events.js";
+export { EndpointPool, CircuitBreaker, DEFAULT_CIRCUIT_BREAKER } from "./endpoints.js";
+export { runCanonVectors } from "./canon-vectors.js";
+export {
+  validateVerifyRequest,
+  validateVerifyResponse,
+  KNOWN_RISK_FLAGS,
+  TRUST_LEVELS,
+  VERDICTS,
+  INTEGRITY_STATUSES,
+  ISSUER_STATUSES
+} from "./contract.js";
+export * as Hash from "./hash-web.js";
+export * as Canon from "./canonicalization.js";
+export * as Wvc from "./wvc.js";
+export * as Iban from "./iban.js";
+export * as Amount from "./amount.js";
+export * as Currency from "./currency.js";
+export * from "./errors.js";
+export * from "./types.js";
@@ -0,0 +1,165 @@
+import { WindiWvcError } from "./errors.js";
+import { isHashUrn } from "./hash-urn.js";
+import { sha256 } from "./sha256.js";
+
+/**
+ * WINDI Verification Code (WVC) Utilities
+ *
+ * Layout of a version 1 code:
+ *
+ *   WVC1-<BODY>-<CHECK>
+ *
+ *   BODY  = Base32 (RFC 4648, no padding) of the UTF-8 string
+ *           "<proof_level>|<document_id>|<document_hash>|<issuer_key_id>"
+ *   CHECK = first 4 Base32 characters of SHA-256("WVC1-" + BODY)
+ *
+ * Only uppercase letters, digits 2-7 and hyphens are used, so codes fit the
+ * QR alphanumeric mode. Parsing is case-insensitive and ignores whitespace.
+ */
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const WVC_PATTERN = /^WVC(\d+)-([A-Z2-7]+)-([A-Z2-7]+)$/;
+const PROOF_LEVELS = ["L1", "L2", "L3"];
+
+export const WVC_VERSION = 1;
+
+/**
+ * Parse and locally validate a WVC string.
+ *
+ * @param {string} wvc
+ * @returns {import("./types.js").ParsedWvc}
+ * @throws {WindiWvcError} for malformed codes, unsupported versions or checksum mismatches
+ *
+ * @example
+ * const { document_id, document_hash } = parseWvc(scannedCode);
+ */
+export function parseWvc(wvc) {
+  const code = String(wvc ?? "").replace(/\s+/g, "").toUpperCase();
+  const match = WVC_PATTERN.exec(code);
+  if (!match) {
+    throw new WindiWvcError("Not a WVC: expected WVC<version>-<body>-<check>", { reason: "FORMAT" });
+  }
+
+  const [, version, body, check] = match;
+  if (Number(version) !== WVC_VERSION) {
+    throw new WindiWvcError(`Unsupported WVC version ${version}`, { reason: "VERSION", version: Number(version) });
+  }
+  if (check !== checksum(body)) {
+    throw new WindiWvcError("WVC checksum mismatch (mistyped or damaged code)", { reason: "CHECKSUM" });
+  }
+
+  let text;
+  try {
+    text = new TextDecoder("utf-8", { fatal: true }).decode(base32Decode(body));
+  } catch {
+    throw new WindiWvcError("WVC body is not valid UTF-8", { reason: "PAYLOAD" });
+  }
+
+  const parts = text.split("|");
+  if (parts.length !== 4) {
+    throw new WindiWvcError("WVC body must have 4 fields", { reason: "PAYLOAD" });
+  }
+  const [proof_level, document_id, document_hash, issuer_key_id] = parts;
+  validateFields({ proof_level, document_id, document_hash, issuer_key_id });
+
+  return { version: WVC_VERSION, wvc: code, document_id, document_hash, issuer_key_id, proof_level };
+}
+
+/**
+ * Parse a code that starts with "WVC1-"; undefined for any other prefix, which
+ * only the API can interpret. A "WVC1-" code that is malformed (e.g. a character
+ * outside Base32 such as 0, 1 or 8, or a missing check segment) or whose
+ * checksum or payload is wrong throws.
+ *
+ * @param {string} wvc
+ * @returns {import("./types.js").ParsedWvc|undefined}
+ * @throws {WindiWvcError} reason FORMAT, CHECKSUM or PAYLOAD
+ */
+export function parseKnownWvc(wvc) {
+  const code = String(wvc ?? "").replace(/\s+/g, "").toUpperCase();
+  if (!code.startsWith(`WVC${WVC_VERSION}-`)) return undefined;
+  return parseWvc(code);
+}
+
+/**
+ * Encode a WVC from a verify request.
+ *
+ * @param {import("./types.js").VerifyRequest} req
+ * @returns {string}
+ */
+export function encodeWvc(req) {
+  const fields = {
+    proof_level: req?.proof_level ?? "L2",
+    document_id: req?.document_id,
+    document_hash: req?.document_hash,
+    issuer_key_id: req?.issuer_key_id
+  };
+  validateFields(fields);
+
+  const text = [fields.proof_level, fields.document_id, fields.document_hash, fields.issuer_key_id].join("|");
+  const body = base32Encode(new TextEncoder().encode(text));
+  return `WVC${WVC_VERSION}-${body}-${checksum(body)}`;
+}
+
+/**
+ * @param {string} wvc
+ * @returns {boolean}
+ */
+export function isValidWvc(wvc) {
+  try {
+    parseWvc(wvc);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function validateFields({ proof_level, document_id, document_hash, issuer_key_id }) {
+  if (!PROOF_LEVELS.includes(proof_level)) {
+    throw new WindiWvcError(`Invalid proof level: ${proof_level}`, { reason: "PAYLOAD", field: "proof_level" });
+  }
+  if (!isHashUrn(document_hash)) {
+    throw new WindiWvcError("document_hash must be <algorithm>:<lowercase hex>", { reason: "PAYLOAD", field: "document_hash" });
+  }
+  for (const [field, value] of [["document_id", document_id], ["issuer_key_id", issuer_key_id]]) {
+    if (!value || value.includes("|")) {
+      throw new WindiWvcError(`${field} is missing or contains "|"`, { reason: "PAYLOAD", field });
+    }
+  }
+}
+
+function checksum(body) {
+  const digest = sha256(`WVC${WVC_VERSION}-${body}`);
+  return base32Encode(digest.subarray(0, 3)).slice(0, 4);
+}
+
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of text) {
+    value = (value << 5) | BASE32.indexOf(ch);
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Uint8Array.from(out);
+}
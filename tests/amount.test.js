@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { canonAmount, parseAmount, localeSeparators } from "../src/amount.js";
+import { Canon } from "../src/index.js";
+import { WindiValidationError } from "../src/errors.js";
+
+const rejects = (reason) => (err) => err instanceof WindiValidationError && err.reason === reason;
+
+test("canonAmount reads locale-formatted amounts exactly", () => {
+  assert.equal(canonAmount("1.234,50", { locale: "de-DE", currency: "EUR" }), "1234.50");
+  assert.equal(canonAmount("1,234.50", { locale: "en-US", currency: "USD" }), "1234.50");
+  assert.equal(canonAmount("1'234.50", { locale: "de-CH", currency: "CHF" }), "1234.50");
+  assert.equal(canonAmount("1 234,50", { locale: "fr-FR", currency: "EUR" }), "1234.50");
+  assert.equal(canonAmount("12,34,567.89", { locale: "en-IN", currency: "INR" }), "1234567.89");
+  assert.equal(canonAmount("0.1", { currency: "EUR" }), "0.10");
+});
+
+test("canonAmount scales to the currency's minor units", () => {
+  assert.equal(canonAmount("1,234", { locale: "en-US", currency: "JPY" }), "1234");
+  assert.equal(canonAmount("12.3456", { currency: "KWD" }), "12.346");
+  assert.equal(canonAmount("12.5", { scale: 4 }), "12.5000");
+});
+
+test("canonAmount applies the rounding mode", () => {
+  assert.equal(canonAmount("0.125", { currency: "EUR" }), "0.13");
+  assert.equal(canonAmount("0.125", { currency: "EUR", rounding: "HALF_EVEN" }), "0.12");
+  assert.equal(canonAmount("0.135", { currency: "EUR", rounding: "HALF_EVEN" }), "0.14");
+  assert.equal(canonAmount("-0.125", { currency: "EUR", rounding: "FLOOR" }), "-0.13");
+  assert.throws(() => canonAmount("12.505", { currency: "EUR", rounding: "UNNECESSARY" }), WindiValidationError);
+});
+
+test("numbers always use \".\" as the decimal point, whatever the locale", () => {
+  assert.equal(canonAmount(12.345, { currency: "KWD" }), "12.345");
+  assert.equal(canonAmount(1234.5, { currency: "EUR", locale: "de-DE" }), "1234.50");
+  assert.equal(canonAmount(1234, { currency: "EUR", locale: "fr-FR" }), "1234.00");
+  assert.equal(canonAmount(12345n, { currency: "JPY", locale: "en-US" }), "12345");
+  assert.deepEqual(parseAmount(-0.5, { locale: "de-DE" }), { negative: true, digits: 5n, scale: 1 });
+  assert.deepEqual(parseAmount(-0), { negative: false, digits: 0n, scale: 0 });
+});
+
+test("parseAmount handles signs, accounting brackets and currency tokens", () => {
+  assert.deepEqual(parseAmount("(12.50)"), { negative: true, digits: 1250n, scale: 2 });
+  assert.deepEqual(parseAmount("12-"), { negative: true, digits: 12n, scale: 0 });
+  assert.deepEqual(parseAmount("EUR 1.234,50", { locale: "de-DE" }), { negative: false, digits: 123450n, scale: 2 });
+  assert.deepEqual(parseAmount("1.234,50 €", { locale: "de-DE" }), { negative: false, digits: 123450n, scale: 2 });
+  assert.deepEqual(parseAmount("-0.00"), { negative: false, digits: 0n, scale: 2 });
+});
+
+test("parseAmount rejects ambiguous input instead of guessing", () => {
+  assert.throws(() => parseAmount("1,234"), rejects("AMBIGUOUS"));
+  assert.throws(() => parseAmount(""), rejects("EMPTY"));
+  assert.throws(() => parseAmount(1e21), rejects("INVALID_FORMAT"));
+});
+
+test("parseAmount checks digit group widths", () => {
+  assert.throws(() => parseAmount("1.234.5"), rejects("INVALID_FORMAT"));
+  assert.throws(() => parseAmount("1,23,456", { locale: "en-US" }), rejects("INVALID_FORMAT"));
+  assert.throws(() => parseAmount("12,3,456.00", { locale: "en-IN" }), rejects("INVALID_FORMAT"));
+  assert.throws(() => parseAmount("1.234,5.0", { locale: "de-DE" }), rejects("INVALID_FORMAT"));
+});
+
+test("parseAmount strips only known currency tokens", () => {
+  assert.throws(() => parseAmount("ABC 12"), rejects("INVALID_FORMAT"));
+  assert.throws(() => parseAmount("12 XYZ"), rejects("INVALID_FORMAT"));
+  assert.deepEqual(parseAmount("USD 12"), { negative: false, digits: 12n, scale: 0 });
+});
+
+test("localeSeparators reports Indian grouping for en-IN", () => {
+  assert.deepEqual(localeSeparators("en-IN"), { group: [","], decimal: ".", groupSize: 2 });
+  assert.equal(localeSeparators("de-DE").decimal, ",");
+  assert.throws(() => localeSeparators("not a locale!"), rejects("UNKNOWN_LOCALE"));
+});
+
+test("amount shelves use the currency's precision or a fixed 2 decimals", () => {
+  assert.equal(Canon.shelfAmount("1.234", { locale: "de-DE", currency: "JPY" }), "windi-canon/1|AMOUNT|DEC|1234");
+  assert.equal(Canon.shelfAmount("12.5", { currency: "KWD" }), "windi-canon/1|AMOUNT|DEC|12.500");
+  assert.equal(Canon.shelfAmountDec2("1.234,5", { locale: "de-DE" }), "windi-canon/1|AMOUNT|DEC|1234.50");
+  assert.throws(() => Canon.canonAmount2("1,234"), rejects("AMBIGUOUS"));
+});
@@ -0,0 +1,106 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  AuditLog,
+  MemorySink,
+  JsonlFileSink,
+  verifyAuditChain,
+  verifyAuditLogFile,
+  GENESIS_HASH,
+  WindiVerifyClient,
+  WindiConfigError
+} from "../src/index.js";
+import { startServer, validResponse, verifyRequest } from "./helpers.js";
+
+async function chain(n) {
+  const sink = new MemorySink();
+  const audit = new AuditLog({ sink });
+  for (let i = 0; i < n; i++) await audit.record({ type: "test", i });
+  return { audit, entries: sink.entries };
+}
+
+const reasons = (result) => result.errors.map((e) => e.reason);
+
+test("an untouched chain verifies and reports its head", async () => {
+  const { entries } = await chain(5);
+  const result = verifyAuditChain(entries);
+  assert.equal(result.valid, true);
+  assert.equal(result.count, 5);
+  assert.equal(result.head, entries[4].hash);
+  assert.equal(entries[0].prev_hash, GENESIS_HASH);
+});
+
+test("edits, deletions inside the chain and reordering are detected", async () => {
+  const { entries } = await chain(5);
+  assert.deepEqual(reasons(verifyAuditChain([entries[0], { ...entries[1], i: 99 }, ...entries.slice(2)])), ["HASH_MISMATCH"]);
+  assert.deepEqual(reasons(verifyAuditChain([entries[0], ...entries.slice(2)])), ["SEQUENCE_GAP", "BROKEN_LINK"]);
+  assert.equal(verifyAuditChain([entries[1], entries[0], ...entries.slice(2)]).valid, false);
+  assert.equal(verifyAuditChain(entries.slice(2)).valid, false);
+  assert.equal(verifyAuditChain(entries.slice(2), { partial: true }).valid, true);
+});
+
+test("entries cut from the end are only detected against a checkpoint", async () => {
+  const { audit, entries } = await chain(5);
+  const checkpoint = await audit.checkpoint();
+  assert.deepEqual({ seq: checkpoint.seq, hash: checkpoint.hash }, { seq: 5, hash: entries[4].hash });
+  await audit.record({ type: "test", i: 5 });
+
+  assert.equal(verifyAuditChain(entries.slice(0, 3)).valid, true);
+  assert.deepEqual(reasons(verifyAuditChain(entries.slice(0, 3), { expectedHead: checkpoint })), ["TRUNCATED"]);
+  assert.equal(verifyAuditChain(entries, { expectedHead: checkpoint }).valid, true);
+
+  // A rebuilt tail that re-links correctly still has a different hash at the checkpoint.
+  const rebuilt = await chain(6);
+  assert.deepEqual(reasons(verifyAuditChain(rebuilt.entries, { expectedHead: checkpoint })), ["HEAD_MISMATCH"]);
+  assert.throws(() => verifyAuditChain(entries, { expectedHead: { hash: checkpoint.hash } }), WindiConfigError);
+});
+
+test("a checkpoint of an empty log is the genesis hash", async () => {
+  const audit = new AuditLog({ sink: new MemorySink() });
+  const checkpoint = await audit.checkpoint();
+  assert.deepEqual({ seq: checkpoint.seq, hash: checkpoint.hash }, { seq: 0, hash: GENESIS_HASH });
+  assert.equal(verifyAuditChain([], { expectedHead: checkpoint }).valid, true);
+});
+
+test("the JSONL sink continues the chain after a restart", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "windi-audit-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "audit.jsonl");
+
+  await new AuditLog({ filePath }).record({ type: "test", i: 0 });
+  const resumed = new AuditLog({ sink: new JsonlFileSink(filePath) });
+  const entry = await resumed.record({ type: "test", i: 1 });
+  assert.equal(entry.seq, 2);
+
+  const checkpoint = await resumed.checkpoint();
+  assert.equal((await verifyAuditLogFile(filePath, { expectedHead: checkpoint })).valid, true);
+
+  fs.appendFileSync(filePath, "{not json\n");
+  assert.deepEqual(reasons(await verifyAuditLogFile(filePath)), ["UNPARSEABLE"]);
+});
+
+test("the client records verifications without document content", async (t) => {
+  const server = await startServer((req) =>
+    req.body.document_id === "windi:doc:unknown"
+      ? { status: 404, body: { error: "DOCUMENT_NOT_FOUND" } }
+      : { body: validResponse() }
+  );
+  t.after(server.close);
+  const sink = new MemorySink();
+  const client = new WindiVerifyClient({ baseUrl: server.url, apiKey: "test-key", audit: new AuditLog({ sink }) });
+
+  await client.verify(verifyRequest());
+  await assert.rejects(client.verify(verifyRequest({ document_id: "windi:doc:unknown" })));
+
+  const [ok, failed] = sink.entries;
+  assert.equal(ok.response.verdict, "VALID");
+  assert.equal(ok.request.document_hash, verifyRequest().document_hash);
+  assert.equal(failed.error.code, "WINDI_HTTP_NOT_FOUND");
+  assert.equal(failed.error.category, "WINDI_HTTP_ERROR");
+  assert.equal(failed.error.status, 404);
+  assert.ok(!JSON.stringify(sink.entries).includes("test-key"));
+  assert.equal(verifyAuditChain(sink.entries).valid, true);
+});
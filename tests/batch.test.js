@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { WindiVerifyClient, WindiConfigError, WindiHttpError } from "../src/index.js";
+import { runConcurrent } from "../src/batch.js";
+import { HASH, ISSUER, startServer, validResponse } from "./helpers.js";
+
+/** A server that answers after a short delay and records the peak number of requests in flight. */
+async function slowServer(t) {
+  const stats = { inFlight: 0, peak: 0 };
+  const server = await startServer(async (req) => {
+    stats.peak = Math.max(stats.peak, ++stats.inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    stats.inFlight--;
+    if (req.body.document_id === "windi:doc:missing") return { status: 404, body: { error: "DOCUMENT_NOT_FOUND" } };
+    return { body: validResponse({ request_id: req.body.document_id }) };
+  });
+  t.after(server.close);
+  const client = new WindiVerifyClient({ baseUrl: server.url, apiKey: "test-key", retry: { maxRetries: 0 } });
+  return { client, stats, requests: server.requests };
+}
+
+const item = (n) => ({ documentId: `windi:doc:${n}`, documentHash: HASH, issuerKeyId: ISSUER });
+
+test("verifyBatch keeps input order and bounds the requests in flight", async (t) => {
+  const { client, stats } = await slowServer(t);
+  const items = Array.from({ length: 10 }, (_, i) => item(`inv-${i}`));
+  const progress = [];
+
+  const outcomes = await client.verifyBatch(items, { concurrency: 3, onProgress: (p) => progress.push(p.completed) });
+  assert.deepEqual(outcomes.map((o) => o.result.request_id), items.map((i) => i.documentId));
+  assert.deepEqual(outcomes.map((o) => o.index), [...items.keys()]);
+  assert.equal(stats.peak, 3);
+  assert.deepEqual(progress, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+});
+
+test("a failing item does not abort the batch", async (t) => {
+  const { client } = await slowServer(t);
+  const items = [item("inv-0"), item("missing"), { documentId: "windi:doc:empty", issuerKeyId: ISSUER }, item("inv-3")];
+  let last;
+
+  const outcomes = await client.verifyBatch(items, { onProgress: (p) => (last = p) });
+  assert.deepEqual(outcomes.map((o) => o.ok), [true, false, false, true]);
+  assert.ok(outcomes[1].error instanceof WindiHttpError);
+  assert.ok(outcomes[2].error instanceof WindiConfigError);
+  assert.deepEqual({ ...last, last: undefined }, { total: 4, completed: 4, succeeded: 2, failed: 2, last: undefined });
+});
+
+test("verifyBatchIter yields outcomes as they complete and hashes in-memory bytes", async (t) => {
+  const { client, requests } = await slowServer(t);
+  const seen = [];
+  for await (const outcome of client.verifyBatchIter([{ ...item("bytes"), documentHash: undefined, bytes: Buffer.from("abc") }])) {
+    seen.push(outcome);
+  }
+  assert.equal(seen.length, 1);
+  assert.equal(requests[0].body.document_hash, "sha256:ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+});
+
+test("runConcurrent treats an invalid concurrency as 1", async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const worker = async (n) => {
+    peak = Math.max(peak, ++inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    inFlight--;
+    return n * 2;
+  };
+  const results = [];
+  for await (const outcome of runConcurrent([1, 2, 3], Number.NaN, worker)) results.push(outcome.result);
+  assert.deepEqual(results, [2, 4, 6]);
+  assert.equal(peak, 1);
+});
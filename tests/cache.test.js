@@ -0,0 +1,65 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { WindiVerifyClient, VerifyCache } from "../src/index.js";
+import { MemoryLRUStore } from "../src/cache.js";
+import { startServer, validResponse, verifyRequest } from "./helpers.js";
+
+test("cached results report from_cache and skip the API", async (t) => {
+  const server = await startServer(() => ({ body: validResponse() }));
+  t.after(server.close);
+  const client = new WindiVerifyClient({ baseUrl: server.url, apiKey: "test-key", cache: true });
+
+  assert.equal((await client.verify(verifyRequest())).from_cache, false);
+  const cached = await client.verify(verifyRequest());
+  assert.equal(cached.from_cache, true);
+  assert.ok(cached.cached_at);
+  assert.equal(server.requests.length, 1);
+
+  await client.verify(verifyRequest({ proof_level: "L3" }));
+  assert.equal(server.requests.length, 2, "the proof level is part of the key");
+});
+
+test("INVALID results and revoked issuers are never cached", async () => {
+  const cache = new VerifyCache();
+  assert.equal(cache.ttlFor(validResponse()), 5 * 60_000);
+  assert.equal(cache.ttlFor(validResponse({ verdict: "SUSPECT" })), 30_000);
+  assert.equal(cache.ttlFor(validResponse({ verdict: "INVALID" })), 0);
+  assert.equal(cache.ttlFor(validResponse({ issuer_status: "REVOKED" })), 0);
+
+  await cache.set(verifyRequest(), validResponse({ verdict: "INVALID" }));
+  assert.equal(await cache.get(verifyRequest()), undefined);
+});
+
+test("entries expire after their verdict's TTL", async () => {
+  const cache = new VerifyCache({ ttl: { VALID: 5 } });
+  await cache.set(verifyRequest(), validResponse());
+  assert.equal((await cache.get(verifyRequest())).response.verdict, "VALID");
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.equal(await cache.get(verifyRequest()), undefined);
+});
+
+test("MemoryLRUStore evicts the least recently used entry and returns copies", () => {
+  const store = new MemoryLRUStore({ maxEntries: 2 });
+  store.set("a", { n: 1 }, 60_000);
+  store.set("b", { n: 2 }, 60_000);
+  store.get("a").n = 99;
+  store.set("c", { n: 3 }, 60_000);
+
+  assert.equal(store.get("b"), undefined);
+  assert.deepEqual(store.get("a"), { n: 1 });
+  assert.equal(store.size, 2);
+});
+
+test("a custom async store is used as is", async () => {
+  const map = new Map();
+  const store = {
+    get: async (key) => map.get(key),
+    set: async (key, entry) => void map.set(key, entry),
+    delete: async (key) => void map.delete(key)
+  };
+  const cache = new VerifyCache({ store });
+  await cache.set(verifyRequest(), validResponse());
+  assert.equal(map.size, 1);
+  await cache.delete(verifyRequest());
+  assert.equal(await cache.get(verifyRequest()), undefined);
+});
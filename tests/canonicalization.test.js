@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import {
+  Canon,
+  Hash,
+  runCanonVectors,
+  computeFieldCommitments,
+  verifyFieldBindings,
+  applyFieldFindings,
+  WindiValidationError
+} from "../src/index.js";
+
+const vectors = (name) => JSON.parse(fs.readFileSync(new URL(`../docs/test-vectors/${name}`, import.meta.url), "utf8"));
+
+for (const file of ["windi-canon-0.json", "windi-canon-1.json"]) {
+  test(`published test vectors pass: ${file}`, () => {
+    const report = runCanonVectors(vectors(file));
+    assert.deepEqual(report.results.filter((r) => r.status === "FAIL"), []);
+    assert.ok(report.total > 0);
+  });
+}
+
+test("windi-canon/1 shelves carry the profile id; windi-canon/0 shelves are untagged", () => {
+  assert.equal(Canon.shelfPaytoIban("DE89 3704 0044 0532 0130 00"), "windi-canon/1|PAYTO|IBAN|DE89370400440532013000");
+  assert.equal(
+    Canon.shelfPaytoIban("DE89 3704 0044 0532 0130 00", { profile: "windi-canon/0" }),
+    "PAYTO|IBAN|DE89370400440532013000"
+  );
+  assert.throws(
+    () => Canon.canonShelf("PAYTO|IBAN", "DE89", { profile: "windi-canon/9" }),
+    (err) => err instanceof WindiValidationError && err.reason === "UNKNOWN_PROFILE"
+  );
+});
+
+const instruction = {
+  iban: "DE89 3704 0044 0532 0130 00",
+  amount: "1.234,50",
+  currency: "EUR",
+  locale: "de-DE",
+  beneficiaryName: "Müller GmbH",
+  reference: "INV-001"
+};
+
+test("field commitments round-trip and flag the changed field", () => {
+  const commitments = computeFieldCommitments(instruction);
+  assert.equal(commitments.canon_profile, "windi-canon/1");
+  assert.equal(verifyFieldBindings(instruction, commitments).ok, true);
+
+  const binding = verifyFieldBindings({ ...instruction, iban: "GB29 NWBK 6016 1331 9268 19" }, commitments);
+  assert.equal(binding.ok, false);
+  assert.deepEqual(binding.risk_flags, ["IBAN_MISMATCH"]);
+
+  const response = applyFieldFindings({ verdict: "VALID", integrity: "INTACT", trust_level: "L2", risk_flags: [] }, binding);
+  assert.ok(response.risk_flags.includes("IBAN_MISMATCH"));
+});
+
+test("commitments without canon_profile are checked with the windi-canon/0 rules", () => {
+  const legacy = {
+    payto_hash: Hash.sha256UrnFromUtf8("PAYTO|IBAN|DE89370400440532013000"),
+    amount_hash: Hash.sha256UrnFromUtf8("AMOUNT|DEC|1234.50")
+  };
+  const binding = verifyFieldBindings({ iban: instruction.iban, amount: "1.234,50", currency: "EUR", locale: "de-DE" }, legacy);
+  assert.equal(binding.canon_profile, "windi-canon/0");
+  const status = Object.fromEntries(binding.fields.map((f) => [f.commitment, f.status]));
+  assert.equal(status.payto_hash, "MATCH");
+  assert.equal(status.amount_hash, "MATCH");
+});
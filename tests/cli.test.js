@@ -0,0 +1,93 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { HASH, ISSUER, OTHER_HASH, startServer, validResponse } from "./helpers.js";
+
+const BIN = fileURLToPath(new URL("../bin/windi-verify.js", import.meta.url));
+const SUSPECT_HASH = `sha256:${"c".repeat(64)}`;
+
+/** Run windi-verify and resolve with its exit code and output. */
+function run(args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [BIN, ...args], { env: { PATH: process.env.PATH, ...env }, timeout: 30_000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+/** A server that answers by hash: HASH is VALID, OTHER_HASH INVALID, SUSPECT_HASH SUSPECT, anything else 404. */
+async function apiEnv(t) {
+  const server = await startServer((req) => {
+    if (req.url === "/health") return { body: { status: "healthy", version: "test" } };
+    const verdict = { [HASH]: "VALID", [OTHER_HASH]: "INVALID", [SUSPECT_HASH]: "SUSPECT" }[req.body.document_hash];
+    if (!verdict) return { status: 404, body: { error: "DOCUMENT_NOT_FOUND" } };
+    return { body: validResponse({ verdict, integrity: verdict === "INVALID" ? "MODIFIED" : "INTACT" }) };
+  });
+  t.after(server.close);
+  return { env: { WINDI_BASE_URL: server.url, WINDI_API_KEY: "test-key" }, requests: server.requests };
+}
+
+const HASH_ARGS = ["--document-id", "windi:doc:inv-001", "--issuer-key-id", ISSUER];
+
+test("exit codes follow the verdict", async (t) => {
+  const { env } = await apiEnv(t);
+
+  const valid = await run(["hash", ...HASH_ARGS, "--format", "json", HASH], env);
+  assert.equal(valid.code, 0, valid.stderr);
+  assert.equal(JSON.parse(valid.stdout)[0].verdict, "VALID");
+
+  assert.equal((await run(["hash", ...HASH_ARGS, SUSPECT_HASH], env)).code, 1);
+  assert.equal((await run(["hash", ...HASH_ARGS, OTHER_HASH], env)).code, 2);
+  assert.equal((await run(["hash", ...HASH_ARGS, `sha256:${"d".repeat(64)}`], env)).code, 3);
+});
+
+test("file hashes every file of a directory and fills the document id template", async (t) => {
+  const { env, requests } = await apiEnv(t);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "windi-cli-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, "inv-001.pdf"), "first");
+  fs.mkdirSync(path.join(dir, "sub"));
+  fs.writeFileSync(path.join(dir, "sub", "inv-002.pdf"), "second");
+
+  const result = await run(["file", dir, "--issuer-key-id", ISSUER, "--document-id", "windi:doc:{name}", "--format", "csv"], env);
+  assert.equal(result.code, 3, "neither file is registered");
+  const [header, ...rows] = result.stdout.trim().split("\n");
+  assert.match(header, /^input,document_id,verdict/);
+  assert.equal(rows.length, 2);
+  assert.deepEqual(requests.map((r) => r.body.document_id).sort(), ["windi:doc:inv-001", "windi:doc:inv-002"]);
+});
+
+test("health reports the API status", async (t) => {
+  const { env } = await apiEnv(t);
+  const result = await run(["health", "--format", "json"], env);
+  assert.equal(result.code, 0, result.stderr);
+});
+
+test("usage and configuration errors exit with 4", async () => {
+  assert.equal((await run(["hash", ...HASH_ARGS, HASH])).code, 4, "no API key");
+  const env = { WINDI_API_KEY: "test-key" };
+  assert.equal((await run(["frobnicate"], env)).code, 4);
+  assert.equal((await run(["hash", "--issuer-key-id", ISSUER, HASH], env)).code, 4);
+  assert.equal((await run(["hash", ...HASH_ARGS, "--format", "xml", HASH], env)).code, 4);
+  assert.equal((await run(["hash", ...HASH_ARGS, "--bogus", HASH], env)).code, 4);
+  assert.equal((await run(["--help"])).code, 0);
+});
+
+test("--concurrency and --timeout must be positive integers", async () => {
+  const env = { WINDI_API_KEY: "test-key" };
+  for (const flag of [["--concurrency", "abc"], ["--concurrency", "0"], ["--timeout", "10ms"], ["--timeout=-5"]]) {
+    const result = await run(["hash", ...flag, "--document-id", "d", "--issuer-key-id", ISSUER, HASH], env);
+    assert.equal(result.code, 4, flag.join(" "));
+    assert.match(result.stderr, /must be a positive integer/);
+  }
+});
+
+test("canon-vectors runs the published suites without an API key", async () => {
+  const files = ["windi-canon-0.json", "windi-canon-1.json"].map((f) => fileURLToPath(new URL(`../docs/test-vectors/${f}`, import.meta.url)));
+  const result = await run(["canon-vectors", ...files]);
+  assert.equal(result.code, 0, result.stdout);
+});
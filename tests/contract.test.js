@@ -0,0 +1,104 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  WindiVerifyClient,
+  validateVerifyRequest,
+  validateVerifyResponse,
+  PolicyEngine,
+  WindiConfigError,
+  WindiProtocolError
+} from "../src/index.js";
+import { startServer, validResponse, verifyRequest } from "./helpers.js";
+
+const codes = (result) => result.issues.map((i) => `${i.path}:${i.code}`);
+
+test("validateVerifyRequest checks ids, the hash format and the proof level", () => {
+  assert.deepEqual(validateVerifyRequest(verifyRequest()), { valid: true, issues: [] });
+  assert.deepEqual(
+    codes(validateVerifyRequest({ document_id: "inv-001", document_hash: "md5:abc", proof_level: "L4", manifest_id: 7 })),
+    ["document_id:FORMAT", "issuer_key_id:REQUIRED", "manifest_id:TYPE", "document_hash:FORMAT", "proof_level:ENUM"]
+  );
+  assert.deepEqual(codes(validateVerifyRequest(null)), [":TYPE"]);
+});
+
+test("validateVerifyResponse checks the enums and field types and keeps unknown risk flags apart", () => {
+  assert.deepEqual(validateVerifyResponse(validResponse()), { valid: true, issues: [], unknown_risk_flags: [] });
+
+  const result = validateVerifyResponse({
+    verdict: "OK",
+    trust_level: "L2",
+    checks: { hash_match: "yes" },
+    risk_flags: ["IBAN_MISMATCH", "BRAND_NEW_FLAG", 7],
+    request_id: 1
+  });
+  assert.deepEqual(codes(result), ["verdict:ENUM", "integrity:REQUIRED", "checks.hash_match:TYPE", "risk_flags[2]:TYPE", "request_id:TYPE"]);
+  assert.deepEqual(result.unknown_risk_flags, ["BRAND_NEW_FLAG"]);
+});
+
+/** A client whose server answers every request with `body`. */
+async function clientFor(t, body, opts = {}) {
+  const server = await startServer(() => ({ body }));
+  t.after(server.close);
+  const client = new WindiVerifyClient({ baseUrl: server.url, apiKey: "test-key", ...opts });
+  return { client, requests: server.requests };
+}
+
+test("strict mode rejects contract violations in either direction", async (t) => {
+  const { client, requests } = await clientFor(t, validResponse({ verdict: "OK" }), { validation: "strict" });
+  await assert.rejects(client.verify(verifyRequest({ document_hash: "md5:abc" })), (err) => {
+    assert.ok(err instanceof WindiProtocolError);
+    assert.equal(err.direction, "request");
+    return true;
+  });
+  assert.equal(requests.length, 0);
+
+  await assert.rejects(client.verify(verifyRequest()), (err) => {
+    assert.ok(err instanceof WindiProtocolError);
+    assert.equal(err.direction, "response");
+    assert.deepEqual(codes(err), ["verdict:ENUM"]);
+    return true;
+  });
+});
+
+test("unknown risk flags are kept and listed, even in strict mode", async (t) => {
+  const { client } = await clientFor(t, validResponse({ risk_flags: ["BRAND_NEW_FLAG"] }), { validation: "strict" });
+  const result = await client.verify(verifyRequest());
+  assert.deepEqual(result.risk_flags, ["BRAND_NEW_FLAG"]);
+  assert.deepEqual(result.unknown_risk_flags, ["BRAND_NEW_FLAG"]);
+  assert.equal(result.warnings, undefined);
+});
+
+test("lenient mode attaches warnings and off passes the body through", async (t) => {
+  const body = validResponse({ verdict: "OK", integrity: undefined });
+  const { client: lenient } = await clientFor(t, body, { validation: "lenient" });
+  const result = await lenient.verify(verifyRequest({ document_hash: "md5:abc" }));
+  assert.deepEqual(
+    result.warnings.map((w) => `${w.direction}:${w.path}:${w.code}`),
+    ["request:document_hash:FORMAT", "response:verdict:ENUM", "response:integrity:REQUIRED"]
+  );
+
+  const { client: off } = await clientFor(t, body, { validation: "off" });
+  assert.deepEqual(await off.verify(verifyRequest()), JSON.parse(JSON.stringify(body)));
+});
+
+test("validation defaults to lenient and rejects unknown modes", () => {
+  assert.equal(new WindiVerifyClient({ baseUrl: "http://localhost", apiKey: "k" }).validation, "lenient");
+  assert.throws(() => new WindiVerifyClient({ baseUrl: "http://localhost", apiKey: "k", validation: "loose" }), WindiConfigError);
+});
+
+test("a response outside the contract never ends in ALLOW, in any validation mode", async (t) => {
+  const policy = new PolicyEngine();
+  for (const body of [validResponse({ verdict: "OK" }), validResponse({ integrity: undefined })]) {
+    const { client: strict } = await clientFor(t, body, { validation: "strict" });
+    await assert.rejects(strict.verify(verifyRequest()), WindiProtocolError);
+
+    const { client: lenient } = await clientFor(t, body, { validation: "lenient" });
+    const warned = policy.evaluate({ verify: await lenient.verify(verifyRequest()) });
+    assert.equal(warned.action, "HOLD");
+    assert.ok(warned.reasons.includes("CONTRACT_WARNINGS"));
+
+    const { client: off } = await clientFor(t, body, { validation: "off" });
+    const unchecked = policy.evaluate({ verify: await off.verify(verifyRequest()) });
+    assert.deepEqual([unchecked.action, unchecked.reason], ["HOLD", "NOT_VERIFIED"]);
+  }
+});
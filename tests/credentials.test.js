@@ -0,0 +1,75 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  CallbackCredentialProvider,
+  signRequest,
+  verifyRequestSignature,
+  WindiAuthError,
+  WindiConfigError
+} from "../src/index.js";
+import { startMock, verifyRequest } from "./helpers.js";
+
+const SECRET = "s3cret";
+const secretFor = (keyId) => (keyId === "reader-1" ? SECRET : undefined);
+const lower = (headers) => Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+
+test("verifyRequestSignature accepts what signRequest produced", () => {
+  const body = JSON.stringify(verifyRequest());
+  const headers = lower(signRequest({ method: "post", path: "/api/verify", body, keyId: "reader-1", secret: SECRET }));
+  assert.deepEqual(verifyRequestSignature({ method: "POST", path: "/api/verify", headers, body }, secretFor), {
+    valid: true,
+    keyId: "reader-1"
+  });
+});
+
+test("verifyRequestSignature rejects changed bodies, paths, unknown keys and old timestamps", () => {
+  const body = JSON.stringify(verifyRequest());
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = lower(signRequest({ method: "POST", path: "/api/verify", body, keyId: "reader-1", secret: SECRET, timestamp }));
+  const check = (req, opts) => verifyRequestSignature({ method: "POST", path: "/api/verify", headers, body, ...req }, secretFor, opts).reason;
+
+  assert.equal(check({ body: body.replace("inv-001", "inv-002") }), "DIGEST_MISMATCH");
+  assert.equal(check({ path: "/api/verify/wvc" }), "BAD_SIGNATURE");
+  assert.equal(check({}, { now: (timestamp + 600) * 1000 }), "STALE");
+  assert.equal(verifyRequestSignature({ method: "POST", path: "/api/verify", headers, body }, () => undefined).reason, "UNKNOWN_KEY");
+  assert.equal(check({ headers: {} }), "MISSING");
+});
+
+test("the client signs requests the mock server accepts", async (t) => {
+  const { client, mock, close } = await startMock(
+    { apiKeys: [], hmacKeys: { "reader-1": SECRET } },
+    { apiKey: undefined, credentials: { apiKey: SECRET, keyId: "reader-1" }, signRequests: true }
+  );
+  t.after(close);
+
+  const result = await client.verify(verifyRequest());
+  assert.equal(result.verdict, "VALID");
+  assert.match(mock.requests[0].headers.authorization, /^WINDI-HMAC-SHA256 /);
+  assert.equal(mock.requests[0].headers["x-windi-api-key"], undefined);
+});
+
+test("signRequests without a keyId is a configuration error", async (t) => {
+  const { client, close } = await startMock({}, { signRequests: true });
+  t.after(close);
+  await assert.rejects(client.verify(verifyRequest()), WindiConfigError);
+});
+
+test("a rotated key is reloaded once after INVALID_API_KEY", async (t) => {
+  const keys = ["old-key", "test-key"];
+  let fetches = 0;
+  const credentials = new CallbackCredentialProvider(() => keys[Math.min(fetches++, keys.length - 1)]);
+  const { client, close } = await startMock({}, { apiKey: undefined, credentials });
+  t.after(close);
+
+  const refreshed = [];
+  client.on("credentialRefresh", (e) => refreshed.push(e));
+  assert.equal((await client.verify(verifyRequest())).verdict, "VALID");
+  assert.equal(fetches, 2);
+  assert.equal(refreshed.length, 1);
+});
+
+test("a key that stays invalid fails with WindiAuthError", async (t) => {
+  const { client, close } = await startMock({}, { apiKey: "wrong-key" });
+  t.after(close);
+  await assert.rejects(client.verify(verifyRequest()), (err) => err instanceof WindiAuthError && err.apiCode === "INVALID_API_KEY");
+});
@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Canon, Currency, WindiValidationError } from "../src/index.js";
+
+const rejects = (reason) => (err) => err instanceof WindiValidationError && err.reason === reason;
+
+test("getCurrency and currencyByNumeric read the ISO 4217 registry", () => {
+  assert.deepEqual(Currency.getCurrency("eur"), { code: "EUR", numeric: "978", minorUnits: 2, withdrawn: undefined, name: "Euro" });
+  assert.equal(Currency.getCurrency("DEM").withdrawn, 2002);
+  assert.equal(Currency.getCurrency("ABC"), undefined);
+  assert.equal(Currency.currencyByNumeric(978).code, "EUR");
+  assert.equal(Currency.currencyByNumeric("532").code, "XCG", "the active code wins over a withdrawn one");
+});
+
+test("minorUnits follows the registry", () => {
+  assert.deepEqual(["JPY", "EUR", "KWD", "CLF", "XAU"].map(Currency.minorUnits), [0, 2, 3, 4, null]);
+  assert.equal(Currency.minorUnits(), 2);
+  assert.throws(() => Currency.minorUnits("ABC"), rejects("UNKNOWN_CURRENCY"));
+});
+
+test("resolveCurrency accepts codes, numeric codes, symbols and localized names", () => {
+  assert.equal(Currency.resolveCurrency(" eur "), "EUR");
+  assert.equal(Currency.resolveCurrency("756"), "CHF");
+  assert.equal(Currency.resolveCurrency("€"), "EUR");
+  assert.equal(Currency.resolveCurrency("US$"), "USD");
+  assert.equal(Currency.resolveCurrency("£"), "GBP");
+  assert.equal(Currency.resolveCurrency("euros"), "EUR");
+  assert.equal(Currency.resolveCurrency("Japanese Yen"), "JPY");
+  assert.equal(Currency.resolveCurrency("Schweizer Franken", { locale: "de-CH" }), "CHF");
+});
+
+test("ambiguous symbols need a locale or country hint", () => {
+  assert.throws(() => Currency.resolveCurrency("$"), rejects("AMBIGUOUS_CURRENCY"));
+  assert.throws(() => Currency.resolveCurrency("¥"), rejects("AMBIGUOUS_CURRENCY"));
+  assert.equal(Currency.resolveCurrency("$", { country: "CA" }), "CAD");
+  assert.equal(Currency.resolveCurrency("$", { locale: "es-MX" }), "MXN");
+  assert.equal(Currency.resolveCurrency("¥", { locale: "ja-JP" }), "JPY");
+  assert.equal(Currency.resolveCurrency("kr", { country: "NO" }), "NOK");
+});
+
+test("unknown, empty and withdrawn currencies are rejected", () => {
+  assert.throws(() => Currency.resolveCurrency("XYZ"), rejects("UNKNOWN_CURRENCY"));
+  assert.throws(() => Currency.resolveCurrency(""), rejects("EMPTY"));
+  assert.throws(() => Currency.resolveCurrency("DEM"), rejects("WITHDRAWN_CURRENCY"));
+  assert.equal(Currency.resolveCurrency("DEM", { allowWithdrawn: true }), "DEM");
+});
+
+test("canonCurrency resolves through the registry", () => {
+  assert.equal(Canon.canonCurrency("euro"), "EUR");
+  assert.equal(Canon.shelfCurrencyIso("€"), "windi-canon/1|CURRENCY|ISO4217|EUR");
+  assert.throws(() => Canon.canonCurrency("$"), rejects("AMBIGUOUS_CURRENCY"));
+});
+
+test("currencyName and currencySymbol are localized", () => {
+  assert.equal(Currency.currencyName("EUR", "de-DE"), "Euro");
+  assert.equal(Currency.currencySymbol("USD", "en-US"), "$");
+  assert.equal(Currency.currencySymbol("USD", "en-CA"), "US$");
+  assert.equal(Currency.currencySymbol("USD", "en-CA", { narrow: true }), "$");
+});
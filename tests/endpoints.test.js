@@ -0,0 +1,94 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { CircuitBreaker, EndpointPool, WindiVerifyClient, WindiNetworkError } from "../src/index.js";
+import { MockVerifyServer } from "../src/mock-server.js";
+import { HASH, ISSUER, verifyRequest } from "./helpers.js";
+
+test("a circuit opens at the threshold, half-opens after the cooldown and closes on success", () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000 });
+  assert.equal(breaker.recordFailure(0), false);
+  assert.equal(breaker.recordFailure(0), true);
+  assert.equal(breaker.state(500), "OPEN");
+  assert.equal(breaker.allowsRequest(500), false);
+  assert.equal(breaker.state(1000), "HALF_OPEN");
+  assert.equal(breaker.recordFailure(1000), true, "a failed probe re-opens the circuit");
+  assert.equal(breaker.state(1500), "OPEN");
+  assert.equal(breaker.recordSuccess(), true);
+  assert.equal(breaker.state(1500), "CLOSED");
+});
+
+test("select prefers healthy endpoints and skips excluded or open ones", () => {
+  const pool = new EndpointPool(["https://a.example/api", "https://b.example/api"], { circuitBreaker: { failureThreshold: 1 } });
+  const [a, b] = pool.endpoints;
+  assert.equal(pool.select(), a);
+  assert.equal(pool.select({ exclude: new Set([a]) }), b);
+  pool.recordHealth(a, false);
+  assert.equal(pool.select(), b);
+  pool.recordFailure(b);
+  assert.equal(pool.select(), a, "an unhealthy endpoint still beats an open circuit");
+  pool.recordFailure(a);
+  assert.equal(pool.select(), undefined);
+});
+
+async function twoEndpoints(t, clientOpts = {}) {
+  const docs = { documents: [{ document_id: "windi:doc:inv-001", document_hash: HASH, issuer_key_id: ISSUER }] };
+  const primary = new MockVerifyServer(docs);
+  const secondary = new MockVerifyServer(docs);
+  const [{ url: primaryUrl }, { url: secondaryUrl }] = [await primary.listen(), await secondary.listen()];
+  t.after(() => Promise.all([primary.close(), secondary.close()]));
+  const client = new WindiVerifyClient({
+    endpoints: [primaryUrl, secondaryUrl],
+    apiKey: "test-key",
+    retry: { baseDelayMs: 1, maxDelayMs: 1 },
+    ...clientOpts
+  });
+  return { client, primary, secondary, primaryUrl, secondaryUrl };
+}
+
+test("a 5xx from the primary fails over to the next endpoint at once", async (t) => {
+  const { client, primary, secondary, primaryUrl, secondaryUrl } = await twoEndpoints(t);
+  const failovers = [];
+  client.on("failover", (e) => failovers.push(e));
+  primary.inject({ error: "INTERNAL_ERROR" }, { times: 10 });
+
+  assert.equal((await client.verify(verifyRequest())).verdict, "VALID");
+  assert.equal(primary.requests.length, 1);
+  assert.equal(secondary.requests.length, 1);
+  assert.deepEqual(
+    failovers.map(({ from, to, reason }) => ({ from, to, reason })),
+    [{ from: primaryUrl, to: secondaryUrl, reason: "WINDI_HTTP_SERVER_ERROR" }]
+  );
+});
+
+test("4xx answers never fail over", async (t) => {
+  const { client, primary, secondary } = await twoEndpoints(t);
+  primary.inject({ error: "DOCUMENT_NOT_FOUND" });
+  await assert.rejects(client.verify(verifyRequest()), (err) => err.code === "WINDI_HTTP_NOT_FOUND");
+  assert.equal(secondary.requests.length, 0);
+  assert.equal(primary.requests.length, 1);
+});
+
+test("the circuit of a failing endpoint opens and requests skip it", async (t) => {
+  const { client, primary, secondary } = await twoEndpoints(t, { circuitBreaker: { failureThreshold: 2, cooldownMs: 60_000 } });
+  const circuits = [];
+  client.on("circuit", (e) => circuits.push(e.state));
+  primary.inject({ error: "INTERNAL_ERROR" }, { times: 10 });
+
+  for (let i = 0; i < 3; i++) await client.verify(verifyRequest());
+  assert.equal(primary.requests.length, 2);
+  assert.equal(secondary.requests.length, 3);
+  assert.deepEqual(circuits, ["OPEN"]);
+  assert.equal(client.endpointStatus()[0].circuit, "OPEN");
+});
+
+test("with every circuit open, requests fail at once with WindiNetworkError", async (t) => {
+  const { client, primary, secondary } = await twoEndpoints(t, {
+    circuitBreaker: { failureThreshold: 1, cooldownMs: 60_000 },
+    retry: { maxRetries: 0 }
+  });
+  primary.inject({ error: "INTERNAL_ERROR" }, { times: 10 });
+  secondary.inject({ error: "INTERNAL_ERROR" }, { times: 10 });
+
+  await assert.rejects(client.verify(verifyRequest()), (err) => err.code === "WINDI_HTTP_SERVER_ERROR");
+  await assert.rejects(client.verify(verifyRequest()), (err) => err instanceof WindiNetworkError && err.isRetryable === false);
+});
@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  WindiVerifyClient,
+  WindiError,
+  WindiHttpError,
+  WindiAuthError,
+  WindiNotFoundError,
+  WindiIssuerRevokedError,
+  WindiRateLimitError,
+  WindiInvalidRequestError,
+  WindiServerError,
+  WindiTimeoutError,
+  WindiNetworkError,
+  httpErrorFromResponse,
+  redactSensitive
+} from "../src/index.js";
+import { startServer, verifyRequest } from "./helpers.js";
+
+const API_ERRORS = {
+  INVALID_API_KEY: [401, WindiAuthError, "WINDI_HTTP_AUTH_ERROR", false],
+  INVALID_HASH_FORMAT: [400, WindiInvalidRequestError, "WINDI_HTTP_INVALID_REQUEST", false],
+  DOCUMENT_NOT_FOUND: [404, WindiNotFoundError, "WINDI_HTTP_NOT_FOUND", false],
+  ISSUER_NOT_FOUND: [404, WindiNotFoundError, "WINDI_HTTP_NOT_FOUND", false],
+  ISSUER_REVOKED: [403, WindiIssuerRevokedError, "WINDI_HTTP_ISSUER_REVOKED", false],
+  RATE_LIMITED: [429, WindiRateLimitError, "WINDI_HTTP_RATE_LIMITED", true],
+  INTERNAL_ERROR: [500, WindiServerError, "WINDI_HTTP_SERVER_ERROR", true]
+};
+
+test("every documented API error code maps to its class, with its own code and the WINDI_HTTP_ERROR category", () => {
+  for (const [apiCode, [status, ErrorClass, code, retryable]] of Object.entries(API_ERRORS)) {
+    const err = httpErrorFromResponse({ status, data: { error: apiCode, message: "nope" }, requestId: "req-9" });
+    assert.ok(err instanceof ErrorClass, apiCode);
+    assert.ok(err instanceof WindiHttpError && err instanceof WindiError);
+    assert.equal(err.code, code);
+    assert.equal(err.category, "WINDI_HTTP_ERROR");
+    assert.equal(err.apiCode, apiCode);
+    assert.equal(err.status, status);
+    assert.equal(err.requestId, "req-9");
+    assert.equal(err.isRetryable, retryable);
+    assert.equal(err.message, `WINDI HTTP ${status} ${apiCode}: nope`);
+  }
+});
+
+test("unknown API codes fall back to the status", () => {
+  assert.ok(httpErrorFromResponse({ status: 503, data: { error: "MAINTENANCE" } }) instanceof WindiServerError);
+  assert.ok(httpErrorFromResponse({ status: 422 }) instanceof WindiInvalidRequestError);
+  const teapot = httpErrorFromResponse({ status: 418 });
+  assert.equal(teapot.constructor, WindiHttpError);
+  assert.deepEqual([teapot.code, teapot.category], ["WINDI_HTTP_ERROR", "WINDI_HTTP_ERROR"]);
+  assert.equal(teapot.isRetryable, false);
+});
+
+test("the client throws the mapped error with the Retry-After hint", async (t) => {
+  const server = await startServer(() => ({
+    status: 429,
+    headers: { "retry-after": "2", "x-request-id": "req-429" },
+    body: { error: "RATE_LIMITED" }
+  }));
+  t.after(server.close);
+  const client = new WindiVerifyClient({ baseUrl: server.url, apiKey: "test-key", retry: { maxRetries: 0 } });
+
+  await assert.rejects(client.verify(verifyRequest()), (err) => {
+    assert.ok(err instanceof WindiRateLimitError);
+    assert.equal(err.retryAfterMs, 2000);
+    assert.equal(err.requestId, "req-429");
+    return true;
+  });
+});
+
+test("timeouts and connection failures have their own retryable classes", async (t) => {
+  const silent = await startServer(() => undefined);
+  t.after(silent.close);
+  const slow = new WindiVerifyClient({ baseUrl: silent.url, apiKey: "test-key", timeoutMs: 50, retry: { maxRetries: 0 } });
+  await assert.rejects(slow.verify(verifyRequest()), (err) => {
+    assert.ok(err instanceof WindiTimeoutError);
+    assert.deepEqual([err.code, err.category, err.status, err.isRetryable], ["WINDI_HTTP_TIMEOUT", "WINDI_HTTP_ERROR", 0, true]);
+    return true;
+  });
+
+  const closed = await startServer(() => ({}));
+  await closed.close();
+  const unreachable = new WindiVerifyClient({ baseUrl: closed.url, apiKey: "test-key", retry: { maxRetries: 0 } });
+  await assert.rejects(
+    unreachable.verify(verifyRequest()),
+    (err) => err instanceof WindiNetworkError && err.isRetryable && err.code === "WINDI_HTTP_NETWORK_ERROR"
+  );
+});
+
+test("serialized errors never contain credentials", () => {
+  const err = new WindiHttpError("boom", {
+    status: 401,
+    data: { headers: { "X-WINDI-API-KEY": "secret-key", Authorization: "Bearer t" }, nested: [{ api_key: "k" }] }
+  });
+  const json = JSON.stringify(err);
+  assert.ok(!json.includes("secret-key") && !json.includes("Bearer t") && !json.includes('"k"'));
+  assert.equal(JSON.parse(json).name, "WindiHttpError");
+  assert.equal(JSON.parse(json).category, "WINDI_HTTP_ERROR");
+
+  const cyclic = { cookie: "c" };
+  cyclic.self = cyclic;
+  assert.deepEqual(redactSensitive(cyclic), { cookie: "[REDACTED]", self: "[Circular]" });
+});
@@ -0,0 +1,102 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { computeFieldCommitments, verifyFieldBindings, applyFieldFindings, PolicyEngine } from "../src/index.js";
+
+const INSTRUCTION = {
+  iban: "DE89 3704 0044 0532 0130 00",
+  amount: "1234.50",
+  currency: "EUR",
+  beneficiaryName: "Müller GmbH",
+  reference: "INV-001"
+};
+const COMMITMENTS = computeFieldCommitments(INSTRUCTION);
+const status = (binding) => Object.fromEntries(binding.fields.map((f) => [f.field, f.status]));
+
+test("computeFieldCommitments hashes every provided field", () => {
+  assert.deepEqual(Object.keys(COMMITMENTS).sort(), [
+    "amount_hash",
+    "beneficiary_hash",
+    "canon_profile",
+    "currency_hash",
+    "payto_hash",
+    "reference_hash"
+  ]);
+  const { canon_profile, ...hashes } = COMMITMENTS;
+  assert.equal(canon_profile, "windi-canon/1");
+  for (const hash of Object.values(hashes)) assert.match(hash, /^sha256:[0-9a-f]{64}$/);
+  assert.deepEqual(Object.keys(computeFieldCommitments({ iban: INSTRUCTION.iban })), ["canon_profile", "payto_hash"]);
+});
+
+test("an instruction matches its own commitments after canonicalization", () => {
+  const binding = verifyFieldBindings({ ...INSTRUCTION, iban: "de89370400440532013000", beneficiaryName: "  Müller   GmbH " }, COMMITMENTS);
+  assert.equal(binding.ok, true);
+  assert.deepEqual(binding.risk_flags, []);
+  assert.ok(binding.fields.every((f) => f.status === "MATCH"));
+});
+
+test("each changed field raises its risk flag", () => {
+  const cases = {
+    iban: ["GB29 NWBK 6016 1331 9268 19", "IBAN_MISMATCH"],
+    amount: ["1243.50", "AMOUNT_DEVIATION"],
+    currency: ["USD", "AMOUNT_DEVIATION"],
+    beneficiaryName: ["Mueller Holding", "BENEFICIARY_MISMATCH"],
+    reference: ["INV-002", "REFERENCE_MISMATCH"]
+  };
+  for (const [field, [value, flag]] of Object.entries(cases)) {
+    const binding = verifyFieldBindings({ ...INSTRUCTION, [field]: value }, COMMITMENTS);
+    assert.equal(binding.ok, false, field);
+    assert.deepEqual(binding.risk_flags, [flag], field);
+    assert.equal(status(binding)[field], "MISMATCH");
+  }
+});
+
+test("fields missing on either side are reported, not flagged", () => {
+  const binding = verifyFieldBindings({ ...INSTRUCTION, reference: undefined }, { canon_profile: COMMITMENTS.canon_profile, payto_hash: COMMITMENTS.payto_hash, reference_hash: COMMITMENTS.reference_hash });
+  assert.deepEqual(status(binding), {
+    iban: "MATCH",
+    amount: "NOT_COMMITTED",
+    currency: "NOT_COMMITTED",
+    beneficiaryName: "NOT_COMMITTED",
+    reference: "NOT_PROVIDED"
+  });
+  assert.deepEqual(binding.risk_flags, []);
+  assert.equal(binding.ok, true);
+});
+
+test("an instruction that shares no committed field is not ok", () => {
+  const binding = verifyFieldBindings({ iban: INSTRUCTION.iban }, { canon_profile: COMMITMENTS.canon_profile, reference_hash: COMMITMENTS.reference_hash });
+  assert.deepEqual([binding.ok, binding.bound, binding.risk_flags], [false, false, ["FIELDS_NOT_BOUND"]]);
+  assert.deepEqual(verifyFieldBindings({}, {}).risk_flags, ["FIELDS_NOT_BOUND"]);
+});
+
+test("values that cannot be canonicalized are reported as ERROR fields", () => {
+  const binding = verifyFieldBindings({ ...INSTRUCTION, amount: "1,234", currency: "XXY" }, COMMITMENTS);
+  assert.equal(binding.ok, false);
+  assert.deepEqual(binding.risk_flags, ["FIELD_BINDING_ERROR"]);
+  const errors = binding.fields.filter((f) => f.status === "ERROR");
+  assert.deepEqual(errors.map((f) => f.field), ["amount", "currency"]);
+  for (const { error, actual } of errors) {
+    assert.equal(actual, undefined);
+    assert.equal(typeof error.reason, "string");
+  }
+  assert.equal(status(binding).iban, "MATCH");
+  assert.throws(() => verifyFieldBindings(INSTRUCTION, { canon_profile: "windi-canon/99" }), (err) => err.reason === "UNKNOWN_PROFILE");
+});
+
+test("DEFAULT_POLICY holds every Reader-side field flag", () => {
+  const policy = new PolicyEngine();
+  for (const flag of ["BENEFICIARY_MISMATCH", "REFERENCE_MISMATCH", "FIELD_BINDING_ERROR", "FIELDS_NOT_BOUND"]) {
+    const decision = policy.evaluate({ verify: { verdict: "VALID", integrity: "INTACT", risk_flags: [flag] } });
+    assert.deepEqual([decision.action, decision.reason], ["HOLD", flag]);
+  }
+});
+
+test("applyFieldFindings merges the flags into a verify response", () => {
+  const binding = verifyFieldBindings({ ...INSTRUCTION, iban: "GB29 NWBK 6016 1331 9268 19" }, COMMITMENTS);
+  const response = applyFieldFindings(
+    { verdict: "VALID", integrity: "INTACT", trust_level: "L2", risk_flags: ["IBAN_MISMATCH"], checks: { hash_match: true } },
+    binding
+  );
+  assert.deepEqual(response.risk_flags, ["IBAN_MISMATCH"]);
+  assert.deepEqual(response.checks, { hash_match: true, field_binding: false });
+});
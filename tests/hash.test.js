@@ -0,0 +1,116 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Readable, Writable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { WindiVerifyClient, Hash, WindiValidationError, validateVerifyRequest } from "../src/index.js";
+import { ISSUER, startServer, validResponse } from "./helpers.js";
+
+const DATA = Buffer.alloc(200_000, "windi");
+const URN = Hash.sha256UrnFromBuffer(DATA);
+const chunks = () => [DATA.subarray(0, 70_000), DATA.subarray(70_000, 150_000), DATA.subarray(150_000)];
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "windi-hash-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "invoice.pdf");
+  fs.writeFileSync(filePath, DATA);
+  return filePath;
+}
+
+test("sha256UrnFromStream hashes Node Readables, web ReadableStreams and async iterables", async () => {
+  assert.equal(await Hash.sha256UrnFromStream(Readable.from(chunks())), URN);
+  assert.equal(await Hash.sha256UrnFromStream(Readable.toWeb(Readable.from(chunks()))), URN);
+  assert.equal(
+    await Hash.sha256UrnFromStream((async function* () { yield* chunks(); })()),
+    URN
+  );
+  await assert.rejects(Hash.sha256UrnFromStream("not a stream"), TypeError);
+  const failing = new Readable({ read() { this.destroy(new Error("connection reset")); } });
+  await assert.rejects(Hash.sha256UrnFromStream(failing), /connection reset/);
+});
+
+test("sha256UrnFromFileAsync streams the file; sha256UrnFromFile stays synchronous", async (t) => {
+  const filePath = tempFile(t);
+  assert.equal(await Hash.sha256UrnFromFileAsync(filePath), URN);
+  assert.equal(Hash.sha256UrnFromFile(filePath), URN, "a string, not a promise");
+  assert.equal(await Hash.sha256HexFromFileAsync(filePath), Hash.sha256HexFromFile(filePath));
+  await assert.rejects(Hash.sha256UrnFromFileAsync(path.join(path.dirname(filePath), "missing.pdf")), { code: "ENOENT" });
+});
+
+test("createSha256PassThrough hashes data while passing it on unchanged", async () => {
+  const hasher = Hash.createSha256PassThrough();
+  const received = [];
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      received.push(chunk);
+      callback();
+    }
+  });
+  await pipeline(Readable.from(chunks()), hasher, sink);
+  assert.equal(await hasher.urn, URN);
+  assert.deepEqual(Buffer.concat(received), DATA);
+});
+
+test("createSha256PassThrough rejects urn when the stream fails", async () => {
+  const hasher = Hash.createSha256PassThrough();
+  hasher.destroy(new Error("disk full"));
+  await assert.rejects(hasher.urn, /disk full/);
+});
+
+test("verifyFromFile and verifyFromStream send the streamed hash", async (t) => {
+  const server = await startServer(() => ({ body: validResponse() }));
+  t.after(server.close);
+  const client = new WindiVerifyClient({ baseUrl: server.url, apiKey: "test-key" });
+  const args = { documentId: "windi:doc:inv-001", issuerKeyId: ISSUER };
+
+  await client.verifyFromFile({ ...args, filePath: tempFile(t) });
+  await client.verifyFromStream({ ...args, stream: Readable.from(chunks()) });
+  assert.deepEqual(server.requests.map((r) => r.body.document_hash), [URN, URN]);
+});
+
+test("hash URNs name their algorithm and are checked for digest length", () => {
+  for (const [algorithm, { hexLength }] of Object.entries(Hash.HASH_ALGORITHMS)) {
+    const urn = Hash.hashUrnFromBuffer("windi", algorithm);
+    assert.equal(urn, `${algorithm}:${crypto.createHash(algorithm).update("windi").digest("hex")}`);
+    assert.equal(urn.length, algorithm.length + 1 + hexLength);
+    assert.equal(Hash.isHashUrn(urn), true);
+    assert.deepEqual(Hash.parseHashUrn(urn.toUpperCase().replace(algorithm.toUpperCase(), algorithm)), {
+      algorithm,
+      hex: urn.slice(algorithm.length + 1),
+      urn
+    });
+  }
+  assert.equal(Hash.hashUrnFromBuffer("windi"), Hash.sha256UrnFromUtf8("windi"));
+  assert.equal(Hash.isHashUrn(`sha256:${"A".repeat(64)}`), false);
+
+  const reasons = { "md5:abc": "UNSUPPORTED_ALGORITHM", "sha384:abc": "DIGEST_LENGTH", nope: "FORMAT" };
+  for (const [urn, reason] of Object.entries(reasons)) {
+    assert.throws(() => Hash.parseHashUrn(urn), (err) => err instanceof WindiValidationError && err.reason === reason, urn);
+  }
+  assert.throws(() => Hash.formatHashUrn("sha512", "ab"), WindiValidationError);
+});
+
+test("hashUrnsFromStream computes several digests in one pass", async (t) => {
+  const urns = await Hash.hashUrnsFromStream(Readable.from(chunks()), ["sha256", "sha384", "sha3-256"]);
+  assert.deepEqual(urns, Hash.hashUrnsFromBuffer(DATA, ["sha256", "sha384", "sha3-256"]));
+  assert.equal(urns.sha256, URN);
+  assert.equal(await Hash.hashUrnFromFile(tempFile(t), "sha512"), Hash.hashUrnFromBuffer(DATA, "sha512"));
+});
+
+test("requests accept every supported algorithm and the client hashes with the one asked for", async (t) => {
+  assert.equal(validateVerifyRequest({
+    document_id: "windi:doc:inv-001",
+    issuer_key_id: ISSUER,
+    document_hash: Hash.hashUrnFromBuffer(DATA, "sha384")
+  }).valid, true);
+
+  const server = await startServer(() => ({ body: validResponse() }));
+  t.after(server.close);
+  const client = new WindiVerifyClient({ baseUrl: server.url, apiKey: "test-key" });
+  await client.verifyFromBytes({ bytes: DATA, documentId: "windi:doc:inv-001", issuerKeyId: ISSUER, algorithm: "sha3-256" });
+  assert.equal(server.requests[0].body.document_hash, Hash.hashUrnFromBuffer(DATA, "sha3-256"));
+});
@@ -0,0 +1,104 @@
+import http from "node:http";
+import { WindiVerifyClient } from "../src/index.js";
+import { MockVerifyServer } from "../src/mock-server.js";
+
+/**
+ * Shared fixtures for the test suites (not a test file itself).
+ */
+
+export const ISSUER = "windi:key:test-issuer";
+export const HASH = `sha256:${"a".repeat(64)}`;
+export const OTHER_HASH = `sha256:${"b".repeat(64)}`;
+
+/**
+ * Start a MockVerifyServer and a client pointed at it. Retries back off for
+ * 1 ms so retry tests stay fast.
+ *
+ * @param {import("../src/types.js").MockServerOptions} [mockOpts]
+ * @param {Object} [clientOpts]
+ */
+export async function startMock(mockOpts = {}, clientOpts = {}) {
+  const mock = new MockVerifyServer({
+    documents: [{ document_id: "windi:doc:inv-001", document_hash: HASH, issuer_key_id: ISSUER }],
+    ...mockOpts
+  });
+  const { url } = await mock.listen();
+  const client = new WindiVerifyClient({
+    baseUrl: url,
+    apiKey: "test-key",
+    retry: { baseDelayMs: 1, maxDelayMs: 1 },
+    ...clientOpts
+  });
+  return { mock, url, client, close: () => mock.close() };
+}
+
+export function verifyRequest(overrides = {}) {
+  return { document_id: "windi:doc:inv-001", document_hash: HASH, issuer_key_id: ISSUER, proof_level: "L2", ...overrides };
+}
+
+/** A VALID answer to verifyRequest(). */
+export function validResponse(overrides = {}) {
+  return {
+    verdict: "VALID",
+    integrity: "INTACT",
+    trust_level: "L2",
+    issuer_status: "TRUSTED",
+    risk_flags: [],
+    request_id: "req-1",
+    ...overrides
+  };
+}
+
+/**
+ * Build a minimal PDF with a classic xref table. With `base` and `prev` the
+ * objects are appended as an incremental update to an existing file.
+ *
+ * @param {[number, string][]} objects - Object number and dictionary source
+ * @param {{ base?: string, prev?: number, eol?: boolean }} [opts]
+ * @returns {{ text: string, xref: number }}
+ */
+export function buildPdf(objects, { base, prev, eol = true } = {}) {
+  let out = base ?? "%PDF-1.7\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = [];
+  for (const [n, body] of objects) {
+    offsets.push([n, out.length]);
+    out += `${n} 0 obj\n${body}\nendobj\n`;
+  }
+  const xref = out.length;
+  out += "xref\n0 1\n0000000000 65535 f \n";
+  for (const [n, offset] of offsets) out += `${n} 1\n${String(offset).padStart(10, "0")} 00000 n \n`;
+  out += `trailer\n<< /Size 10 /Root 1 0 R${prev === undefined ? "" : ` /Prev ${prev}`} >>\nstartxref\n${xref}\n%%EOF`;
+  return { text: eol ? `${out}\n` : out, xref };
+}
+
+/**
+ * Start a plain HTTP server that answers every request with what `handler`
+ * returns: `{ status = 200, body = {}, headers = {} }`, or undefined to never
+ * answer. Requests are recorded with their parsed JSON body.
+ *
+ * @param {(request: { method: string, url: string, headers: object, body?: any }, count: number) => any} handler
+ */
+export async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", async () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : undefined };
+      requests.push(request);
+      const reply = await handler(request, requests.length);
+      if (reply === undefined) return;
+      const { status = 200, body = {}, headers = {} } = reply;
+      res.writeHead(status, { "content-type": "application/json", ...headers });
+      res.end(JSON.stringify(body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const close = () =>
+    new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    });
+  return { url, requests, close };
+}
@@ -0,0 +1,74 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validateIBAN, isValidIBAN, assertValidIBAN, validateBIC, normalizeIBAN } from "../src/iban.js";
+import { Canon } from "../src/index.js";
+import { WindiValidationError } from "../src/errors.js";
+
+const codes = (iban) => validateIBAN(iban).errors.map((e) => e.code);
+
+/** Correct check digits for a BBAN (ISO 13616). */
+function checkDigits(country, bban) {
+  const numeric = [...`${bban}${country}00`].map((ch) => (/\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55))).join("");
+  return String(98n - (BigInt(numeric) % 97n)).padStart(2, "0");
+}
+
+test("validateIBAN accepts registry examples in print and electronic form", () => {
+  for (const iban of [
+    "DE89 3704 0044 0532 0130 00",
+    "GB82WEST12345698765432",
+    "FR14 2004 1010 0505 0001 3M02 606",
+    "IBAN: NO93 8601 1117 947",
+    "HN88 CABF 0000 0000 0002 5000 5469"
+  ]) {
+    assert.equal(isValidIBAN(iban), true, iban);
+  }
+  assert.equal(normalizeIBAN("iban de89-3704 0044 0532 0130 00"), "DE89370400440532013000");
+});
+
+test("validateIBAN reports length, structure, country and checksum problems", () => {
+  assert.deepEqual(codes("DE00 1234"), ["INVALID_LENGTH", "INVALID_CHECKSUM"]);
+  assert.deepEqual(codes("DE88370400440532013000"), ["INVALID_CHECKSUM"]);
+  assert.deepEqual(codes("XX89370400440532013000"), ["UNKNOWN_COUNTRY"]);
+  assert.deepEqual(codes("GB82WEST1234569876543A"), ["INVALID_BBAN_FORMAT", "INVALID_CHECKSUM"]);
+  assert.deepEqual(codes("DE89 3704 0044 0532 0130 0!"), ["INVALID_CHARACTERS"]);
+  assert.deepEqual(codes(""), ["EMPTY"]);
+});
+
+test("validateIBAN rejects check digits 00, 01 and 99 even though they pass mod 97", () => {
+  // 00 ≡ 97, 01 ≡ 98 and 99 ≡ 02 (mod 97): find BBANs whose real check digits are 97, 98 and 02.
+  const wanted = { 97: "00", 98: "01", "02": "99" };
+  const found = new Set();
+  for (let i = 0; found.size < 3 && i < 100_000; i++) {
+    const bban = `37040044${String(i).padStart(10, "0")}`;
+    const alias = wanted[checkDigits("DE", bban)];
+    if (!alias || found.has(alias)) continue;
+    found.add(alias);
+    assert.equal(isValidIBAN(`DE${checkDigits("DE", bban)}${bban}`), true);
+    assert.deepEqual(codes(`DE${alias}${bban}`), ["INVALID_CHECKSUM"], alias);
+  }
+  assert.equal(found.size, 3);
+});
+
+test("assertValidIBAN returns the normalized IBAN or throws with the first reason", () => {
+  assert.equal(assertValidIBAN("de89 3704 0044 0532 0130 00"), "DE89370400440532013000");
+  assert.throws(
+    () => assertValidIBAN("DE00 1234"),
+    (err) => err instanceof WindiValidationError && err.reason === "INVALID_LENGTH"
+  );
+});
+
+test("validateBIC checks structure and the expected country", () => {
+  assert.equal(validateBIC("DEUTDEFF500", { country: "DE" }).valid, true);
+  assert.equal(validateBIC("DEUTDEFF").valid, true);
+  assert.equal(validateBIC("DEUTDEFF", { country: "FR" }).valid, false);
+  assert.equal(validateBIC("DEUT1EFF").valid, false);
+});
+
+test("strict shelf mode rejects invalid IBANs, the default keeps the old behaviour", () => {
+  assert.equal(Canon.shelfPaytoIban("DE89 3704 0044 0532 0130 00", { strict: true }), "windi-canon/1|PAYTO|IBAN|DE89370400440532013000");
+  assert.equal(Canon.shelfPaytoIban("DE88 3704 0044 0532 0130 00"), "windi-canon/1|PAYTO|IBAN|DE88370400440532013000");
+  assert.throws(
+    () => Canon.shelfPaytoIban("DE88 3704 0044 0532 0130 00", { strict: true }),
+    (err) => err instanceof WindiValidationError && err.reason === "INVALID_CHECKSUM"
+  );
+});
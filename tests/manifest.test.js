@@ -0,0 +1,135 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+import { Manifest, Hash, PolicyEngine, WindiValidationError } from "../src/index.js";
+import { buildPdf, ISSUER, startMock } from "./helpers.js";
+
+const MANIFEST = { windi_manifest: 1, document_id: "windi:doc:inv-001", issuer_key_id: ISSUER, manifest_id: "windi:manifest:1" };
+
+/** A PDF stream object; `flate` compresses the data. */
+function stream(dict, data, { flate = false } = {}) {
+  const body = flate ? zlib.deflateSync(Buffer.from(data)).toString("latin1") : data;
+  return `<< ${dict}${flate ? " /Filter /FlateDecode" : ""} /Length ${Buffer.byteLength(body, "latin1")} >>\nstream\n${body}\nendstream`;
+}
+
+function pdfWith(objects) {
+  return Buffer.from(buildPdf([[1, "<< /Type /Catalog >>"], ...objects]).text, "latin1");
+}
+
+function xmp(fields) {
+  const props = Object.entries(fields).map(([k, v]) => `<windi:${k}>${v}</windi:${k}>`).join("");
+  return `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:Description xmlns:windi="${Manifest.XMP_NAMESPACE}">${props}</rdf:Description></x:xmpmeta>`;
+}
+
+test("parseManifest requires the ids and fills the defaults", () => {
+  const manifest = Manifest.parseManifest(JSON.stringify(MANIFEST));
+  assert.equal(manifest.version, 1);
+  assert.deepEqual([manifest.field_commitments, manifest.receipts], [{}, []]);
+  for (const bad of ["{", "[]", { document_id: "windi:doc:x" }, { ...MANIFEST, receipts: {} }]) {
+    assert.throws(() => Manifest.parseManifest(bad), (err) => err instanceof WindiValidationError && err.reason === "INVALID_MANIFEST");
+  }
+});
+
+test("extractManifest reads a compressed attachment and XMP fields", () => {
+  const bytes = pdfWith([
+    [2, stream("/Type /EmbeddedFile", JSON.stringify(MANIFEST), { flate: true })],
+    [3, stream("/Type /Metadata /Subtype /XML", xmp({ DocumentID: MANIFEST.document_id, IssuerKeyID: ISSUER, ProofLevel: "L3" }))]
+  ]);
+  const { manifest, source, sources, conflicts } = Manifest.extractManifest(bytes);
+  assert.equal(source, "pdf-attachment");
+  assert.deepEqual(sources, ["pdf-attachment", "pdf-xmp"]);
+  assert.deepEqual(conflicts, []);
+  assert.equal(manifest.manifest_id, "windi:manifest:1");
+  assert.equal(manifest.proof_level, "L3", "missing fields are filled from later sources");
+});
+
+test("disagreeing sources are reported as conflicts and the first source wins", () => {
+  const bytes = pdfWith([[2, stream("/Type /EmbeddedFile", JSON.stringify(MANIFEST))]]);
+  const { manifest, conflicts } = Manifest.extractManifest(bytes, { sidecar: { ...MANIFEST, document_id: "windi:doc:inv-999" } });
+  assert.equal(manifest.document_id, "windi:doc:inv-001");
+  assert.deepEqual(conflicts, [
+    { field: "document_id", sources: ["pdf-attachment", "sidecar"], values: ["windi:doc:inv-001", "windi:doc:inv-999"] }
+  ]);
+});
+
+test("a document without a manifest fails with NOT_FOUND", () => {
+  assert.throws(() => Manifest.extractManifest(pdfWith([])), (err) => err.reason === "NOT_FOUND");
+  assert.equal(Manifest.extractManifest(Buffer.from("plain"), { sidecar: MANIFEST }).source, "sidecar");
+});
+
+test("extractManifestFromFile picks up a sidecar next to the file", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "windi-manifest-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "invoice.pdf");
+  fs.writeFileSync(filePath, pdfWith([]));
+  assert.equal(Manifest.findSidecar(filePath), undefined);
+
+  fs.writeFileSync(path.join(dir, `invoice${Manifest.SIDECAR_SUFFIX}`), JSON.stringify(MANIFEST));
+  const { manifest, source } = await Manifest.extractManifestFromFile(filePath);
+  assert.deepEqual([manifest.document_id, source], [MANIFEST.document_id, "sidecar"]);
+});
+
+test("verifyDocument verifies with the manifest ids and flags conflicts", async (t) => {
+  const bytes = Buffer.from("plain document");
+  const { client, mock, close } = await startMock({
+    documents: [{ document_id: MANIFEST.document_id, document_hash: Hash.sha256UrnFromBuffer(bytes), issuer_key_id: ISSUER }]
+  });
+  t.after(close);
+
+  const result = await client.verifyDocument(bytes, { sidecar: MANIFEST });
+  assert.equal(result.verdict, "VALID");
+  assert.equal(mock.requests[0].body.manifest_id, "windi:manifest:1");
+  assert.deepEqual([result.manifest.source, result.manifest.receipts], ["sidecar", []]);
+  assert.ok(!result.risk_flags.includes("MANIFEST_CONFLICT"));
+
+  const pdf = pdfWith([[2, stream("/Type /EmbeddedFile", JSON.stringify({ ...MANIFEST, manifest_id: "windi:manifest:2" }))]]);
+  const conflicting = await client.verifyDocument(pdf, { sidecar: MANIFEST });
+  assert.ok(conflicting.risk_flags.includes("MANIFEST_CONFLICT"));
+  assert.equal(conflicting.manifest.conflicts[0].field, "manifest_id");
+});
+
+test("manifests in incremental updates are not used but listed", () => {
+  const { text: base, xref } = buildPdf([[1, "<< /Type /Catalog >>"], [2, stream("/Type /EmbeddedFile", JSON.stringify(MANIFEST))]]);
+  const swapped = { ...MANIFEST, document_id: "windi:doc:inv-999" };
+  const { text } = buildPdf(
+    [[4, stream("/Type /EmbeddedFile", JSON.stringify(swapped))], [5, stream("/Type /Metadata /Subtype /XML", xmp({ DocumentID: swapped.document_id, IssuerKeyID: ISSUER }))]],
+    { base, prev: xref }
+  );
+  const { manifest, sources, conflicts, updated_sources } = Manifest.extractManifest(Buffer.from(text, "latin1"));
+  assert.equal(manifest.document_id, MANIFEST.document_id);
+  assert.deepEqual(sources, ["pdf-attachment"]);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(updated_sources, ["pdf-attachment", "pdf-xmp"]);
+
+  const empty = buildPdf([[1, "<< /Type /Catalog >>"]]);
+  const onlyInUpdate = buildPdf([[4, stream("/Type /EmbeddedFile", JSON.stringify(swapped))]], { base: empty.text, prev: empty.xref });
+  assert.throws(
+    () => Manifest.extractManifest(Buffer.from(onlyInUpdate.text, "latin1")),
+    (err) => err.reason === "NOT_FOUND" && /incremental update/.test(err.message)
+  );
+  assert.deepEqual(Manifest.extractManifest(pdfWith([[2, stream("/Type /EmbeddedFile", JSON.stringify(MANIFEST))]])).updated_sources, []);
+});
+
+test("verifyDocument flags a manifest in an update and DEFAULT_POLICY holds both manifest flags", async (t) => {
+  const { text: base, xref } = buildPdf([[1, "<< /Type /Catalog >>"], [2, stream("/Type /EmbeddedFile", JSON.stringify(MANIFEST))]]);
+  const original = Buffer.from(base, "latin1");
+  const updated = Buffer.from(buildPdf([[4, stream("/Type /EmbeddedFile", JSON.stringify({ ...MANIFEST, manifest_id: "windi:manifest:2" }))]], { base, prev: xref }).text, "latin1");
+  const { client, close } = await startMock({
+    documents: [{ document_id: MANIFEST.document_id, document_hash: Hash.sha256UrnFromBuffer(original), issuer_key_id: ISSUER }]
+  });
+  t.after(close);
+
+  const result = await client.verifyDocument(updated);
+  assert.equal(result.verdict, "VALID");
+  assert.ok(result.risk_flags.includes("MANIFEST_IN_UPDATE"));
+  assert.deepEqual([result.manifest.manifest_id, result.manifest.updated_sources], ["windi:manifest:1", ["pdf-attachment"]]);
+
+  const policy = new PolicyEngine();
+  for (const flag of ["MANIFEST_CONFLICT", "MANIFEST_IN_UPDATE"]) {
+    const decision = policy.evaluate({ verify: { verdict: "VALID", integrity: "INTACT", risk_flags: [flag] } });
+    assert.deepEqual([decision.action, decision.reason], ["HOLD", flag]);
+  }
+});
@@ -0,0 +1,142 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { WindiVerifyClient, instrumentOpenTelemetry } from "../src/index.js";
+import { startMock, startServer, validResponse, verifyRequest } from "./helpers.js";
+
+/** A client against a server that answers with `replies` in turn, then VALID. */
+async function clientFor(t, replies = [], opts = {}) {
+  const server = await startServer((req, count) => replies[count - 1] ?? { body: validResponse(), headers: { "x-request-id": "req-1" } });
+  t.after(server.close);
+  const client = new WindiVerifyClient({ baseUrl: server.url, apiKey: "test-key", retry: { baseDelayMs: 1, maxDelayMs: 1 }, ...opts });
+  return { client, requests: server.requests };
+}
+
+test("hooks run in registration order and beforeRequest can add headers", async (t) => {
+  const { client, requests } = await clientFor(t);
+  const calls = [];
+  client.use({
+    beforeRequest: (ctx) => {
+      calls.push("a:before");
+      ctx.headers["X-Correlation-ID"] = "corr-1";
+    },
+    afterResponse: (ctx) => calls.push(`a:after:${ctx.status}:${ctx.response.verdict}:${ctx.requestId}`)
+  });
+  const remove = client.use({ beforeRequest: async () => calls.push("b:before") });
+
+  await client.verify(verifyRequest());
+  assert.deepEqual(calls, ["a:before", "b:before", "a:after:200:VALID:req-1"]);
+  assert.equal(requests[0].headers["x-correlation-id"], "corr-1");
+
+  remove();
+  calls.length = 0;
+  await client.verify(verifyRequest());
+  assert.deepEqual(calls, ["a:before", "a:after:200:VALID:req-1"]);
+});
+
+test("onError sees every failed attempt and the events describe the retry", async (t) => {
+  const { client } = await clientFor(t, [{ status: 500, body: { error: "INTERNAL_ERROR" } }]);
+  const errors = [];
+  const events = [];
+  client.use({ onError: (ctx) => errors.push([ctx.attempt, ctx.status, typeof ctx.latencyMs]) });
+  for (const event of ["request", "response", "requestError", "retry", "verdict"]) {
+    client.on(event, (payload) => events.push([event, payload.attempt ?? payload.verdict]));
+  }
+
+  await client.verify(verifyRequest());
+  assert.deepEqual(errors, [[0, 500, "number"]]);
+  assert.deepEqual(events, [
+    ["request", 0],
+    ["requestError", 0],
+    ["retry", 1],
+    ["request", 1],
+    ["response", 1],
+    ["verdict", "VALID"]
+  ]);
+});
+
+test("onError hooks run when the credentials fail before anything is sent", async (t) => {
+  const credentials = { getCredentials: async () => { throw new TypeError("vault unreachable"); } };
+  const { client, mock, close } = await startMock({}, { apiKey: undefined, credentials });
+  t.after(close);
+
+  const seen = [];
+  client.use({
+    beforeRequest: (ctx) => { ctx.state.open = true; },
+    onError: (ctx) => seen.push([ctx.state.open, ctx.error.message])
+  });
+  await assert.rejects(client.verify(verifyRequest()), TypeError);
+  assert.deepEqual(seen, [[true, "vault unreachable"]]);
+  assert.equal(mock.requests.length, 0);
+});
+
+test("a throwing listener never breaks a verification", async (t) => {
+  const { client } = await clientFor(t);
+  client.on("response", () => {
+    throw new Error("broken exporter");
+  });
+  let verdicts = 0;
+  client.once("verdict", () => verdicts++);
+
+  assert.equal((await client.verify(verifyRequest())).verdict, "VALID");
+  await client.verify(verifyRequest());
+  assert.equal(verdicts, 1);
+});
+
+/** Just enough of @opentelemetry/api to record spans and injected headers. */
+function fakeOtel() {
+  const spans = [];
+  const api = {
+    SpanKind: { CLIENT: 2 },
+    SpanStatusCode: { ERROR: 2 },
+    context: { active: () => ({}) },
+    propagation: {
+      inject: (context, carrier) => {
+        carrier.traceparent = `00-${context.span.id}-01`;
+      }
+    },
+    trace: {
+      setSpan: (context, span) => ({ ...context, span }),
+      getTracer: () => ({
+        startSpan(name, options) {
+          const span = {
+            id: `span-${spans.length}`,
+            name,
+            kind: options.kind,
+            attributes: { ...options.attributes },
+            ended: false,
+            setAttributes: (attributes) => Object.assign(span.attributes, attributes),
+            recordException: (error) => (span.exception = error),
+            setStatus: (status) => (span.status = status),
+            end: () => (span.ended = true)
+          };
+          spans.push(span);
+          return span;
+        }
+      })
+    }
+  };
+  return { api, spans };
+}
+
+test("instrumentOpenTelemetry traces every attempt and propagates the trace context", async (t) => {
+  const { client, requests } = await clientFor(t, [{ status: 503, body: { error: "INTERNAL_ERROR" } }]);
+  const { api, spans } = fakeOtel();
+  const uninstrument = instrumentOpenTelemetry(client, { api });
+
+  await client.verify(verifyRequest());
+  assert.deepEqual(spans.map((s) => [s.name, s.kind, s.ended]), [
+    ["WINDI POST /verify", 2, true],
+    ["WINDI POST /verify", 2, true]
+  ]);
+  assert.equal(spans[0].attributes["http.response.status_code"], 503);
+  assert.equal(spans[0].status.code, 2);
+  assert.deepEqual(
+    [spans[1].attributes["windi.attempt"], spans[1].attributes["windi.verdict"], spans[1].attributes["windi.document_id"]],
+    [1, "VALID", "windi:doc:inv-001"]
+  );
+  assert.deepEqual(requests.map((r) => r.headers.traceparent), ["00-span-0-01", "00-span-1-01"]);
+
+  uninstrument();
+  await client.verify(verifyRequest());
+  assert.equal(spans.length, 2);
+});
@@ -0,0 +1,151 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  Wvc,
+  WindiHttpError,
+  WindiAuthError,
+  WindiNotFoundError,
+  WindiIssuerRevokedError,
+  WindiRateLimitError,
+  WindiInvalidRequestError,
+  WindiServerError,
+  WindiTimeoutError,
+  WindiConfigError
+} from "../src/index.js";
+import { MockVerifyServer, MOCK_ERRORS } from "../src/mock-server.js";
+import { HASH, ISSUER, OTHER_HASH, startMock, verifyRequest } from "./helpers.js";
+
+test("verify returns the verdict for a registered document and INVALID for another hash", async (t) => {
+  const { client, close } = await startMock();
+  t.after(close);
+
+  const valid = await client.verify(verifyRequest());
+  assert.equal(valid.verdict, "VALID");
+  assert.equal(valid.integrity, "INTACT");
+  assert.match(valid.request_id, /^req-mock-/);
+
+  const modified = await client.verify(verifyRequest({ document_hash: OTHER_HASH }));
+  assert.equal(modified.verdict, "INVALID");
+  assert.equal(modified.integrity, "MODIFIED");
+});
+
+test("every documented API error maps to its error class, with its own code and the WINDI_HTTP_ERROR category", async (t) => {
+  const { client, mock, close } = await startMock({}, { retry: { maxRetries: 0 } });
+  t.after(close);
+
+  const expected = {
+    INVALID_API_KEY: [WindiAuthError, "WINDI_HTTP_AUTH_ERROR"],
+    INVALID_HASH_FORMAT: [WindiInvalidRequestError, "WINDI_HTTP_INVALID_REQUEST"],
+    DOCUMENT_NOT_FOUND: [WindiNotFoundError, "WINDI_HTTP_NOT_FOUND"],
+    ISSUER_NOT_FOUND: [WindiNotFoundError, "WINDI_HTTP_NOT_FOUND"],
+    ISSUER_REVOKED: [WindiIssuerRevokedError, "WINDI_HTTP_ISSUER_REVOKED"],
+    RATE_LIMITED: [WindiRateLimitError, "WINDI_HTTP_RATE_LIMITED"],
+    INTERNAL_ERROR: [WindiServerError, "WINDI_HTTP_SERVER_ERROR"]
+  };
+  assert.deepEqual(Object.keys(expected).sort(), Object.keys(MOCK_ERRORS).sort());
+
+  for (const [apiCode, [ErrorClass, code]] of Object.entries(expected)) {
+    mock.inject({ error: apiCode, retryAfter: 0 });
+    await assert.rejects(client.verify(verifyRequest()), (err) => {
+      assert.ok(err instanceof ErrorClass, apiCode);
+      assert.ok(err instanceof WindiHttpError);
+      assert.equal(err.code, code);
+      assert.equal(err.category, "WINDI_HTTP_ERROR");
+      assert.equal(err.apiCode, apiCode);
+      assert.equal(err.status, MOCK_ERRORS[apiCode].status);
+      assert.ok(!JSON.stringify(err).includes("test-key"));
+      return true;
+    });
+  }
+});
+
+test("the mock checks API keys, issuers and registrations", async (t) => {
+  const { client, mock, url, close } = await startMock({ issuers: [{ key_id: ISSUER }, { key_id: "windi:key:gone", status: "REVOKED" }] });
+  t.after(close);
+
+  await assert.rejects(client.verify(verifyRequest({ document_id: "windi:doc:unknown" })), WindiNotFoundError);
+  await assert.rejects(client.verify(verifyRequest({ issuer_key_id: "windi:key:gone" })), WindiIssuerRevokedError);
+  const response = await mock.handle({ method: "POST", path: "/verify", headers: { "X-WINDI-API-KEY": "wrong" }, body: verifyRequest() });
+  assert.equal(response.body.error, "INVALID_API_KEY");
+  assert.equal(mock.requests.at(-1).headers["x-windi-api-key"], "wrong");
+  assert.match(url, /^http:\/\/127\.0\.0\.1:\d+$/);
+});
+
+test("injected 429 and 5xx responses are retried; the retry honours Retry-After", async (t) => {
+  const { client, mock, close } = await startMock();
+  t.after(close);
+  const retries = [];
+  client.on("retry", (e) => retries.push(e.status));
+
+  mock.inject({ error: "RATE_LIMITED", retryAfter: 0 });
+  mock.inject({ error: "INTERNAL_ERROR" });
+  assert.equal((await client.verify(verifyRequest())).verdict, "VALID");
+  assert.deepEqual(retries, [429, 500]);
+  assert.equal(mock.requests.length, 3);
+});
+
+test("a request the mock never answers fails with WindiTimeoutError", async (t) => {
+  const { client, mock, close } = await startMock({}, { timeoutMs: 100, retry: { maxRetries: 0 } });
+  t.after(close);
+  mock.inject({ timeout: true });
+  await assert.rejects(client.verify(verifyRequest()), (err) => err instanceof WindiTimeoutError && err.status === 0);
+});
+
+test("injected risk flags make the verdict SUSPECT; headers can request faults too", async (t) => {
+  const { client, mock, close } = await startMock();
+  t.after(close);
+
+  mock.inject({ riskFlags: ["AMOUNT_DEVIATION"] }, { times: 1, path: "/verify" });
+  const result = await client.verify(verifyRequest());
+  assert.equal(result.verdict, "SUSPECT");
+  assert.deepEqual(result.risk_flags, ["AMOUNT_DEVIATION"]);
+
+  client.use({ beforeRequest: (ctx) => { ctx.headers["X-Mock-Error"] = "ISSUER_NOT_FOUND"; } });
+  await assert.rejects(client.verify(verifyRequest()), (err) => err.apiCode === "ISSUER_NOT_FOUND");
+});
+
+test("the verify rate limit answers 429 with X-RateLimit headers", async () => {
+  const mock = new MockVerifyServer({ documents: [{ document_id: "windi:doc:inv-001", document_hash: HASH }], rateLimit: { limit: 1 } });
+  const request = { method: "POST", path: "/verify", headers: { "x-windi-api-key": "test-key" }, body: verifyRequest() };
+  assert.equal((await mock.handle(request)).status, 200);
+  const limited = await mock.handle(request);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers["x-ratelimit-remaining"], "0");
+  assert.ok(Number(limited.headers["retry-after"]) > 0);
+  mock.reset();
+  assert.equal((await mock.handle(request)).status, 200);
+});
+
+test("verifyWvc goes through /verify/wvc", async (t) => {
+  const { client, mock, close } = await startMock();
+  t.after(close);
+
+  const wvc = Wvc.encodeWvc({ document_id: "windi:doc:inv-001", document_hash: HASH, issuer_key_id: ISSUER, proof_level: "L3" });
+  const result = await client.verifyWvc({ wvc });
+  assert.equal(result.verdict, "VALID");
+  assert.equal(result.trust_level, "L3");
+  assert.equal(mock.requests[0].path, "/verify/wvc");
+
+  const headers = { "x-windi-api-key": "test-key" };
+  const direct = await mock.handle({ method: "POST", path: "/verify/wvc", headers, body: { wvc } });
+  assert.equal(direct.body.trust_level, "L3", "the encoded proof level applies when the body has none");
+
+  const response = await mock.handle({ method: "POST", path: "/verify/wvc", headers: { "x-windi-api-key": "test-key" }, body: { wvc: "WVC1-AAAA-BBBB" } });
+  assert.deepEqual([response.status, response.body.error], [400, "INVALID_WVC"]);
+});
+
+test("health answers and fixtures load from a file", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "windi-mock-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "fixtures.json");
+  fs.writeFileSync(filePath, JSON.stringify({ version: "9.9.9", documents: [{ document_id: "windi:doc:x", document_hash: HASH }] }));
+
+  const mock = MockVerifyServer.fromFile(filePath);
+  assert.equal(mock.documents.size, 1);
+  assert.equal((await mock.handle({ method: "GET", path: "/health" })).body.version, "9.9.9");
+  assert.throws(() => MockVerifyServer.fromFile(path.join(dir, "missing.json")), WindiConfigError);
+  assert.throws(() => mock.addDocument({ document_id: "windi:doc:y" }), WindiConfigError);
+});
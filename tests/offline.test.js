@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { WindiVerifyClient, TrustStore, OfflineVerifier, signaturePayload, WindiConfigError } from "../src/index.js";
+import { HASH, ISSUER, OTHER_HASH, startServer, verifyRequest } from "./helpers.js";
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+const publicPem = publicKey.export({ type: "spki", format: "pem" });
+const request = verifyRequest();
+const signature = crypto.sign(null, Buffer.from(signaturePayload(request)), privateKey).toString("base64");
+
+function verifier({ revocations = [], documents = [{ ...request, signature }] } = {}) {
+  return new OfflineVerifier(
+    new TrustStore({
+      issuers: [
+        { key_id: ISSUER, public_key: publicPem },
+        { key_id: "windi:key:second-issuer", public_key: publicPem }
+      ],
+      revocations,
+      documents
+    })
+  );
+}
+
+test("a signed registration from a trusted issuer verifies VALID at L1", () => {
+  const result = verifier().verify(request);
+  assert.equal(result.verdict, "VALID");
+  assert.equal(result.trust_level, "L1");
+  assert.deepEqual(result.checks, { hash_match: true, signature_valid: true, chain_verified: false, offline: true });
+});
+
+test("a different hash is MODIFIED; no registration or signature is SUSPECT", () => {
+  assert.equal(verifier().verify({ ...request, document_hash: OTHER_HASH }).integrity, "MODIFIED");
+  const unknown = verifier({ documents: [] }).verify(request);
+  assert.equal(unknown.verdict, "SUSPECT");
+  assert.equal(unknown.integrity, "UNKNOWN");
+});
+
+test("a revoked issuer gives INVALID", () => {
+  const result = verifier({ revocations: [{ key_id: ISSUER, revoked_at: "2020-01-01T00:00:00Z" }] }).verify(request);
+  assert.equal(result.verdict, "INVALID");
+  assert.equal(result.issuer_status, "REVOKED");
+});
+
+test("a revocation applies from its revoked_at on, and at once without one", () => {
+  const future = verifier({ revocations: [{ key_id: ISSUER, revoked_at: "2999-01-01T00:00:00Z" }] });
+  assert.equal(future.verify(request).verdict, "VALID");
+  assert.equal(future.store.issuerStatus(ISSUER, new Date("3000-01-01T00:00:00Z")), "REVOKED");
+  assert.equal(verifier({ revocations: [{ key_id: ISSUER }] }).verify(request).issuer_status, "REVOKED");
+});
+
+test("a document registered to another issuer fails the signature check", () => {
+  const result = verifier().verify({ ...request, issuer_key_id: "windi:key:second-issuer" });
+  assert.equal(result.verdict, "INVALID");
+  assert.equal(result.checks.signature_valid, false);
+});
+
+test("TrustStore rejects invalid data", () => {
+  assert.throws(() => TrustStore.fromJSON("{"), WindiConfigError);
+  assert.throws(() => new TrustStore({ issuers: [{ key_id: ISSUER, public_key: "not a key" }] }), WindiConfigError);
+  assert.throws(() => new TrustStore({ documents: [{ document_id: "x" }] }), WindiConfigError);
+  assert.throws(() => new OfflineVerifier({}), WindiConfigError);
+  assert.equal(new TrustStore({ documents: [{ document_id: "x", document_hash: HASH }] }).documents.size, 1);
+});
+
+test("the client falls back to offline verification when the API is unreachable, marked as such", async () => {
+  const server = await startServer(() => ({ body: {} }));
+  await server.close();
+  const client = new WindiVerifyClient({
+    baseUrl: server.url,
+    apiKey: "test-key",
+    retry: { maxRetries: 0 },
+    offlineFallback: verifier()
+  });
+
+  const result = await client.verify(request);
+  assert.equal(result.verdict, "VALID");
+  assert.equal(result.trust_level, "L1");
+  assert.equal(result.source, "offline");
+  assert.equal(result.from_cache, false);
+});
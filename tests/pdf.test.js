@@ -0,0 +1,120 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Pdf, Hash, PolicyEngine, WindiConfigError, WindiValidationError } from "../src/index.js";
+import { buildPdf, ISSUER, startMock } from "./helpers.js";
+
+const CATALOG = [
+  [1, "<< /Type /Catalog /Pages 2 0 R >>"],
+  [2, "<< /Type /Pages /Kids [] /Count 0 >>"]
+];
+
+/** An original PDF and the same file after one incremental update. */
+function countersigned({ eol = true } = {}) {
+  const original = buildPdf(CATALOG, { eol });
+  const updated = buildPdf([[3, "<< /Annot (approved) >>"]], { base: `${original.text}${eol ? "" : "\n"}`, prev: original.xref });
+  return {
+    original: Buffer.from(original.text, "latin1"),
+    updated: Buffer.from(updated.text, "latin1")
+  };
+}
+
+test("pdfRevisions finds revisions by their startxref/%%EOF trailers", () => {
+  const { original, updated } = countersigned();
+  const revisions = Pdf.pdfRevisions(updated);
+  assert.equal(revisions.length, 2);
+  assert.equal(revisions[0].end, original.length);
+  assert.equal(revisions[1].prev_valid, true);
+  assert.equal(revisions[1].update_start, original.length);
+  assert.equal(revisions[1].end, updated.length);
+  assert.deepEqual(Pdf.pdfRevisionBytes(updated, "original"), original);
+  assert.equal(Pdf.sha256UrnFromPdfRevision(updated, "latest"), Hash.sha256UrnFromBuffer(updated));
+});
+
+test("a trailer inside stream data fakes a boundary that prev_valid exposes", () => {
+  const data = "startxref\n9\n%%EOF\n";
+  const { text } = buildPdf([...CATALOG, [3, `<< /Length ${data.length} >>\nstream\n${data}\nendstream`]]);
+  const revisions = Pdf.pdfRevisions(Buffer.from(text, "latin1"));
+  assert.equal(revisions.length, 2, "the linear scan is fooled");
+  assert.deepEqual(revisions.map((r) => r.prev_valid), [true, false]);
+});
+
+test("pdfRevisions rejects input that is not a PDF or has no trailer", () => {
+  assert.throws(() => Pdf.pdfRevisions(Buffer.from("hello")), (err) => err instanceof WindiValidationError && err.reason === "NOT_PDF");
+  assert.throws(() => Pdf.pdfRevisions(Buffer.from("%PDF-1.7\n1 0 obj\n<<>>\nendobj\n")), WindiValidationError);
+  assert.throws(() => Pdf.pdfRevisionBytes(countersigned().updated, 5), WindiValidationError);
+});
+
+test("the Pdf module accepts Uint8Array and ArrayBuffer input", () => {
+  const { updated } = countersigned();
+  const view = new Uint8Array(updated);
+  const arrayBuffer = view.buffer.slice(view.byteOffset, view.byteOffset + view.byteLength);
+  assert.equal(Pdf.isPdf(arrayBuffer), true);
+  assert.equal(Pdf.pdfRevisions(view).length, 2);
+  assert.equal(Pdf.pdfRevisions(arrayBuffer).length, 2);
+});
+
+test("matchPdfRevision tries both cut points and reports the one that matched", () => {
+  const { original, updated } = countersigned({ eol: false });
+  const [first] = Pdf.pdfRevisions(updated);
+  assert.equal(first.end, first.eof_end + 1);
+
+  const match = Pdf.matchPdfRevision(updated, Hash.sha256UrnFromBuffer(original));
+  assert.equal(match.matched, true);
+  assert.equal(match.revision, 0);
+  assert.equal(match.end, first.eof_end);
+  assert.equal(match.incremental_updates, 1);
+
+  const withEol = Pdf.matchPdfRevision(updated, Hash.sha256UrnFromBuffer(updated.subarray(0, first.end)));
+  assert.equal(withEol.end, first.end);
+  assert.equal(Pdf.matchPdfRevision(updated, Hash.sha256UrnFromUtf8("other")).matched, false);
+});
+
+test("verifyPdf hashes the original revision and flags the appended update", async (t) => {
+  const { original, updated } = countersigned();
+  const documentHash = Hash.sha256UrnFromBuffer(original);
+  const { client, mock, close } = await startMock({
+    documents: [{ document_id: "windi:doc:pdf-001", document_hash: documentHash, issuer_key_id: ISSUER }]
+  });
+  t.after(close);
+
+  const result = await client.verifyPdf({ bytes: updated, documentId: "windi:doc:pdf-001", issuerKeyId: ISSUER });
+  assert.equal(result.verdict, "VALID");
+  assert.equal(mock.requests[0].body.document_hash, documentHash);
+  assert.deepEqual(result.pdf, { revision: 0, revisions: 2, incremental_updates: 1, byte_range: [0, original.length] });
+  assert.ok(result.risk_flags.includes("PDF_INCREMENTAL_UPDATE"));
+
+  const latest = await client.verifyPdf({ bytes: updated, documentId: "windi:doc:pdf-001", issuerKeyId: ISSUER, revision: "latest" });
+  assert.equal(latest.verdict, "INVALID");
+  assert.ok(!latest.risk_flags.includes("PDF_INCREMENTAL_UPDATE"));
+  await assert.rejects(client.verifyPdf({ documentId: "windi:doc:pdf-001", issuerKeyId: ISSUER }), WindiConfigError);
+});
+
+test("verifyDocument hashes the matched cut point and the default policy holds the update", async (t) => {
+  const { original, updated } = countersigned({ eol: false });
+  const documentHash = Hash.sha256UrnFromBuffer(original);
+  const { client, mock, close } = await startMock({
+    documents: [{ document_id: "windi:doc:pdf-001", document_hash: documentHash, issuer_key_id: ISSUER }]
+  });
+  t.after(close);
+
+  const sidecar = { windi_manifest: 1, document_id: "windi:doc:pdf-001", issuer_key_id: ISSUER, document_hash: documentHash };
+  const result = await client.verifyDocument(updated, { sidecar });
+  assert.equal(result.verdict, "VALID");
+  assert.equal(mock.requests[0].body.document_hash, documentHash);
+  assert.deepEqual(result.pdf.byte_range, [0, original.length]);
+  assert.ok(result.risk_flags.includes("PDF_INCREMENTAL_UPDATE"));
+
+  const decision = new PolicyEngine().evaluate({ verify: result });
+  assert.equal(decision.action, "HOLD");
+  assert.equal(decision.reason, "PDF_INCREMENTAL_UPDATE");
+});
+
+test("verifyPdf rejects an end that is not a cut point of the revision", async (t) => {
+  const { updated } = countersigned();
+  const { client, close } = await startMock();
+  t.after(close);
+  await assert.rejects(
+    client.verifyPdf({ bytes: updated, documentId: "windi:doc:pdf-001", issuerKeyId: ISSUER, end: 5 }),
+    WindiConfigError
+  );
+});
@@ -0,0 +1,101 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { PolicyEngine, DEFAULT_POLICY, WindiPolicyError } from "../src/index.js";
+
+const VALID = { verdict: "VALID", integrity: "INTACT", trust_level: "L2", issuer_status: "TRUSTED", risk_flags: [] };
+const decide = (verify, payment) => new PolicyEngine().evaluate({ verify: { ...VALID, ...verify }, payment });
+
+test("the default policy allows a valid document and blocks a tampered one", () => {
+  assert.deepEqual([decide({}).action, decide({}).reason, decide({}).reasons], ["ALLOW", "OK", ["OK"]]);
+  assert.deepEqual(
+    [decide({ verdict: "INVALID", integrity: "MODIFIED" }).action, decide({ verdict: "INVALID" }).reason],
+    ["BLOCK", "TAMPERED"]
+  );
+  assert.equal(decide({ issuer_status: "REVOKED" }).reason, "ISSUER_REVOKED");
+  assert.equal(decide({ risk_flags: ["IBAN_MISMATCH"] }).action, "BLOCK");
+});
+
+test("the default policy holds suspect, offline-only, updated-PDF and high-value payments below L3", () => {
+  assert.equal(decide({ verdict: "SUSPECT" }).reason, "SUSPECT_DOCUMENT");
+  assert.equal(decide({ trust_level: "L1" }).reason, "OFFLINE_ONLY");
+  assert.equal(decide({ risk_flags: ["PDF_INCREMENTAL_UPDATE"] }).reason, "PDF_INCREMENTAL_UPDATE");
+  assert.equal(decide({ warnings: [{ path: "checks.hash_match", code: "TYPE" }] }).reason, "CONTRACT_WARNINGS");
+  assert.equal(decide({}, { amount: 75000, currency: "EUR" }).reason, "HIGH_VALUE_REQUIRES_L3");
+  assert.equal(decide({ trust_level: "L3" }, { amount: 75000, currency: "EUR" }).action, "ALLOW");
+});
+
+test("the default policy fails closed on results it does not recognize", () => {
+  for (const verify of [{ verdict: "OK" }, { integrity: undefined }, { verdict: undefined }, { integrity: "UNKNOWN" }]) {
+    const decision = decide(verify);
+    assert.deepEqual([decision.action, decision.reason], ["HOLD", "NOT_VERIFIED"], JSON.stringify(verify));
+  }
+  assert.equal(new PolicyEngine().evaluate({}).action, "HOLD");
+  assert.equal(new PolicyEngine().evaluate(undefined).reason, "NOT_VERIFIED");
+});
+
+test("the high-value threshold compares the amount in the payment's own currency", () => {
+  assert.equal(decide({}, { amount: 49999.99, currency: "EUR" }).action, "ALLOW");
+  assert.equal(decide({}, { amount: "50000", currency: "JPY" }).reason, "HIGH_VALUE_REQUIRES_L3");
+});
+
+test("the most severe matched action wins and every matched reason is listed", () => {
+  const decision = decide({ risk_flags: ["AMOUNT_DEVIATION", "IBAN_MISMATCH"] });
+  assert.equal(decision.action, "BLOCK");
+  assert.equal(decision.reason, "IBAN_MISMATCH");
+  assert.deepEqual(decision.reasons, ["IBAN_MISMATCH", "AMOUNT_DEVIATION", "OK"]);
+  assert.equal(decision.trace.length, DEFAULT_POLICY.rules.length);
+});
+
+test("custom rule sets run in priority order, equal priorities in declaration order", () => {
+  const engine = PolicyEngine.fromJSON(
+    JSON.stringify({
+      version: 1,
+      default: { action: "HOLD", reason: "NO_RULE" },
+      rules: [
+        { id: "b", priority: 5, action: "HOLD", reason: "B", when: { field: "payment.amount", op: "gt", value: "100" } },
+        { id: "a", priority: 1, action: "HOLD", reason: "A", when: { not: { field: "verify.verdict", op: "in", value: ["VALID"] } } },
+        { id: "c", priority: 5, action: "HOLD", reason: "C", when: { field: "payment.reference", op: "exists" } }
+      ]
+    })
+  );
+  assert.deepEqual(engine.evaluate({ verify: { verdict: "SUSPECT" }, payment: { amount: 101, reference: "x" } }).reasons, ["A", "B", "C"]);
+  const { trace, ...decision } = engine.evaluate({ verify: { verdict: "VALID" } });
+  assert.deepEqual(decision, { action: "HOLD", reason: "NO_RULE", reasons: [] });
+  assert.ok(trace.every((entry) => entry.matched === false));
+});
+
+test("invalid rule sets are rejected with WindiPolicyError", () => {
+  const invalid = [
+    "{",
+    { rules: "nope" },
+    { rules: [{ id: "x", action: "PANIC", reason: "R" }] },
+    { rules: [{ id: "x", action: "HOLD" }] },
+    { rules: [{ id: "x", action: "HOLD", reason: "R", when: { field: "amount", op: "eq", value: 1 } }] },
+    { rules: [{ id: "x", action: "HOLD", reason: "R", when: { field: "payment.amount", op: "like", value: 1 } }] },
+    { rules: [{ id: "x", action: "HOLD", reason: "R" }, { id: "x", action: "HOLD", reason: "R" }] }
+  ];
+  for (const ruleSet of invalid) assert.throws(() => PolicyEngine.fromJSON(ruleSet), WindiPolicyError, JSON.stringify(ruleSet));
+});
+
+test("a rule set without a default holds when no rule matches", () => {
+  const engine = PolicyEngine.fromJSON({ rules: [{ id: "ok", action: "ALLOW", reason: "OK", when: { field: "verify.verdict", op: "eq", value: "VALID" } }] });
+  assert.equal(engine.evaluate({ verify: VALID }).action, "ALLOW");
+  assert.deepEqual(
+    [engine.evaluate({ verify: { verdict: "OK" } }).action, engine.evaluate({ verify: { verdict: "OK" } }).reason],
+    ["HOLD", "NO_RULE_MATCHED"]
+  );
+});
+
+test("fromFile reads a JSON rule file", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "windi-policy-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "policy.json");
+  fs.writeFileSync(filePath, JSON.stringify({ version: 2, default: { action: "ALLOW", reason: "OK" }, rules: [] }));
+  const engine = PolicyEngine.fromFile(filePath);
+  assert.equal(engine.version, 2);
+  assert.ok(engine instanceof PolicyEngine);
+  assert.equal(engine.evaluate({ verify: VALID }).action, "ALLOW");
+});
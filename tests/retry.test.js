@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { WindiVerifyClient, WindiHttpError } from "../src/index.js";
+import { DEFAULT_RETRY, backoffDelayMs, serverRetryDelayMs } from "../src/retry.js";
+import { TokenBucket, parseRateLimitHeaders } from "../src/rate-limit.js";
+import { startServer, validResponse, verifyRequest } from "./helpers.js";
+
+/** A client against a server that answers with `replies` in turn, then VALID. */
+async function clientFor(t, replies, opts = {}) {
+  const server = await startServer((req, count) => replies[count - 1] ?? { body: validResponse() });
+  t.after(server.close);
+  const client = new WindiVerifyClient({
+    baseUrl: server.url,
+    apiKey: "test-key",
+    ...opts,
+    retry: { baseDelayMs: 1, maxDelayMs: 1, ...opts.retry }
+  });
+  return { client, requests: server.requests };
+}
+
+test("429 and 5xx are retried until the request succeeds", async (t) => {
+  const { client, requests } = await clientFor(t, [
+    { status: 429, headers: { "retry-after": "0" }, body: { error: "RATE_LIMITED" } },
+    { status: 503, body: { error: "INTERNAL_ERROR" } }
+  ]);
+  assert.equal((await client.verify(verifyRequest())).verdict, "VALID");
+  assert.equal(requests.length, 3);
+});
+
+test("4xx errors other than 429 are not retried", async (t) => {
+  const { client, requests } = await clientFor(t, [{ status: 404, body: { error: "DOCUMENT_NOT_FOUND" } }]);
+  await assert.rejects(client.verify(verifyRequest()), (err) => err instanceof WindiHttpError && err.status === 404);
+  assert.equal(requests.length, 1);
+});
+
+test("retries stop after maxRetries and when Retry-After exceeds maxRetryAfterMs", async (t) => {
+  const failing = Array(5).fill({ status: 500, body: { error: "INTERNAL_ERROR" } });
+  const { client, requests } = await clientFor(t, failing, { retry: { maxRetries: 2 } });
+  await assert.rejects(client.verify(verifyRequest()), (err) => err.status === 500);
+  assert.equal(requests.length, 3);
+
+  const { client: patient, requests: patientRequests } = await clientFor(
+    t,
+    [{ status: 429, headers: { "retry-after": "120" }, body: { error: "RATE_LIMITED" } }],
+    { retry: { maxRetryAfterMs: 1000 } }
+  );
+  await assert.rejects(patient.verify(verifyRequest()), (err) => err.status === 429);
+  assert.equal(patientRequests.length, 1);
+});
+
+test("getRateLimitState reports the server's X-RateLimit-* headers and the local bucket", async (t) => {
+  const reset = Math.floor(Date.now() / 1000) + 60;
+  const headers = { "x-ratelimit-limit": "100", "x-ratelimit-remaining": "42", "x-ratelimit-reset": String(reset) };
+  const { client } = await clientFor(t, [{ headers, body: validResponse() }], { rateLimit: { requestsPerMinute: 600 } });
+  await client.verify(verifyRequest());
+
+  const state = client.getRateLimitState();
+  assert.deepEqual([state.limit, state.remaining, state.resetAt], [100, 42, reset * 1000]);
+  assert.equal(state.localTokens, 599);
+});
+
+test("serverRetryDelayMs reads Retry-After in seconds or as a date, and X-RateLimit-Reset for 429", () => {
+  const now = Date.parse("2026-01-01T00:00:00Z");
+  assert.equal(serverRetryDelayMs(503, { "retry-after": "2" }, now), 2000);
+  assert.equal(serverRetryDelayMs(503, { "retry-after": "Thu, 01 Jan 2026 00:00:05 GMT" }, now), 5000);
+  assert.equal(serverRetryDelayMs(429, { "x-ratelimit-reset": String(now / 1000 + 3) }, now), 3000);
+  assert.equal(serverRetryDelayMs(503, { "x-ratelimit-reset": String(now / 1000 + 3) }, now), undefined);
+  assert.equal(serverRetryDelayMs(500, {}, now), undefined);
+});
+
+test("backoffDelayMs doubles per attempt up to maxDelayMs", () => {
+  const opts = { ...DEFAULT_RETRY, jitter: false };
+  assert.deepEqual([0, 1, 2, 10].map((attempt) => backoffDelayMs(attempt, opts)), [250, 500, 1000, 10_000]);
+  for (let i = 0; i < 20; i++) assert.ok(backoffDelayMs(3, DEFAULT_RETRY) < 2000);
+});
+
+test("TokenBucket allows the burst, then paces to the refill rate", async () => {
+  const bucket = new TokenBucket({ requestsPerMinute: 6000, burst: 2 });
+  await bucket.take();
+  await bucket.take();
+  const started = Date.now();
+  await bucket.take();
+  assert.ok(Date.now() - started >= 5);
+  assert.equal(parseRateLimitHeaders({}), undefined);
+});
@@ -0,0 +1,27 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { sha256 } from "../src/sha256.js";
+
+const hex = (bytes) => Buffer.from(bytes).toString("hex");
+
+test("sha256 matches the FIPS 180-2 examples", () => {
+  assert.equal(hex(sha256("")), "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855");
+  assert.equal(hex(sha256("abc")), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+  assert.equal(
+    hex(sha256("abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq")),
+    "248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1"
+  );
+});
+
+test("sha256 agrees with node:crypto around the block and padding boundaries", () => {
+  for (let length = 0; length <= 200; length++) {
+    const data = crypto.randomBytes(length);
+    assert.equal(hex(sha256(data)), crypto.createHash("sha256").update(data).digest("hex"), `length ${length}`);
+  }
+});
+
+test("sha256 hashes strings as UTF-8", () => {
+  const text = "Zahlung über 1.234,50 €";
+  assert.equal(hex(sha256(text)), crypto.createHash("sha256").update(text, "utf8").digest("hex"));
+});
@@ -0,0 +1,146 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import {
+  ServerKeyRing,
+  signResponse,
+  verifyResponseSignature,
+  verifyStoredResponse,
+  WindiSignatureError
+} from "../src/index.js";
+import { HASH, startMock, verifyRequest } from "./helpers.js";
+
+const ed = crypto.generateKeyPairSync("ed25519");
+const ec = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+const pem = (key) => key.export({ type: "spki", format: "pem" });
+
+const keys = new ServerKeyRing([
+  { kid: "windi:server:ed", public_key: pem(ed.publicKey) },
+  { kid: "windi:server:ec", public_key: pem(ec.publicKey) }
+]);
+
+function signedBody(overrides = {}) {
+  return {
+    verdict: "VALID",
+    integrity: "INTACT",
+    trust_level: "L2",
+    issuer_status: "TRUSTED",
+    request_id: "req-1",
+    document_id: "windi:doc:inv-001",
+    document_hash: HASH,
+    signed_at: new Date().toISOString(),
+    ...overrides
+  };
+}
+
+const rejects = (reason) => (err) => err instanceof WindiSignatureError && err.reason === reason;
+
+test("verifyResponseSignature accepts detached JWS (EdDSA, ES256) and the Ed25519 header", () => {
+  const body = signedBody();
+  for (const header of [
+    signResponse(body, { kid: "windi:server:ed", privateKey: ed.privateKey }),
+    signResponse(body, { kid: "windi:server:ec", privateKey: ec.privateKey }),
+    signResponse(body, { kid: "windi:server:ed", privateKey: ed.privateKey, format: "ed25519" })
+  ]) {
+    const sig = verifyResponseSignature({ body, header }, keys, { request: verifyRequest() });
+    assert.equal(sig.signed_at, body.signed_at);
+  }
+});
+
+test("verifyResponseSignature rejects altered, unpinned, stale and misbound responses", () => {
+  const body = signedBody();
+  const header = signResponse(body, { kid: "windi:server:ed", privateKey: ed.privateKey });
+
+  assert.throws(() => verifyResponseSignature({ body: { ...body, verdict: "INVALID" }, header }, keys), rejects("BAD_SIGNATURE"));
+  assert.throws(() => verifyResponseSignature({ body }, keys), rejects("MISSING"));
+  assert.throws(() => verifyResponseSignature({ body, header: "garbage" }, keys), rejects("MALFORMED"));
+  assert.throws(() => verifyResponseSignature({ body, header }, new ServerKeyRing()), rejects("UNKNOWN_KEY"));
+  assert.throws(
+    () => verifyResponseSignature({ body, header }, keys, { request: verifyRequest({ document_id: "windi:doc:other" }) }),
+    rejects("REQUEST_MISMATCH")
+  );
+  assert.throws(() => verifyResponseSignature({ body, header }, keys, { now: Date.now() + 3_600_000 }), rejects("STALE"));
+});
+
+test("verifyResponseSignature rejects a JWS alg that does not fit the pinned key", () => {
+  const body = signedBody();
+  const header = signResponse(body, { kid: "windi:server:ed", privateKey: ed.privateKey });
+  const forged = header.replace(/^[^.]+/, Buffer.from(JSON.stringify({ alg: "ES256", kid: "windi:server:ed" })).toString("base64url"));
+  assert.throws(() => verifyResponseSignature({ body, header: forged }, keys), rejects("ALG_MISMATCH"));
+});
+
+test("ES256 and ES384 only verify with keys on their own curve", () => {
+  const p384 = crypto.generateKeyPairSync("ec", { namedCurve: "P-384" });
+  const ring = new ServerKeyRing([
+    { kid: "windi:server:p256", public_key: pem(ec.publicKey) },
+    { kid: "windi:server:p384", public_key: pem(p384.publicKey) }
+  ]);
+  const body = signedBody();
+  const es384 = signResponse(body, { kid: "windi:server:p384", privateKey: p384.privateKey });
+  assert.equal(verifyResponseSignature({ body, header: es384 }, ring).alg, "ES384");
+
+  // Same key, alg claimed for the other curve: rejected before the signature is checked.
+  const relabel = (header, alg, kid) => header.replace(/^[^.]+/, Buffer.from(JSON.stringify({ alg, kid })).toString("base64url"));
+  assert.throws(() => verifyResponseSignature({ body, header: relabel(es384, "ES256", "windi:server:p384") }, ring), rejects("ALG_MISMATCH"));
+  const es256 = signResponse(body, { kid: "windi:server:p256", privateKey: ec.privateKey });
+  assert.throws(() => verifyResponseSignature({ body, header: relabel(es256, "ES384", "windi:server:p256") }, ring), rejects("ALG_MISMATCH"));
+});
+
+test("verifyStoredResponse checks every signed field and allows only Reader additions", () => {
+  const body = signedBody({ risk_flags: ["TIMESTAMP_DRIFT"], checks: { hash_match: true, issuer_active: true } });
+  const header = signResponse(body, { kid: "windi:server:ed", privateKey: ed.privateKey });
+  const stored = { ...body, signature: verifyResponseSignature({ body, header }, keys) };
+
+  assert.deepEqual(verifyStoredResponse(stored, keys), body);
+  verifyStoredResponse({
+    ...stored,
+    risk_flags: [...body.risk_flags, "PDF_INCREMENTAL_UPDATE"],
+    checks: { ...body.checks, field_binding: false },
+    pdf: { revision: 0 }
+  }, keys);
+
+  for (const edit of [
+    { risk_flags: [] },
+    { risk_flags: undefined },
+    { checks: { ...body.checks, hash_match: false } },
+    { checks: undefined },
+    { document_id: "windi:doc:other" },
+    { document_hash: `sha256:${"f".repeat(64)}` },
+    { verdict: "SUSPECT" }
+  ]) {
+    assert.throws(() => verifyStoredResponse({ ...stored, ...edit }, keys), rejects("REQUEST_MISMATCH"), Object.keys(edit)[0]);
+  }
+});
+
+test("a key only verifies responses signed inside its validity window", () => {
+  const body = signedBody({ signed_at: "2026-01-10T00:00:00Z" });
+  const header = signResponse(body, { kid: "windi:server:ed", privateKey: ed.privateKey });
+  const ring = new ServerKeyRing([{ kid: "windi:server:ed", public_key: pem(ed.publicKey), not_after: "2026-01-01T00:00:00Z" }]);
+  assert.throws(
+    () => verifyResponseSignature({ body, header }, ring, { now: Date.parse(body.signed_at) }),
+    rejects("KEY_NOT_VALID")
+  );
+});
+
+test("the client verifies signed mock responses and verifyStoredResponse re-checks them", async (t) => {
+  const { client, mock, close } = await startMock(
+    { signingKey: { kid: "windi:server:ed", privateKey: ed.privateKey } },
+    { serverKeys: keys }
+  );
+  t.after(close);
+
+  const result = await client.verify(verifyRequest());
+  assert.equal(result.verdict, "VALID");
+  assert.equal(result.signature.kid, "windi:server:ed");
+  assert.equal(verifyStoredResponse(result, keys).verdict, "VALID");
+  assert.throws(() => verifyStoredResponse({ ...result, verdict: "SUSPECT" }, keys), rejects("REQUEST_MISMATCH"));
+
+  mock.inject({ tamper: true });
+  await assert.rejects(client.verify(verifyRequest()), rejects("BAD_SIGNATURE"));
+});
+
+test("requireSignedResponses rejects an unsigned response", async (t) => {
+  const { client, close } = await startMock({}, { serverKeys: keys });
+  t.after(close);
+  await assert.rejects(client.verify(verifyRequest()), rejects("MISSING"));
+});
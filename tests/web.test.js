@@ -0,0 +1,132 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import * as Node from "../src/index.js";
+import * as Web from "../src/web.js";
+import { HASH, ISSUER, startMock, validResponse, verifyRequest } from "./helpers.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const PACKAGE = JSON.parse(fs.readFileSync(new URL("../package.json", import.meta.url), "utf8")).name;
+
+/** Relative imports of a module and everything it imports, with the node: built-ins they use. */
+function importGraph(entry) {
+  const seen = new Set();
+  const builtins = new Set();
+  const visit = (url) => {
+    if (seen.has(url.href)) return;
+    seen.add(url.href);
+    const source = fs.readFileSync(url, "utf8");
+    for (const [, spec] of source.matchAll(/^\s*(?:import|export)\b[^;]*?from\s+"([^"]+)"/gm)) {
+      if (spec.startsWith(".")) visit(new URL(spec, url));
+      else builtins.add(spec);
+    }
+  };
+  visit(new URL(entry, import.meta.url));
+  return builtins;
+}
+
+/** Names the package entry exports when resolved with `conditions`. */
+function exportedNames(specifier, conditions = []) {
+  const script = `import(${JSON.stringify(specifier)}).then((m) => console.log(JSON.stringify(Object.keys(m))))`;
+  const args = [...conditions.map((c) => `--conditions=${c}`), "--input-type=module", "-e", script];
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, args, { cwd: ROOT, timeout: 30_000 }, (err, stdout, stderr) => {
+      if (err) reject(new Error(stderr || err.message));
+      else resolve(JSON.parse(stdout));
+    });
+  });
+}
+
+test("the web entry imports no Node.js built-ins or Node-only packages", () => {
+  assert.deepEqual([...importGraph("../src/web.js")], []);
+  assert.ok(importGraph("../src/index.js").has("node:fs"));
+});
+
+test("the conditional exports pick the web build for browser and edge conditions", async () => {
+  const node = await exportedNames(PACKAGE);
+  assert.ok(node.includes("AxiosTransport") && node.includes("Pdf"));
+  for (const condition of ["browser", "worker", "workerd", "edge-light"]) {
+    const web = await exportedNames(PACKAGE, [condition]);
+    assert.deepEqual(web.sort(), Object.keys(Web).sort(), condition);
+  }
+  assert.deepEqual((await exportedNames(`${PACKAGE}/web`)).sort(), Object.keys(Web).sort());
+  assert.deepEqual((await exportedNames(`${PACKAGE}/node`, ["browser"])).sort(), node.sort());
+  assert.ok((await exportedNames(`${PACKAGE}/mock-server`, ["browser"])).includes("MockVerifyServer"));
+});
+
+test("WebCrypto hashing matches the Node build for bytes, strings, Blobs and streams", async () => {
+  const bytes = new TextEncoder().encode("windi ".repeat(10_000));
+  for (const algorithm of ["sha256", "sha384", "sha512"]) {
+    const expected = Node.Hash.hashUrnFromBuffer(bytes, algorithm);
+    assert.equal(await Web.Hash.hashUrnFromBytes(bytes, algorithm), expected);
+    assert.equal(await Web.Hash.hashUrnFromBytes(bytes.buffer, algorithm), expected);
+    assert.equal(await Web.Hash.hashUrnFromBytes(new Blob([bytes]), algorithm), expected);
+    assert.equal(await Web.Hash.hashUrnFromStream(new Blob([bytes]).stream(), algorithm), expected);
+  }
+  assert.equal(await Web.Hash.hashUrnFromBytes("über"), Node.Hash.sha256UrnFromUtf8("über"));
+  await assert.rejects(Web.Hash.hashUrnFromBytes(bytes, "sha3-256"), (err) => err.reason === "UNSUPPORTED_ALGORITHM");
+});
+
+test("WebCrypto request signing produces the same headers as the Node build", async () => {
+  const req = { method: "POST", path: "/api/verify", body: JSON.stringify(verifyRequest()), keyId: "reader-1", secret: "s3cret", timestamp: 1_700_000_000, nonce: "n-1" };
+  assert.deepEqual(await Web.signRequest(req), Node.signRequest(req));
+});
+
+test("the web client verifies over fetch against the mock server", async (t) => {
+  const { url, mock, close } = await startMock();
+  t.after(close);
+  const client = new Web.WindiVerifyClient({ baseUrl: url, apiKey: "test-key" });
+  assert.ok(client.transport instanceof Web.FetchTransport);
+
+  const result = await client.verify(verifyRequest());
+  assert.equal(result.verdict, "VALID");
+  assert.equal(mock.requests[0].body.document_hash, HASH);
+
+  const bytes = new Blob(["not registered"]);
+  const other = await client.verifyFromBytes({ bytes, documentId: "windi:doc:inv-001", issuerKeyId: ISSUER });
+  assert.equal(other.verdict, "INVALID");
+  assert.equal(typeof client.verifyFromFile, "undefined");
+});
+
+test("the web build has the policy engine without fromFile", () => {
+  const engine = Web.PolicyEngine.fromJSON(JSON.stringify(Web.DEFAULT_POLICY));
+  assert.ok(engine instanceof Web.PolicyEngine);
+  assert.equal(engine.evaluate({ verify: { verdict: "VALID", integrity: "INTACT", trust_level: "L2" } }).action, "ALLOW");
+  assert.equal(Web.PolicyEngine.fromFile, undefined);
+  assert.equal(typeof Node.PolicyEngine.fromFile, "function");
+});
+
+test("request signing works with a relative baseUrl, with and without a page location", async (t) => {
+  const sent = [];
+  const transport = { request: async (req) => (sent.push(req), { status: 200, headers: {}, data: validResponse() }) };
+  const credentials = { getCredentials: () => ({ apiKey: "s3cret", keyId: "reader-1" }) };
+  const verifyAt = (baseUrl) => new Web.WindiVerifyClient({ baseUrl, credentials, signRequests: true, transport }).verify(verifyRequest());
+  const signedFor = ({ method, headers, body }, path) =>
+    Node.verifyRequestSignature({ method, path, body, headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])) }, () => "s3cret").valid;
+
+  await verifyAt("/windi-proxy/");
+  assert.equal(sent[0].baseUrl, "/windi-proxy");
+  assert.ok(signedFor(sent[0], "/windi-proxy/verify"));
+
+  Object.defineProperty(globalThis, "location", { value: { href: "https://portal.bank.example/app/index.html" }, configurable: true });
+  t.after(() => delete globalThis.location);
+  await verifyAt("windi-proxy");
+  assert.ok(signedFor(sent[1], "/app/windi-proxy/verify"));
+});
+
+test("both builds hash ArrayBuffers and Blobs passed to verifyFromBytes", async (t) => {
+  const { url, mock, close } = await startMock();
+  t.after(close);
+  const bytes = new TextEncoder().encode("invoice bytes");
+  const expected = Node.Hash.sha256UrnFromBuffer(bytes);
+  for (const Client of [Node.WindiVerifyClient, Web.WindiVerifyClient]) {
+    const client = new Client({ baseUrl: url, apiKey: "test-key" });
+    for (const input of [bytes, bytes.buffer, new Blob([bytes])]) {
+      await client.verifyFromBytes({ bytes: input, documentId: "windi:doc:inv-001", issuerKeyId: ISSUER });
+    }
+  }
+  assert.deepEqual(new Set(mock.requests.map((r) => r.body.document_hash)), new Set([expected]));
+  assert.equal(mock.requests.length, 6);
+});
@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { WindiVerifyClient, Wvc, WindiWvcError } from "../src/index.js";
+import { startServer, validResponse, verifyRequest } from "./helpers.js";
+
+const REQUEST = verifyRequest({ proof_level: "L3" });
+const CODE =
+  "WVC1-JQZXY53JNZSGSOTEN5RTU2LOOYWTAMBRPRZWQYJSGU3DUYLBMFQWCYLBMFQWCYLBMFQWCYLBMFQWCYLBMFQWCYLBMFQWCYLBMFQWCYLBMFQWCYLBMFQWCYLBMFQWCYLBMFQWCYLBMFQWCYLBMFQXY53JNZSGSOTLMV4TU5DFON2C22LTON2WK4Q-TDPJ";
+
+const rejects = (reason) => (err) => err instanceof WindiWvcError && err.reason === reason;
+
+test("encodeWvc produces the documented WVC1 layout", () => {
+  assert.equal(Wvc.encodeWvc(REQUEST), CODE);
+  assert.match(CODE, /^WVC1-[A-Z2-7]+-[A-Z2-7]{4}$/);
+  assert.equal(Wvc.encodeWvc({ ...REQUEST, proof_level: undefined }).length, CODE.length);
+});
+
+test("parseWvc round-trips and ignores case and whitespace", () => {
+  const expected = { version: 1, wvc: CODE, ...REQUEST };
+  assert.deepEqual(Wvc.parseWvc(CODE), expected);
+  assert.deepEqual(Wvc.parseWvc(`  ${CODE.toLowerCase().replace(/(.{40})/g, "$1 ")}\n`), expected);
+});
+
+test("the checksum catches a mistyped character in the body or the check", () => {
+  const typo = CODE.replace("JQZX", "JQZY");
+  assert.throws(() => Wvc.parseWvc(typo), rejects("CHECKSUM"));
+  assert.throws(() => Wvc.parseWvc(`${CODE.slice(0, -1)}A`), rejects("CHECKSUM"));
+  assert.equal(Wvc.isValidWvc(typo), false);
+  assert.equal(Wvc.isValidWvc(CODE), true);
+});
+
+test("parseWvc reports malformed codes and unsupported versions", () => {
+  assert.throws(() => Wvc.parseWvc("hello"), rejects("FORMAT"));
+  assert.throws(() => Wvc.parseWvc(CODE.slice(0, CODE.lastIndexOf("-"))), rejects("FORMAT"));
+  assert.throws(() => Wvc.parseWvc(CODE.replace("WVC1", "WVC2")), rejects("VERSION"));
+  assert.throws(() => Wvc.parseWvc(undefined), rejects("FORMAT"));
+});
+
+test("parseKnownWvc leaves codes in other layouts to the API", () => {
+  assert.deepEqual(Wvc.parseKnownWvc(CODE), Wvc.parseWvc(CODE));
+  assert.equal(Wvc.parseKnownWvc("WVC9:future-layout"), undefined);
+  assert.equal(Wvc.parseKnownWvc(CODE.replace("WVC1", "WVC2")), undefined);
+  assert.equal(Wvc.parseKnownWvc("WVC1:colon-layout"), undefined);
+  assert.throws(() => Wvc.parseKnownWvc(CODE.replace("JQZX", "JQZY")), rejects("CHECKSUM"));
+});
+
+test("parseKnownWvc rejects malformed WVC1- codes locally", () => {
+  // Non-Base32 typos for O, I and B, and a code without its check segment.
+  for (const digit of ["0", "1", "8"]) {
+    const typo = `${CODE.slice(0, 10)}${digit}${CODE.slice(11)}`;
+    assert.throws(() => Wvc.parseKnownWvc(typo), rejects("FORMAT"), digit);
+  }
+  assert.throws(() => Wvc.parseKnownWvc(CODE.slice(0, CODE.lastIndexOf("-"))), rejects("FORMAT"));
+  assert.throws(() => Wvc.parseKnownWvc(" wvc1- "), rejects("FORMAT"));
+});
+
+test("encodeWvc validates the fields it packs", () => {
+  assert.throws(() => Wvc.encodeWvc({ ...REQUEST, proof_level: "L9" }), rejects("PAYLOAD"));
+  assert.throws(() => Wvc.encodeWvc({ ...REQUEST, document_hash: "md5:abc" }), rejects("PAYLOAD"));
+  assert.throws(() => Wvc.encodeWvc({ ...REQUEST, document_id: "a|b" }), rejects("PAYLOAD"));
+  assert.throws(() => Wvc.encodeWvc({ ...REQUEST, issuer_key_id: "" }), rejects("PAYLOAD"));
+});
+
+test("verifyWvc rejects a damaged code locally and sends the normalized code", async (t) => {
+  const server = await startServer(() => ({ body: validResponse({ trust_level: "L3" }) }));
+  t.after(server.close);
+  const client = new WindiVerifyClient({ baseUrl: server.url, apiKey: "test-key" });
+
+  await assert.rejects(client.verifyWvc({ wvc: CODE.replace("JQZX", "JQZY") }), rejects("CHECKSUM"));
+  assert.equal(server.requests.length, 0);
+
+  await client.verifyWvc({ wvc: CODE.toLowerCase() });
+  await client.verifyWvc({ wvc: CODE, proofLevel: "L2" });
+  assert.deepEqual(server.requests.map((r) => r.body), [
+    { wvc: CODE, proof_level: "L3" },
+    { wvc: CODE, proof_level: "L2" }
+  ]);
+  assert.equal(server.requests[0].url, "/verify/wvc");
+});
+
+test("verifyWvc forwards codes in other layouts unchanged with proof level L2", async (t) => {
+  const server = await startServer(() => ({ body: validResponse() }));
+  t.after(server.close);
+  const client = new WindiVerifyClient({ baseUrl: server.url, apiKey: "test-key" });
+
+  await client.verifyWvc({ wvc: " WVC9:future-layout " });
+  assert.deepEqual(server.requests[0].body, { wvc: "WVC9:future-layout", proof_level: "L2" });
+  await assert.rejects(client.verifyWvc({ wvc: "  " }), rejects("FORMAT"));
+  await assert.rejects(client.verifyWvc({ wvc: CODE.replace("JQZX", "JQ2X").replace(/-[A-Z2-7]+$/, "") }), rejects("FORMAT"));
+  await assert.rejects(client.verifyWvc({ wvc: CODE.replace("WVC1-J", "WVC1-0") }), rejects("FORMAT"));
+  assert.equal(server.requests.length, 1);
+});